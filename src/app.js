@@ -16,6 +16,7 @@ const { v4: uuidv4 } = require('uuid');
 
 const AppError = require('./utils/appError');
 const globalErrorHandler = require('./controllers/errorController');
+const certificateController = require('./controllers/certificateController');
 const routes = require('./routes');
 const logger = require('./utils/logger');
 const queueMonitor = require('./jobs/queueMonitor');
@@ -181,7 +182,15 @@ app.use('/api/v1/upload', uploadLimiter);
 //   limit: '10kb',
 //   parameterLimit: 1000
 // }));
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Payment webhook signatures are computed over the exact bytes the gateway sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // ============================================
 // DATA SANITIZATION
@@ -283,6 +292,9 @@ app.get('/metrics', async (req, res) => {
 
 app.use('/admin/queues', protect, restrictTo('admin'), queueMonitor.getRouter());
 
+// Certificate QR codes open this page
+app.get('/verify/certificate/:certificateNumber', certificateController.verifyPage);
+
 app.get('/api/v1/admin/queue-stats', protect, restrictTo('admin'), async (req, res) => {
   try {
     const stats = await queueMonitor.getQueueStats();
@@ -3,6 +3,11 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
 const _ = require('lodash');
+const mockTestPaperService = require('../services/mockTestPaperService');
+const mockTestAttemptService = require('../services/mockTestAttemptService');
+const testSeriesService = require('../services/testSeriesService');
+const questionGrader = require('../services/grading');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
 
 // ==========================================
 // 1. QUIZ LOGIC (In-Course Assessments)
@@ -12,12 +17,10 @@ exports.getQuiz = catchAsync(async (req, res, next) => {
   const quiz = await Quiz.findById(req.params.id).lean();
   if (!quiz) return next(new AppError('Quiz not found', 404));
 
-  // SECURITY: Fetch questions but REMOVE 'isCorrect' and 'correctAnswer'
+  // SECURITY: Only send what the question type lets a student see (no answer key).
   // This prevents students from seeing answers in the Network Tab.
-  let questions = await QuizQuestion.find({ quiz: quiz._id })
-    .select('-correctAnswer -options.isCorrect')
-    .sort('order')
-    .lean();
+  let questions = (await QuizQuestion.find({ quiz: quiz._id }).sort('order').lean())
+    .map(q => ({ _id: q._id, question: q.question, ...questionGrader.forStudent(q), points: q.points, order: q.order }));
 
   // PRO FEATURE: Shuffle if requested
   if (req.query.shuffle === 'true') questions = _.shuffle(questions);
@@ -26,7 +29,7 @@ exports.getQuiz = catchAsync(async (req, res, next) => {
 });
 
 exports.submitQuiz = catchAsync(async (req, res, next) => {
-  const { answers } = req.body; // Expects [{ questionId, selectedOptionIndex }]
+  const { answers = [] } = req.body; // Expects [{ questionId, ...answer fields of the question's type }]
   const quiz = await Quiz.findById(req.params.id);
   if (!quiz) return next(new AppError('Quiz not found', 404));
 
@@ -35,13 +38,15 @@ exports.submitQuiz = catchAsync(async (req, res, next) => {
 
   const gradedAnswers = questions.map(q => {
     const userAns = answers.find(a => a.questionId === q._id.toString());
-    const isCorrect = userAns && q.options[userAns.selectedOptionIndex]?.isCorrect;
-    if (isCorrect) score += q.points;
+    const { isCorrect, marksObtained, needsReview } = questionGrader.grade(q, userAns, { marks: q.points });
+    score += marksObtained;
     
     return {
       questionId: q._id,
       isCorrect,
-      correctAnswer: q.options.find(opt => opt.isCorrect)?.text,
+      pointsEarned: marksObtained,
+      needsReview,
+      correctAnswer: questionGrader.correctAnswer(q),
       explanation: q.explanation
     };
   });
@@ -58,6 +63,7 @@ exports.submitQuiz = catchAsync(async (req, res, next) => {
         $set: { lastActivity: Date.now() }
       }
     );
+    await certificateEligibilityService.queueEvaluation(req.user.id, quiz.course);
   }
 
   res.status(200).json({ status: 'success', data: { score, totalPoints: quiz.totalPoints, percentage, passed, results: gradedAnswers } });
@@ -71,84 +77,52 @@ exports.startMockTestAttempt = catchAsync(async (req, res, next) => {
   const mockTest = await MockTest.findById(req.params.id);
   if (!mockTest) return next(new AppError('Mock Test not found', 404));
 
-  // Resume Logic: Check if there is already a started session
-  let attempt = await MockTestAttempt.findOne({ 
-    mockTest: mockTest._id, 
-    student: req.user.id, 
-    status: { $in: ['started', 'in-progress'] } 
-  });
+  await testSeriesService.assertMockTestAccess(req.user, mockTest);
 
-  if (!attempt) {
-    attempt = await MockTestAttempt.create({
-      mockTest: mockTest._id,
-      student: req.user.id,
-      status: 'started',
-      startedAt: Date.now()
-    });
-  }
+  // Resume Logic: the running attempt (same paper, saved answers) is returned if there is one
+  const { attempt, resumed } = await mockTestAttemptService.start(mockTest, req.user.id);
 
-  res.status(201).json({ status: 'success', data: { attempt } });
+  res.status(resumed ? 200 : 201).json({
+    status: 'success',
+    data: {
+      resumed,
+      attempt: mockTestAttemptService.view(attempt),
+      questions: mockTestPaperService.forStudent(attempt.paper, attempt.seed)
+    }
+  });
 });
 
 // ANTI-CHEAT HEARTBEAT
 exports.trackAttemptActivity = catchAsync(async (req, res, next) => {
-  const { tabSwitches } = req.body;
-  await MockTestAttempt.findByIdAndUpdate(req.params.attemptId, {
-    $set: { lastHeartbeat: Date.now() },
-    $inc: { tabSwitches: tabSwitches || 0 }
+  const { attempt, terminated, tabSwitchesLeft } = await mockTestAttemptService.recordActivity(
+    req.params.attemptId,
+    req.user.id,
+    { tabSwitches: req.body.tabSwitches }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      status: attempt.status,
+      terminated,
+      tabSwitchesLeft,
+      remainingSeconds: mockTestAttemptService.remainingSeconds(attempt)
+    }
   });
-  res.status(200).json({ status: 'success' });
 });
 
 exports.submitMockTestAttempt = catchAsync(async (req, res, next) => {
-  const { answers } = req.body; 
-  const attempt = await MockTestAttempt.findById(req.params.attemptId).populate('mockTest');
-  
-  if (!attempt || attempt.status === 'completed') return next(new AppError('Attempt invalid or already submitted', 400));
+  const attempt = await mockTestAttemptService.submit(req.params.attemptId, req.user.id, req.body.answers);
 
-  const questions = await MockTestQuestion.find({ mockTest: attempt.mockTest._id });
-  let totalMarks = 0;
+  // Sectional breakdown logic
   const sectionAnalysis = {};
-
-  const processedAnswers = questions.map(q => {
-    const userAns = answers.find(a => a.questionId === q._id.toString());
-    let marksObtained = 0;
-    let isCorrect = false;
-
-    if (userAns) {
-      isCorrect = q.options[userAns.selectedOptionIndex]?.isCorrect;
-      marksObtained = isCorrect ? q.marks : -(q.negativeMarks || 0);
-    }
-
-    // Sectional breakdown logic
-    if (!sectionAnalysis[q.sectionName]) sectionAnalysis[q.sectionName] = { score: 0, total: 0 };
-    sectionAnalysis[q.sectionName].score += marksObtained;
-    sectionAnalysis[q.sectionName].total += q.marks;
-
-    totalMarks += marksObtained;
-    return { questionId: q._id, selectedOptionIndex: userAns?.selectedOptionIndex, isCorrect, marksObtained };
+  attempt.paper.forEach(item => {
+    const answer = attempt.answers.find(a => a.questionId.toString() === item.questionId.toString());
+    if (!sectionAnalysis[item.sectionName]) sectionAnalysis[item.sectionName] = { score: 0, total: 0 };
+    sectionAnalysis[item.sectionName].score += answer?.marksObtained || 0;
+    sectionAnalysis[item.sectionName].total += item.marks;
   });
 
-  // Calculate Global Rank
-  const rank = await MockTestAttempt.countDocuments({ 
-    mockTest: attempt.mockTest._id, 
-    score: { $gt: totalMarks },
-    status: 'completed'
-  }) + 1;
-
-  attempt.answers = processedAnswers;
-  attempt.score = totalMarks;
-  attempt.percentage = (totalMarks / attempt.mockTest.totalMarks) * 100;
-  attempt.status = 'completed';
-  attempt.completedAt = Date.now();
-  attempt.timeTaken = Math.round((attempt.completedAt - attempt.startedAt) / 1000);
-  attempt.isPassed = attempt.percentage >= attempt.mockTest.passingMarks;
-  attempt.rank = rank;
-  attempt.totalStudents = await MockTestAttempt.countDocuments({ mockTest: attempt.mockTest._id, status: 'completed' }) + 1;
-  attempt.feedback = JSON.stringify(sectionAnalysis);
-
-  await attempt.save();
-
   res.status(200).json({ status: 'success', data: { attempt, analysis: sectionAnalysis } });
 });
 
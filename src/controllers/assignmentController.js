@@ -1,7 +1,10 @@
-const { Assignment, Submission, ProgressTracking, Course } = require('../models');
+const { Assignment, AssignmentSubmission: Submission, ProgressTracking, Course } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
+const similarityService = require('../services/similarityService');
+const similarityQueue = require('../jobs/similarityQueue');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
 
 // ==========================
 // STUDENT ACTIONS
@@ -48,34 +51,116 @@ exports.submitAssignment = catchAsync(async (req, res, next) => {
 // ==========================
 
 exports.gradeSubmission = catchAsync(async (req, res, next) => {
-  const { grade, feedback } = req.body;
+  const { feedback } = req.body;
+  const points = Number(req.body.points ?? req.body.grade); // `grade` is the older name
   const submission = await Submission.findById(req.params.id).populate('assignment');
 
   if (!submission) return next(new AppError('Submission not found', 404));
+  if (!Number.isFinite(points) || points < 0) return next(new AppError('Please provide the points awarded', 400));
 
-  submission.grade = grade;
-  submission.feedback = feedback;
+  const assignment = submission.assignment;
+  submission.grade = {
+    points,
+    percentage: assignment.totalPoints > 0 ? Math.round((points / assignment.totalPoints) * 10000) / 100 : 100,
+    feedback,
+    gradedBy: req.user.id,
+    gradedAt: Date.now()
+  };
   submission.status = 'graded';
-  submission.gradedAt = Date.now();
   await submission.save();
 
   // PRO FEATURE: Update progress if grade is passing
-  if (grade >= submission.assignment.passingGrade) {
-    await ProgressTracking.findOneAndUpdate(
-      { student: submission.student, course: submission.assignment.course },
-      { $addToSet: { completedAssignments: submission.assignment._id } }
+  if (points >= assignment.passingPoints) {
+    await ProgressTracking.updateOne(
+      { student: submission.student, course: assignment.course, 'completedAssignments.assignment': { $ne: assignment._id } },
+      { $push: { completedAssignments: { assignment: assignment._id, score: points, completedAt: Date.now() } } }
     );
   }
 
+  // Grades count towards the certificate
+  await certificateEligibilityService.queueEvaluation(submission.student, assignment.course);
+
   res.status(200).json({ status: 'success', data: { submission } });
 });
 
 exports.getAssignmentSubmissions = catchAsync(async (req, res, next) => {
-  const submissions = await Submission.find({ assignment: req.params.assignmentId })
-    .populate('student', 'firstName lastName email profilePicture')
-    .sort('-submittedAt');
+  const [submissions, report] = await Promise.all([
+    Submission.find({ assignment: req.params.assignmentId })
+      .populate('student', 'firstName lastName email profilePicture')
+      .sort('-submittedAt')
+      .lean(),
+    similarityService.getLatestReport('Assignment', req.params.assignmentId, { completedOnly: true })
+  ]);
+
+  // Flag each submission with its closest match from the latest similarity report
+  const similarity = similarityService.summarizeBySubmission(report);
+  submissions.forEach(submission => {
+    submission.similarity = similarity.get(submission._id.toString()) || null;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: submissions.length,
+    data: {
+      submissions,
+      similarityReport: report
+        ? { id: report._id, generatedAt: report.createdAt, url: `${req.baseUrl}/${req.params.assignmentId}/similarity-report` }
+        : null
+    }
+  });
+});
+
+// ==========================
+// SIMILARITY (PLAGIARISM) REPORTS
+// ==========================
+// Reports include other students' work, so only the course's instructors may see them
+const findAssignmentYouTeach = async (req) => {
+  const assignment = await Assignment.findById(req.params.assignmentId);
+  if (!assignment) throw new AppError('Assignment not found', 404);
+
+  if (req.user.role !== 'admin') {
+    const course = await Course.findById(assignment.course).select('primaryInstructor instructors');
+    const isPrimary = course && course.primaryInstructor.toString() === req.user.id;
+    const isCoInstructor = course?.instructors?.some(inst => inst.instructor.toString() === req.user.id && inst.isActive);
+    if (!isPrimary && !isCoInstructor) {
+      throw new AppError('You are not authorized to view similarity reports for this assignment', 403);
+    }
+  }
+  return assignment;
+};
+
+// Comparison runs on the similarity queue; poll the GET endpoint for the result
+exports.generateSimilarityReport = catchAsync(async (req, res, next) => {
+  const assignment = await findAssignmentYouTeach(req);
+
+  const threshold = req.body.threshold != null ? Number(req.body.threshold) : undefined;
+  if (threshold != null && !(threshold >= 0 && threshold <= 1)) {
+    return next(new AppError('Threshold must be between 0 and 1', 400));
+  }
+
+  const report = await similarityService.createReport('Assignment', assignment._id, req.user.id, { threshold });
+  const job = await similarityQueue.add({ type: 'report', data: { reportId: report._id.toString() } });
+
+  report.jobId = String(job.id);
+  await report.save();
+
+  res.status(202).json({
+    status: 'success',
+    data: {
+      reportId: report._id,
+      status: report.status,
+      statusUrl: `${req.baseUrl}/${assignment._id}/similarity-report`
+    }
+  });
+});
+
+exports.getSimilarityReport = catchAsync(async (req, res, next) => {
+  await findAssignmentYouTeach(req);
+
+  const report = await similarityService.getLatestReport('Assignment', req.params.assignmentId);
+  if (!report) return next(new AppError('No similarity report has been generated for this assignment', 404));
 
-  res.status(200).json({ status: 'success', results: submissions.length, data: { submissions } });
+  res.status(200).json({ status: 'success', data: { report } });
 });
 
 // Standard CRUD
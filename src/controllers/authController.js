@@ -1,49 +1,94 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const crypto = require('crypto');
+const path = require('path');
+const pug = require('pug');
 
 const { User, InstructorProfile, StudentProfile } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const sendEmail = require('../utils/email');
+const { verifyToken, decodeToken, emailVerificationRequired } = require('../utils/authUtils');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginSecurityService = require('../services/loginSecurityService');
+const oidcService = require('../services/oidcService');
+const emailQueue = require('../jobs/emailQueue');
+
+// The refresh cookie is only ever sent to the auth routes
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+const OIDC_STATE_COOKIE = 'oidc_state';
+const OIDC_STATE_COOKIE_PATH = '/api/v1/auth/oidc';
+const DEVICE_REPORT_PAGE = path.join(__dirname, '../templates/pages/device-report.pug');
 
 /**
- * Generates a JWT token for the user
+ * Sets the access and refresh cookies; each expires with its token
  */
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const setTokenCookies = (res, accessToken, refreshToken, refreshExpiresAt) => {
+  const secure = process.env.NODE_ENV === 'production';
+
+  res.cookie('jwt', accessToken, {
+    expires: new Date(decodeToken(accessToken).exp * 1000),
+    httpOnly: true,
+    secure,
+  });
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    expires: refreshExpiresAt,
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH,
   });
 };
 
+const clearTokenCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+};
+
 /**
- * Formats and sends the JWT via cookie and JSON response
+ * Starts a device session and sends its tokens via cookies and JSON response
  */
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const createSendToken = async (user, statusCode, req, res, extra = {}) => {
+  const { accessToken, refreshToken, session } = await sessionService.start(user, req);
 
   // Remove password from output for security
   user.password = undefined;
 
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-  };
-
-  res.cookie('jwt', token, cookieOptions);
+  setTokenCookies(res, accessToken, refreshToken, session.expiresAt);
 
   res.status(statusCode).json({
     status: 'success',
-    token,
+    token: accessToken,
+    refreshToken,
     data: {
       user,
+      ...extra,
     },
   });
 };
 
+/**
+ * Issues a new email verification token and queues the email with its link
+ */
+const sendEmailVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await emailQueue.add({
+    type: 'verification',
+    data: {
+      user: { firstName: user.firstName, email: user.email },
+      token: verificationToken
+    }
+  });
+};
+
 // ==================== AUTH ACTIONS ====================
 
 exports.signup = catchAsync(async (req, res, next) => {
@@ -101,7 +146,14 @@ exports.signup = catchAsync(async (req, res, next) => {
     return next(new AppError('Account creation failed during profile setup. Please try again.', 500));
   }
 
-  createSendToken(newUser, 201, res);
+  // The account works without it; the link can be requested again
+  try {
+    await sendEmailVerification(newUser);
+  } catch (err) {
+    console.error('Verification email could not be queued during signup:', err);
+  }
+
+  await createSendToken(newUser, 201, req, res);
 });
 
 exports.login = catchAsync(async (req, res, next) => {
@@ -114,28 +166,397 @@ exports.login = catchAsync(async (req, res, next) => {
   // Include password field which is hidden by default in schema
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user || !(await user.correctPassword(password, user.password))) {
+  // A locked account gets the same answer whatever the password, so the lockout
+  // cannot be used to confirm a guess; attempts made meanwhile still count
+  if (user && loginSecurityService.isLocked(user)) {
+    await loginSecurityService.recordFailure(user);
+    loginSecurityService.assertNotLocked(user);
+  }
+
+  // Accounts created through an identity provider have no password to match
+  if (!user || !user.password || !(await user.correctPassword(password, user.password))) {
+    if (user) await loginSecurityService.recordFailure(user);
     return next(new AppError('Incorrect email or password', 401));
   }
 
+  await finishLogin(user, req, res, next);
+});
+
+// Checks shared by every way of logging in once the user is identified, then
+// the second factor or the tokens
+const finishLogin = async (user, req, res, next) => {
   if (!user.isActive || user.isDeleted) {
     return next(new AppError('Your account has been deactivated or deleted', 401));
   }
 
-  user.lastLogin = Date.now();
+  if (user.passwordResetRequired) {
+    return next(new AppError('For your security, please reset your password before logging in. We have emailed you a reset link.', 403));
+  }
+
+  if (!user.isEmailVerified && user.role !== 'admin' && emailVerificationRequired('login')) {
+    return next(new AppError('Please verify your email address before logging in. You can request a new verification link from /api/v1/auth/verify-email/resend.', 403));
+  }
+
+  // Second step: a code for enrolled accounts, enrolment where the policy requires 2FA
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.challengeToken(user, 'login')
+    });
+  }
+
+  if (await twoFactorService.isRequiredFor(user)) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorSetupRequired: true,
+      challengeToken: twoFactorService.challengeToken(user, 'setup')
+    });
+  }
+
+  await loginSecurityService.recordSuccess(user, req);
+
+  await createSendToken(user, 200, req, res);
+};
+
+exports.refresh = catchAsync(async (req, res, next) => {
+  const presented = (req.cookies && req.cookies[REFRESH_COOKIE]) || req.body.refreshToken;
+  if (!presented) {
+    return next(new AppError('No refresh token provided. Please log in again.', 401));
+  }
+
+  let rotated;
+  try {
+    rotated = await sessionService.rotate(presented, req);
+  } catch (err) {
+    clearTokenCookies(res);
+    throw err;
+  }
+
+  const { accessToken, refreshToken } = rotated;
+  setTokenCookies(res, accessToken, refreshToken, new Date(decodeToken(refreshToken).exp * 1000));
+
+  res.status(200).json({
+    status: 'success',
+    token: accessToken,
+    refreshToken,
+  });
+});
+
+exports.logout = catchAsync(async (req, res) => {
+  // End this device's session, identified by its refresh token or else its access token
+  const refreshToken = (req.cookies && req.cookies[REFRESH_COOKIE]) || (req.body && req.body.refreshToken);
+  if (!(await sessionService.end(refreshToken))) {
+    let accessToken = req.cookies && req.cookies.jwt;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      accessToken = req.headers.authorization.split(' ')[1];
+    }
+    const decoded = accessToken ? verifyToken(accessToken) : null;
+    if (decoded && decoded.sid) await sessionService.revoke(decoded.id, decoded.sid, 'logout');
+  }
+
+  clearTokenCookies(res);
+  res.status(200).json({ status: 'success' });
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+exports.verifyTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide the challenge token and an authentication or recovery code', 400));
+  }
+
+  const user = await twoFactorService.readChallenge(challengeToken, 'login');
+  loginSecurityService.assertNotLocked(user);
+
+  const factor = await twoFactorService.verify(user, { code, recoveryCode });
+  if (!factor) {
+    await loginSecurityService.recordFailure(user);
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  await loginSecurityService.recordSuccess(user, req);
+
+  // Reloaded without the 2FA secrets, which must not reach the response
+  const account = await User.findById(user._id);
+
+  const remaining = factor === 'recovery' ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 } : {};
+  await createSendToken(account, 200, req, res, remaining);
+});
+
+// Enrolment works for a logged in user, or with the challenge token a login
+// returns when the policy requires 2FA and the account has none yet
+exports.protectTwoFactorSetup = catchAsync(async (req, res, next) => {
+  if (!req.body.challengeToken) return exports.protect(req, res, next);
+
+  req.user = await twoFactorService.readChallenge(req.body.challengeToken, 'setup');
+  req.twoFactorChallenge = true;
+  next();
+});
+
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const setup = await twoFactorService.beginSetup(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: setup
+  });
+});
+
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new AppError('Please provide a code from your authenticator app', 400));
+  }
+
+  const recoveryCodes = await twoFactorService.enable(req.user._id, req.body.code);
+
+  // Enrolling from a login challenge completes that login
+  if (req.twoFactorChallenge) {
+    await loginSecurityService.recordSuccess(req.user, req);
+    const account = await User.findById(req.user._id);
+    return createSendToken(account, 200, req, res, { recoveryCodes });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { recoveryCodes }
+  });
+});
+
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+password');
+  // Accounts that only sign in through an identity provider confirm with the code alone
+  if (user.password && (!req.body.password || !(await user.correctPassword(req.body.password, user.password)))) {
+    return next(new AppError('Current password is incorrect.', 401));
+  }
+
+  await twoFactorService.disable(req.user._id, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+
+  res.status(200).json({ status: 'success', message: 'Two-factor authentication disabled.' });
+});
+
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, {
+    code: req.body.code,
+    recoveryCode: req.body.recoveryCode
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { recoveryCodes }
+  });
+});
+
+exports.getTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const requiredRoles = await twoFactorService.requiredRoles();
+
+  res.status(200).json({
+    status: 'success',
+    data: { requiredRoles }
+  });
+});
+
+exports.updateTwoFactorPolicy = catchAsync(async (req, res, next) => {
+  const requiredRoles = await twoFactorService.setRequiredRoles(req.body.requiredRoles, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { requiredRoles }
+  });
+});
+
+// ==================== EMAIL VERIFICATION ====================
+
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
   await user.save({ validateBeforeSave: false });
 
-  createSendToken(user, 200, res);
+  res.status(200).json({ status: 'success', message: 'Your email address has been verified.' });
 });
 
-exports.logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+  const user = req.body.email ? await User.findOne({ email: req.body.email }) : null;
+  if (!user) {
+    return next(new AppError('There is no user with that email address.', 404));
+  }
+
+  if (user.isEmailVerified) {
+    return next(new AppError('This email address is already verified.', 400));
+  }
+
+  // One email per cooldown window, so the endpoint cannot be used to flood an inbox
+  const cooldown = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN, 10) || 60) * 1000;
+  const waitMs = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() + cooldown - Date.now() : 0;
+  if (waitMs > 0) {
+    return next(new AppError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another verification email.`, 429));
+  }
+
+  try {
+    await sendEmailVerification(user);
+  } catch (err) {
+    return next(new AppError('Email delivery failed. Try again later.', 500));
+  }
+
+  res.status(200).json({ status: 'success', message: 'Verification email sent!' });
+});
+
+// "This wasn't me" link from a new-device email. Opening the link only asks
+// for confirmation, since mail scanners and link previews open it too.
+exports.confirmUnrecognizedLogin = (req, res) => {
+  let error = null;
+  try {
+    loginSecurityService.readReportToken(req.params.token);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const html = pug.renderFile(DEVICE_REPORT_PAGE, { action: req.originalUrl, error });
+  res.status(error ? 400 : 200).type('html').send(html);
+};
+
+exports.reportUnrecognizedLogin = catchAsync(async (req, res, next) => {
+  await loginSecurityService.reportUnrecognizedLogin(req.params.token);
+
+  clearTokenCookies(res);
+  const message = 'All sessions have been signed out. Check your email for a link to set a new password.';
+  res.status(200).format({
+    json: () => res.json({ status: 'success', message }),
+    html: () => res.send(pug.renderFile(DEVICE_REPORT_PAGE, { done: true, message }))
+  });
+});
+
+// ==================== OPENID CONNECT ====================
+
+const setOidcStateCookie = (res, stateToken) => {
+  res.cookie(OIDC_STATE_COOKIE, stateToken, {
+    expires: new Date(Date.now() + 10 * 60 * 1000),
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax, so the cookie comes back on the provider's redirect
+    sameSite: 'lax',
+    path: OIDC_STATE_COOKIE_PATH
   });
-  res.status(200).json({ status: 'success' });
 };
 
+exports.getOidcProviders = (req, res) => {
+  const providers = oidcService.providers().map(({ name, label }) => ({
+    name,
+    label,
+    loginUrl: `/api/v1/auth/oidc/${name}`
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    results: providers.length,
+    data: { providers }
+  });
+};
+
+exports.oidcLogin = catchAsync(async (req, res, next) => {
+  const { url, stateToken } = await oidcService.authorizationRequest(req.params.provider);
+
+  setOidcStateCookie(res, stateToken);
+  res.redirect(302, url);
+});
+
+// The provider redirects here (GET); frontends handling the redirect themselves
+// can forward code and state (POST)
+exports.oidcCallback = catchAsync(async (req, res, next) => {
+  const params = { ...req.query, ...req.body };
+  const stateToken = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+  if (!stateToken) {
+    return next(new AppError('Your sign-in attempt has expired. Please try again.', 400));
+  }
+  res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_STATE_COOKIE_PATH });
+
+  const { profile, linkUserId } = await oidcService.identify(req.params.provider, params, stateToken);
+  const { user, created } = await oidcService.resolveUser(req.params.provider, profile, linkUserId);
+
+  if (linkUserId) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Your account has been linked.',
+      data: { identities: user.identities }
+    });
+  }
+
+  // The provider did not vouch for the address, so it is confirmed the usual way
+  if (created && !user.isEmailVerified) {
+    try {
+      await sendEmailVerification(user);
+    } catch (err) {
+      console.error('Verification email could not be queued during sign-in:', err);
+    }
+  }
+
+  loginSecurityService.assertNotLocked(user);
+  await finishLogin(user, req, res, next);
+});
+
+exports.oidcLink = catchAsync(async (req, res, next) => {
+  const { url, stateToken } = await oidcService.authorizationRequest(req.params.provider, { linkUserId: req.user.id });
+
+  setOidcStateCookie(res, stateToken);
+  res.status(200).json({
+    status: 'success',
+    data: { authorizationUrl: url }
+  });
+});
+
+exports.oidcUnlink = catchAsync(async (req, res, next) => {
+  const user = await oidcService.unlink(req.user.id, req.params.provider);
+
+  res.status(200).json({
+    status: 'success',
+    data: { identities: user.identities }
+  });
+});
+
+// ==================== SESSIONS ====================
+
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await sessionService.list(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: { sessions }
+  });
+});
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const revoked = await sessionService.revoke(req.user._id, req.params.id);
+  if (!revoked) {
+    return next(new AppError('No active session found with that ID', 404));
+  }
+
+  if (req.params.id === String(req.sessionId)) clearTokenCookies(res);
+  res.status(204).json({ status: 'success', data: null });
+});
+
+// "Log out everywhere"; ?keepCurrent=true keeps this device signed in
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+  const revoked = await sessionService.revokeAll(req.user._id, { except: keepCurrent ? req.sessionId : undefined });
+
+  if (!keepCurrent) clearTokenCookies(res);
+  res.status(200).json({ status: 'success', data: { revoked } });
+});
+
 // ==================== MIDDLEWARE ====================
 
 exports.protect = catchAsync(async (req, res, next) => {
@@ -161,7 +582,13 @@ exports.protect = catchAsync(async (req, res, next) => {
     return next(new AppError('User recently changed password! Please log in again.', 401));
   }
 
+  // Tokens are tied to a device session; ones from revoked (or pre-session) logins are refused
+  if (!(await sessionService.isActive(decoded.sid, currentUser._id))) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
   req.user = currentUser;
+  req.sessionId = decoded.sid;
   next();
 });
 
@@ -220,14 +647,30 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.confirmPassword = req.body.confirmPassword;
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
   await user.save();
 
-  createSendToken(user, 200, res);
+  // Whoever knew the old password may still be signed in
+  await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+
+  // A reset link alone must not get past the second factor
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({ status: 'success', message: 'Your password has been reset. Please log in.' });
+  }
+
+  await loginSecurityService.recordSuccess(user, req);
+  await createSendToken(user, 200, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user.id).select('+password');
 
+  if (!user.password) {
+    return next(new AppError('Your account has no password yet. Use forgot password to set one.', 400));
+  }
+
   if (!(await user.correctPassword(req.body.passwordCurrent, user.password))) {
     return next(new AppError('Current password is incorrect.', 401));
   }
@@ -236,7 +679,8 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   user.confirmPassword = req.body.confirmPassword;
   await user.save();
 
-  createSendToken(user, 200, res);
+  await sessionService.revokeAll(user._id, { reason: 'password_changed' });
+  await createSendToken(user, 200, req, res);
 });
 
 
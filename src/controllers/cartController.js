@@ -0,0 +1,86 @@
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const cartService = require('../services/cartService');
+const paymentService = require('../services/payments');
+
+// Every cart endpoint answers with the freshly priced cart
+const sendCart = (res, cart, statusCode = 200) => {
+  res.status(statusCode).json({
+    status: 'success',
+    data: { cart }
+  });
+};
+
+exports.getCart = catchAsync(async (req, res, next) => {
+  const cart = await cartService.getCart(req.user.id);
+  sendCart(res, await cartService.price(cart));
+});
+
+exports.addItem = catchAsync(async (req, res, next) => {
+  const { itemType, itemId } = req.body;
+
+  if (!itemType || !itemId) {
+    return next(new AppError('Please provide itemType and itemId', 400));
+  }
+
+  sendCart(res, await cartService.addItem(req.user.id, itemType, itemId), 201);
+});
+
+exports.removeItem = catchAsync(async (req, res, next) => {
+  sendCart(res, await cartService.removeItem(req.user.id, req.params.id));
+});
+
+exports.applyCoupon = catchAsync(async (req, res, next) => {
+  sendCart(res, await cartService.applyCoupon(req.user.id, req.body.code));
+});
+
+exports.removeCoupon = catchAsync(async (req, res, next) => {
+  // With a code only that coupon is removed, otherwise every applied coupon
+  sendCart(res, await cartService.removeCoupon(req.user.id, req.body.code || req.query.code));
+});
+
+exports.setCurrency = catchAsync(async (req, res, next) => {
+  sendCart(res, await cartService.setCurrency(req.user.id, req.body.currency));
+});
+
+exports.clearCart = catchAsync(async (req, res, next) => {
+  sendCart(res, await cartService.clear(req.user.id));
+});
+
+// One payment for the whole cart; each item is enrolled when it succeeds
+exports.checkout = catchAsync(async (req, res, next) => {
+  const { cart, priced } = await cartService.prepareCheckout(req.user.id);
+
+  const { payment, gateway, clientData } = await paymentService.open({
+    user: req.user.id,
+    amount: priced.total,
+    currency: priced.currency,
+    coupon: priced.coupon ? priced.coupon.id : undefined,
+    coupons: priced.coupons.map(c => ({ coupon: c.id, code: c.code, discount: c.discount })),
+    discountAmount: priced.discount,
+    billingDetails: req.body.billingDetails,
+    lineItems: priced.items.map(item => ({
+      itemType: item.itemType,
+      [item.itemType]: item.itemId,
+      title: item.title,
+      listPrice: item.listPrice,
+      price: item.price,
+      discount: item.discount,
+      amount: item.amount
+    })),
+    metadata: { source: 'cart', cart: cart._id }
+  }, { userId: req.user.id, itemType: 'cart', itemId: String(cart._id) });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paymentId: payment._id,
+      paymentStatus: payment.status, // Already 'success' when a coupon made it free
+      gateway,
+      amount: priced.total,
+      currency: priced.currency,
+      lineItems: payment.lineItems,
+      ...clientData
+    }
+  });
+});
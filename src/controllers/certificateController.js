@@ -1,9 +1,13 @@
-const { Certificate, Course, ProgressTracking } = require('../models');
+const path = require('path');
+const pug = require('pug');
+const { Certificate } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
-const PDFDocument = require('pdfkit');
-const crypto = require('crypto');
+const certificateService = require('../services/certificateService');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
+
+const VERIFY_PAGE = path.join(__dirname, '../templates/pages/certificate-verify.pug');
 
 exports.getMyCertificates = catchAsync(async (req, res, next) => {
   const certificates = await Certificate.find({ 
@@ -22,47 +26,32 @@ exports.getMyCertificates = catchAsync(async (req, res, next) => {
 
 /**
  * PRO FEATURE: Automated Certificate Claim
- * Validates progress before creating the certificate record
+ * Checks the course's completion criteria before issuing the certificate
  */
 exports.claimCertificate = catchAsync(async (req, res, next) => {
-  const { courseId } = req.params;
-
-  // 1. Verify 100% Completion
-  const progress = await ProgressTracking.findOne({ 
-    student: req.user.id, 
-    course: courseId 
-  });
+  const { certificate, issued, evaluation } = await certificateEligibilityService.checkAndIssue(req.user.id, req.params.courseId);
 
-  if (!progress || !progress.isCompleted) {
-    return next(new AppError('You must complete 100% of the course to claim a certificate', 400));
-  }
-
-  // 2. Check if already exists
-  let certificate = await Certificate.findOne({ student: req.user.id, course: courseId });
-  
   if (!certificate) {
-    const course = await Course.findById(courseId).populate('instructor');
-    const serial = `CERT-${crypto.randomBytes(3).toString('hex').toUpperCase()}-${Date.now().toString().slice(-4)}`;
-
-    certificate = await Certificate.create({
-      certificateNumber: serial,
-      student: req.user.id,
-      course: courseId,
-      studentName: `${req.user.firstName} ${req.user.lastName}`,
-      courseName: course.title,
-      instructor: course.instructor._id,
-      instructorName: `${course.instructor.firstName} ${course.instructor.lastName}`,
-      percentage: progress.courseProgressPercentage,
-      verificationUrl: `${req.protocol}://${req.get('host')}/verify/${serial}`
-    });
+    const unmet = evaluation.checks.filter(check => !check.passed).map(check => check.detail);
+    return next(new AppError(`You have not met the requirements for a certificate yet: ${unmet.join('; ')}`, 400));
   }
 
-  res.status(201).json({
+  res.status(issued ? 201 : 200).json({
     status: 'success',
     data: { certificate }
   });
 });
 
+// What is still needed for a course's certificate
+exports.getEligibility = catchAsync(async (req, res, next) => {
+  const evaluation = await certificateEligibilityService.evaluate(req.user.id, req.params.courseId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { evaluation }
+  });
+});
+
 exports.generatePDF = catchAsync(async (req, res, next) => {
   const certificate = await Certificate.findById(req.params.id);
   
@@ -75,70 +64,90 @@ exports.generatePDF = catchAsync(async (req, res, next) => {
     return next(new AppError('Unauthorized', 403));
   }
 
-  const doc = new PDFDocument({ layout: 'landscape', size: 'A4', margin: 0 });
+  const pdf = await certificateService.createCertificatePDF(certificate);
 
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename=Cert-${certificate.certificateNumber}.pdf`);
-  
-  doc.pipe(res);
+  res.send(pdf);
+});
 
-  // --- Professional Design ---
-  const width = doc.page.width;
-  const height = doc.page.height;
+// Admin-only revoke; the reason is shown when the certificate is verified
+exports.revokeCertificate = catchAsync(async (req, res, next) => {
+  const certificate = await certificateService.revokeCertificate(req.params.id, req.body.reason, req.user.id);
 
-  // 1. Background Borders
-  doc.rect(20, 20, width - 40, height - 40).lineWidth(10).stroke('#1a237e');
-  doc.rect(35, 35, width - 70, height - 70).lineWidth(2).stroke('#c5a059');
+  res.status(200).json({
+    status: 'success',
+    message: 'Certificate revoked',
+    data: { certificate }
+  });
+});
 
-  // 2. Main Content
-  doc.moveDown(4);
-  doc.font('Helvetica-Bold').fontSize(40).fillColor('#1a237e').text('CERTIFICATE OF COMPLETION', { align: 'center' });
-  
-  doc.moveDown(1.5);
-  doc.font('Helvetica').fontSize(18).fillColor('#333').text('This is to certify that', { align: 'center' });
-  
-  doc.moveDown(0.5);
-  doc.font('Helvetica-Bold').fontSize(35).fillColor('#000').text(certificate.studentName, { align: 'center' });
-  
-  doc.moveDown(0.5);
-  doc.font('Helvetica').fontSize(16).text('has successfully completed the professional course', { align: 'center' });
-  
-  doc.moveDown(0.5);
-  doc.font('Helvetica-Bold').fontSize(28).fillColor('#1a237e').text(certificate.courseName, { align: 'center' });
+exports.signUnsignedCertificates = catchAsync(async (req, res, next) => {
+  const signed = await certificateService.signUnsigned();
 
-  // 3. Metadata & Signature Area
-  const bottomY = 420;
-  
-  // Left Side: Details
-  doc.font('Helvetica').fontSize(10).fillColor('#666');
-  doc.text(`Certificate No: ${certificate.certificateNumber}`, 70, bottomY);
-  doc.text(`Issue Date: ${new Date(certificate.issueDate).toLocaleDateString()}`, 70, bottomY + 15);
-  doc.text(`Verification: ${certificate.verificationUrl}`, 70, bottomY + 30);
-
-  // Right Side: Signature
-  doc.strokeColor('#000').lineWidth(1).moveTo(530, bottomY + 10).lineTo(730, bottomY + 10).stroke();
-  doc.font('Helvetica-Bold').fontSize(12).fillColor('#000').text(certificate.instructorName, 530, bottomY + 15, { width: 200, align: 'center' });
-  doc.font('Helvetica').fontSize(10).text('Course Instructor', 530, bottomY + 30, { width: 200, align: 'center' });
-
-  doc.end();
+  res.status(200).json({
+    status: 'success',
+    data: { signed }
+  });
 });
 
-// Admin-only revoke
-exports.revokeCertificate = catchAsync(async (req, res, next) => {
-  const certificate = await Certificate.findByIdAndUpdate(req.params.id, { isValid: false }, { new: true });
-  if (!certificate) return next(new AppError('Not found', 404));
-  res.status(200).json({ status: 'success', message: 'Certificate revoked' });
+// Public verification (No Login Required). ?token= is the signed code from the QR
+exports.verifyCertificate = catchAsync(async (req, res, next) => {
+  const verification = await certificateService.verifyCertificate(req.params.certificateNumber, req.query.token);
+  if (verification.status === 'not_found') return next(new AppError('Invalid certificate ID', 404));
+
+  res.status(200).json({ status: 'success', data: { verification } });
 });
 
-// Public verification (No Login Required)
-exports.verifyCertificate = catchAsync(async (req, res, next) => {
-  const certificate = await Certificate.findOne({ 
-    certificateNumber: req.params.certificateNumber,
-    isValid: true 
-  }).select('studentName courseName issueDate percentage instructorName');
-  
-  if (!certificate) return next(new AppError('Invalid certificate ID', 404));
-  res.status(200).json({ status: 'success', data: { certificate } });
+// Public: check a scanned token or an exported credential
+exports.verifySubmitted = catchAsync(async (req, res, next) => {
+  const { token, credential } = req.body;
+  if (!token && !credential) return next(new AppError('Please provide a token or a credential', 400));
+
+  if (credential) {
+    // The credential's id is the certificate's verification URL, ending in its number
+    const proofValid = certificateService.verifyCredential(credential);
+    const verification = proofValid
+      ? await certificateService.verifyCertificate(String(credential.id).split('/').pop())
+      : { status: 'tampered', isValid: false, message: 'The credential proof is not valid' };
+
+    return res.status(200).json({ status: 'success', data: { proofValid, verification } });
+  }
+
+  const verification = await certificateService.verifyCertificate(null, token);
+  res.status(200).json({ status: 'success', data: { verification } });
+});
+
+exports.getPublicKey = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: { key: certificateService.publicKey() }
+  });
+};
+
+// Open Badges 3.0 / W3C Verifiable Credential export (?format=openbadges|vc)
+exports.getCredential = catchAsync(async (req, res, next) => {
+  const credential = await certificateService.exportCredential(req.params.certificateNumber, req.query.format || 'openbadges');
+
+  res.setHeader('Content-Disposition', `attachment; filename=${req.params.certificateNumber}.json`);
+  res.status(200).type('application/json').send(JSON.stringify(credential, null, 2));
+});
+
+// Public HTML page the QR code opens
+exports.verifyPage = catchAsync(async (req, res, next) => {
+  const { certificateNumber } = req.params;
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  const verification = await certificateService.verifyCertificate(certificateNumber, token);
+
+  const html = pug.renderFile(VERIFY_PAGE, {
+    certificateNumber,
+    token,
+    verification,
+    issuer: certificateService.issuer(),
+    publicKey: certificateService.publicKey()
+  });
+
+  res.status(verification.status === 'not_found' ? 404 : 200).type('html').send(html);
 });
 
 exports.getAllCertificates = factory.getAll(Certificate);
@@ -0,0 +1,66 @@
+const { CertificateTemplate } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const factory = require('../utils/handlerFactory');
+const certificateTemplateService = require('../services/certificateTemplateService');
+
+const sendPdf = (res, pdf, name) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=${name}.pdf`);
+  res.send(pdf);
+};
+
+exports.getAllTemplates = factory.getAll(CertificateTemplate);
+exports.getTemplate = factory.getOne(CertificateTemplate);
+
+// Placeholders text elements can use, and the layout used when no template is chosen
+exports.getPlaceholders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      placeholders: CertificateTemplate.PLACEHOLDERS,
+      builtIn: certificateTemplateService.builtIn()
+    }
+  });
+};
+
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const template = await certificateTemplateService.create(req.body, req.user.id);
+
+  res.status(201).json({
+    status: 'success',
+    data: { template }
+  });
+});
+
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await certificateTemplateService.update(req.params.id, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: { template }
+  });
+});
+
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  await certificateTemplateService.remove(req.params.id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Sample PDF of a saved template
+exports.previewTemplate = catchAsync(async (req, res, next) => {
+  const template = await CertificateTemplate.findById(req.params.id);
+  if (!template) return next(new AppError('No certificate template found with that ID', 404));
+
+  sendPdf(res, await certificateTemplateService.preview(template), `preview-${template._id}`);
+});
+
+// Sample PDF of a template being designed, before it is saved
+exports.previewDraft = catchAsync(async (req, res, next) => {
+  const template = certificateTemplateService.draft(req.body);
+  sendPdf(res, await certificateTemplateService.preview(template), 'preview');
+});
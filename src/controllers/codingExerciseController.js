@@ -2,13 +2,16 @@ const { CodingExercise, CodingSubmission, Course, Lesson, ProgressTracking } = r
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
-const { exec } = require('child_process');
-const util = require('util');
-const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const codeRunner = require('../services/codeRunner');
+const judgeService = require('../services/judgeService');
+const judgeQueue = require('../jobs/judgeQueue');
+const similarityQueue = require('../jobs/similarityQueue');
+const similarityService = require('../services/similarityService');
 
-const execPromise = util.promisify(exec);
+// Primary instructor or an active co-instructor of the course
+const teachesCourse = (course, userId) =>
+  course.primaryInstructor.toString() === userId ||
+  !!course.instructors?.some(inst => inst.instructor.toString() === userId && inst.isActive);
 
 exports.createCodingExercise = catchAsync(async (req, res, next) => {
   const { course, lesson } = req.body;
@@ -18,7 +21,7 @@ exports.createCodingExercise = catchAsync(async (req, res, next) => {
     return next(new AppError('No course found with that ID', 404));
   }
   
-  if (courseDoc.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!teachesCourse(courseDoc, req.user.id) && req.user.role !== 'admin') {
     return next(new AppError('You are not authorized to create coding exercises for this course', 403));
   }
   
@@ -36,124 +39,58 @@ exports.createCodingExercise = catchAsync(async (req, res, next) => {
   });
 });
 
-// Code execution service (simplified - in production, use Docker for isolation)
+// Runs code synchronously against visible (or ad-hoc) test cases for quick feedback
 exports.executeCode = catchAsync(async (req, res, next) => {
-  const { code, language, testCases } = req.body;
+  const { code, testCases } = req.body;
   const exerciseId = req.params.exerciseId;
   
-  const exercise = await CodingExercise.findById(exerciseId);
+  const exercise = await CodingExercise.findById(exerciseId).select('+comparison.checker.code');
   if (!exercise) {
     return next(new AppError('No exercise found', 404));
   }
-  
-  // Create temporary file
-  const tempId = uuidv4();
-  const fileExt = {
-    javascript: 'js',
-    python: 'py',
-    java: 'java',
-    cpp: 'cpp',
-    csharp: 'cs'
-  }[language] || 'txt';
-  
-  const fileName = `temp_${tempId}.${fileExt}`;
-  const filePath = path.join(__dirname, '../../temp', fileName);
-  
-  try {
-    await fs.mkdir(path.join(__dirname, '../../temp'), { recursive: true });
-    await fs.writeFile(filePath, code);
-    
-    // Execute based on language
-    let command;
-    let results = [];
-    let totalPoints = 0;
-    
-    const testCasesToRun = testCases || exercise.testCases.filter(tc => !tc.isHidden);
-    
-    for (const testCase of testCasesToRun) {
-      let output;
-      let error;
-      let executionTime;
-      
-      try {
-        const startTime = Date.now();
-        
-        if (language === 'javascript') {
-          const { stdout, stderr } = await execPromise(`node ${filePath}`, {
-            input: testCase.input,
-            timeout: 5000
-          });
-          output = stdout.trim();
-          error = stderr;
-          executionTime = Date.now() - startTime;
-        } else if (language === 'python') {
-          const { stdout, stderr } = await execPromise(`python ${filePath}`, {
-            input: testCase.input,
-            timeout: 5000
-          });
-          output = stdout.trim();
-          error = stderr;
-          executionTime = Date.now() - startTime;
-        }
-        // Add more language support as needed
-        
-        const passed = output === testCase.expectedOutput;
-        if (passed) totalPoints += testCase.points;
-        
-        results.push({
-          testCase: testCase.input,
-          passed,
-          output,
-          expectedOutput: testCase.expectedOutput,
-          points: passed ? testCase.points : 0,
-          error: error || null
-        });
-      } catch (err) {
-        results.push({
-          testCase: testCase.input,
-          passed: false,
-          output: null,
-          expectedOutput: testCase.expectedOutput,
-          points: 0,
-          error: err.message
-        });
-      }
-    }
-    
-    // Save submission
-    const submission = await CodingSubmission.create({
-      exercise: exerciseId,
-      student: req.user.id,
-      code,
-      language,
-      status: 'completed',
-      testResults: results,
-      totalPoints,
-      executionTime
-    });
-    
-    res.status(200).json({
-      status: 'success',
-      data: {
-        results,
-        totalPoints,
-        submissionId: submission._id
-      }
-    });
-  } catch (error) {
-    return next(new AppError(`Execution error: ${error.message}`, 400));
-  } finally {
-    // Cleanup temp file
-    try {
-      await fs.unlink(filePath);
-    } catch (err) {
-      console.error('Error deleting temp file:', err);
-    }
+
+  const language = (req.body.language || exercise.language || '').toLowerCase();
+  if (!codeRunner.isSupported(language)) {
+    return next(new AppError(`Unsupported language: ${language}`, 400));
   }
+
+  const testCasesToRun = testCases || exercise.testCases.filter(tc => !tc.isHidden);
+  const evaluation = await judgeService.evaluate(exercise, code, language, testCasesToRun);
+
+  // Kept as practice history only: client-supplied tests must never count as a graded attempt
+  const submission = await CodingSubmission.create({
+    exercise: exerciseId,
+    student: req.user.id,
+    code,
+    language,
+    isPractice: true,
+    status: 'completed',
+    verdict: evaluation.verdict,
+    testResults: evaluation.results,
+    totalPoints: evaluation.totalPoints,
+    executionTime: evaluation.executionTime,
+    memoryUsed: evaluation.memoryUsed,
+    error: evaluation.compileError,
+    judgedAt: new Date()
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      verdict: evaluation.verdict,
+      results: evaluation.results,
+      compileError: evaluation.compileError,
+      totalPoints: evaluation.totalPoints,
+      executionTime: evaluation.executionTime,
+      memoryUsed: evaluation.memoryUsed,
+      submissionId: submission._id
+    }
+  });
 });
 
+// Queues a graded submission; judging against hidden tests happens off-request
 exports.submitSolution = catchAsync(async (req, res, next) => {
-  const { code, language } = req.body;
+  const { code } = req.body;
   const exerciseId = req.params.exerciseId;
   
   const exercise = await CodingExercise.findById(exerciseId).populate('course');
@@ -172,63 +109,159 @@ exports.submitSolution = catchAsync(async (req, res, next) => {
   if (!enrollment && req.user.role !== 'admin') {
     return next(new AppError('You must be enrolled to submit this exercise', 403));
   }
-  
-  // Run all test cases (including hidden ones)
-  const allTestCases = exercise.testCases;
-  let totalPoints = 0;
-  const results = [];
-  
-  // Simplified execution - in production, use proper sandboxing
-  for (const testCase of allTestCases) {
-    // ... (similar execution logic as above)
+
+  const language = (req.body.language || exercise.language || '').toLowerCase();
+  if (!codeRunner.isSupported(language)) {
+    return next(new AppError(`Unsupported language: ${language}`, 400));
+  }
+  if (typeof code !== 'string' || !code.trim()) {
+    return next(new AppError('Code is required', 400));
   }
-  
-  const passedAll = results.every(r => r.passed);
-  const percentage = (totalPoints / exercise.totalPoints) * 100;
   
   const submission = await CodingSubmission.create({
     exercise: exerciseId,
     student: req.user.id,
     code,
     language,
-    status: 'completed',
-    testResults: results,
-    totalPoints,
-    executionTime: 0
+    status: 'pending'
   });
+
+  const job = await judgeQueue.add({
+    type: 'judge',
+    data: { submissionId: submission._id.toString() }
+  });
+
+  submission.judgeJobId = String(job.id);
+  await submission.save();
   
-  // Update progress if passed
-  if (passedAll) {
-    const { ProgressTracking } = require('../models');
-    const progress = await ProgressTracking.findOne({
-      student: req.user.id,
-      course: exercise.course._id
-    });
-    
-    if (progress) {
-      // Add to completed lessons or track separately
-      progress.lastActivity = Date.now();
-      await progress.save();
+  res.status(202).json({
+    status: 'success',
+    data: {
+      submissionId: submission._id,
+      status: submission.status,
+      statusUrl: `${req.baseUrl}/submissions/${submission._id}`
     }
+  });
+});
+
+// Poll endpoint for a queued submission (clients may also join the
+// `submission-<id>` socket room to be notified when judging finishes)
+exports.getSubmissionStatus = catchAsync(async (req, res, next) => {
+  const submission = await CodingSubmission.findById(req.params.submissionId)
+    .populate({ path: 'exercise', select: 'title totalPoints course' });
+
+  if (!submission) {
+    return next(new AppError('No submission found with that ID', 404));
   }
-  
+
+  const isOwner = submission.student.toString() === req.user.id;
+  if (!isOwner && req.user.role !== 'admin') {
+    const course = submission.exercise
+      ? await Course.findById(submission.exercise.course).select('primaryInstructor instructors')
+      : null;
+    if (!course || !teachesCourse(course, req.user.id)) {
+      return next(new AppError('You are not authorized to view this submission', 403));
+    }
+  }
+
+  const judged = submission.status === 'completed';
+  const results = isOwner && req.user.role === 'student'
+    ? judgeService.maskHiddenResults(submission.testResults)
+    : submission.testResults;
+
   res.status(200).json({
     status: 'success',
     data: {
-      submission,
-      passed: passedAll,
-      percentage,
-      results
+      submissionId: submission._id,
+      exercise: submission.exercise,
+      status: submission.status,
+      isPractice: submission.isPractice,
+      verdict: submission.verdict || null,
+      passed: judged && submission.verdict === judgeService.VERDICTS.ACCEPTED,
+      totalPoints: submission.totalPoints,
+      percentage: judged && submission.exercise && submission.exercise.totalPoints
+        ? (submission.totalPoints / submission.exercise.totalPoints) * 100
+        : null,
+      executionTime: submission.executionTime,
+      memoryUsed: submission.memoryUsed,
+      error: submission.error || null,
+      results: judged ? results : [],
+      submittedAt: submission.submittedAt,
+      judgedAt: submission.judgedAt
     }
   });
 });
 
+// Reports include other students' code, so only the course's instructors may see them
+const findExerciseYouTeach = async (req) => {
+  const exercise = await CodingExercise.findById(req.params.exerciseId);
+  if (!exercise) throw new AppError('No exercise found', 404);
+
+  if (req.user.role !== 'admin') {
+    const course = await Course.findById(exercise.course).select('primaryInstructor instructors');
+    if (!course || !teachesCourse(course, req.user.id)) {
+      throw new AppError('You are not authorized to view similarity reports for this exercise', 403);
+    }
+  }
+  return exercise;
+};
+
+// Comparison runs on the similarity queue; poll the GET endpoint for the result
+exports.generateSimilarityReport = catchAsync(async (req, res, next) => {
+  const exercise = await findExerciseYouTeach(req);
+
+  const threshold = req.body.threshold != null ? Number(req.body.threshold) : undefined;
+  if (threshold != null && !(threshold >= 0 && threshold <= 1)) {
+    return next(new AppError('Threshold must be between 0 and 1', 400));
+  }
+
+  const report = await similarityService.createReport('CodingExercise', exercise._id, req.user.id, { threshold });
+  const job = await similarityQueue.add({
+    type: 'report',
+    data: { reportId: report._id.toString() }
+  });
+
+  report.jobId = String(job.id);
+  await report.save();
+
+  res.status(202).json({
+    status: 'success',
+    data: {
+      reportId: report._id,
+      status: report.status,
+      statusUrl: `${req.baseUrl}/${exercise._id}/similarity-report`
+    }
+  });
+});
+
+exports.getSimilarityReport = catchAsync(async (req, res, next) => {
+  await findExerciseYouTeach(req);
+
+  const report = await similarityService.getLatestReport('CodingExercise', req.params.exerciseId);
+  if (!report) {
+    return next(new AppError('No similarity report has been generated for this exercise', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { report }
+  });
+});
+
 exports.getMySubmissions = catchAsync(async (req, res, next) => {
-  const submissions = await CodingSubmission.find({ 
+  let submissions = await CodingSubmission.find({ 
     student: req.user.id,
     exercise: req.params.exerciseId 
   })
   .sort('-submittedAt');
+
+  // Same masking as the status endpoint: hidden tests stay hidden in the history
+  if (req.user.role === 'student') {
+    submissions = submissions.map(submission => ({
+      ...submission.toObject(),
+      testResults: judgeService.maskHiddenResults(submission.testResults)
+    }));
+  }
   
   res.status(200).json({
     status: 'success',
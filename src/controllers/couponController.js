@@ -1,20 +1,33 @@
-const { Coupon, Course } = require('../models');
+const { Coupon, CouponRedemption } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
+const couponService = require('../services/couponService');
+const { roundAmount } = require('../utils/currency');
+const cartService = require('../services/cartService');
+const pricingService = require('../services/pricingService');
+
+// Fields nobody sets by hand; an instructor's coupons only ever cover their own items
+const prepareBody = (req) => {
+  delete req.body.usedCount;
+  delete req.body.batch;
+
+  if (req.user.role === 'instructor') {
+    req.body.instructor = req.user.id;
+    req.body.validForInstructors = [req.user.id];
+  }
+};
 
 exports.createCoupon = catchAsync(async (req, res, next) => {
   // Auto-generate code if not provided
   if (!req.body.code) {
-    req.body.code = generateCouponCode();
+    req.body.code = couponService.generateCode();
   } else {
     req.body.code = req.body.code.toUpperCase();
   }
 
   // Set creator (instructor or admin)
-  if (req.user.role === 'instructor') {
-    req.body.instructor = req.user.id;
-  }
+  prepareBody(req);
 
   const coupon = await Coupon.create(req.body);
 
@@ -24,54 +37,35 @@ exports.createCoupon = catchAsync(async (req, res, next) => {
   });
 });
 
+// Quote a coupon for the current user, optionally against one course or test series
 exports.validateCoupon = catchAsync(async (req, res, next) => {
-  const { code, courseId } = req.body;
+  const { code, courseId, testSeriesId, currency } = req.body;
 
-  const coupon = await Coupon.findOne({ 
-    code: code.toUpperCase(),
-    isActive: true,
-    startDate: { $lte: new Date() },
-    expiryDate: { $gte: new Date() }
-  });
+  const coupon = await couponService.findByCode(code);
+  const reason = await couponService.userReason(coupon, req.user.id);
+  if (reason) return next(new AppError(reason, 400));
 
-  if (!coupon) {
-    return next(new AppError('Invalid or expired coupon code', 400));
-  }
-
-  // Check usage limit
-  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-    return next(new AppError('Coupon usage limit has been reached', 400));
-  }
-
-  // Check if coupon is valid for specific courses
-  if (coupon.validForCourses && coupon.validForCourses.length > 0) {
-    if (!coupon.validForCourses.includes(courseId)) {
-      return next(new AppError('This coupon is not valid for the selected course', 400));
-    }
-  }
-
-  // Calculate discount
   let discountAmount = 0;
   let finalPrice = 0;
-
-  if (courseId) {
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return next(new AppError('Course not found', 404));
+  let priceCurrency;
+
+  const itemType = courseId ? 'course' : (testSeriesId ? 'testSeries' : null);
+  if (itemType) {
+    const { lines } = await cartService.lines(
+      { items: [{ itemType, [itemType]: courseId || testSeriesId }] },
+      new Date(),
+      await pricingService.resolveCurrency(req.user, currency)
+    );
+    if (lines.length === 0) {
+      return next(new AppError(`${itemType === 'course' ? 'Course' : 'Test series'} not found`, 404));
     }
 
-    const originalPrice = course.discountPrice || course.price;
-
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (originalPrice * coupon.discountValue) / 100;
-      finalPrice = originalPrice - discountAmount;
-    } else if (coupon.discountType === 'fixed_amount') {
-      discountAmount = Math.min(coupon.discountValue, originalPrice);
-      finalPrice = originalPrice - discountAmount;
-    } else if (coupon.discountType === 'free') {
-      discountAmount = originalPrice;
-      finalPrice = 0;
-    }
+    const convert = await pricingService.converter([coupon.currency], lines[0].currency);
+    await couponService.assertApplicable(coupon, [], lines, req.user.id, convert);
+
+    discountAmount = couponService.allocate([coupon], lines, convert).discounts[0];
+    finalPrice = roundAmount(lines[0].price - discountAmount, lines[0].currency);
+    priceCurrency = lines[0].currency;
   }
 
   res.status(200).json({
@@ -82,47 +76,76 @@ exports.validateCoupon = catchAsync(async (req, res, next) => {
         code: coupon.code,
         discountType: coupon.discountType,
         discountValue: coupon.discountValue,
+        maxDiscountAmount: coupon.maxDiscountAmount,
+        minOrderValue: coupon.minOrderValue,
+        stackable: coupon.stackable,
         description: coupon.description
       },
       discountAmount,
-      finalPrice
+      finalPrice,
+      currency: priceCurrency
     }
   });
 });
 
+// Coupons are used through the cart; the payment reserves them at checkout
 exports.applyCoupon = catchAsync(async (req, res, next) => {
-  const { code, courseId, paymentId } = req.body;
+  const cart = await cartService.applyCoupon(req.user.id, req.body.code);
 
-  const coupon = await Coupon.findOneAndUpdate(
-    { 
-      code: code.toUpperCase(),
-      isActive: true,
-      $expr: { $lt: ['$usedCount', '$usageLimit'] }
-    },
-    { $inc: { usedCount: 1 } },
-    { new: true }
-  );
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon applied successfully',
+    data: { cart }
+  });
+});
 
-  if (!coupon) {
-    return next(new AppError('Coupon could not be applied', 400));
-  }
+// Many single-use codes with the same rules, e.g. for a webinar audience
+exports.generateCoupons = catchAsync(async (req, res, next) => {
+  const { count, prefix, codeLength, ...rules } = req.body;
+  req.body = rules;
+  prepareBody(req);
 
-  // Update payment with coupon info
-  const { Payment } = require('../models');
-  await Payment.findByIdAndUpdate(paymentId, {
-    coupon: coupon._id,
-    discountAmount: req.body.discountAmount
+  const { batch, coupons } = await couponService.generateBatch(
+    { usageLimit: 1, perUserLimit: 1, ...req.body },
+    count,
+    { prefix, length: codeLength }
+  );
+
+  res.status(201).json({
+    status: 'success',
+    results: coupons.length,
+    data: { batch, codes: coupons.map(c => c.code) }
   });
+});
+
+// Only the instructor who made a coupon (or an admin) may change it
+exports.checkOwnership = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'admin') return next();
+
+  const owned = await Coupon.exists({ _id: req.params.id, instructor: req.user.id });
+  if (!owned) return next(new AppError('No coupon found or unauthorized', 404));
+
+  prepareBody(req);
+  next();
+});
+
+exports.getRedemptions = catchAsync(async (req, res, next) => {
+  const redemptions = await CouponRedemption.find({ coupon: req.params.id })
+    .populate('user', 'firstName lastName email')
+    .populate('payment', 'amount currency status createdAt')
+    .sort('-createdAt');
 
   res.status(200).json({
     status: 'success',
-    message: 'Coupon applied successfully'
+    results: redemptions.length,
+    data: { redemptions }
   });
 });
 
 exports.getInstructorCoupons = catchAsync(async (req, res, next) => {
   const coupons = await Coupon.find({ 
     instructor: req.user.id,
+    ...(req.query.batch ? { batch: req.query.batch } : {}),
     $or: [
       { expiryDate: { $gt: new Date() } },
       { expiryDate: null }
@@ -159,16 +182,6 @@ exports.deactivateCoupon = catchAsync(async (req, res, next) => {
   });
 });
 
-// Helper function
-const generateCouponCode = () => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-};
-
 // CRUD operations
 exports.getAllCoupons = factory.getAll(Coupon);
 exports.getCoupon = factory.getOne(Coupon);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { Course, TestSeries, MockTest } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const pricingService = require('../services/pricingService');
+
+const ITEM_MODELS = { course: Course, testSeries: TestSeries, mockTest: MockTest };
+
+// Base currency, what prices can be shown in, and the visitor's default
+exports.getCurrencies = catchAsync(async (req, res, next) => {
+  const rates = await pricingService.listRates();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      baseCurrency: pricingService.baseCurrency(),
+      currencies: [pricingService.baseCurrency(), ...rates.map(r => r.currency)],
+      preferred: req.user ? await pricingService.currencyForUser(req.user) : null,
+      rates
+    }
+  });
+});
+
+// Price of one item in a currency, for product pages
+exports.getQuote = catchAsync(async (req, res, next) => {
+  const { itemType, itemId, currency } = req.query;
+
+  const Model = ITEM_MODELS[itemType];
+  if (!Model) return next(new AppError('Invalid item type', 400));
+  if (!mongoose.Types.ObjectId.isValid(itemId)) return next(new AppError('Invalid item ID', 400));
+
+  const item = await Model.findOne({ _id: itemId, isDeleted: { $ne: true } })
+    .select('title price discountPrice discountStartDate discountEndDate isFree currency prices');
+  if (!item) return next(new AppError('No item found with that ID', 404));
+
+  const quote = await pricingService.quote(item, await pricingService.resolveCurrency(req.user, currency));
+
+  res.status(200).json({
+    status: 'success',
+    data: { itemType, itemId: item._id, title: item.title, ...quote }
+  });
+});
+
+exports.setRate = catchAsync(async (req, res, next) => {
+  const rate = await pricingService.setRate(req.params.currency, req.body, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { rate }
+  });
+});
+
+exports.removeRate = catchAsync(async (req, res, next) => {
+  await pricingService.removeRate(req.params.currency);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
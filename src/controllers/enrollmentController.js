@@ -2,6 +2,10 @@ const { Enrollment, Course, User, Payment, ProgressTracking, Lesson } = require(
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
+const paymentService = require('../services/payments');
+const invoicing = require('../services/invoicing');
+const subscriptionService = require('../services/subscriptionService');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
 // const { generateCertificatePDF } = require('./certificateController'); // Uncomment when certificate module is ready
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
@@ -23,8 +27,19 @@ exports.enrollStudent = catchAsync(async (req, res, next) => {
   if (!course) return next(new AppError('Course not available for enrollment', 404));
   
   // SECURITY CHECK: If it's a paid course, reject direct enrollment unless the user is an admin manually adding someone
+  // or has a subscription that includes the course
   if (!course.isFree && course.price > 0 && req.user.role !== 'admin') {
-    return next(new AppError('This is a paid course. Please go through the /api/payments/create-intent checkout process.', 403));
+    const existing = await Enrollment.findOne({ student: req.user.id, course: courseId, isActive: true });
+    if (existing) return next(new AppError('You are already enrolled in this course', 400));
+
+    const subscribed = await subscriptionService.enrollCourse(req.user.id, course);
+    if (!subscribed) {
+      return next(new AppError('This is a paid course. Please go through the /api/payments/create-intent checkout process.', 403));
+    }
+    return res.status(201).json({
+      status: 'success',
+      data: { enrollment: await subscribed.populate([{ path: 'course', select: 'title thumbnail' }]) }
+    });
   }
   
   const existingEnrollment = await Enrollment.findOne({ student: req.user.id, course: courseId, isActive: true });
@@ -218,6 +233,9 @@ exports.updateLessonProgress = catchAsync(async (req, res, next) => {
   }
   
   await progress.save();
+  if (completed && lessonIndex === -1) {
+    await certificateEligibilityService.queueEvaluation(req.user.id, courseId);
+  }
   res.status(200).json({ status: 'success', data: { progress } });
 });
 
@@ -536,12 +554,17 @@ exports.refundEnrollment = catchAsync(async (req, res, next) => {
   const enrollment = await Enrollment.findById(req.params.id).populate('payment');
   if (!enrollment) return next(new AppError('No enrollment found', 404));
   
-  if (enrollment.payment) {
-    enrollment.payment.status = 'refunded';
-    enrollment.payment.refundAmount = enrollment.payment.amount;
-    enrollment.payment.refundReason = reason;
-    enrollment.payment.refundedAt = new Date();
-    await enrollment.payment.save();
+  // Refund only this course's line of a cart payment; the service also issues the credit note
+  const payment = enrollment.payment;
+  if (payment && ['success', 'partially_refunded'].includes(payment.status)) {
+    const line = (payment.lineItems || []).find(item => item.itemType === 'course' && String(item.course) === String(enrollment.course));
+    if (!line || line.status !== 'refunded') {
+      await paymentService.refund(payment, {
+        lineItemIds: line ? [line._id] : undefined,
+        reason: reason || 'Enrollment refunded',
+        source: 'admin'
+      });
+    }
   }
   
   enrollment.isActive = false;
@@ -564,9 +587,10 @@ exports.transferEnrollment = catchAsync(async (req, res, next) => {
 });
 
 exports.getEnrollmentInvoices = catchAsync(async (req, res, next) => {
-  const enrollment = await Enrollment.findById(req.params.id).populate('payment');
+  const enrollment = await Enrollment.findById(req.params.id);
   if (!enrollment) return next(new AppError('No enrollment found', 404));
-  res.status(200).json({ status: 'success', data: { invoices: enrollment.payment ? [enrollment.payment] : [] } });
+  const invoices = enrollment.payment ? await invoicing.forPayment(enrollment.payment) : [];
+  res.status(200).json({ status: 'success', data: { invoices } });
 });
 
 // ==========================
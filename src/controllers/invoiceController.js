@@ -0,0 +1,82 @@
+const fastcsv = require('fast-csv');
+const ExcelJS = require('exceljs');
+const { Invoice } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const invoicing = require('../services/invoicing');
+
+const REGISTER_COLUMNS = [
+  { header: 'Number', key: 'number' },
+  { header: 'Type', key: 'type' },
+  { header: 'Date', key: 'date' },
+  { header: 'Financial Year', key: 'financialYear' },
+  { header: 'Buyer', key: 'buyerName' },
+  { header: 'Buyer GSTIN', key: 'buyerGstin' },
+  { header: 'Place of Supply', key: 'placeOfSupply' },
+  { header: 'Currency', key: 'currency' },
+  { header: 'Taxable Value', key: 'taxableValue' },
+  { header: 'CGST', key: 'cgst' },
+  { header: 'SGST', key: 'sgst' },
+  { header: 'IGST', key: 'igst' },
+  { header: 'VAT/GST (foreign)', key: 'vat' },
+  { header: 'Total', key: 'total' },
+  { header: 'Original Invoice', key: 'originalInvoice' },
+  { header: 'Payment', key: 'payment' }
+];
+
+exports.getMyInvoices = catchAsync(async (req, res, next) => {
+  const invoices = await Invoice.find({ user: req.user.id, status: { $ne: 'pending' } })
+    .select('-seller')
+    .sort('-issuedAt');
+
+  res.status(200).json({ status: 'success', results: invoices.length, data: { invoices } });
+});
+
+exports.getInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await invoicing.getForUser(req.params.id, req.user);
+  res.status(200).json({ status: 'success', data: { invoice } });
+});
+
+exports.downloadInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await invoicing.getForUser(req.params.id, req.user);
+  const pdf = await invoicing.renderPdf(invoice);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${invoice.number.replace(/\//g, '-')}.pdf`);
+  res.send(pdf);
+});
+
+// Admin: all invoices and credit notes of a period, credit notes as negative amounts
+exports.exportRegister = catchAsync(async (req, res, next) => {
+  const { from, to, format = 'csv' } = req.query;
+
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return next(new AppError('from and to must be valid dates', 400));
+  }
+  if (!['csv', 'excel'].includes(format)) {
+    return next(new AppError('Invalid format. Use csv or excel', 400));
+  }
+
+  const rows = await invoicing.register({ from, to });
+  const filename = `invoice-register-${Date.now()}`;
+
+  if (format === 'excel') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Invoice Register');
+    worksheet.columns = REGISTER_COLUMNS.map(col => ({ ...col, width: 18 }));
+    rows.forEach(row => worksheet.addRow(row));
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+    await workbook.xlsx.write(res);
+    return res.end();
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+
+  const csvStream = fastcsv.format({ headers: REGISTER_COLUMNS.map(col => col.header) });
+  csvStream.pipe(res);
+  rows.forEach(row => csvStream.write(REGISTER_COLUMNS.map(col => row[col.key])));
+  csvStream.end();
+});
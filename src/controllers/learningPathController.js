@@ -23,6 +23,8 @@ exports.createLearningPath = catchAsync(async (req, res, next) => {
     req.body.totalCredits = req.body.courses.reduce((acc, c) => acc + (c.credits || 0), 0);
   }
 
+  req.body.createdBy = req.user.id;
+
   const learningPath = await LearningPath.create(req.body);
 
   res.status(201).json({
@@ -8,9 +8,21 @@ const {
   const AppError = require('../utils/appError');
   const catchAsync = require('../utils/catchAsync');
   const factory = require('../utils/handlerFactory');
+  const mockTestPaperService = require('../services/mockTestPaperService');
+  const mockTestAttemptService = require('../services/mockTestAttemptService');
+  const testSeriesService = require('../services/testSeriesService');
+  const mockTestResultService = require('../services/mockTestResultService');
   
   exports.createMockTest = catchAsync(async (req, res, next) => {
     req.body.instructor = req.user.id;
+
+    // Fail early instead of on the first student's attempt
+    if (Array.isArray(req.body.blueprint) && req.body.blueprint.length > 0) {
+      await mockTestPaperService.assertBlueprintSatisfiable({
+        category: req.body.category,
+        blueprint: req.body.blueprint
+      });
+    }
     
     const mockTest = await MockTest.create(req.body);
     
@@ -36,6 +48,10 @@ const {
     if (mockTest.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
       return next(new AppError('Unauthorized to modify this mock test', 403));
     }
+
+    if (mockTest.blueprint.length > 0) {
+      return next(new AppError('This mock test draws its questions from the question bank. Edit its blueprint instead', 400));
+    }
     
     const questionsWithTest = questions.map(q => ({
       ...q,
@@ -69,174 +85,101 @@ const {
     if (!mockTest) {
       return next(new AppError('No mock test found with that ID', 404));
     }
+
+    // Paid tests stay locked unless bought on their own or through a series
+    await testSeriesService.assertMockTestAccess(req.user, mockTest);
+
+    // Returns the running attempt instead when the student reconnects
+    const { attempt, resumed } = await mockTestAttemptService.start(mockTest, req.user.id);
     
-    // Check if user has reached max attempts (if set)
-    if (mockTest.maxAttempts) {
-      const attemptsCount = await MockTestAttempt.countDocuments({
-        mockTest: mockTestId,
-        student: req.user.id
-      });
-      
-      if (attemptsCount >= mockTest.maxAttempts) {
-        return next(new AppError('Maximum attempts reached for this mock test', 400));
+    res.status(resumed ? 200 : 201).json({
+      status: 'success',
+      data: {
+        resumed,
+        attempt: mockTestAttemptService.view(attempt),
+        questions: mockTestPaperService.forStudent(attempt.paper, attempt.seed)
       }
-    }
-    
-    const attempt = await MockTestAttempt.create({
-      mockTest: mockTestId,
-      student: req.user.id,
-      startedAt: Date.now(),
-      status: 'started'
     });
-    
-    // Get questions for the attempt
-    const questions = await MockTestQuestion.find({ mockTest: mockTestId }).sort('order');
-    
-    res.status(201).json({
+  });
+
+  // Incremental autosave while the timer runs
+  exports.saveAnswers = catchAsync(async (req, res, next) => {
+    const attempt = await mockTestAttemptService.saveAnswers(
+      req.params.attemptId,
+      req.user.id,
+      req.body.answers
+    );
+
+    res.status(200).json({
       status: 'success',
       data: {
-        attempt,
-        questions: questions.map(q => ({
-          _id: q._id,
-          question: q.question,
-          options: q.options,
-          marks: q.marks,
-          negativeMarks: q.negativeMarks,
-          sectionName: q.sectionName
-        }))
+        savedAnswers: attempt.answers.length,
+        remainingSeconds: mockTestAttemptService.remainingSeconds(attempt)
       }
     });
   });
-  exports.submitAttempt = catchAsync(async (req, res, next) => {
-  const { answers } = req.body; 
-  const attemptId = req.params.attemptId;
-  
-  const attempt = await MockTestAttempt.findById(attemptId).populate('mockTest');
-  
-  if (!attempt) return next(new AppError('No attempt found with that ID', 404));
-  if (attempt.student.toString() !== req.user.id) return next(new AppError('Unauthorized', 403));
-  if (attempt.status === 'completed') return next(new AppError('Already submitted', 400));
-  
-  const questions = await MockTestQuestion.find({ mockTest: attempt.mockTest._id });
-  
-  let totalScore = 0;
-  const processedAnswers = [];
-  
-  answers.forEach(answer => {
-    const question = questions.find(q => q._id.toString() === answer.questionId);
-    if (!question) return;
-    
-    let isCorrect = false;
-    let marksObtained = 0;
-    
-    if (question.options && question.options.length > 0) {
-      const correctOption = question.options.findIndex(opt => opt.isCorrect);
-      // Make sure we are strictly comparing numbers
-      isCorrect = Number(answer.selectedOptionIndex) === correctOption;
-    } else {
-      isCorrect = answer.answerText?.toLowerCase().trim() === question.correctAnswer?.toLowerCase().trim();
-    }
-    
-    if (isCorrect) {
-      marksObtained = question.marks;
-    } else if (question.negativeMarks > 0) {
-      marksObtained = -question.negativeMarks; // Apply negative marking
-    }
-    
-    totalScore += marksObtained;
-    
-    processedAnswers.push({
-      questionId: question._id,
-      selectedOptionIndex: answer.selectedOptionIndex,
-      answerText: answer.answerText,
-      isCorrect,
-      marksObtained
+
+  // ANTI-CHEAT HEARTBEAT
+  exports.heartbeat = catchAsync(async (req, res, next) => {
+    const { attempt, terminated, tabSwitchesLeft } = await mockTestAttemptService.recordActivity(
+      req.params.attemptId,
+      req.user.id,
+      { tabSwitches: req.body.tabSwitches }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        status: attempt.status,
+        terminated,
+        tabSwitches: attempt.tabSwitches,
+        tabSwitchesLeft,
+        isFlagged: attempt.isFlagged,
+        remainingSeconds: mockTestAttemptService.remainingSeconds(attempt)
+      }
     });
   });
-  
-  // ✅ FIX: Prevent NaN if totalMarks is 0
-  let percentage = 0;
-  if (attempt.mockTest.totalMarks > 0) {
-    percentage = (totalScore / attempt.mockTest.totalMarks) * 100;
-  } else {
-    percentage = totalScore > 0 ? 100 : 0;
-  }
-  
-  // Ensure percentage isn't negative
-  percentage = Math.max(0, percentage); 
-  const isPassed = percentage >= (attempt.mockTest.passingMarks || 0);
-  
-  const totalStudents = await MockTestAttempt.countDocuments({
-    mockTest: attempt.mockTest._id,
-    status: 'completed'
-  });
-  
-  const betterScores = await MockTestAttempt.countDocuments({
-    mockTest: attempt.mockTest._id,
-    score: { $gt: totalScore },
-    status: 'completed'
-  });
-  
-  const rank = betterScores + 1;
-  
-  attempt.answers = processedAnswers;
-  attempt.score = totalScore;
-  attempt.percentage = percentage; // Will now save cleanly to DB
-  attempt.isPassed = isPassed;
-  attempt.completedAt = Date.now();
-  attempt.timeTaken = (attempt.completedAt - attempt.startedAt) / 1000 / 60;
-  attempt.rank = rank;
-  attempt.totalStudents = totalStudents + 1;
-  attempt.status = 'completed';
-  
-  await attempt.save();
-  
-  // Update mock test stats
-  const { MockTest } = require('../models');
-  const mockTest = await MockTest.findById(attempt.mockTest._id);
-  
-  const avgScore = await MockTestAttempt.aggregate([
-    { $match: { mockTest: mockTest._id, status: 'completed' } },
-    { $group: { _id: null, avg: { $avg: '$score' } } }
-  ]);
-  
-  mockTest.attemptsCount = await MockTestAttempt.countDocuments({ 
-    mockTest: mockTest._id,
-    status: 'completed'
-  });
-  mockTest.averageScore = avgScore[0]?.avg || 0;
-  await mockTest.save();
-  
-  res.status(200).json({
-    status: 'success',
-    data: {
-      attempt,
-      rank,
-      totalStudents: attempt.totalStudents,
-      isPassed
-    }
+
+  exports.submitAttempt = catchAsync(async (req, res, next) => {
+    const attempt = await mockTestAttemptService.submit(
+      req.params.attemptId,
+      req.user.id,
+      req.body.answers
+    );
+    const mockTest = await MockTest.findById(attempt.mockTest).select('resultPublishAt');
+    const published = mockTestResultService.isPublished(mockTest);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attempt: mockTestResultService.redact(attempt.toObject(), mockTest),
+        rank: published ? attempt.rank : undefined,
+        totalStudents: published ? attempt.totalStudents : undefined,
+        resultPublishAt: mockTest.resultPublishAt,
+        isPassed: attempt.isPassed
+      }
+    });
   });
-});
 
 
 exports.getMyAttempts = catchAsync(async (req, res, next) => {
     const attempts = await MockTestAttempt.find({ 
       student: req.user.id 
     })
-    .populate('mockTest', 'title category level totalMarks')
+    .select('-paper')
+    .populate('mockTest', 'title category level totalMarks resultPublishAt')
     .sort('-createdAt');
     
     res.status(200).json({
       status: 'success',
       results: attempts.length,
-      data: { attempts }
+      data: { attempts: attempts.map(a => mockTestResultService.redact(a.toObject(), a.mockTest)) }
     });
   });
   
   exports.getAttemptDetails = catchAsync(async (req, res, next) => {
     const attempt = await MockTestAttempt.findById(req.params.id)
-      .populate('mockTest')
-      .populate('answers.questionId');
+      .populate('mockTest');
     
     if (!attempt) {
       return next(new AppError('No attempt found with that ID', 404));
@@ -245,10 +188,70 @@ exports.getMyAttempts = catchAsync(async (req, res, next) => {
     if (attempt.student.toString() !== req.user.id && req.user.role !== 'admin') {
       return next(new AppError('Unauthorized to view this attempt', 403));
     }
+
+    // Attempts started before papers were stored are reviewed against the live questions
+    if (attempt.paper.length === 0) {
+      await attempt.populate('answers.questionId');
+    }
+
+    let data = attempt.toObject();
+    let results;
+    if (mockTestAttemptService.isActive(attempt)) {
+      data.paper = mockTestPaperService.forStudent(attempt.paper, attempt.seed);
+      data.remainingSeconds = mockTestAttemptService.remainingSeconds(attempt);
+    } else if (attempt.status === 'completed' && attempt.mockTest) {
+      // Standings, topper comparison and time per question
+      results = await mockTestResultService.review(data);
+      data = mockTestResultService.redact(data, attempt.mockTest);
+    }
     
     res.status(200).json({
       status: 'success',
-      data: { attempt }
+      data: { attempt: data, results }
+    });
+  });
+
+  exports.getBlueprintAvailability = catchAsync(async (req, res, next) => {
+    const mockTest = await MockTest.findById(req.params.mockTestId);
+    if (!mockTest) {
+      return next(new AppError('No mock test found with that ID', 404));
+    }
+
+    if (mockTest.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(new AppError('Unauthorized to view this mock test', 403));
+    }
+
+    const availability = await mockTestPaperService.blueprintAvailability(mockTest);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        availability,
+        isSatisfiable: availability.every(a => a.available >= a.required)
+      }
+    });
+  });
+  
+  // Publish or refresh standings now instead of waiting for the queued recompute
+  exports.recomputeResults = catchAsync(async (req, res, next) => {
+    const mockTest = await MockTest.findById(req.params.mockTestId);
+    if (!mockTest) {
+      return next(new AppError('No mock test found with that ID', 404));
+    }
+
+    if (mockTest.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(new AppError('Unauthorized to manage this mock test', 403));
+    }
+
+    const summary = await mockTestResultService.recompute(mockTest._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...summary,
+        published: mockTestResultService.isPublished(mockTest),
+        resultPublishAt: mockTest.resultPublishAt
+      }
     });
   });
   
@@ -40,7 +40,7 @@ exports.markAsRead = catchAsync(async (req, res, next) => {
   
   await Notification.updateMany(
     query,
-    { isRead: true }
+    { isRead: true, readAt: new Date() }
   );
   
   res.status(200).json({
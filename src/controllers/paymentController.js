@@ -1,237 +1,140 @@
-const { Payment, User, Course, MockTest, Enrollment, ProgressTracking } = require('../models');
+const { Payment, Course, MockTest, TestSeries } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Razorpay = require('razorpay');
+const testSeriesService = require('../services/testSeriesService');
+const paymentService = require('../services/payments');
+const pricingService = require('../services/pricingService');
 
 // ==========================================
 // CONFIGURATION
 // ==========================================
-// Set to TRUE for local development to bypass real credit card processing
-const USE_DUMMY_PAYMENTS = true; 
-
-// Initialize Razorpay if configured
-let razorpay;
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-  });
-}
+// The gateway comes from PAYMENT_GATEWAY (stripe | razorpay). Without it the
+// local fake gateway is used, which replaces the old hard-coded dummy mode.
 
 // ==========================================
 // CORE PAYMENT FLOW
 // ==========================================
 
 exports.createPaymentIntent = catchAsync(async (req, res, next) => {
-  const { itemId, itemType } = req.body; // itemId can be courseId or mockTestId
+  const { itemId, itemType, billingDetails } = req.body; // itemId can be courseId, mockTestId or testSeriesId
   
-  let item, amount, currency = 'USD'; // Default to USD, but can dynamically pull from item
+  let item;
   
   // 1. Validate the Item
   if (itemType === 'course') {
     item = await Course.findById(itemId);
     if (!item) return next(new AppError('No course found with that ID', 404));
-    amount = item.discountPrice || item.price;
-    currency = item.currency || 'USD';
   } else if (itemType === 'mockTest') {
     item = await MockTest.findById(itemId);
     if (!item) return next(new AppError('No mock test found with that ID', 404));
-    amount = item.price;
-    // Assume USD or add currency to mockTest schema later
+  } else if (itemType === 'testSeries') {
+    item = await TestSeries.findOne({ _id: itemId, isPublished: true, isApproved: true, isDeleted: { $ne: true } });
+    if (!item) return next(new AppError('No test series found with that ID', 404));
+    if (await testSeriesService.activeEnrollment(req.user.id, item._id)) {
+      return next(new AppError('You already have access to this test series', 400));
+    }
   } else {
     return next(new AppError('Invalid item type', 400));
   }
+
+  // Priced in the currency asked for, else the buyer's country's; honours the sale window
+  const quote = await pricingService.quote(item, await pricingService.resolveCurrency(req.user, req.body.currency));
+  const { price: amount, currency } = quote;
   
   if (item.isFree || amount === 0) {
     return next(new AppError('This item is free. Please use the direct enrollment route.', 400));
   }
   
-  // 2. Create Pending Payment Record
-  const payment = await Payment.create({
+  // 2. Create the pending payment and open the gateway order
+  const { payment, gateway, clientData } = await paymentService.open({
     user: req.user.id,
     [itemType]: itemId,
     amount,
     currency,
-    status: 'pending',
-    transactionId: `TEMP-${Date.now()}` // Temporary, updated after intent creation
-  });
-  
-  // ==========================================
-  // DUMMY MODE (Local Testing)
-  // ==========================================
-  if (USE_DUMMY_PAYMENTS) {
-    return res.status(200).json({
-      status: 'success',
-      message: 'DUMMY MODE ACTIVE',
-      data: {
-        clientSecret: `dummy_secret_${payment._id}`,
-        paymentId: payment._id,
-        amount,
-        currency,
-        isDummy: true
-      }
-    });
-  }
-
-  // ==========================================
-  // PRODUCTION STRIPE MODE
-  // ==========================================
-  if (process.env.PAYMENT_GATEWAY === 'stripe') {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: currency.toLowerCase(),
-      metadata: { paymentId: payment._id.toString(), userId: req.user.id, itemType, itemId }
-    });
-    
-    payment.transactionId = paymentIntent.id;
-    await payment.save();
-    
-    res.status(200).json({ status: 'success', data: { clientSecret: paymentIntent.client_secret, paymentId: payment._id } });
-  } 
+    billingDetails, // Printed on the tax invoice; defaults to the profile address
+    lineItems: [{
+      itemType,
+      [itemType]: itemId,
+      title: item.title,
+      listPrice: quote.listPrice,
+      price: amount,
+      amount
+    }]
+  }, { userId: req.user.id, itemType, itemId: String(itemId) });
   
-  // ==========================================
-  // PRODUCTION RAZORPAY MODE
-  // ==========================================
-  else if (process.env.PAYMENT_GATEWAY === 'razorpay' && razorpay) {
-    const options = {
-      amount: Math.round(amount * 100), // in paise
-      currency: currency.toUpperCase(),
-      receipt: payment._id.toString()
-    };
-    
-    const order = await razorpay.orders.create(options);
-    payment.transactionId = order.id;
-    await payment.save();
-    
-    res.status(200).json({ status: 'success', data: { orderId: order.id, amount: order.amount, currency: order.currency, paymentId: payment._id } });
-  } else {
-    return next(new AppError('Payment gateway not configured properly', 500));
-  }
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paymentId: payment._id,
+      gateway,
+      amount,
+      currency,
+      ...clientData
+    }
+  });
 });
 
+// Client-side confirmation after checkout. The outcome is always verified with
+// the gateway; webhooks settle the payment even if this call never arrives.
 exports.confirmPayment = catchAsync(async (req, res, next) => {
-  const { paymentId, transactionId, status } = req.body; // status is only used in dummy mode
+  const { paymentId } = req.body;
   
-  const payment = await Payment.findById(paymentId);
+  let payment = await Payment.findOne({ _id: paymentId, user: req.user.id });
   if (!payment) return next(new AppError('No payment found with that ID', 404));
   
-  if (payment.status === 'success') {
-    return next(new AppError('Payment has already been processed', 400));
+  // Already settled by a webhook
+  if (['success', 'partially_refunded', 'refunded'].includes(payment.status)) {
+    return res.status(200).json({ status: 'success', data: { payment } });
   }
 
-  // ==========================================
-  // DUMMY MODE VERIFICATION
-  // ==========================================
-  if (USE_DUMMY_PAYMENTS) {
-    payment.status = status || 'success';
-    payment.transactionId = transactionId || `DUMMY_TXN_${Date.now()}`;
-  } 
-  // ==========================================
-  // PRODUCTION VERIFICATION (Stripe)
-  // ==========================================
-  else if (process.env.PAYMENT_GATEWAY === 'stripe') {
-    const paymentIntent = await stripe.paymentIntents.retrieve(transactionId);
-    if (paymentIntent.status !== 'succeeded') {
-      payment.status = 'failed';
-      await payment.save();
-      return next(new AppError('Payment verification failed', 402));
-    }
-    payment.status = 'success';
-    payment.transactionId = transactionId;
+  const gateway = paymentService.getGateway(payment.paymentGateway);
+  const outcome = await gateway.verifyConfirmation(payment, req.body);
+
+  if (outcome.status === 'pending') {
+    return res.status(202).json({
+      status: 'success',
+      message: 'Payment is still processing. Access is granted as soon as the gateway confirms it.',
+      data: { payment }
+    });
   }
-  // (Razorpay verification logic would go here using crypto.createHmac)
 
-  await payment.save();
+  payment = await paymentService.settle(payment, outcome.status, {
+    source: 'client',
+    gatewayPaymentId: outcome.gatewayPaymentId
+  });
 
-  // ==========================================
-  // AUTO-ENROLLMENT UPON SUCCESS
-  // ==========================================
-  if (payment.status === 'success') {
-    if (payment.course) {
-      const existingEnrollment = await Enrollment.findOne({ student: payment.user, course: payment.course });
-      
-      if (!existingEnrollment) {
-        await Enrollment.create({
-          student: payment.user,
-          course: payment.course,
-          payment: payment._id,
-          enrolledAt: Date.now(),
-          isActive: true
-        });
-        
-        // Update Course Count
-        await Course.findByIdAndUpdate(payment.course, { $inc: { totalEnrollments: 1 } });
-        
-        // Init Progress
-        await ProgressTracking.create({ student: payment.user, course: payment.course, courseProgressPercentage: 0 });
-      }
-    } else if (payment.mockTest) {
-      // Logic for unlocking a mock test (e.g., creating a MockTestPurchase record if you make one later)
-      // For now, the successful payment record acts as the proof of purchase!
-    }
+  if (payment.status === 'failed') {
+    return next(new AppError('Payment verification failed', 402));
   }
   
   res.status(200).json({ status: 'success', data: { payment } });
 });
 
+// Signed gateway callbacks. Mounted without auth; the signature is the authentication.
+exports.handleWebhook = catchAsync(async (req, res, next) => {
+  if (!req.rawBody) {
+    return next(new AppError('Webhook payload must be sent as application/json', 400));
+  }
+
+  const result = await paymentService.handleWebhook(req.params.gateway, req.rawBody, req.headers);
+
+  res.status(200).json({ status: 'success', data: { received: true, ...result } });
+});
+
 // ==========================================
 // REFUNDS & MANAGEMENT
 // ==========================================
 
+// Full refund, or per line item with { lineItemIds: [...] }
 exports.refundPayment = catchAsync(async (req, res, next) => {
-  const { amount, reason } = req.body;
-  const paymentId = req.params.id;
+  const { amount, reason, lineItemIds } = req.body;
   
-  const payment = await Payment.findById(paymentId);
+  let payment = await Payment.findById(req.params.id);
   if (!payment) return next(new AppError('No payment found with that ID', 404));
-  if (payment.status !== 'success') return next(new AppError('Only successful payments can be refunded', 400));
   
-  // ==========================================
-  // DUMMY MODE REFUND
-  // ==========================================
-  if (USE_DUMMY_PAYMENTS) {
-    payment.status = 'refunded';
-    payment.refundAmount = amount || payment.amount;
-    payment.refundReason = reason || 'Dummy refund requested';
-    payment.refundedAt = Date.now();
-  } 
-  // ==========================================
-  // PRODUCTION STRIPE REFUND
-  // ==========================================
-  else if (process.env.PAYMENT_GATEWAY === 'stripe') {
-    await stripe.refunds.create({
-      payment_intent: payment.transactionId,
-      amount: amount ? Math.round(amount * 100) : undefined // undefined refunds the full amount
-    });
-    
-    payment.status = 'refunded';
-    payment.refundAmount = amount || payment.amount;
-    payment.refundReason = reason;
-    payment.refundedAt = Date.now();
-  } else {
-    return next(new AppError('Refunds not configured for this gateway', 400));
-  }
-
-  await payment.save();
-  
-  // ==========================================
-  // REVOKE ENROLLMENT ACCESS
-  // ==========================================
-  if (payment.course) {
-    // Check if the refund was for the full amount. If partial, you might not want to revoke.
-    // Assuming a full refund means revoking access:
-    const enrollment = await Enrollment.findOneAndUpdate(
-      { payment: payment._id },
-      { isActive: false, isRevoked: true },
-      { new: true }
-    );
-    
-    if (enrollment) {
-      await Course.findByIdAndUpdate(payment.course, { $inc: { totalEnrollments: -1 } });
-    }
-  }
+  // Revokes the enrollment or test series access bought with the refunded items
+  payment = await paymentService.refund(payment, { lineItemIds, amount, reason, source: 'admin' });
   
   res.status(200).json({ status: 'success', data: { payment } });
 });
@@ -244,6 +147,9 @@ exports.getMyPayments = catchAsync(async (req, res, next) => {
   const payments = await Payment.find({ user: req.user.id })
     .populate('course', 'title price thumbnail')
     .populate('mockTest', 'title price')
+    .populate('testSeries', 'title price')
+    .populate('lineItems.course', 'title thumbnail')
+    .populate('lineItems.testSeries', 'title')
     .sort('-createdAt');
   
   res.status(200).json({ status: 'success', results: payments.length, data: { payments } });
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const fastcsv = require('fast-csv');
+const { LedgerEntry, PayoutBatch } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const payoutService = require('../services/payoutService');
+
+// ==========================
+// INSTRUCTOR
+// ==========================
+
+exports.getMyBalance = catchAsync(async (req, res, next) => {
+  const balances = await payoutService.balance(req.user.id);
+  const pending = await PayoutBatch.aggregate([
+    { $unwind: '$payouts' },
+    { $match: { 'payouts.instructor': req.user._id, 'payouts.status': 'pending' } },
+    { $project: { _id: 0, period: 1, payoutId: '$payouts._id', amount: '$payouts.amount', currency: '$payouts.currency' } }
+  ]);
+
+  res.status(200).json({ status: 'success', data: { balances, pendingPayouts: pending } });
+});
+
+exports.getMyLedger = catchAsync(async (req, res, next) => {
+  const filter = { instructor: req.user.id };
+  if (req.query.period) {
+    const { start, end } = payoutService.periodBounds(req.query.period);
+    filter.at = { $gte: start, $lt: end };
+  }
+
+  const entries = await LedgerEntry.find(filter)
+    .select('-key')
+    .populate('course', 'title')
+    .populate('testSeries', 'title')
+    .sort('-at')
+    .limit(1000);
+
+  res.status(200).json({ status: 'success', results: entries.length, data: { entries } });
+});
+
+exports.getMyPayouts = catchAsync(async (req, res, next) => {
+  const payouts = await PayoutBatch.aggregate([
+    { $unwind: '$payouts' },
+    { $match: { 'payouts.instructor': req.user._id } },
+    { $sort: { periodStart: -1 } },
+    {
+      $project: {
+        _id: 0, batch: '$_id', period: 1, payoutId: '$payouts._id', amount: '$payouts.amount',
+        currency: '$payouts.currency', status: '$payouts.status', paidAt: '$payouts.paidAt',
+        transactionId: '$payouts.transactionId', summary: '$payouts.summary'
+      }
+    }
+  ]);
+
+  res.status(200).json({ status: 'success', results: payouts.length, data: { payouts } });
+});
+
+// Instructors get their own statement; admins pass ?instructor=<id>
+exports.getStatement = catchAsync(async (req, res, next) => {
+  const instructorId = req.user.role === 'admin' && req.query.instructor ? req.query.instructor : req.user.id;
+  const format = req.query.format || 'json';
+  if (!['json', 'pdf', 'csv'].includes(format)) {
+    return next(new AppError('Invalid format. Use json, pdf or csv', 400));
+  }
+
+  const statement = await payoutService.statement(instructorId, req.params.period);
+  const filename = `statement-${statement.period}-${statement.instructor.id}`;
+
+  if (format === 'pdf') {
+    const pdf = await payoutService.renderStatementPdf(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+    return res.send(pdf);
+  }
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+
+    const csvStream = fastcsv.format({ headers: ['Date', 'Type', 'Description', 'Item', 'Currency', 'Amount'] });
+    csvStream.pipe(res);
+    statement.accounts.forEach(account => {
+      csvStream.write(['', 'opening_balance', 'Opening balance', '', account.currency, account.openingBalance]);
+      account.entries.forEach(entry => {
+        const product = entry.course || entry.testSeries || entry.mockTest;
+        csvStream.write([
+          new Date(entry.at).toISOString().slice(0, 10), entry.type, entry.description || '',
+          product ? product.title : '', entry.currency, entry.amount
+        ]);
+      });
+      csvStream.write(['', 'closing_balance', 'Closing balance', '', account.currency, account.closingBalance]);
+    });
+    return csvStream.end();
+  }
+
+  res.status(200).json({ status: 'success', data: { statement } });
+});
+
+// ==========================
+// ADMIN
+// ==========================
+
+exports.generateBatch = catchAsync(async (req, res, next) => {
+  const batch = await payoutService.generateBatch(req.body.period || undefined, req.user.id);
+  res.status(201).json({ status: 'success', data: { batch } });
+});
+
+exports.getBatches = catchAsync(async (req, res, next) => {
+  const batches = await PayoutBatch.find().select('-payouts.paymentDetails').sort('-periodStart');
+  res.status(200).json({ status: 'success', results: batches.length, data: { batches } });
+});
+
+exports.getBatch = catchAsync(async (req, res, next) => {
+  const batch = await PayoutBatch.findById(req.params.id).populate('payouts.instructor', 'firstName lastName email');
+  if (!batch) return next(new AppError('No payout batch found with that ID', 404));
+  res.status(200).json({ status: 'success', data: { batch } });
+});
+
+exports.updatePayout = catchAsync(async (req, res, next) => {
+  const { status, transactionId, reason } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(req.params.payoutId)) {
+    return next(new AppError('Invalid payout ID', 400));
+  }
+  const batch = await payoutService.updatePayout(req.params.id, req.params.payoutId, { status, transactionId, reason });
+  res.status(200).json({ status: 'success', data: { batch } });
+});
+
+exports.createAdjustment = catchAsync(async (req, res, next) => {
+  const entry = await payoutService.adjust(req.body, req.user.id);
+  res.status(201).json({ status: 'success', data: { entry } });
+});
+
+exports.setRevenueShares = catchAsync(async (req, res, next) => {
+  const shares = await payoutService.setRevenueShares(req.params.id, req.body.shares);
+  res.status(200).json({ status: 'success', data: { shares } });
+});
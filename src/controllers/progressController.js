@@ -1,6 +1,7 @@
 const { ProgressTracking, Course, Lesson, Quiz, Assignment } = require('../models');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
 
 exports.getMyProgress = catchAsync(async (req, res, next) => {
   const progress = await ProgressTracking.find({ 
@@ -146,25 +147,14 @@ exports.markLessonComplete = catchAsync(async (req, res, next) => {
   if (progress.courseProgressPercentage >= 100 && !progress.isCompleted) {
     progress.isCompleted = true;
     progress.completedAt = Date.now();
-    
-    // Generate certificate
-    const { Certificate } = require('../models');
-    const certificateNumber = `CERT-${Date.now()}-${req.user.id.slice(-6)}`;
-    
-    await Certificate.create({
-      student: req.user.id,
-      course: courseId,
-      certificateNumber,
-      studentName: `${req.user.firstName} ${req.user.lastName}`,
-      courseName: (await Course.findById(courseId)).title,
-      issueDate: Date.now(),
-      grade: 'Passed',
-      percentage: progress.courseProgressPercentage,
-      instructor: (await Course.findById(courseId)).instructor
-    });
   }
   
   await progress.save();
+
+  // The course's completion criteria decide on the certificate, in the certificate queue
+  if (!alreadyCompleted) {
+    await certificateEligibilityService.queueEvaluation(req.user.id, courseId);
+  }
   
   res.status(200).json({
     status: 'success',
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { BankQuestion, Category } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const factory = require('../utils/handlerFactory');
+
+exports.createQuestions = catchAsync(async (req, res, next) => {
+  // Accept a single question or { questions: [...] }
+  const questions = Array.isArray(req.body.questions) ? req.body.questions : [req.body];
+
+  if (questions.length === 0) {
+    return next(new AppError('At least one question is required', 400));
+  }
+
+  const categoryIds = [...new Set(questions.map(q => q.category).filter(Boolean).map(String))];
+  const categoriesFound = await Category.countDocuments({ _id: { $in: categoryIds } });
+  if (categoriesFound !== categoryIds.length) {
+    return next(new AppError('One or more categories not found', 400));
+  }
+
+  const created = await BankQuestion.insertMany(
+    questions.map(q => ({ ...q, createdBy: req.user.id, usageCount: 0 }))
+  );
+
+  res.status(201).json({
+    status: 'success',
+    results: created.length,
+    data: { questions: created }
+  });
+});
+
+// Only the author or an admin may change a bank question
+exports.checkOwnership = catchAsync(async (req, res, next) => {
+  const question = await BankQuestion.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+  if (!question) {
+    return next(new AppError('No question found with that ID', 404));
+  }
+
+  if (question.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You can only modify your own questions', 403));
+  }
+
+  // Usage is tracked by the paper generator
+  delete req.body.usageCount;
+  delete req.body.createdBy;
+  next();
+});
+
+// Question counts per subject / chapter / difficulty, to help authors write blueprints
+exports.getBankStats = catchAsync(async (req, res, next) => {
+  const match = { isDeleted: { $ne: true }, isActive: true };
+
+  if (req.query.category) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.category)) {
+      return next(new AppError('Invalid category ID', 400));
+    }
+    match.category = new mongoose.Types.ObjectId(req.query.category);
+  }
+  if (req.query.subject) match.subject = req.query.subject;
+
+  const stats = await BankQuestion.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { subject: '$subject', chapter: '$chapter', difficulty: '$difficulty' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.subject': 1, '_id.chapter': 1, '_id.difficulty': 1 } }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: stats.length,
+    data: {
+      stats: stats.map(s => ({ ...s._id, count: s.count }))
+    }
+  });
+});
+
+// CRUD operations
+exports.getAllQuestions = factory.getAll(BankQuestion, {
+  searchFields: ['question', 'subject', 'chapter'],
+  populate: [
+    { path: 'category', select: 'name' },
+    { path: 'createdBy', select: 'firstName lastName' }
+  ]
+});
+exports.getQuestion = factory.getOne(BankQuestion);
+exports.updateQuestion = factory.updateOne(BankQuestion);
+exports.deleteQuestion = factory.deleteOne(BankQuestion);
@@ -3,6 +3,7 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
 const mongoose = require('mongoose');
+const questionGrader = require('../services/grading');
 
 exports.createQuiz = catchAsync(async (req, res, next) => {
   const { course, lesson } = req.body;
@@ -152,7 +153,7 @@ exports.addQuestions = catchAsync(async (req, res, next) => {
 });
 
 exports.submitQuiz = catchAsync(async (req, res, next) => {
-  const { answers } = req.body; // Array of { questionId, selectedOption, answerText }
+  const { answers } = req.body; // Array of { questionId, ...answer fields of the question's type }
   const quizId = req.params.quizId;
   
   const quiz = await Quiz.findById(quizId).populate('course lesson');
@@ -183,26 +184,16 @@ exports.submitQuiz = catchAsync(async (req, res, next) => {
     const question = questions.find(q => q._id.toString() === answer.questionId);
     if (!question) return;
     
-    let isCorrect = false;
-    
-    if (question.type === 'MULTIPLE-CHOICE' || question.type === 'multiple-choice') {
-      const correctOption = question.options.findIndex(opt => opt.isCorrect);
-      isCorrect = answer.selectedOption === correctOption;
-    } else if (question.type === 'TRUE-FALSE' || question.type === 'true-false') {
-      isCorrect = answer.selectedOption === (question.correctAnswer === 'true');
-    } else {
-      isCorrect = answer.answerText?.toLowerCase().trim() === question.correctAnswer?.toLowerCase().trim();
-    }
-    
-    if (isCorrect) {
-      totalScore += question.points;
-    }
+    // Quizzes have no negative marking; partial credit earns a share of the points
+    const { isCorrect, marksObtained, needsReview } = questionGrader.grade(question, answer, { marks: question.points });
+    totalScore += marksObtained;
     
     results.push({
       questionId: question._id,
       isCorrect,
-      correctAnswer: (question.type !== 'ESSAY' && question.type !== 'essay') ? question.correctAnswer : null,
-      pointsEarned: isCorrect ? question.points : 0
+      correctAnswer: questionGrader.correctAnswer(question),
+      pointsEarned: marksObtained,
+      needsReview
     });
   });
   
@@ -263,21 +254,18 @@ exports.getQuizWithQuestions = catchAsync(async (req, res, next) => {
   
   // Remove correct answers if quiz is for taking
   const isTaking = req.query.mode === 'take';
-  if (isTaking) {
-    questions.forEach(q => {
-      if (q.type === 'multiple-choice' || q.type === 'MULTIPLE-CHOICE') {
-        q.options.forEach(opt => { opt.isCorrect = undefined; });
-      } else {
-        q.correctAnswer = undefined;
-      }
-    });
-  }
   
   res.status(200).json({
     status: 'success',
     data: {
       quiz,
-      questions
+      questions: isTaking ? questions.map(q => ({
+        _id: q._id,
+        question: q.question,
+        ...questionGrader.forStudent(q),
+        points: q.points,
+        order: q.order
+      })) : questions
     }
   });
 });
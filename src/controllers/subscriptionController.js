@@ -0,0 +1,138 @@
+const { Subscription, SubscriptionPlan, Category } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const factory = require('../utils/handlerFactory');
+const subscriptionService = require('../services/subscriptionService');
+
+// ==========================
+// PLANS
+// ==========================
+
+// Students only see plans on sale
+exports.setPlanFilter = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') req.filter = { isActive: true };
+  next();
+};
+
+const validatePlan = async (body) => {
+  if (body.scope === 'category') {
+    if (!Array.isArray(body.categories) || body.categories.length === 0) {
+      throw new AppError('A category plan needs at least one category', 400);
+    }
+    const found = await Category.countDocuments({ _id: { $in: body.categories } });
+    if (found !== new Set(body.categories.map(String)).size) {
+      throw new AppError('One or more categories were not found', 400);
+    }
+  }
+};
+
+exports.createPlan = catchAsync(async (req, res, next) => {
+  await validatePlan(req.body);
+  const plan = await SubscriptionPlan.create({ ...req.body, createdBy: req.user.id });
+  res.status(201).json({ status: 'success', data: plan });
+});
+
+exports.updatePlan = catchAsync(async (req, res, next) => {
+  const plan = await SubscriptionPlan.findById(req.params.id);
+  if (!plan) return next(new AppError('No subscription plan found with that ID', 404));
+
+  // Price and interval changes apply from each subscriber's next renewal
+  const body = { ...req.body };
+  delete body.createdBy;
+  await validatePlan({ scope: body.scope || plan.scope, categories: body.categories || plan.categories });
+
+  plan.set(body);
+  await plan.save();
+  res.status(200).json({ status: 'success', data: plan });
+});
+
+// Plans are withdrawn rather than deleted so existing subscriptions keep their plan
+exports.deactivatePlan = catchAsync(async (req, res, next) => {
+  const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+  if (!plan) return next(new AppError('No subscription plan found with that ID', 404));
+  res.status(200).json({ status: 'success', data: plan });
+});
+
+exports.getAllPlans = factory.getAll(SubscriptionPlan, {
+  searchFields: ['name', 'description'],
+  populate: [{ path: 'categories', select: 'name' }]
+});
+exports.getPlan = factory.getOne(SubscriptionPlan, {
+  populate: [{ path: 'categories', select: 'name' }]
+});
+
+// ==========================
+// SUBSCRIPTIONS
+// ==========================
+
+exports.subscribe = catchAsync(async (req, res, next) => {
+  const { planId, billingDetails } = req.body;
+  if (!planId) return next(new AppError('Please provide planId', 400));
+
+  const result = await subscriptionService.subscribe(req.user, planId, billingDetails);
+
+  // Trial: nothing to pay yet
+  if (result.subscription) {
+    return res.status(201).json({ status: 'success', data: { subscription: result.subscription } });
+  }
+
+  const { payment, gateway, clientData } = result;
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paymentId: payment._id,
+      paymentStatus: payment.status,
+      gateway,
+      amount: payment.amount,
+      currency: payment.currency,
+      ...clientData
+    }
+  });
+});
+
+exports.renew = catchAsync(async (req, res, next) => {
+  const { payment, gateway, clientData } = await subscriptionService.renew(req.user, req.params.id, req.body.billingDetails);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      paymentId: payment._id,
+      paymentStatus: payment.status,
+      gateway,
+      amount: payment.amount,
+      currency: payment.currency,
+      ...clientData
+    }
+  });
+});
+
+exports.cancel = catchAsync(async (req, res, next) => {
+  const subscription = await subscriptionService.cancel(req.user, req.params.id);
+  res.status(200).json({ status: 'success', data: { subscription } });
+});
+
+exports.resume = catchAsync(async (req, res, next) => {
+  const subscription = await subscriptionService.resume(req.user, req.params.id);
+  res.status(200).json({ status: 'success', data: { subscription } });
+});
+
+exports.getMySubscriptions = catchAsync(async (req, res, next) => {
+  const subscriptions = await Subscription.find({ user: req.user.id })
+    .populate('plan', 'name interval price currency scope categories')
+    .sort('-createdAt');
+
+  res.status(200).json({ status: 'success', results: subscriptions.length, data: { subscriptions } });
+});
+
+exports.getSubscription = catchAsync(async (req, res, next) => {
+  const subscription = await subscriptionService.getOwn(req.user, req.params.id);
+  await subscription.populate('plan');
+  res.status(200).json({ status: 'success', data: { subscription } });
+});
+
+// Admin
+exports.getAllSubscriptions = factory.getAll(Subscription, {
+  populate: [
+    { path: 'user', select: 'firstName lastName email' },
+    { path: 'plan', select: 'name interval' }
+  ]
+});
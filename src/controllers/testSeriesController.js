@@ -0,0 +1,262 @@
+const { TestSeries, TestSeriesEnrollment, Category } = require('../models');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const factory = require('../utils/handlerFactory');
+const mockTestResultService = require('../services/mockTestResultService');
+const testSeriesService = require('../services/testSeriesService');
+
+// Fields only the approval and enrollment flows may change
+const PROTECTED_FIELDS = [
+  'instructor', 'isApproved', 'approvedBy', 'approvedAt', 'rejectionReason',
+  'isPublished', 'publishedAt', 'totalTests', 'totalEnrollments', 'isDeleted', 'deletedAt'
+];
+
+// ==================== MIDDLEWARE ====================
+
+// Students and visitors only see live series
+exports.setVisibilityFilter = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    req.filter = { ...(req.filter || {}), isPublished: true, isApproved: true };
+  }
+  next();
+};
+
+// Only the series instructor or an admin may change it
+exports.checkOwnership = catchAsync(async (req, res, next) => {
+  const series = await TestSeries.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+
+  if (!series) {
+    return next(new AppError('No test series found with that ID', 404));
+  }
+
+  if (series.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
+    return next(new AppError('You can only modify your own test series', 403));
+  }
+
+  req.testSeries = series;
+  next();
+});
+
+// ==================== CRUD ====================
+
+exports.createTestSeries = catchAsync(async (req, res, next) => {
+  const body = { ...req.body };
+  PROTECTED_FIELDS.forEach(field => delete body[field]);
+
+  if (body.category && !(await Category.exists({ _id: body.category }))) {
+    return next(new AppError('Category not found', 400));
+  }
+  await testSeriesService.validateTests(body.tests, req.user);
+
+  const series = await TestSeries.create({ ...body, instructor: req.user.id });
+
+  res.status(201).json({
+    status: 'success',
+    data: series
+  });
+});
+
+exports.updateTestSeries = catchAsync(async (req, res, next) => {
+  const series = req.testSeries;
+  const body = { ...req.body };
+  PROTECTED_FIELDS.forEach(field => delete body[field]);
+
+  if (body.tests) {
+    await testSeriesService.validateTests(body.tests, req.user);
+  }
+
+  series.set(body);
+  await series.save(); // Keeps totalTests in sync
+
+  res.status(200).json({
+    status: 'success',
+    data: series
+  });
+});
+
+exports.getAllTestSeries = factory.getAll(TestSeries, {
+  searchFields: ['title', 'description'],
+  populate: [
+    { path: 'category', select: 'name' },
+    { path: 'instructor', select: 'firstName lastName' }
+  ]
+});
+exports.getTestSeries = factory.getOne(TestSeries, {
+  populate: [
+    { path: 'category', select: 'name' },
+    { path: 'instructor', select: 'firstName lastName' },
+    { path: 'tests.mockTestId', select: 'title duration totalQuestions totalMarks isFreePreview level' }
+  ]
+});
+exports.deleteTestSeries = factory.deleteOne(TestSeries);
+
+// Series authored by the logged in instructor, in any state
+exports.getMyTestSeries = catchAsync(async (req, res, next) => {
+  const series = await TestSeries.find({ instructor: req.user.id, isDeleted: { $ne: true } })
+    .populate('category', 'name')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: series.length,
+    data: { series }
+  });
+});
+
+// ==================== PUBLISHING & APPROVAL ====================
+
+exports.publishTestSeries = catchAsync(async (req, res, next) => {
+  const series = req.testSeries;
+
+  if (series.tests.length === 0) {
+    return next(new AppError('Cannot publish a test series with no tests', 400));
+  }
+
+  if (!series.isApproved && req.user.role !== 'admin') {
+    return next(new AppError('Test series must be approved by admin before publishing', 400));
+  }
+
+  series.isPublished = true;
+  series.publishedAt = new Date();
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Test series published successfully',
+    data: series
+  });
+});
+
+exports.unpublishTestSeries = catchAsync(async (req, res, next) => {
+  const series = req.testSeries;
+
+  series.isPublished = false;
+  series.publishedAt = null;
+  await series.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Test series unpublished successfully',
+    data: series
+  });
+});
+
+// Approve test series (admin only)
+exports.approveTestSeries = catchAsync(async (req, res, next) => {
+  const series = await TestSeries.findByIdAndUpdate(
+    req.params.id,
+    {
+      isApproved: true,
+      approvedBy: req.user.id,
+      approvedAt: new Date(),
+      rejectionReason: null
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!series) {
+    return next(new AppError('No test series found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Test series approved successfully',
+    data: series
+  });
+});
+
+// Reject test series with reason (admin only)
+exports.rejectTestSeries = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(new AppError('Rejection reason is required', 400));
+  }
+
+  const series = await TestSeries.findByIdAndUpdate(
+    req.params.id,
+    {
+      isApproved: false,
+      approvedBy: null,
+      approvedAt: null,
+      isPublished: false,
+      publishedAt: null,
+      rejectionReason: reason
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!series) {
+    return next(new AppError('No test series found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Test series rejected successfully',
+    data: series
+  });
+});
+
+// ==================== STUDENT ====================
+
+// Free series are joined directly; paid ones go through /payments/create-intent
+exports.enrollFree = catchAsync(async (req, res, next) => {
+  const series = await TestSeries.findOne({
+    _id: req.params.id,
+    isPublished: true,
+    isApproved: true,
+    isDeleted: { $ne: true }
+  });
+
+  if (!series) {
+    return next(new AppError('No test series found with that ID', 404));
+  }
+
+  const enrollment = await testSeriesService.enrollFree(series, req.user.id);
+
+  res.status(201).json({
+    status: 'success',
+    data: { enrollment }
+  });
+});
+
+exports.getMyPurchases = catchAsync(async (req, res, next) => {
+  const enrollments = await TestSeriesEnrollment.find({
+    student: req.user.id,
+    ...testSeriesService.activeEnrollmentFilter()
+  })
+    .populate('testSeries', 'title description category totalTests isFree')
+    .sort('-enrolledAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: enrollments.length,
+    data: { enrollments }
+  });
+});
+
+exports.getDashboard = catchAsync(async (req, res, next) => {
+  const dashboard = await testSeriesService.dashboard(req.params.id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: dashboard
+  });
+});
+
+// Cumulative leaderboard over the series' published mock tests
+exports.getStandings = catchAsync(async (req, res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const standings = await mockTestResultService.seriesStandings(req.params.id, {
+    page,
+    limit,
+    studentId: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: standings
+  });
+});
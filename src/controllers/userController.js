@@ -3,6 +3,7 @@ const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('../utils/handlerFactory');
 const ApiFeatures = require('../utils/ApiFeatures');
+const emailQueue = require('../jobs/emailQueue');
 
 // Filter allowed fields for update
 const filterObj = (obj, ...allowedFields) => {
@@ -37,12 +38,29 @@ exports.updateMe = catchAsync(async (req, res, next) => {
     'profilePicture'
   );
 
+  // A changed email address has to be verified again
+  const emailChanged = Boolean(filteredBody.email) &&
+    String(filteredBody.email).toLowerCase() !== String(req.user.email).toLowerCase();
+  if (emailChanged) filteredBody.isEmailVerified = false;
+
   // 3) Update User document
   const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
     new: true,
     runValidators: true
   });
 
+  if (emailChanged) {
+    const verificationToken = updatedUser.createEmailVerificationToken();
+    await updatedUser.save({ validateBeforeSave: false });
+    await emailQueue.add({
+      type: 'verification',
+      data: {
+        user: { firstName: updatedUser.firstName, email: updatedUser.email },
+        token: verificationToken
+      }
+    });
+  }
+
   // 4) Update role-specific profiles with all safe fields
   if (req.user.role === 'instructor') {
     const instructorFields = filterObj(
@@ -1,5 +1,6 @@
 const Queue = require('bull');
 const certificateService = require('../services/certificateService');
+const certificateEligibilityService = require('../services/certificateEligibilityService');
 const emailQueue = require('./emailQueue');
 let certificateQueue;
 
@@ -37,7 +38,7 @@ certificateQueue.process(async (job) => {
 
   switch(type) {
     case 'generate':
-      // Generate single certificate
+      // Issue a single certificate ({ studentId, courseId, grade, percentage })
       const certificate = await certificateService.generateCertificate(data);
       
       // Queue email with certificate
@@ -45,19 +46,38 @@ certificateQueue.process(async (job) => {
         type: 'courseCompletion',
         data: {
           user: data.user,
-          course: { title: data.courseName },
+          course: { title: certificate.courseName },
           certificate
         }
       });
 
       return certificate;
 
+    case 'evaluate': {
+      // Check the course's completion criteria; issue the certificate once they are met
+      const { certificate: issued, issued: isNew, evaluation } = await certificateEligibilityService.checkAndIssue(data.studentId, data.courseId);
+      if (!isNew) return { eligible: evaluation ? evaluation.eligible : true };
+
+      await issued.populate('student', 'email firstName');
+      await emailQueue.add({
+        type: 'courseCompletion',
+        data: {
+          user: { email: issued.student.email, firstName: issued.student.firstName },
+          course: { title: issued.courseName },
+          certificate: issued
+        }
+      });
+
+      return issued;
+    }
+
     case 'bulk':
       // Generate multiple certificates
-      const results = await certificateService.bulkGenerateCertificates(data.completions);
+      const results = await certificateService.bulkGenerateCertificates(data.completions, data.templateId);
       
       // Queue emails for successful ones
       for (const cert of results.successful) {
+        await cert.populate([{ path: 'student', select: 'email firstName' }, { path: 'course', select: 'title' }]);
         await emailQueue.add({
           type: 'courseCompletion',
           data: {
@@ -80,7 +100,7 @@ certificateQueue.process(async (job) => {
 
     case 'revoke':
       // Revoke certificate
-      const revoked = await certificateService.revokeCertificate(data.certificateId, data.reason);
+      const revoked = await certificateService.revokeCertificate(data.certificateId, data.reason, data.revokedBy);
       return revoked;
 
     case 'sendEmail':
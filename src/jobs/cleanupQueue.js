@@ -1,5 +1,8 @@
 const Queue = require('bull');
+const path = require('path');
+const fs = require('fs').promises;
 const { User, Session, Notification, AuditLog } = require('../models');
+const storageService = require('../services/storageService');
 
 let cleanupQueue;
 
@@ -85,6 +88,7 @@ cleanupQueue.process(async (job) => {
       });
 
       // Archive to file
+      await fs.mkdir(path.join(__dirname, '../../logs/audit'), { recursive: true });
       const archivePath = path.join(__dirname, '../../logs/audit', `audit-${Date.now()}.json`);
       await fs.writeFile(archivePath, JSON.stringify(oldLogs, null, 2));
 
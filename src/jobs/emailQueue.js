@@ -63,12 +63,17 @@ emailQueue.process(async (job) => {
       await emailService.sendAnnouncement(data.user, data.announcement);
       break;
 
-    case 'paymentReceipt':
-      await emailService.sendPaymentReceipt(data.user, data.payment, data.items);
+    case 'paymentReceipt': {
+      // The PDF is rendered here rather than carried in the job payload
+      const invoicing = require('../services/invoicing');
+      const invoice = data.invoiceId ? await invoicing.getById(data.invoiceId) : null;
+      const pdf = invoice ? await invoicing.renderPdf(invoice) : undefined;
+      await emailService.sendPaymentReceipt(data.user, data.payment, data.items, invoice, pdf);
       break;
+    }
 
     case 'instructorPayout':
-      await emailService.sendInstructorPayout(data.instructor, data.amount, data.period);
+      await emailService.sendInstructorPayout(data.instructor, data.amount, data.period, data.details);
       break;
 
     case 'assignmentGraded':
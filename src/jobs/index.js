@@ -4,6 +4,11 @@ const videoQueue = require('./videoQueue');
 const certificateQueue = require('./certificateQueue');
 const reportQueue = require('./reportQueue');
 const cleanupQueue = require('./cleanupQueue');
+const judgeQueue = require('./judgeQueue');
+const mockTestQueue = require('./mockTestQueue');
+const payoutQueue = require('./payoutQueue');
+const subscriptionQueue = require('./subscriptionQueue');
+const similarityQueue = require('./similarityQueue');
 
 // Initialize all queues
 const queues = {
@@ -12,7 +17,12 @@ const queues = {
   video: videoQueue,
   certificate: certificateQueue,
   report: reportQueue,
-  cleanup: cleanupQueue
+  cleanup: cleanupQueue,
+  judge: judgeQueue,
+  mockTest: mockTestQueue,
+  payout: payoutQueue,
+  subscription: subscriptionQueue,
+  similarity: similarityQueue
 };
 
 module.exports = queues;
\ No newline at end of file
@@ -0,0 +1,94 @@
+const Queue = require('bull');
+const judgeService = require('../services/judgeService');
+
+const JUDGE_CONCURRENCY = parseInt(process.env.JUDGE_CONCURRENCY, 10) || 1;
+
+let judgeQueue;
+
+if (process.env.REDIS_ENABLED === 'false') {
+    console.log("🟡 Bull Queue: Redis is disabled. Mocking judgeQueue.");
+
+    // Submissions must still get judged in development, so the mock keeps the
+    // processor and runs it after the request has been answered
+    let processor = null;
+    judgeQueue = {
+        add: (data) => {
+            const job = { id: `mock-${Date.now()}`, data, progress: () => {} };
+            if (processor) {
+                setImmediate(() => {
+                    Promise.resolve(processor(job)).catch(err => {
+                        console.error(`Judge job failed: ${job.id}`, err);
+                    });
+                });
+            }
+            return Promise.resolve(job);
+        },
+        process: (concurrency, fn) => {
+            processor = typeof concurrency === 'function' ? concurrency : fn;
+            console.log("🟡 Judge Queue: Mock processor registered (inline)");
+        },
+        on: (event, callback) => {},
+        status: 'mocked'
+    };
+} else {
+    judgeQueue = new Queue('judge', {
+        redis: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD
+        },
+        defaultJobOptions: {
+            // Verdicts are deterministic; only infrastructure failures are retried
+            attempts: 2,
+            backoff: { type: 'fixed', delay: 5000 },
+            timeout: 5 * 60 * 1000,
+            removeOnComplete: true,
+            removeOnFail: false
+        }
+    });
+}
+
+judgeQueue.process(JUDGE_CONCURRENCY, async (job) => {
+  const { type, data } = job.data;
+
+  console.log(`Processing judge job: ${type}`, { jobId: job.id });
+
+  switch(type) {
+    case 'judge':
+      // Judge a submission against all test cases (hidden included)
+      const submission = await judgeService.judgeSubmission(data.submissionId);
+      job.progress(100);
+      return {
+        submissionId: submission._id.toString(),
+        status: submission.status,
+        verdict: submission.verdict,
+        totalPoints: submission.totalPoints
+      };
+
+    default:
+      throw new Error(`Unknown judge type: ${type}`);
+  }
+});
+
+// Event handlers
+judgeQueue.on('completed', (job, result) => {
+  console.log(`Judge job completed successfully: ${job.id}`);
+
+  // Emit socket event so clients can subscribe instead of polling
+  if (global.io && result) {
+    global.io.to(`submission-${result.submissionId}`).emit('submissionJudged', result);
+  }
+});
+
+judgeQueue.on('failed', (job, err) => {
+  console.error(`Judge job failed: ${job.id}`, err);
+
+  if (global.io && job.data && job.data.data) {
+    global.io.to(`submission-${job.data.data.submissionId}`).emit('submissionFailed', {
+      submissionId: job.data.data.submissionId,
+      error: err.message
+    });
+  }
+});
+
+module.exports = judgeQueue;
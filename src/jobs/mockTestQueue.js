@@ -0,0 +1,111 @@
+const Queue = require('bull');
+const mockTestAttemptService = require('../services/mockTestAttemptService');
+const mockTestResultService = require('../services/mockTestResultService');
+
+// setTimeout fires immediately for delays above ~24.8 days
+const MAX_TIMER_DELAY = 2147483647;
+
+let mockTestQueue;
+
+if (process.env.REDIS_ENABLED === 'false') {
+    console.log("🟡 Bull Queue: Redis is disabled. Mocking mockTestQueue.");
+
+    // Timers still have to fire in development, so delayed jobs become
+    // in-process timeouts. Repeatable jobs are skipped: the attempt endpoints
+    // submit overdue attempts themselves, and results past their publish date
+    // are computed when they are first viewed.
+    let processor = null;
+    mockTestQueue = {
+        add: (data, opts = {}) => {
+            const job = { id: opts.jobId || `mock-${Date.now()}`, data };
+            if (processor && !opts.repeat && (opts.delay || 0) <= MAX_TIMER_DELAY) {
+                const timer = setTimeout(() => {
+                    Promise.resolve(processor(job)).catch(err => {
+                        console.error(`Mock test job failed: ${job.id}`, err);
+                    });
+                }, opts.delay || 0);
+                if (timer.unref) timer.unref();
+            }
+            return Promise.resolve(job);
+        },
+        process: (fn) => {
+            processor = fn;
+            console.log("🟡 Mock Test Queue: Mock processor registered (timers)");
+        },
+        on: (event, callback) => {},
+        status: 'mocked'
+    };
+} else {
+    mockTestQueue = new Queue('mock-test', {
+        redis: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD
+        },
+        defaultJobOptions: {
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 5000 },
+            removeOnComplete: true,
+            removeOnFail: false
+        }
+    });
+}
+
+mockTestQueue.process(async (job) => {
+  const { type, data } = job.data;
+
+  console.log(`Processing mock test job: ${type}`, { jobId: job.id });
+
+  switch(type) {
+    case 'autoSubmit':
+      // Time is up: grade whatever was autosaved (no-op if already submitted)
+      const attempt = await mockTestAttemptService.finalize(data.attemptId, 'time_expired');
+      return attempt && {
+        attemptId: attempt._id.toString(),
+        student: attempt.student.toString(),
+        status: attempt.status,
+        score: attempt.score,
+        submissionReason: attempt.submissionReason
+      };
+
+    case 'expireOverdue':
+      return mockTestAttemptService.expireOverdue();
+
+    case 'recomputeResults':
+      return mockTestResultService.recompute(data.mockTestId);
+
+    case 'refreshResults':
+      return mockTestResultService.refreshStale();
+
+    default:
+      throw new Error(`Unknown mock test job type: ${type}`);
+  }
+});
+
+// Event handlers
+mockTestQueue.on('completed', (job, result) => {
+  console.log(`Mock test job completed: ${job.id}`);
+
+  // Tell the test client its attempt was closed by the timer
+  if (global.io && result && result.submissionReason === 'time_expired') {
+    global.io.to(result.student).emit('mockTestSubmitted', result);
+  }
+});
+
+mockTestQueue.on('failed', (job, err) => {
+  console.error(`Mock test job failed: ${job.id}`, err);
+});
+
+// Safety net for timer jobs lost with Redis data
+mockTestQueue.add(
+  { type: 'expireOverdue' },
+  { repeat: { cron: '*/5 * * * *' } } // Every 5 minutes
+);
+
+// Catches submissions that arrived while a recompute job was already running
+mockTestQueue.add(
+  { type: 'refreshResults' },
+  { repeat: { cron: '*/10 * * * *' } } // Every 10 minutes
+);
+
+module.exports = mockTestQueue;
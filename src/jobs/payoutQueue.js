@@ -0,0 +1,64 @@
+const Queue = require('bull');
+const payoutService = require('../services/payoutService');
+
+let payoutQueue;
+
+if (process.env.REDIS_ENABLED === 'false') {
+    console.log("🟡 Bull Queue: Redis is disabled. Mocking payoutQueue.");
+
+    payoutQueue = {
+        add: () => Promise.resolve({ id: 'mock-id' }),
+        process: (fn) => console.log("🟡 Payout Queue: Mock processor registered"),
+        on: (event, callback) => {},
+        clean: () => Promise.resolve(),
+    };
+} else {
+    payoutQueue = new Queue('payout', {
+        redis: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD
+        },
+        defaultJobOptions: {
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 60000 },
+            removeOnComplete: true,
+            removeOnFail: false
+        }
+    });
+}
+
+// Process payout jobs
+payoutQueue.process(async (job) => {
+  const { type, data } = job.data;
+
+  console.log(`Processing payout job: ${type}`, { jobId: job.id });
+
+  switch(type) {
+    case 'monthlyBatch': {
+      // Safe to repeat: an existing batch for the period is returned as is
+      const batch = await payoutService.generateBatch((data && data.period) || undefined);
+      return { batch: batch._id, period: batch.period, payouts: batch.payouts.length };
+    }
+
+    default:
+      throw new Error(`Unknown payout job type: ${type}`);
+  }
+});
+
+// Event handlers
+payoutQueue.on('completed', (job, result) => {
+  console.log(`Payout job completed: ${job.id}`, result);
+});
+
+payoutQueue.on('failed', (job, err) => {
+  console.error(`Payout job failed: ${job.id}`, err);
+});
+
+// Last month's batch, once it has ended
+payoutQueue.add(
+  { type: 'monthlyBatch' },
+  { repeat: { cron: '0 6 1 * *' } } // Monthly on the 1st at 6 AM
+);
+
+module.exports = payoutQueue;
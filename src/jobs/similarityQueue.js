@@ -0,0 +1,79 @@
+const Queue = require('bull');
+const similarityService = require('../services/similarityService');
+
+let similarityQueue;
+
+if (process.env.REDIS_ENABLED === 'false') {
+    console.log("🟡 Bull Queue: Redis is disabled. Mocking similarityQueue.");
+
+    // Reports must still be generated in development, so the mock keeps the
+    // processor and runs it after the request has been answered
+    let processor = null;
+    similarityQueue = {
+        add: (data) => {
+            const job = { id: `mock-${Date.now()}`, data, progress: () => {} };
+            if (processor) {
+                setImmediate(() => {
+                    Promise.resolve(processor(job)).catch(err => {
+                        console.error(`Similarity job failed: ${job.id}`, err);
+                    });
+                });
+            }
+            return Promise.resolve(job);
+        },
+        process: (fn) => {
+            processor = fn;
+            console.log("🟡 Similarity Queue: Mock processor registered (inline)");
+        },
+        on: (event, callback) => {},
+        status: 'mocked'
+    };
+} else {
+    similarityQueue = new Queue('similarity', {
+        redis: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD
+        },
+        defaultJobOptions: {
+            // Comparison is deterministic; only infrastructure failures are retried
+            attempts: 2,
+            backoff: { type: 'fixed', delay: 5000 },
+            timeout: 10 * 60 * 1000,
+            removeOnComplete: true,
+            removeOnFail: false
+        }
+    });
+}
+
+// One report at a time: comparison is CPU-bound
+similarityQueue.process(async (job) => {
+  const { type, data } = job.data;
+
+  console.log(`Processing similarity job: ${type}`, { jobId: job.id });
+
+  switch(type) {
+    case 'report':
+      const report = await similarityService.runReport(data.reportId);
+      job.progress(100);
+      return {
+        reportId: report._id.toString(),
+        status: report.status,
+        pairs: report.pairs.length
+      };
+
+    default:
+      throw new Error(`Unknown similarity type: ${type}`);
+  }
+});
+
+// Event handlers
+similarityQueue.on('completed', (job, result) => {
+  console.log(`Similarity job completed successfully: ${job.id}`);
+});
+
+similarityQueue.on('failed', (job, err) => {
+  console.error(`Similarity job failed: ${job.id}`, err);
+});
+
+module.exports = similarityQueue;
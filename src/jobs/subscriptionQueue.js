@@ -0,0 +1,60 @@
+const Queue = require('bull');
+const subscriptionService = require('../services/subscriptionService');
+
+let subscriptionQueue;
+
+if (process.env.REDIS_ENABLED === 'false') {
+    console.log("🟡 Bull Queue: Redis is disabled. Mocking subscriptionQueue.");
+
+    subscriptionQueue = {
+        add: () => Promise.resolve({ id: 'mock-id' }),
+        process: (fn) => console.log("🟡 Subscription Queue: Mock processor registered"),
+        on: (event, callback) => {},
+        clean: () => Promise.resolve(),
+    };
+} else {
+    subscriptionQueue = new Queue('subscription', {
+        redis: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: process.env.REDIS_PORT || 6379,
+            password: process.env.REDIS_PASSWORD
+        },
+        defaultJobOptions: {
+            attempts: 1,
+            removeOnComplete: true,
+            removeOnFail: false
+        }
+    });
+}
+
+// Process subscription jobs
+subscriptionQueue.process(async (job) => {
+  const { type } = job.data;
+
+  console.log(`Processing subscription job: ${type}`, { jobId: job.id });
+
+  switch(type) {
+    case 'renewals':
+      // Trials and periods that ended, grace periods that ran out
+      return subscriptionService.processDue(new Date());
+
+    default:
+      throw new Error(`Unknown subscription job type: ${type}`);
+  }
+});
+
+// Event handlers
+subscriptionQueue.on('completed', (job, result) => {
+  console.log(`Subscription job completed: ${job.id}`, result);
+});
+
+subscriptionQueue.on('failed', (job, err) => {
+  console.error(`Subscription job failed: ${job.id}`, err);
+});
+
+subscriptionQueue.add(
+  { type: 'renewals' },
+  { repeat: { cron: '15 * * * *' } } // Hourly
+);
+
+module.exports = subscriptionQueue;
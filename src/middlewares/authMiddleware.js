@@ -2,6 +2,8 @@ const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
 const AppError = require('../utils/appError');
+const sessionService = require('../services/sessionService');
+const { emailVerificationRequired } = require('../utils/authUtils');
 
 exports.protect = async (req, res, next) => {
   try {
@@ -32,7 +34,12 @@ exports.protect = async (req, res, next) => {
       return next(new AppError('Your account has been deactivated. Please contact support.', 401));
     }
 
+    if (!(await sessionService.isActive(decoded.sid, currentUser._id))) {
+      return next(new AppError('Your session has ended. Please log in again.', 401));
+    }
+
     req.user = currentUser;
+    req.sessionId = decoded.sid;
     res.locals.user = currentUser;
     next();
   } catch (error) {
@@ -60,6 +67,17 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// Blocks unverified accounts from an action when the verification policy covers it
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.isEmailVerified || req.user.role === 'admin' || !emailVerificationRequired(action)) {
+      return next();
+    }
+
+    return next(new AppError('Please verify your email address first. You can request a new verification link from /api/v1/auth/verify-email/resend.', 403));
+  };
+};
+
 exports.optionalAuth = async (req, res, next) => {
   try {
     let token;
@@ -71,7 +89,7 @@ exports.optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
       const currentUser = await User.findById(decoded.id).select('-password');
-      if (currentUser && currentUser.isActive && !currentUser.isDeleted) {
+      if (currentUser && currentUser.isActive && !currentUser.isDeleted && await sessionService.isActive(decoded.sid, currentUser._id)) {
         req.user = currentUser;
         res.locals.user = currentUser;
       }
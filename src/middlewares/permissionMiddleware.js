@@ -111,18 +111,28 @@ exports.canAccessCourse = async (req, res, next) => {
     }
 
     // Check if course is free or user is instructor/admin
-    if (course.isFree || req.user.role === 'admin' || course.instructor.toString() === req.user.id) {
+    const isInstructor = String(course.primaryInstructor) === req.user.id ||
+      (course.instructors || []).some(i => i.isActive && String(i.instructor) === req.user.id);
+    if (course.isFree || req.user.role === 'admin' || isInstructor) {
       req.course = course;
       return next();
     }
 
-    // Check if user is enrolled
-    const enrollment = await Enrollment.findOne({
+    // Check if user is enrolled, and the enrollment has not run out
+    const now = new Date();
+    let enrollment = await Enrollment.findOne({
       student: req.user.id,
       course: courseId,
-      isActive: true
+      isActive: true,
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }]
     });
 
+    // Subscribers are enrolled on first access to a course their plan includes
+    if (!enrollment) {
+      const subscriptionService = require('../services/subscriptionService');
+      enrollment = await subscriptionService.enrollCourse(req.user.id, course);
+    }
+
     if (!enrollment) {
       return next(new AppError('You are not enrolled in this course', 403));
     }
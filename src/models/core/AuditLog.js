@@ -1,56 +0,0 @@
-// models/AuditLog.js - For audit logging
-const mongoose = require('mongoose');
-
-const auditLogSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  action: String,
-  resource: String,
-  method: String,
-  statusCode: Number,
-  ip: String,
-  userAgent: String,
-  timestamp: { type: Date, default: Date.now },
-  requestBody: mongoose.Schema.Types.Mixed,
-  requestParams: mongoose.Schema.Types.Mixed,
-  requestQuery: mongoose.Schema.Types.Mixed,
-  responseBody: mongoose.Schema.Types.Mixed,
-  duration: Number
-}, { timestamps: true });
-
-auditLogSchema.index({ user: 1, timestamp: -1 });
-auditLogSchema.index({ action: 1, timestamp: -1 });
-
-module.exports = mongoose.model('AuditLog', auditLogSchema);
-
-// models/SystemSettings.js - For platform configuration
-const mongoose = require('mongoose');
-
-const systemSettingsSchema = new mongoose.Schema({
-  key: { type: String, required: true, unique: true },
-  value: mongoose.Schema.Types.Mixed,
-  type: { type: String, enum: ['string', 'number', 'boolean', 'object', 'array'], default: 'string' },
-  description: String,
-  isPublic: { type: Boolean, default: false },
-  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
-}, { timestamps: true });
-
-module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
-
-// models/ActivityLog.js - For user activity tracking
-const mongoose = require('mongoose');
-
-const activityLogSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-  type: { 
-    type: String, 
-    enum: ['login', 'logout', 'enrollment', 'course_complete', 'payment', 'review', 'discussion'] 
-  },
-  description: String,
-  metadata: mongoose.Schema.Types.Mixed,
-  ip: String,
-  userAgent: String
-}, { timestamps: true });
-
-activityLogSchema.index({ user: 1, createdAt: -1 });
-
-module.exports = mongoose.model('ActivityLog', activityLogSchema);
\ No newline at end of file
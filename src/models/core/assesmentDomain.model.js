@@ -1,12 +1,42 @@
 const mongoose = require('mongoose');
+const { getQuestionType, validateQuestion } = require('../../services/grading/questionTypes');
+
+// ==================== ANSWER KEY FIELDS ====================
+// Shared by every kind of question (quiz, bank, mock test, paper snapshot) so
+// they can all be graded by services/grading. Which fields matter depends on type.
+const questionType = {
+  type: String,
+  uppercase: true,
+  trim: true,
+  validate: {
+    validator: (value) => !value || !!getQuestionType(value),
+    message: 'Unsupported question type'
+  }
+};
+
+const answerKeyFields = {
+  options: [{ text: String, isCorrect: Boolean }], // SINGLE_CHOICE, MULTIPLE_SELECT, TRUE_FALSE
+  correctAnswer: String, // SHORT_ANSWER, TRUE_FALSE ('true' / 'false')
+  numeric: { value: Number, tolerance: Number, min: Number, max: Number }, // NUMERIC: ±tolerance or [min, max]
+  blanks: [{ _id: false, acceptedAnswers: [String] }], // FILL_BLANK
+  matchPairs: [{ _id: false, left: String, right: String }], // MATCH
+  orderItems: [String], // ORDERING, in the correct order
+  caseSensitive: { type: Boolean, default: false },
+  partialCredit: { type: Boolean, default: true } // MULTIPLE_SELECT, FILL_BLANK, MATCH, ORDERING
+};
+
+function validateAnswerKey(next) {
+  const error = validateQuestion(this);
+  if (error) this.invalidate('type', error);
+  next();
+}
 
 // ==================== QUIZ & QUIZ QUESTIONS (Unchanged) ====================
 const quizQuestionSchema = new mongoose.Schema({
   quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
   question: { type: String, required: true },
-  type: { type: String, required: true, uppercase: true, trim: true },
-  options: [{ text: String, isCorrect: Boolean }],
-  correctAnswer: String,
+  type: { ...questionType, required: true },
+  ...answerKeyFields,
   points: { type: Number, default: 1 },
   explanation: String,
   order: Number
@@ -49,11 +79,22 @@ const testSeriesSchema = new mongoose.Schema({
 
   totalTests: { type: Number, default: 0 },
   totalEnrollments: { type: Number, default: 0 },
+  validityDays: { type: Number, default: null, min: 1 }, // Access after purchase; null = no expiry
   isPublished: { type: Boolean, default: false },
+  publishedAt: Date,
   isApproved: { type: Boolean, default: false },
-  isDeleted: { type: Boolean, default: false }
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: Date,
+  rejectionReason: String,
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
 }, { timestamps: true });
 
+testSeriesSchema.pre('save', function(next) {
+  if (this.isModified('tests')) this.totalTests = this.tests.length;
+  next();
+});
+
 // ==================== MOCK TEST SCHEMA (Updated) ====================
 const mockTestSchema = new mongoose.Schema({
   title: { type: String, required: true }, // e.g., "Ancient India Chapter 1"
@@ -72,6 +113,33 @@ const mockTestSchema = new mongoose.Schema({
   
   // ✅ NEW: Allows this specific test to be taken for free even if the TestSeries is paid
   isFreePreview: { type: Boolean, default: false }, 
+
+  // Blueprint: when set, every attempt gets its own paper drawn from the question bank
+  // e.g. [{ sectionName: 'GS', subject: 'History', difficulty: 'EASY', count: 10 }]
+  blueprint: [{
+    sectionName: { type: String, trim: true }, // Defaults to the bank question's sectionName
+    subject: { type: String, required: true, trim: true },
+    chapter: { type: String, trim: true },
+    difficulty: { type: String, uppercase: true, trim: true },
+    tags: [String],
+    count: { type: Number, required: true, min: 1 },
+    marks: { type: Number, default: 1 }, // Per question; overrides the bank so every paper is worth the same
+    negativeMarks: { type: Number, default: 0 }
+  }],
+  shuffleQuestions: { type: Boolean, default: true }, // Within each section
+  shuffleOptions: { type: Boolean, default: true },
+
+  maxAttempts: { type: Number, default: null }, // null = unlimited
+  // What happens when a student keeps leaving the test tab
+  proctoring: {
+    maxTabSwitches: { type: Number, default: null, min: 0 }, // null = not enforced
+    action: { type: String, enum: ['flag', 'terminate'], default: 'flag' }
+  },
+
+  // Ranks and percentiles stay hidden until this date (null = live after every submission)
+  resultPublishAt: { type: Date, default: null },
+  resultsComputedAt: Date,
+  lastSubmissionAt: Date,
   
   // Kept in case you want to sell a MockTest individually, outside of a series
   price: { type: Number, default: 0 }, 
@@ -83,12 +151,59 @@ const mockTestSchema = new mongoose.Schema({
   isDeleted: { type: Boolean, default: false }
 }, { timestamps: true });
 
+// Blueprint totals are fixed, so they can be kept in sync without counting questions
+mockTestSchema.pre('save', function(next) {
+  if (this.isModified('blueprint') && this.blueprint.length > 0) {
+    this.totalQuestions = this.blueprint.reduce((acc, rule) => acc + rule.count, 0);
+    this.totalMarks = this.blueprint.reduce((acc, rule) => acc + rule.count * rule.marks, 0);
+  }
+  next();
+});
+
+// ==================== QUESTION BANK ====================
+// Reusable questions shared by all mock tests of a category
+const bankQuestionSchema = new mongoose.Schema({
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: String, required: true, trim: true }, // e.g., "History"
+  chapter: { type: String, trim: true }, // e.g., "Ancient India"
+  sectionName: { type: String, required: true, trim: true }, // e.g., "General Studies"
+
+  // Refactored to use Master validation
+  difficulty: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('difficulty_level', value);
+      },
+      message: 'Invalid difficulty level'
+    }
+  },
+
+  question: { type: String, required: true },
+  type: questionType, // Untyped: single choice with options, short answer without
+  ...answerKeyFields,
+  marks: { type: Number, default: 1 },
+  negativeMarks: { type: Number, default: 0 },
+  explanation: String,
+  tags: [String],
+  usageCount: { type: Number, default: 0 }, // Number of papers it appeared in
+  isActive: { type: Boolean, default: true },
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, { timestamps: true });
 
 const mockTestQuestionSchema = new mongoose.Schema({
   mockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest', required: true },
   sectionName: { type: String, required: true }, 
   question: { type: String, required: true },
-  options: [{ text: String, isCorrect: Boolean }],
+  type: questionType,
+  ...answerKeyFields,
   marks: { type: Number, default: 1 },
   negativeMarks: { type: Number, default: 0 },
   explanation: String,
@@ -99,28 +214,84 @@ const mockTestAttemptSchema = new mongoose.Schema({
   mockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest', required: true },
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   startedAt: { type: Date, default: Date.now },
+  expiresAt: Date, // startedAt + MockTest.duration, enforced by the server
   completedAt: Date,
   timeTaken: Number,
+  submissionReason: { type: String, enum: ['manual', 'time_expired', 'proctoring'] },
+  autoSubmitJobId: String,
+
+  // Proctoring
+  lastHeartbeat: Date,
+  tabSwitches: { type: Number, default: 0 },
+  isFlagged: { type: Boolean, default: false },
+  flagReason: String,
+
+  // The exact paper this student got. It is a snapshot, so editing the bank
+  // later does not change how the attempt is graded or reviewed.
+  seed: String,
+  paper: [{
+    _id: false,
+    questionId: { type: mongoose.Schema.Types.ObjectId, refPath: 'paper.questionModel', required: true },
+    questionModel: { type: String, enum: ['BankQuestion', 'MockTestQuestion'], required: true },
+    sectionName: String,
+    subject: String,
+    chapter: String,
+    difficulty: String,
+    question: String,
+    type: { type: String }, // Resolved question type
+    ...answerKeyFields,
+    options: [{ _id: false, text: String, isCorrect: Boolean }], // In the order shown to the student
+    optionOrder: [Number], // optionOrder[i] = index of the i-th shown option in the source question
+    marks: Number,
+    negativeMarks: Number,
+    explanation: String,
+    order: Number
+  }],
+  totalMarks: Number,
+
   answers: [{
     questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTestQuestion' },
     selectedOptionIndex: Number,
+    selectedOptionIndexes: [Number],
     answerText: String,
+    blanks: [String],
+    matches: [String],
+    sequence: [String],
+    answeredAt: Date, // Last autosave of this answer
+    timeSpentSeconds: Number, // Reported by the test client, cumulative per question
     isCorrect: Boolean,
-    marksObtained: Number
+    marksObtained: Number,
+    needsReview: Boolean // Not auto-graded (essay)
   }],
   score: { type: Number, default: 0 },
   percentage: { type: Number, default: 0 },
+  // Standings, recomputed by mockTestResultService as more students submit.
+  // Only the first attempt of each student is ranked.
   rank: Number,
+  percentile: Number,
   totalStudents: Number, 
+  isRanked: { type: Boolean, default: false },
+  sectionResults: [{ _id: false, sectionName: String, score: Number, maxMarks: Number, rank: Number, percentile: Number }],
+  subjectResults: [{ _id: false, subject: String, score: Number, maxMarks: Number, rank: Number, percentile: Number }],
   status: { type: String, enum: ['started', 'in-progress', 'completed', 'abandoned'], default: 'started' },
   isPassed: Boolean,
   feedback: String
 }, { timestamps: true });
 
+quizQuestionSchema.pre('validate', validateAnswerKey);
+bankQuestionSchema.pre('validate', validateAnswerKey);
+mockTestQuestionSchema.pre('validate', validateAnswerKey);
+
 // Indexes
 testSeriesSchema.index({ title: 'text', description: 'text' });
+testSeriesSchema.index({ 'tests.mockTestId': 1 }); // Series containing a mock test (access checks)
 mockTestSchema.index({ title: 'text', description: 'text' });
 mockTestAttemptSchema.index({ mockTest: 1, student: 1 });
+mockTestAttemptSchema.index({ status: 1, expiresAt: 1 }); // Overdue attempt sweep
+mockTestAttemptSchema.index({ mockTest: 1, status: 1, isRanked: 1, score: -1 }); // Standings and topper
+bankQuestionSchema.index({ category: 1, subject: 1, chapter: 1, difficulty: 1, isDeleted: 1 });
+bankQuestionSchema.index({ createdBy: 1, createdAt: -1 });
+bankQuestionSchema.index({ question: 'text', tags: 'text' });
 
 // ✅ Exports updated
 module.exports = {
@@ -128,6 +299,7 @@ module.exports = {
   QuizQuestion: mongoose.models.QuizQuestion || mongoose.model('QuizQuestion', quizQuestionSchema),
   TestSeries: mongoose.models.TestSeries || mongoose.model('TestSeries', testSeriesSchema),
   MockTest: mongoose.models.MockTest || mongoose.model('MockTest', mockTestSchema),
+  BankQuestion: mongoose.models.BankQuestion || mongoose.model('BankQuestion', bankQuestionSchema),
   MockTestQuestion: mongoose.models.MockTestQuestion || mongoose.model('MockTestQuestion', mockTestQuestionSchema),
   MockTestAttempt: mongoose.models.MockTestAttempt || mongoose.model('MockTestAttempt', mockTestAttemptSchema)
 };
@@ -1,10 +1,56 @@
 const mongoose = require('mongoose');
 
+// One purchased item of a (cart) payment, priced at checkout time
+const lineItemSchema = new mongoose.Schema({
+  itemType: { type: String, enum: ['course', 'testSeries', 'mockTest', 'subscription'], required: true },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  testSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSeries' },
+  mockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest' },
+  subscriptionPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionPlan' },
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' }, // Set on renewals
+  title: String,
+  listPrice: { type: Number, required: true }, // Catalogue price
+  price: { type: Number, required: true }, // After any running sale
+  discount: { type: Number, default: 0 }, // Coupon share
+  amount: { type: Number, required: true }, // What was charged for this item
+  status: { type: String, enum: ['active', 'refunded'], default: 'active' },
+  refundedAt: Date
+});
+
 const paymentSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
   mockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest' },
+  testSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSeries' },
   amount: { type: Number, required: true },
+  lineItems: [lineItemSchema],
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' }, // First of `coupons`
+  coupons: [{
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    code: String,
+    discount: { type: Number, default: 0 }
+  }],
+  discountAmount: { type: Number, default: 0 },
+
+  // `amount` in the base reporting currency at the rate of the day it was charged
+  baseCurrency: { type: String, uppercase: true },
+  baseAmount: Number,
+  fxRate: Number, // Units of `currency` per unit of baseCurrency
+
+  // Buyer details for the invoice; the user's profile address is used when absent
+  billingDetails: {
+    name: String,
+    companyName: String,
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN']
+    },
+    address: {
+      street: String, city: String, state: String, country: String, zipCode: String
+    }
+  },
   
   // Refactored to use Master validation
   currency: { 
@@ -53,13 +99,228 @@ const paymentSchema = new mongoose.Schema({
   refundAmount: Number,
   refundReason: String,
   refundedAt: Date,
+
+  // Gateway's own charge/payment ID (Stripe charge, Razorpay pay_xxx)
+  gatewayPaymentId: String,
+  // Set once enrollment/unlock has run, so fulfilment happens exactly once
+  fulfilledAt: { type: Date, default: null },
+  statusHistory: [{
+    from: String,
+    to: String,
+    source: String, // webhook, client, admin, gateway
+    eventId: String,
+    at: { type: Date, default: Date.now }
+  }],
   metadata: mongoose.Schema.Types.Mixed
 }, { timestamps: true });
 
+// Tax invoices and credit notes, numbered per financial year
+const invoiceLineSchema = new mongoose.Schema({
+  lineItem: { type: mongoose.Schema.Types.ObjectId }, // Payment.lineItems _id
+  itemType: String,
+  item: { type: mongoose.Schema.Types.ObjectId },
+  description: { type: String, required: true },
+  sacCode: String,
+  quantity: { type: Number, default: 1 },
+  taxableAmount: { type: Number, required: true },
+  taxes: [{ name: String, rate: Number, amount: Number, _id: false }],
+  total: { type: Number, required: true } // Tax inclusive
+});
+
+const partySchema = {
+  name: String,
+  companyName: String,
+  email: String,
+  gstin: String,
+  address: {
+    street: String, city: String, state: String, country: String, zipCode: String
+  }
+};
+
+// Created pending to claim the payment (or refund), then numbered and issued.
+// Numbers exist only on issued documents, so the series has no gaps.
+const invoiceSchema = new mongoose.Schema({
+  type: { type: String, enum: ['invoice', 'credit_note'], default: 'invoice' },
+  status: { type: String, enum: ['pending', 'issued'], default: 'pending' },
+  number: { type: String, unique: true, sparse: true },
+  financialYear: String,
+  sequence: Number,
+  issuedAt: Date,
+
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  originalInvoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // Credit notes
+  refundKey: String, // Which refund a credit note covers, so it is issued once
+  reason: String,
+
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: String,
+  currency: { type: String, default: 'INR' },
+  lines: [invoiceLineSchema],
+  taxBreakdown: [{ name: String, rate: Number, taxableAmount: Number, amount: Number, _id: false }],
+  subtotal: { type: Number, required: true }, // Taxable value
+  taxTotal: { type: Number, required: true },
+  total: { type: Number, required: true },
+  notes: String
+}, { timestamps: true });
+
+// One persistent cart per user
+const cartSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [{
+    itemType: { type: String, enum: ['course', 'testSeries'], required: true },
+    course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+    testSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSeries' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  stackedCoupons: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' }], // Applied on top of `coupon`
+  currency: { type: String, uppercase: true } // Chosen by the buyer; their country's currency when unset
+}, { timestamps: true });
+
+// Admin-maintained FX table: how many units of `currency` one unit of `base` buys.
+// Prices without a price list in the buyer's currency are converted with it.
+const exchangeRateSchema = new mongoose.Schema({
+  base: { type: String, required: true, uppercase: true },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    validate: {
+      validator: async function(value) {
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('currency', value);
+      },
+      message: 'Invalid currency'
+    }
+  },
+  rate: { type: Number, required: true, min: 0.000001 },
+  roundingIncrement: { type: Number, min: 0 }, // e.g. 1 rounds converted INR prices to whole rupees
+  source: { type: String, default: 'manual' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// Instructor earnings. Every credit and debit is one entry, so a balance is
+// a sum; `key` makes recording the same sale or refund twice a no-op
+const ledgerEntrySchema = new mongoose.Schema({
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['sale', 'platform_fee', 'refund', 'fee_reversal', 'payout', 'payout_reversal', 'adjustment'],
+    required: true
+  },
+  amount: { type: Number, required: true }, // Credits are positive, debits negative
+  currency: { type: String, required: true },
+  at: { type: Date, default: Date.now }, // When the entry counts towards a balance
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  lineKey: String, // Line item ID, or the item type for payments without line items
+  itemType: { type: String, enum: ['course', 'testSeries', 'mockTest'] },
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  testSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSeries' },
+  mockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest' },
+  sharePercent: Number,
+  feePercent: Number,
+  payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' },
+  description: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  key: { type: String, required: true, unique: true }
+}, { timestamps: true });
+
+// Monthly payout run: what each instructor is owed at the end of `period`
+const payoutSchema = new mongoose.Schema({
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  currency: { type: String, required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
+  summary: {
+    openingBalance: Number, sales: Number, fees: Number, refunds: Number, adjustments: Number
+  },
+  paymentDetails: {
+    bankName: String, accountNumber: String, accountHolderName: String, ifscCode: String, paypalEmail: String
+  },
+  transactionId: String,
+  paidAt: Date,
+  failureReason: String
+});
+
+const payoutBatchSchema = new mongoose.Schema({
+  period: { type: String, required: true, unique: true, match: /^\d{4}-\d{2}$/ }, // YYYY-MM
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  payouts: [payoutSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: Date
+}, { timestamps: true });
+
+// Gateway webhook deliveries, one per event ID, so retries are not processed twice
+const paymentEventSchema = new mongoose.Schema({
+  gateway: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: String,
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  status: { type: String, enum: ['processing', 'processed', 'ignored', 'failed'], default: 'processing' },
+  attempts: { type: Number, default: 1 },
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, { timestamps: true });
+
+// Recurring plans: every course (all access) or the courses of some categories
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  interval: { type: String, enum: ['monthly', 'annual'], required: true },
+  price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'INR', uppercase: true },
+  trialDays: { type: Number, default: 0, min: 0 },
+  scope: { type: String, enum: ['all_access', 'category'], default: 'all_access' },
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  features: [String],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// A user's subscription to a plan. Access lasts until currentPeriodEnd, or
+// graceUntil while a renewal is overdue (past_due)
+const subscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: 'SubscriptionPlan', required: true },
+  status: { type: String, enum: ['trialing', 'active', 'past_due', 'canceled', 'expired'], default: 'active' },
+  currentPeriodStart: { type: Date, required: true },
+  currentPeriodEnd: { type: Date, required: true },
+  trialEnd: Date,
+  graceUntil: Date,
+  cancelAtPeriodEnd: { type: Boolean, default: false },
+  canceledAt: Date,
+  endedAt: Date,
+  lastPayment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  history: [{
+    from: String,
+    to: String,
+    reason: String,
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
 const enrollmentSchema = new mongoose.Schema({
   course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }, 
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' }, // Access ends with the subscription
+  enrolledAt: { type: Date, default: Date.now },
+  expiryDate: Date,
+  isActive: { type: Boolean, default: true },
+  isRevoked: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Access to every mock test of a purchased TestSeries
+const testSeriesEnrollmentSchema = new mongoose.Schema({
+  testSeries: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSeries', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
   enrolledAt: { type: Date, default: Date.now },
   expiryDate: Date,
   isActive: { type: Boolean, default: true },
@@ -89,6 +350,16 @@ enrollmentSchema.statics.calcTotalEnrollments = async function(courseId) {
   }
 };
 
+testSeriesEnrollmentSchema.statics.calcTotalEnrollments = async function(testSeriesId) {
+  try {
+    const count = await this.countDocuments({ testSeries: testSeriesId, isActive: true, isRevoked: false });
+    const TestSeries = mongoose.model('TestSeries');
+    await TestSeries.findByIdAndUpdate(testSeriesId, { totalEnrollments: count });
+  } catch (error) {
+    console.error('Error calculating test series enrollments:', error);
+  }
+};
+
 // ==========================================
 // MIDDLEWARE (HOOKS)
 // ==========================================
@@ -104,18 +375,51 @@ enrollmentSchema.post(/^findOneAnd/, async function(doc) {
   }
 });
 
+testSeriesEnrollmentSchema.post('save', function() {
+  this.constructor.calcTotalEnrollments(this.testSeries);
+});
+
+testSeriesEnrollmentSchema.post(/^findOneAnd/, async function(doc) {
+  if (doc) {
+    await doc.constructor.calcTotalEnrollments(doc.testSeries);
+  }
+});
+
 // ==========================================
 // INDEXES
 // ==========================================
 enrollmentSchema.index({ student: 1, course: 1 }, { unique: true });
+testSeriesEnrollmentSchema.index({ student: 1, testSeries: 1 }, { unique: true });
 paymentSchema.index({ user: 1, status: 1 });
+paymentSchema.index({ paymentGateway: 1, gatewayPaymentId: 1 });
+paymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+invoiceSchema.index({ payment: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refundKey: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $exists: true } } });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: 1, type: 1 });
+ledgerEntrySchema.index({ instructor: 1, at: 1 });
+ledgerEntrySchema.index({ payment: 1, lineKey: 1 });
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+enrollmentSchema.index({ subscription: 1 });
+exchangeRateSchema.index({ base: 1, currency: 1 }, { unique: true });
 
 // ==========================================
 // EXPORTS
 // ==========================================
 module.exports = {
   Payment: mongoose.models.Payment || mongoose.model('Payment', paymentSchema),
-  Enrollment: mongoose.models.Enrollment || mongoose.model('Enrollment', enrollmentSchema)
+  PaymentEvent: mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema),
+  Cart: mongoose.models.Cart || mongoose.model('Cart', cartSchema),
+  ExchangeRate: mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema),
+  Invoice: mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema),
+  LedgerEntry: mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema),
+  PayoutBatch: mongoose.models.PayoutBatch || mongoose.model('PayoutBatch', payoutBatchSchema),
+  SubscriptionPlan: mongoose.models.SubscriptionPlan || mongoose.model('SubscriptionPlan', subscriptionPlanSchema),
+  Subscription: mongoose.models.Subscription || mongoose.model('Subscription', subscriptionSchema),
+  Enrollment: mongoose.models.Enrollment || mongoose.model('Enrollment', enrollmentSchema),
+  TestSeriesEnrollment: mongoose.models.TestSeriesEnrollment || mongoose.model('TestSeriesEnrollment', testSeriesEnrollmentSchema)
 };
 
 
@@ -53,6 +53,8 @@ const categorySchema = new mongoose.Schema({
   icon: String,
   image: String,
   parentCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+  // Used for the category's courses that don't choose their own
+  certificateTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'CertificateTemplate' },
   isActive: { type: Boolean, default: true },
   isDeleted: { type: Boolean, default: false }
 }, { 
@@ -96,6 +98,8 @@ const courseInstructorSchema = new mongoose.Schema({
     canViewAnalytics: { type: Boolean, default: true },
     canGradeAssignments: { type: Boolean, default: false }
   },
+  // Percent of the course's instructor earnings; unset everywhere means an equal split
+  revenueShare: { type: Number, min: 0, max: 100 },
   addedAt: { type: Date, default: Date.now },
   addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   isActive: { type: Boolean, default: true }
@@ -123,8 +127,39 @@ const courseSchema = new mongoose.Schema({
   discountPrice: { type: Number, min: 0 },
   discountStartDate: Date,
   discountEndDate: Date,
+  // Set prices in other currencies; the sale window above applies to them too.
+  // Currencies without an entry are converted from `price` with the FX table.
+  prices: {
+    type: [{
+      currency: { type: String, required: true, uppercase: true, trim: true },
+      price: { type: Number, required: true, min: 0 },
+      discountPrice: { type: Number, min: 0 },
+      _id: false
+    }],
+    validate: {
+      validator: (prices) => new Set(prices.map(p => p.currency)).size === prices.length,
+      message: 'Each currency can only have one price'
+    }
+  },
   isFree: { type: Boolean, default: false },
 
+  certificateTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'CertificateTemplate' },
+  // What earns the certificate; with nothing set, completing every lesson does
+  completionCriteria: {
+    requiredLessons: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lesson' }], // Empty means all lessons
+    minQuizAverage: { type: Number, min: 0, max: 100 }, // Best score per quiz, averaged over the course's quizzes
+    requireQuizzesPassed: { type: Boolean, default: false }, // Each quiz at its own passingScore
+    requireAssignmentsPassed: { type: Boolean, default: false }, // Each assignment graded at or above passingPoints
+    finalMockTest: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest' },
+    finalMockTestMinPercentage: { type: Number, min: 0, max: 100 },
+    // Certificate grade for a final score; the highest band reached wins, else "Passed"
+    gradeBands: [{
+      minScore: { type: Number, required: true, min: 0, max: 100 },
+      grade: { type: String, required: true, trim: true },
+      _id: false
+    }]
+  },
+
   totalDuration: { type: Number, default: 0 },
   totalLessons: { type: Number, default: 0 },
   totalSections: { type: Number, default: 0 },
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { COMPARISON_MODES } = require('../../utils/constants');
 
 const assignmentSchema = new mongoose.Schema({
   title: { type: String, required: true },
@@ -85,7 +86,26 @@ const codingExerciseSchema = new mongoose.Schema({
   
   initialCode: String,
   solutionCode: String,
-  testCases: [{ input: String, expectedOutput: String, isHidden: { type: Boolean, default: false }, points: { type: Number, default: 1 } }],
+  testCases: [{
+    input: String,
+    expectedOutput: String,
+    isHidden: { type: Boolean, default: false },
+    points: { type: Number, default: 1 },
+    // Optional per-test override of comparison.mode / comparison.epsilon
+    comparisonMode: { type: String, enum: COMPARISON_MODES },
+    epsilon: Number
+  }],
+
+  // How program output is matched against testCases[].expectedOutput
+  comparison: {
+    mode: { type: String, enum: COMPARISON_MODES, default: 'exact' },
+    epsilon: { type: Number, default: 1e-6 },
+    // Instructor-supplied checker, required when any test uses the 'checker' mode
+    checker: {
+      language: String,
+      code: { type: String, select: false }
+    }
+  },
   constraints: [String],
   hints: [String],
   
@@ -104,18 +124,31 @@ const codingExerciseSchema = new mongoose.Schema({
   },
   
   totalPoints: { type: Number, default: 10 },
-  timeLimit: Number,
-  memoryLimit: Number,
+  timeLimit: Number, // milliseconds per test case
+  memoryLimit: Number, // megabytes per test case
   isPublished: { type: Boolean, default: true },
   isDeleted: { type: Boolean, default: false }
 }, { timestamps: true });
 
+codingExerciseSchema.pre('validate', function(next) {
+  const usesChecker = this.comparison && (this.comparison.mode === 'checker' ||
+    (this.testCases || []).some(tc => tc.comparisonMode === 'checker'));
+
+  // The checker code is not selected by default, so only validate when it was loaded or changed
+  if (usesChecker && (this.isNew || this.isModified('comparison')) && !(this.comparison.checker && this.comparison.checker.code)) {
+    this.invalidate('comparison.checker.code', 'A checker is required for the checker comparison mode');
+  }
+  next();
+});
+
 const codingSubmissionSchema = new mongoose.Schema({
   exercise: { type: mongoose.Schema.Types.ObjectId, ref: 'CodingExercise', required: true },
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   code: { type: String, required: true },
   language: String, // You could add Master validation here too, but it's usually inherited from the exercise
   submittedAt: { type: Date, default: Date.now },
+  // "Run code" results (visible or ad-hoc tests only); never graded
+  isPractice: { type: Boolean, default: false },
   
   // Refactored to use Master validation
   status: { 
@@ -131,10 +164,69 @@ const codingSubmissionSchema = new mongoose.Schema({
     }
   },
   
-  testResults: [{ testCase: String, passed: Boolean, output: String, expectedOutput: String, points: Number }],
+  testResults: [{
+    testCase: String,
+    isHidden: { type: Boolean, default: false },
+    passed: Boolean,
+    verdict: String,
+    comparisonMode: String,
+    checkerMessage: String,
+    output: String,
+    expectedOutput: String,
+    points: Number,
+    error: String,
+    executionTime: Number, // milliseconds
+    memoryUsed: Number // kilobytes (peak RSS)
+  }],
+  // Judge outcome, set once status reaches 'completed'
+  verdict: {
+    type: String,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('code_submission_verdict', value);
+      },
+      message: 'Invalid code submission verdict'
+    }
+  },
+  judgeJobId: String,
+  judgeStartedAt: Date,
+  judgedAt: Date,
+
   totalPoints: Number,
-  executionTime: Number,
-  memoryUsed: Number,
+  executionTime: Number, // slowest test case, milliseconds
+  memoryUsed: Number, // highest peak across test cases, kilobytes
+  error: String
+}, { timestamps: true });
+
+// Pairwise similarity (plagiarism) report for one exercise or assignment
+const similarityReportSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['CodingExercise', 'Assignment'], required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, refPath: 'targetType', required: true },
+  method: { type: String, enum: ['winnowing', 'shingling'], required: true },
+  parameters: { k: Number, window: Number, threshold: Number },
+  submissionsCompared: { type: Number, default: 0 },
+  pairs: [{
+    submissionA: { type: mongoose.Schema.Types.ObjectId, required: true },
+    submissionB: { type: mongoose.Schema.Types.ObjectId, required: true },
+    studentA: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    studentB: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    similarity: Number, // Jaccard index of the fingerprint sets (0-1)
+    coverageA: Number, // share of A's fingerprints found in B (0-1)
+    coverageB: Number,
+    // Character offsets of matching regions in each submission
+    matches: [{
+      _id: false,
+      a: { start: Number, end: Number },
+      b: { start: Number, end: Number }
+    }]
+  }],
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Reports are generated by the similarity queue; pairs are filled in once completed
+  status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending' },
+  jobId: String,
+  completedAt: Date,
   error: String
 }, { timestamps: true });
 
@@ -143,6 +235,8 @@ const codingSubmissionSchema = new mongoose.Schema({
 // ==========================================
 assignmentSubmissionSchema.index({ assignment: 1, student: 1 });
 codingSubmissionSchema.index({ exercise: 1, student: 1 });
+codingSubmissionSchema.index({ status: 1, submittedAt: 1 });
+similarityReportSchema.index({ targetType: 1, target: 1, createdAt: -1 });
 
 // ==========================================
 // EXPORTS
@@ -151,7 +245,8 @@ module.exports = {
   Assignment: mongoose.model('Assignment', assignmentSchema),
   AssignmentSubmission: mongoose.model('AssignmentSubmission', assignmentSubmissionSchema),
   CodingExercise: mongoose.model('CodingExercise', codingExerciseSchema),
-  CodingSubmission: mongoose.model('CodingSubmission', codingSubmissionSchema)
+  CodingSubmission: mongoose.model('CodingSubmission', codingSubmissionSchema),
+  SimilarityReport: mongoose.model('SimilarityReport', similarityReportSchema)
 };
 
 // const mongoose = require('mongoose');
@@ -6,15 +6,39 @@ const couponSchema = new mongoose.Schema({
   description: String,
   discountType: { type: String, enum: ['percentage', 'fixed_amount', 'free'], required: true },
   discountValue: { type: Number, required: true }, 
+  currency: { type: String, uppercase: true }, // Of fixed amounts, caps and minimum order; base currency when unset
   validForCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
+  validForCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  // Only items taught by these instructors; an instructor's own coupons are always limited to them
+  validForInstructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, 
   startDate: { type: Date, default: Date.now },
   expiryDate: { type: Date, required: true },
   usageLimit: { type: Number, default: null }, // Max number of times this coupon can be used total
-  usedCount: { type: Number, default: 0 },
+  usedCount: { type: Number, default: 0 }, // Kept in step with active CouponRedemptions
+  perUserLimit: { type: Number, default: null, min: 1 },
+  firstPurchaseOnly: { type: Boolean, default: false },
+  minOrderValue: { type: Number, default: 0, min: 0 }, // Against the order subtotal before discounts
+  maxDiscountAmount: { type: Number, default: null, min: 0 },
+  stackable: { type: Boolean, default: false }, // Can be combined with other stackable coupons
+  batch: { type: String, index: true }, // Set on codes made by the bulk generator
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
+// One use of a coupon by one payment. Active rows are what usedCount counts;
+// `slot` numbers a user's uses so the per-user limit is held by a unique index
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true },
+  discount: { type: Number, default: 0 },
+  slot: Number,
+  active: { type: Boolean, default: true },
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+  redeemedAt: Date,
+  releasedAt: Date
+}, { timestamps: true });
+
 // Instructor Announcements to Enrolled Students
 const announcementSchema = new mongoose.Schema({
   course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
@@ -39,11 +63,19 @@ const cohortSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 couponSchema.index({ code: 1 });
+couponSchema.index({ instructor: 1, batch: 1 });
+couponRedemptionSchema.index({ coupon: 1, payment: 1 }, { unique: true });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { active: true, slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ user: 1, coupon: 1, active: 1 });
 announcementSchema.index({ course: 1, createdAt: -1 });
 cohortSchema.index({ course: 1, startDate: 1 });
 
 module.exports = {
   Coupon: mongoose.models.Coupon || mongoose.model('Coupon', couponSchema),
+  CouponRedemption: mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema),
   Announcement: mongoose.models.Announcement || mongoose.model('Announcement', announcementSchema),
   Cohort: mongoose.models.Cohort || mongoose.model('Cohort', cohortSchema)
 };
\ No newline at end of file
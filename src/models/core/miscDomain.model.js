@@ -1 +1,75 @@
- 
\ No newline at end of file
+const mongoose = require('mongoose');
+
+// Retention for user activity; audit logs are archived by the cleanup queue instead
+const ACTIVITY_LOG_TTL_DAYS = parseInt(process.env.ACTIVITY_LOG_TTL_DAYS, 10) || 365;
+
+// Request level audit trail written by middlewares/auditMiddleware
+const auditLogSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  action: { type: String, required: true },
+  resource: String,
+  method: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  timestamp: { type: Date, default: Date.now },
+  requestBody: mongoose.Schema.Types.Mixed,
+  requestParams: mongoose.Schema.Types.Mixed,
+  requestQuery: mongoose.Schema.Types.Mixed,
+  responseBody: mongoose.Schema.Types.Mixed,
+  duration: Number // milliseconds
+}, { timestamps: true });
+
+// Platform configuration, one document per key
+const systemSettingsSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  value: mongoose.Schema.Types.Mixed,
+  type: { type: String, enum: ['string', 'number', 'boolean', 'object', 'array'], default: 'string' },
+  description: String,
+  isPublic: { type: Boolean, default: false }, // Exposed to unauthenticated clients
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// User facing activity feed (logins, enrollments, payments...)
+const activityLogSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Refactored to use Master validation
+  type: {
+    type: String,
+    required: true,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('activity_type', value);
+      },
+      message: 'Invalid activity type'
+    }
+  },
+
+  description: String,
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, { timestamps: true });
+
+// ==========================================
+// INDEXES
+// ==========================================
+auditLogSchema.index({ user: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ createdAt: 1 }); // cleanupQueue archives by age
+
+activityLogSchema.index({ user: 1, createdAt: -1 });
+activityLogSchema.index({ type: 1, createdAt: -1 });
+activityLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: ACTIVITY_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+// ==========================================
+// EXPORTS
+// ==========================================
+module.exports = {
+  AuditLog: mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema),
+  SystemSettings: mongoose.models.SystemSettings || mongoose.model('SystemSettings', systemSettingsSchema),
+  ActivityLog: mongoose.models.ActivityLog || mongoose.model('ActivityLog', activityLogSchema)
+};
@@ -1,5 +1,128 @@
 const mongoose = require('mongoose');
 
+// In-app notifications. Entries with an expiresAt are removed by MongoDB once it passes
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Refactored to use Master validation
+  type: {
+    type: String,
+    required: true,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('notification_type', value);
+      },
+      message: 'Invalid notification type'
+    }
+  },
+
+  title: { type: String, required: true, trim: true },
+  message: { type: String, required: true },
+  data: mongoose.Schema.Types.Mixed, // e.g. { courseId, sessionId, actionUrl }
+  isRead: { type: Boolean, default: false },
+  readAt: Date,
+  isImportant: { type: Boolean, default: false },
+  expiresAt: { type: Date, default: null }
+}, { timestamps: true });
+
+notificationSchema.pre('save', function(next) {
+  if (this.isModified('isRead') && this.isRead && !this.readAt) {
+    this.readAt = new Date();
+  }
+  next();
+});
+
+// Curated sequence of courses (e.g. "Full Stack Developer")
+const learningPathSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  description: { type: String, required: true },
+  thumbnail: String,
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+
+  // Refactored to use Master validation
+  level: {
+    type: String,
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('course_level', value);
+      },
+      message: 'Invalid learning path level'
+    }
+  },
+
+  courses: [{
+    course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    order: { type: Number, required: true },
+    isRequired: { type: Boolean, default: true },
+    credits: { type: Number, default: 0 }
+  }],
+  totalCourses: { type: Number, default: 0 },
+  totalCredits: { type: Number, default: 0 },
+  estimatedDuration: Number, // in hours
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  isPublished: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, { timestamps: true });
+
+learningPathSchema.pre('save', function(next) {
+  if (this.isModified('courses')) {
+    this.courses.sort((a, b) => a.order - b.order);
+    this.totalCourses = this.courses.length;
+    this.totalCredits = this.courses.reduce((acc, c) => acc + (c.credits || 0), 0);
+  }
+  next();
+});
+
+// Scheduled live classes for a course (meeting hosted by an external provider)
+const liveSessionSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true, trim: true },
+  description: String,
+  startTime: { type: Date, required: true },
+  endTime: { type: Date, required: true },
+  duration: Number, // in minutes
+  meetingLink: String,
+  maxParticipants: Number,
+
+  // Refactored to use Master validation
+  status: {
+    type: String,
+    default: 'scheduled',
+    validate: {
+      validator: async function(value) {
+        if (!value) return true;
+        const Master = mongoose.model('Master');
+        return await Master.validateValue('live_session_status', value);
+      },
+      message: 'Invalid live session status'
+    }
+  },
+
+  participants: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinedAt: Date,
+    leftAt: Date
+  }],
+  isRecorded: { type: Boolean, default: false },
+  recordingUrl: String,
+  isDeleted: { type: Boolean, default: false },
+  deletedAt: Date
+}, { timestamps: true });
+
+liveSessionSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after the start time');
+  }
+  next();
+});
+
 // Private Notes taken by students during a video lesson
 const studentNoteSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -43,6 +166,14 @@ const userBadgeSchema = new mongoose.Schema({
 // ==========================================
 // INDEXES
 // ==========================================
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+learningPathSchema.index({ isPublished: 1, isDeleted: 1 });
+learningPathSchema.index({ category: 1 });
+learningPathSchema.index({ 'courses.course': 1 });
+liveSessionSchema.index({ course: 1, startTime: 1 });
+liveSessionSchema.index({ status: 1, startTime: 1 });
+liveSessionSchema.index({ instructor: 1, startTime: -1 });
 studentNoteSchema.index({ student: 1, lesson: 1 });
 userBadgeSchema.index({ student: 1, badge: 1 }, { unique: true });
 
@@ -50,6 +181,9 @@ userBadgeSchema.index({ student: 1, badge: 1 }, { unique: true });
 // EXPORTS
 // ==========================================
 module.exports = {
+  Notification: mongoose.models.Notification || mongoose.model('Notification', notificationSchema),
+  LearningPath: mongoose.models.LearningPath || mongoose.model('LearningPath', learningPathSchema),
+  LiveSession: mongoose.models.LiveSession || mongoose.model('LiveSession', liveSessionSchema),
   StudentNote: mongoose.models.StudentNote || mongoose.model('StudentNote', studentNoteSchema),
   Badge: mongoose.models.Badge || mongoose.model('Badge', badgeSchema),
   UserBadge: mongoose.models.UserBadge || mongoose.model('UserBadge', userBadgeSchema)
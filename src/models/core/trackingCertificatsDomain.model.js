@@ -28,6 +28,59 @@ const progressTrackingSchema = new mongoose.Schema({
   completedAt: Date
 }, { timestamps: true });
 
+// Placeholders a template's text can use, as {{name}}
+const CERTIFICATE_PLACEHOLDERS = [
+  'studentName', 'courseName', 'instructorName', 'grade', 'percentage',
+  'issueDate', 'expiryDate', 'certificateNumber', 'verificationUrl', 'issuerName'
+];
+
+// A positioned element on the page, in PDF points from the top-left corner
+const certificateTemplateElementSchema = new mongoose.Schema({
+  type: { type: String, enum: ['text', 'image', 'qr', 'line', 'rect'], required: true },
+  // text: may use {{placeholders}}; skipped when all of them are empty
+  content: {
+    type: String,
+    validate: {
+      validator: (content) => [...String(content).matchAll(/{{\s*(\w+)\s*}}/g)].every(m => CERTIFICATE_PLACEHOLDERS.includes(m[1])),
+      message: `Unknown placeholder. Available: ${CERTIFICATE_PLACEHOLDERS.join(', ')}`
+    }
+  },
+  imageUrl: String, // image: logo, signature, seal
+  x: { type: Number, required: true, min: 0 },
+  y: { type: Number, required: true, min: 0 },
+  width: { type: Number, min: 0 },
+  height: { type: Number, min: 0 },
+  font: String, // A standard PDF font (Helvetica, Times-Roman, ...) or one of the template's fonts
+  fontSize: { type: Number, min: 4, max: 200 },
+  color: String,
+  fill: String, // rect: fill colour
+  align: { type: String, enum: ['left', 'center', 'right', 'justify'], default: 'left' },
+  lineWidth: { type: Number, min: 0 },
+  opacity: { type: Number, min: 0, max: 1 }
+}, { _id: false });
+
+const certificateTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  language: { type: String, default: 'en' }, // Dates and numbers are written for this locale
+  size: { type: String, enum: ['A4', 'A3', 'LETTER', 'LEGAL'], default: 'A4' },
+  layout: { type: String, enum: ['landscape', 'portrait'], default: 'landscape' },
+  backgroundColor: String,
+  backgroundImageUrl: String,
+  // TTF/OTF fonts for scripts the standard PDF fonts lack
+  fonts: [{
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    _id: false
+  }],
+  elements: [certificateTemplateElementSchema],
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+certificateTemplateSchema.statics.PLACEHOLDERS = CERTIFICATE_PLACEHOLDERS;
+
 const certificateSchema = new mongoose.Schema({
   student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
@@ -42,13 +95,24 @@ const certificateSchema = new mongoose.Schema({
   instructorName: String,
   certificateUrl: String,
   verificationUrl: String,
-  isValid: { type: Boolean, default: true }
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'CertificateTemplate' }, // Chosen at issue time
+  isValid: { type: Boolean, default: true },
+  revokedAt: Date,
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revocationReason: String,
+  // Canonical JSON signed at issue time, its Ed25519 signature and the signing key
+  signedPayload: String,
+  signature: String,
+  keyId: String
 }, { timestamps: true });
 
 progressTrackingSchema.index({ student: 1, course: 1 }, { unique: true });
 certificateSchema.index({ certificateNumber: 1 });
+certificateSchema.index({ student: 1, course: 1 });
+certificateTemplateSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
 
 module.exports = {
   ProgressTracking: mongoose.model('ProgressTracking', progressTrackingSchema),
-  Certificate: mongoose.model('Certificate', certificateSchema)
+  Certificate: mongoose.model('Certificate', certificateSchema),
+  CertificateTemplate: mongoose.model('CertificateTemplate', certificateTemplateSchema)
 };
\ No newline at end of file
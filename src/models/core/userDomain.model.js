@@ -2,13 +2,18 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); 
 const crypto = require('crypto');   
 
+// Accounts created through an identity provider have no password until the user sets one
+const requiresPassword = function() {
+  return !(this.identities && this.identities.length > 0) || this.isModified('password');
+};
+
 // Base User Schema
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
-  password: { type: String, required: true, minlength: 6, select: false },
+  password: { type: String, required: requiresPassword, minlength: 6, select: false },
   confirmPassword: {
     type: String,
-    required: [true, 'Please confirm your password'],
+    required: [requiresPassword, 'Please confirm your password'],
     validate: {
       validator: function(el) {
         return el === this.password;
@@ -49,6 +54,46 @@ const userSchema = new mongoose.Schema({
   passwordResetToken: String,
   passwordResetExpires: Date,
 
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+
+  // TOTP two-factor authentication. Secrets are encrypted, recovery codes are sha256 hashes
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+
+  // Login protection: devices seen at successful logins, and failed-attempt lockout
+  knownDevices: {
+    type: [{
+      fingerprint: { type: String, required: true },
+      browser: String,
+      os: String,
+      ipPrefix: String,
+      firstSeenAt: { type: Date, default: Date.now },
+      lastSeenAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  failedLoginAttempts: { type: Number, default: 0, select: false },
+  lastFailedLoginAt: { type: Date, select: false },
+  lockUntil: Date,
+  passwordResetRequired: { type: Boolean, default: false },
+
+  // Sign-in identities at OpenID Connect / OAuth2 providers (Google, GitHub, Microsoft...)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }],
+
   isDeleted: { type: Boolean, default: false },
   deletedAt: { type: Date, default: null }
 }, { timestamps: true });
@@ -87,6 +132,15 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = now + 24 * 60 * 60 * 1000;
+  this.emailVerificationSentAt = now;
+  return verificationToken;
+};
+
  // Refactored to use Master validation
   // role: { 
   //   type: String, 
@@ -198,15 +252,40 @@ const studentProfileSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Signed-in device/browser for a user. Expired sessions are removed by MongoDB (TTL)
+// A session is one refresh-token family: each refresh replaces tokenHash, and a
+// token that no longer matches it is a replayed one, which revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  userAgent: String,
+  device: String,
+  ip: String,
+  tokenHash: { type: String, select: false },
+  lastActiveAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'logout_all', 'password_changed', 'token_reuse', 'account_disabled', 'unrecognized_login']
+  }
+}, { timestamps: true });
+
 // ==========================================
 // INDEXES & EXPORTS
 // ==========================================
 userSchema.index({ role: 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'identities.subject': { $exists: true } }
+});
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = {
   User: mongoose.models.User || mongoose.model('User', userSchema),
   InstructorProfile: mongoose.models.InstructorProfile || mongoose.model('InstructorProfile', instructorProfileSchema),
-  StudentProfile: mongoose.models.StudentProfile || mongoose.model('StudentProfile', studentProfileSchema)
+  StudentProfile: mongoose.models.StudentProfile || mongoose.model('StudentProfile', studentProfileSchema),
+  Session: mongoose.models.Session || mongoose.model('Session', sessionSchema)
 };
 
 
@@ -1,24 +1,24 @@
 // Central export file unifying all domain models
 
-// Contains: User, InstructorProfile, StudentProfile
+// Contains: User, InstructorProfile, StudentProfile, Session
 const UserModels = require('./core/userDomain.model');
 // Contains: Category, Course, Section, Lesson
 const CourseModels = require('./core/courseDomain.model');
-// Contains: Quiz, QuizQuestion, MockTest, MockTestQuestion, MockTestAttempt
+// Contains: Quiz, QuizQuestion, TestSeries, MockTest, BankQuestion, MockTestQuestion, MockTestAttempt
 const AssessmentModels = require('./core/assesmentDomain.model');
-// Contains: Assignment, AssignmentSubmission, CodingExercise, CodingSubmission
+// Contains: Assignment, AssignmentSubmission, CodingExercise, CodingSubmission, SimilarityReport
 const ExerciseModels = require('./core/exerciseDomain.model');
 // Contains: Review, Discussion, DiscussionReply
 const InteractionModels = require('./core/interactionDomain.model');
-// Contains: Payment, Enrollment
+// Contains: Payment, PaymentEvent, Cart, ExchangeRate, Invoice, LedgerEntry, PayoutBatch, SubscriptionPlan, Subscription, Enrollment, TestSeriesEnrollment
 const CommerceModels = require('./core/commerceDomain.model');
-// Contains: ProgressTracking, Certificate
+// Contains: ProgressTracking, Certificate, CertificateTemplate
 const TrackingModels = require('./core/trackingCertificatsDomain.model');
 // Contains: AuditLog, SystemSettings, ActivityLog
 const MiscModels = require('./core/miscDomain.model');
 // Contains: Notification, LearningPath, LiveSession, StudentNote, Badge, UserBadge
 const studentExperience = require('./core/studentExperienceDomain.model');
-// Contains: Coupon, Announcement, Cohort
+// Contains: Coupon, CouponRedemption, Announcement, Cohort
 const marketing = require('./core/marketingDomain.model');
 const Master = require('../config/Master');
 const Post = require('./core/postModel')
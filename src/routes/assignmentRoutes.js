@@ -27,6 +27,9 @@ router.use(authController.restrictTo('instructor', 'admin'));
 
 router.post('/', assignmentController.createAssignment);
 router.get('/:assignmentId/submissions', assignmentController.getAssignmentSubmissions);
+router.route('/:assignmentId/similarity-report')
+  .get(assignmentController.getSimilarityReport)
+  .post(assignmentController.generateSimilarityReport);
 router.patch('/submissions/:id/grade', assignmentController.gradeSubmission);
 
 module.exports = router;
@@ -1,17 +1,60 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const { checkValidId } = require('../middlewares/validateId');
 
 const router = express.Router();
 
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
 router.post('/signup', authController.signup);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
 router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
 router.post('/forgotPassword', authController.forgotPassword);
 router.patch('/resetPassword/:token', authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/resend', authController.resendVerificationEmail);
+router.route('/devices/not-me/:token')
+  .get(authController.confirmUnrecognizedLogin)
+  .post(authController.reportUnrecognizedLogin);
+
+// Sign-in with external identity providers (OpenID Connect / OAuth2)
+router.get('/oidc/providers', authController.getOidcProviders);
+router.get('/oidc/:provider', authController.oidcLogin);
+router.route('/oidc/:provider/callback')
+  .get(authController.oidcCallback)
+  .post(authController.oidcCallback);
+
+// Two-factor login step and enrolment (also reachable with a login challenge token)
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.post('/2fa/setup', authController.protectTwoFactorSetup, authController.setupTwoFactor);
+router.post('/2fa/enable', authController.protectTwoFactorSetup, authController.enableTwoFactor);
 
 // Protect all routes after this middleware
 router.use(authController.protect);
 
 router.patch('/updateMyPassword', authController.updatePassword);
 
+// Device sessions
+router.route('/sessions')
+  .get(authController.getMySessions)
+  .delete(authController.revokeAllSessions);
+
+router.delete('/sessions/:id', authController.revokeSession);
+
+// Linked sign-in providers
+router.route('/oidc/:provider/link')
+  .post(authController.oidcLink)
+  .delete(authController.oidcUnlink);
+
+// Two-factor authentication
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
+
+router.route('/2fa/policy')
+  .get(authController.restrictTo('admin'), authController.getTwoFactorPolicy)
+  .patch(authController.restrictTo('admin'), authController.updateTwoFactorPolicy);
+
 module.exports = router;
\ No newline at end of file
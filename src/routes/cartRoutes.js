@@ -0,0 +1,29 @@
+const express = require('express');
+const cartController = require('../controllers/cartController');
+const authController = require('../controllers/authController');
+const { requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// A cart always belongs to the logged in user
+router.use(authController.protect);
+
+router.route('/')
+  .get(cartController.getCart)
+  .delete(cartController.clearCart);
+
+router.post('/items', cartController.addItem);
+router.delete('/items/:id', cartController.removeItem);
+
+router.route('/coupon')
+  .post(cartController.applyCoupon)
+  .delete(cartController.removeCoupon);
+
+router.patch('/currency', cartController.setCurrency);
+router.post('/checkout', requireVerifiedEmail('payment'), cartController.checkout);
+
+module.exports = router;
@@ -10,18 +10,23 @@ const router = express.Router();
 router.param('id', checkValidId);
 router.param('courseId', checkValidId);
 
-// Public Route
+// Public Routes
+router.get('/public-key', certificateController.getPublicKey);
+router.post('/verify', certificateController.verifySubmitted);
 router.get('/verify/:certificateNumber', certificateController.verifyCertificate);
+router.get('/verify/:certificateNumber/credential', certificateController.getCredential);
 
 // Protected Routes
 router.use(authController.protect);
 
 router.get('/my-certificates', certificateController.getMyCertificates);
+router.get('/eligibility/:courseId', certificateController.getEligibility);
 router.post('/claim/:courseId', certificateController.claimCertificate);
 router.get('/download/:id', certificateController.generatePDF);
 
 // Admin Only
 router.use(authController.restrictTo('admin'));
+router.post('/sign-unsigned', certificateController.signUnsignedCertificates);
 router.patch('/:id/revoke', certificateController.revokeCertificate);
 router.get('/', certificateController.getAllCertificates);
 
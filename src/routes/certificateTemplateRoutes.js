@@ -0,0 +1,28 @@
+const express = require('express');
+const certificateTemplateController = require('../controllers/certificateTemplateController');
+const authController = require('../controllers/authController');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// ADMIN ROUTES
+router.use(authController.protect, authController.restrictTo('admin'));
+
+router.get('/placeholders', certificateTemplateController.getPlaceholders);
+router.post('/preview', certificateTemplateController.previewDraft);
+
+router.route('/')
+  .get(certificateTemplateController.getAllTemplates)
+  .post(certificateTemplateController.createTemplate);
+
+router.route('/:id')
+  .get(certificateTemplateController.getTemplate)
+  .patch(certificateTemplateController.updateTemplate)
+  .delete(certificateTemplateController.deleteTemplate);
+
+router.get('/:id/preview', certificateTemplateController.previewTemplate);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const router = express.Router();
 // Apply Parameter Shield
 router.param('id', checkValidId);
 router.param('exerciseId', checkValidId);
+router.param('submissionId', checkValidId);
 
 // Protect all routes
 router.use(authController.protect);
@@ -16,6 +17,12 @@ router.use(authController.protect);
 router.post('/:exerciseId/execute', codingExerciseController.executeCode);
 router.post('/:exerciseId/submit', codingExerciseController.submitSolution);
 router.get('/:exerciseId/my-submissions', codingExerciseController.getMySubmissions);
+router.get('/submissions/:submissionId', codingExerciseController.getSubmissionStatus);
+
+// Instructor-only similarity (plagiarism) reports
+router.route('/:exerciseId/similarity-report')
+  .get(authController.restrictTo('instructor', 'admin'), codingExerciseController.getSimilarityReport)
+  .post(authController.restrictTo('instructor', 'admin'), codingExerciseController.generateSimilarityReport);
 
 // Instructor routes
 router.post('/', codingExerciseController.createCodingExercise);
@@ -17,6 +17,7 @@ router.post('/apply', couponController.applyCoupon);
 
 // Instructor routes
 router.get('/my-coupons', couponController.getInstructorCoupons);
+router.post('/bulk', authController.restrictTo('instructor', 'admin'), couponController.generateCoupons);
 
 // CRUD operations
 router.route('/')
@@ -25,9 +26,10 @@ router.route('/')
 
 router.route('/:id')
   .get(couponController.getCoupon)
-  .patch(couponController.updateCoupon)
-  .delete(couponController.deleteCoupon);
+  .patch(authController.restrictTo('instructor', 'admin'), couponController.checkOwnership, couponController.updateCoupon)
+  .delete(authController.restrictTo('instructor', 'admin'), couponController.checkOwnership, couponController.deleteCoupon);
 
+router.get('/:id/redemptions', authController.restrictTo('instructor', 'admin'), couponController.checkOwnership, couponController.getRedemptions);
 router.patch('/:id/deactivate', couponController.deactivateCoupon);
 
 module.exports = router;
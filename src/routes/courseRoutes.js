@@ -2,7 +2,7 @@
 const express = require('express');
 const courseController = require('../controllers/courseController');
 const sectionRouter = require('./sectionRoutes');
-const { protect, restrictTo } = require('../middlewares/authMiddleware');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
@@ -33,6 +33,7 @@ router.get('/instructor/my-courses', courseController.getMyInstructorCourses);
 // Course CRUD
 router.post('/', 
   restrictTo('instructor', 'admin'),
+  requireVerifiedEmail('course_creation'),
   courseController.setPrimaryInstructor,
   courseController.initializeInstructors,
   courseController.validateMasterFields,
@@ -0,0 +1,23 @@
+const express = require('express');
+const currencyController = require('../controllers/currencyController');
+const authController = require('../controllers/authController');
+const { optionalAuth } = require('../middlewares/authMiddleware');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// Public; a logged in visitor gets prices in their country's currency
+router.get('/', optionalAuth, currencyController.getCurrencies);
+router.get('/quote', optionalAuth, currencyController.getQuote);
+
+// ADMIN ROUTES
+router.use(authController.protect, authController.restrictTo('admin'));
+
+router.route('/rates/:currency')
+  .put(currencyController.setRate)
+  .delete(currencyController.removeRate);
+
+module.exports = router;
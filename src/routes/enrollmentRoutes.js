@@ -1,6 +1,7 @@
 const express = require('express');
 const enrollmentController = require('../controllers/enrollmentController');
 const authController = require('../controllers/authController');
+const { requireVerifiedEmail } = require('../middlewares/authMiddleware');
 const { checkValidId } = require('../middlewares/validateId'); // Added
 
 const router = express.Router();
@@ -17,7 +18,7 @@ router.use(authController.protect);
 // ==========================================
 router.get('/recommendations', enrollmentController.getRecommendedCourses);
 router.get('/timeline', enrollmentController.getStudentTimeline);
-router.post('/bulk-enroll', enrollmentController.bulkEnroll);
+router.post('/bulk-enroll', requireVerifiedEmail('enrollment'), enrollmentController.bulkEnroll);
 router.get('/stats/instructor', authController.restrictTo('instructor', 'admin'), enrollmentController.getInstructorStats);
 router.get('/stats/admin', authController.restrictTo('admin'), enrollmentController.getAdminStats);
 router.get('/trends', authController.restrictTo('admin'), enrollmentController.getEnrollmentTrends);
@@ -38,9 +39,9 @@ router.get('/count/:courseId?', enrollmentController.getActiveEnrollmentsCount);
 router.post('/remind/:courseId', authController.restrictTo('instructor', 'admin'), enrollmentController.sendReminder);
 router.get('/export/course/:courseId', authController.restrictTo('instructor', 'admin'), enrollmentController.exportEnrollments);
 
-router.post('/enroll', enrollmentController.enrollStudent);
+router.post('/enroll', requireVerifiedEmail('enrollment'), enrollmentController.enrollStudent);
 router.get('/my-enrollments', authController.protect, enrollmentController.getMyEnrollments);
-router.post('/:id/enroll', authController.protect, enrollmentController.enrollInCourse);
+router.post('/:id/enroll', authController.protect, requireVerifiedEmail('enrollment'), enrollmentController.enrollInCourse);
 
 // ==========================================
 // 3. DYNAMIC ENROLLMENT ID ROUTES (/:id)
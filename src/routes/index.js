@@ -14,8 +14,11 @@ const quizRoutes = require('./quizRoutes');
 const assignmentRoutes = require('./assignmentRoutes');
 const codingExerciseRoutes = require('./codingExerciseRoutes');
 const mockTestRoutes = require('./mockTestRoutes');
+const questionBankRoutes = require('./questionBankRoutes');
+const testSeriesRoutes = require('./testSeriesRoutes');
 const progressRoutes = require('./progressRoutes');
 const certificateRoutes = require('./certificateRoutes');
+const certificateTemplateRoutes = require('./certificateTemplateRoutes');
 const notificationRoutes = require('./notificationRoutes');
 const paymentRoutes = require('./paymentRoutes');
 const discussionRoutes = require('./discussionRoutes');
@@ -23,6 +26,11 @@ const dropdown = require('./dropdownRoutes');
 
 // NEW ROUTES
 const couponRoutes = require('./couponRoutes');
+const cartRoutes = require('./cartRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const subscriptionRoutes = require('./subscriptionRoutes');
+const currencyRoutes = require('./currencyRoutes');
 const announcementRoutes = require('./announcementRoutes');
 const cohortRoutes = require('./cohortRoutes');
 const badgeRoutes = require('./badgeRoutes');
@@ -64,12 +72,20 @@ router.get('/', (req, res) => {
         assignments: '/api/v1/assignments',
         coding: '/api/v1/coding-exercises',
         mocktests: '/api/v1/mock-tests',
+        questionBank: '/api/v1/question-bank',
+        testSeries: '/api/v1/test-series',
         progress: '/api/v1/progress',
         certificates: '/api/v1/certificates',
+        certificateTemplates: '/api/v1/certificate-templates',
         notifications: '/api/v1/notifications',
         payments: '/api/v1/payments',
         discussions: '/api/v1/discussions',
         coupons: '/api/v1/coupons',
+        cart: '/api/v1/cart',
+        invoices: '/api/v1/invoices',
+        payouts: '/api/v1/payouts',
+        subscriptions: '/api/v1/subscriptions',
+        currencies: '/api/v1/currencies',
         announcements: '/api/v1/announcements',
         cohorts: '/api/v1/cohorts',
         badges: '/api/v1/badges',
@@ -100,9 +116,12 @@ router.use('/quizzes', quizRoutes);
 router.use('/assignments', assignmentRoutes);
 router.use('/coding-exercises', codingExerciseRoutes);
 router.use('/mock-tests', mockTestRoutes);
+router.use('/question-bank', questionBankRoutes);
+router.use('/test-series', testSeriesRoutes);
 router.use('/dropdown', dropdown);
 router.use('/progress', progressRoutes);
 router.use('/certificates', certificateRoutes);
+router.use('/certificate-templates', certificateTemplateRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/payments', paymentRoutes);
 router.use('/discussions', discussionRoutes);
@@ -110,6 +129,11 @@ router.use('/masters', masterRoutes);
 
 // NEW ROUTES
 router.use('/coupons', couponRoutes);
+router.use('/cart', cartRoutes);
+router.use('/invoices', invoiceRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/subscriptions', subscriptionRoutes);
+router.use('/currencies', currencyRoutes);
 router.use('/announcements', announcementRoutes);
 router.use('/cohorts', cohortRoutes);
 router.use('/badges', badgeRoutes);
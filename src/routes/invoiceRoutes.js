@@ -0,0 +1,22 @@
+const express = require('express');
+const invoiceController = require('../controllers/invoiceController');
+const authController = require('../controllers/authController');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+router.use(authController.protect);
+
+router.get('/my', invoiceController.getMyInvoices);
+
+// ADMIN ROUTES
+router.get('/register', authController.restrictTo('admin'), invoiceController.exportRegister);
+
+// Owner or admin, checked in the service
+router.get('/:id', invoiceController.getInvoice);
+router.get('/:id/pdf', invoiceController.downloadInvoice);
+
+module.exports = router;
@@ -28,12 +28,24 @@ router.use(authController.protect);
 
 // Student routes
 router.post('/:mockTestId/start', mockTestController.startAttempt);
+router.patch('/attempts/:attemptId/answers', mockTestController.saveAnswers);
+router.patch('/attempts/:attemptId/heartbeat', mockTestController.heartbeat);
 router.post('/attempts/:attemptId/submit', mockTestController.submitAttempt);
 router.get('/attempts/:id', mockTestController.getAttemptDetails); // Regex removed
 
 // Instructor routes
 router.post('/', mockTestController.createMockTest);
 router.post('/:mockTestId/questions', mockTestController.addQuestions);
+router.get(
+  '/:mockTestId/blueprint',
+  authController.restrictTo('instructor', 'admin'),
+  mockTestController.getBlueprintAvailability
+);
+router.post(
+  '/:mockTestId/results/recompute',
+  authController.restrictTo('instructor', 'admin'),
+  mockTestController.recomputeResults
+);
 
 // CRUD operations with ownership checks
 router.route('/:id') // Regex removed
@@ -1,6 +1,7 @@
 const express = require('express');
 const paymentController = require('../controllers/paymentController');
 const authController = require('../controllers/authController');
+const { requireVerifiedEmail } = require('../middlewares/authMiddleware');
 const { checkValidId } = require('../middlewares/validateId'); // Added
 
 const router = express.Router();
@@ -8,12 +9,15 @@ const router = express.Router();
 // Apply Parameter Shield
 router.param('id', checkValidId);
 
-// ALL ROUTES REQUIRE AUTHENTICATION
+// GATEWAY WEBHOOKS (verified by signature, not by login)
+router.post('/webhooks/:gateway', paymentController.handleWebhook);
+
+// ALL OTHER ROUTES REQUIRE AUTHENTICATION
 router.use(authController.protect);
 
 // STUDENT / USER ROUTES
 router.get('/my-payments', paymentController.getMyPayments);
-router.post('/create-intent', paymentController.createPaymentIntent);
+router.post('/create-intent', requireVerifiedEmail('payment'), paymentController.createPaymentIntent);
 router.post('/confirm', paymentController.confirmPayment); 
 
 // ADMIN ROUTES
@@ -0,0 +1,34 @@
+const express = require('express');
+const payoutController = require('../controllers/payoutController');
+const authController = require('../controllers/authController');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+router.use(authController.protect);
+
+// INSTRUCTOR ROUTES
+router.get('/statements/:period', authController.restrictTo('instructor', 'co-instructor', 'admin'), payoutController.getStatement);
+
+router.use('/me', authController.restrictTo('instructor', 'co-instructor'));
+router.get('/me/balance', payoutController.getMyBalance);
+router.get('/me/ledger', payoutController.getMyLedger);
+router.get('/me/payouts', payoutController.getMyPayouts);
+
+// ADMIN ROUTES
+router.use(authController.restrictTo('admin'));
+
+router.route('/batches')
+  .get(payoutController.getBatches)
+  .post(payoutController.generateBatch);
+
+router.get('/batches/:id', payoutController.getBatch);
+router.patch('/batches/:id/payouts/:payoutId', payoutController.updatePayout);
+
+router.post('/adjustments', payoutController.createAdjustment);
+router.patch('/courses/:id/revenue-share', payoutController.setRevenueShares);
+
+module.exports = router;
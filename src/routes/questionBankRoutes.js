@@ -0,0 +1,26 @@
+const express = require('express');
+const questionBankController = require('../controllers/questionBankController');
+const authController = require('../controllers/authController');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// The bank holds answers, so it is never public
+router.use(authController.protect);
+router.use(authController.restrictTo('instructor', 'admin'));
+
+router.get('/stats', questionBankController.getBankStats);
+
+router.route('/')
+  .get(questionBankController.getAllQuestions)
+  .post(questionBankController.createQuestions);
+
+router.route('/:id')
+  .get(questionBankController.getQuestion)
+  .patch(questionBankController.checkOwnership, questionBankController.updateQuestion)
+  .delete(questionBankController.checkOwnership, questionBankController.deleteQuestion);
+
+module.exports = router;
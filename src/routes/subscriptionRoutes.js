@@ -0,0 +1,35 @@
+const express = require('express');
+const subscriptionController = require('../controllers/subscriptionController');
+const authController = require('../controllers/authController');
+const { optionalAuth, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// PUBLIC: plans on sale
+router.get('/plans', optionalAuth, subscriptionController.setPlanFilter, subscriptionController.getAllPlans);
+router.get('/plans/:id', optionalAuth, subscriptionController.setPlanFilter, subscriptionController.getPlan);
+
+router.use(authController.protect);
+
+// STUDENT ROUTES
+router.get('/mine', subscriptionController.getMySubscriptions);
+router.post('/', requireVerifiedEmail('payment'), subscriptionController.subscribe);
+router.get('/:id', subscriptionController.getSubscription);
+router.post('/:id/renew', requireVerifiedEmail('payment'), subscriptionController.renew);
+router.post('/:id/cancel', subscriptionController.cancel);
+router.post('/:id/resume', subscriptionController.resume);
+
+// ADMIN ROUTES
+router.use(authController.restrictTo('admin'));
+
+router.get('/', subscriptionController.getAllSubscriptions);
+router.post('/plans', subscriptionController.createPlan);
+router.route('/plans/:id')
+  .patch(subscriptionController.updatePlan)
+  .delete(subscriptionController.deactivatePlan);
+
+module.exports = router;
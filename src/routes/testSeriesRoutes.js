@@ -0,0 +1,48 @@
+const express = require('express');
+const testSeriesController = require('../controllers/testSeriesController');
+const authController = require('../controllers/authController');
+const { optionalAuth, requireVerifiedEmail } = require('../middlewares/authMiddleware');
+const { checkValidId } = require('../middlewares/validateId');
+
+const router = express.Router();
+
+// Apply Parameter Shield
+router.param('id', checkValidId);
+
+// ==========================================
+// 1. SPECIFIC ROUTES FIRST
+// ==========================================
+router.get('/mine', authController.protect, authController.restrictTo('instructor', 'admin'), testSeriesController.getMyTestSeries);
+router.get('/my-purchases', authController.protect, testSeriesController.getMyPurchases);
+
+// ==========================================
+// 2. PUBLIC ROUTES (admins also see unpublished series)
+// ==========================================
+router.get('/', optionalAuth, testSeriesController.setVisibilityFilter, testSeriesController.getAllTestSeries);
+router.get('/:id', optionalAuth, testSeriesController.setVisibilityFilter, testSeriesController.getTestSeries);
+
+// ==========================================
+// 3. PROTECTED ROUTES
+// ==========================================
+router.use(authController.protect);
+
+// Student routes
+router.post('/:id/enroll', requireVerifiedEmail('enrollment'), testSeriesController.enrollFree);
+router.get('/:id/dashboard', testSeriesController.getDashboard);
+router.get('/:id/standings', testSeriesController.getStandings);
+
+// Instructor routes
+router.post('/', authController.restrictTo('instructor', 'admin'), testSeriesController.createTestSeries);
+
+router.route('/:id')
+  .patch(authController.restrictTo('instructor', 'admin'), testSeriesController.checkOwnership, testSeriesController.updateTestSeries)
+  .delete(authController.restrictTo('instructor', 'admin'), testSeriesController.checkOwnership, testSeriesController.deleteTestSeries);
+
+router.patch('/:id/publish', authController.restrictTo('instructor', 'admin'), testSeriesController.checkOwnership, testSeriesController.publishTestSeries);
+router.patch('/:id/unpublish', authController.restrictTo('instructor', 'admin'), testSeriesController.checkOwnership, testSeriesController.unpublishTestSeries);
+
+// Admin approval
+router.patch('/:id/approve', authController.restrictTo('admin'), testSeriesController.approveTestSeries);
+router.patch('/:id/reject', authController.restrictTo('admin'), testSeriesController.rejectTestSeries);
+
+module.exports = router;
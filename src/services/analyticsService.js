@@ -1,6 +1,7 @@
 const { Course, User, Enrollment, Payment, ProgressTracking, Review } = require('../models');
 const mongoose = require('mongoose');
 const cacheService = require('./cacheService');
+const pricingService = require('./pricingService');
 
 class AnalyticsService {
   /**
@@ -10,6 +11,7 @@ class AnalyticsService {
     const cacheKey = cacheService.generateKey(['analytics', 'platform', 'overview']);
     
     return cacheService.remember(cacheKey, 3600, async () => {
+      const amount = pricingService.baseAmountExpression(await pricingService.rates());
       const [
         totalUsers,
         totalStudents,
@@ -27,7 +29,7 @@ class AnalyticsService {
         Enrollment.countDocuments({ isActive: true }),
         Payment.aggregate([
           { $match: { status: 'success' } },
-          { $group: { _id: null, total: { $sum: '$amount' } } }
+          { $group: { _id: null, total: { $sum: amount } } }
         ]),
         Review.countDocuments({ isApproved: true }),
         Review.aggregate([
@@ -53,6 +55,7 @@ class AnalyticsService {
           averagePerCourse: totalEnrollments / totalCourses
         },
         revenue: {
+          currency: pricingService.baseCurrency(),
           total: totalRevenue[0]?.total || 0,
           averagePerEnrollment: (totalRevenue[0]?.total || 0) / totalEnrollments
         }
@@ -285,6 +288,9 @@ class AnalyticsService {
     const { startDate, endDate, groupBy = 'day', instructorId } = filters;
 
     const matchStage = { status: 'success' };
+
+    // Payments are in many currencies; everything is reported in the base one
+    const amount = pricingService.baseAmountExpression(await pricingService.rates());
     
     if (startDate || endDate) {
       matchStage.createdAt = {};
@@ -303,7 +309,7 @@ class AnalyticsService {
       {
         $group: {
           _id: this.getDateGroup(groupBy, '$createdAt'),
-          revenue: { $sum: '$amount' },
+          revenue: { $sum: amount },
           count: { $sum: 1 }
         }
       },
@@ -326,7 +332,7 @@ class AnalyticsService {
         $group: {
           _id: '$course',
           courseTitle: { $first: '$courseInfo.title' },
-          revenue: { $sum: '$amount' },
+          revenue: { $sum: amount },
           count: { $sum: 1 }
         }
       },
@@ -339,7 +345,7 @@ class AnalyticsService {
       {
         $group: {
           _id: '$paymentMethod',
-          revenue: { $sum: '$amount' },
+          revenue: { $sum: amount },
           count: { $sum: 1 }
         }
       }
@@ -351,15 +357,16 @@ class AnalyticsService {
       {
         $group: {
           _id: null,
-          averageDaily: { $avg: '$amount' },
-          maxAmount: { $max: '$amount' },
-          minAmount: { $min: '$amount' },
+          averageDaily: { $avg: amount },
+          maxAmount: { $max: amount },
+          minAmount: { $min: amount },
           totalDays: { $sum: 1 }
         }
       }
     ]);
 
     return {
+      currency: pricingService.baseCurrency(),
       overview: {
         totalRevenue: revenueOverTime.reduce((sum, day) => sum + day.revenue, 0),
         totalTransactions: revenueOverTime.reduce((sum, day) => sum + day.count, 0),
@@ -0,0 +1,345 @@
+const { Cart, Course, TestSeries, Coupon, Enrollment } = require('../models');
+const AppError = require('../utils/appError');
+const testSeriesService = require('./testSeriesService');
+const couponService = require('./couponService');
+const pricingService = require('./pricingService');
+const { roundAmount } = require('../utils/currency');
+
+// What can go in a cart, and how to find a purchasable copy of it
+const CATALOGUE = {
+  course: {
+    Model: Course,
+    label: 'course',
+    filter: { isPublished: true, isApproved: true, isDeleted: { $ne: true } },
+    select: 'title price discountPrice discountStartDate discountEndDate isFree currency prices thumbnail category primaryInstructor instructors',
+    instructorsOf: (doc) => [doc.primaryInstructor, ...(doc.instructors || []).filter(i => i.isActive !== false).map(i => i.instructor)]
+  },
+  testSeries: {
+    Model: TestSeries,
+    label: 'test series',
+    filter: { isPublished: true, isApproved: true, isDeleted: { $ne: true } },
+    select: 'title price discountPrice isFree category instructor',
+    instructorsOf: (doc) => [doc.instructor]
+  }
+};
+
+class CartService {
+  /**
+   * Price a course or test series is sold at right now, in its own currency
+   * @param {Object} item - Course or TestSeries
+   * @param {Date} now
+   * @returns {Number}
+   */
+  unitPrice(item, now = new Date()) {
+    return pricingService.unitPrice(item, now);
+  }
+
+  /**
+   * Discount per line for a single coupon
+   * @param {Object} coupon
+   * @param {Array} lines - [{ itemType, itemId, category, instructors, price }]
+   * @returns {Array} - Discount per line, same order
+   */
+  allocateDiscount(coupon, lines) {
+    return couponService.allocate(coupon ? [coupon] : [], lines).discounts;
+  }
+
+  /**
+   * Cart of a user, created on first use
+   * @param {String} userId
+   * @returns {Promise<Object>} - Cart document
+   */
+  async getCart(userId) {
+    return Cart.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId, items: [] } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Whether the user already has access to an item. Courses reached through a
+   * subscription can still be bought, to keep them after it ends.
+   * @private
+   */
+  async owns(userId, itemType, itemId) {
+    if (itemType === 'course') {
+      return !!(await Enrollment.exists({ student: userId, course: itemId, isActive: true, isRevoked: false, subscription: null }));
+    }
+    return !!(await testSeriesService.activeEnrollment(userId, itemId));
+  }
+
+  /**
+   * Add a course or test series to the cart
+   * @param {String} userId
+   * @param {String} itemType - course | testSeries
+   * @param {String} itemId
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async addItem(userId, itemType, itemId) {
+    const entry = CATALOGUE[itemType];
+    if (!entry) throw new AppError('Invalid item type', 400);
+
+    const item = await entry.Model.findOne({ _id: itemId, ...entry.filter }).select(entry.select);
+    if (!item) throw new AppError(`No ${entry.label} found with that ID`, 404);
+    if (this.unitPrice(item) === 0) {
+      throw new AppError('This item is free. Please use the direct enrollment route.', 400);
+    }
+    if (await this.owns(userId, itemType, itemId)) {
+      throw new AppError(`You already have access to this ${entry.label}`, 400);
+    }
+
+    const cart = await this.getCart(userId);
+    if (cart.items.some(i => i.itemType === itemType && String(i[itemType]) === String(itemId))) {
+      throw new AppError(`This ${entry.label} is already in your cart`, 400);
+    }
+
+    cart.items.push({ itemType, [itemType]: itemId });
+    const priced = await this.price(cart);
+    await cart.save();
+
+    return priced;
+  }
+
+  /**
+   * Remove a cart entry by its ID or by the course/test series ID
+   * @param {String} userId
+   * @param {String} id
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async removeItem(userId, id) {
+    const cart = await this.getCart(userId);
+    const before = cart.items.length;
+
+    cart.items = cart.items.filter(i => ![i._id, i.course, i.testSeries].some(value => value && String(value) === String(id)));
+    if (cart.items.length === before) throw new AppError('That item is not in your cart', 404);
+
+    await cart.save();
+    return this.price(cart);
+  }
+
+  /**
+   * Attach a coupon; it must take something off the current cart. Stackable
+   * coupons are added on top of stackable ones already applied.
+   * @param {String} userId
+   * @param {String} code
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async applyCoupon(userId, code) {
+    const coupon = await couponService.findByCode(code);
+    const cart = await this.getCart(userId);
+    const { lines } = await this.lines(cart, new Date(), await this.currencyOf(cart));
+    const current = await this.usableCoupons(cart);
+    const convert = await pricingService.converter([coupon, ...current].map(c => c.currency), lines.length > 0 ? lines[0].currency : null);
+
+    await couponService.assertApplicable(coupon, current, lines, userId, convert);
+
+    if (current.length === 0) {
+      cart.coupon = coupon._id;
+      cart.stackedCoupons = [];
+    } else {
+      cart.coupon = current[0]._id;
+      cart.stackedCoupons = [...current.slice(1).map(c => c._id), coupon._id];
+    }
+
+    const priced = await this.price(cart);
+    await cart.save();
+    return priced;
+  }
+
+  /**
+   * Take one coupon off the cart, or all of them when no code is given
+   * @param {String} userId
+   * @param {String} code
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async removeCoupon(userId, code) {
+    const cart = await this.getCart(userId);
+    let remaining = [];
+
+    if (code) {
+      const applied = [cart.coupon, ...(cart.stackedCoupons || [])].filter(Boolean);
+      const match = await Coupon.findOne({ _id: { $in: applied }, code: String(code).toUpperCase().trim() }).select('_id');
+      if (!match) throw new AppError('That coupon is not applied to your cart', 404);
+      remaining = applied.filter(id => String(id) !== String(match._id));
+    }
+
+    cart.coupon = remaining[0];
+    cart.stackedCoupons = remaining.slice(1);
+    await cart.save();
+    return this.price(cart);
+  }
+
+  /**
+   * Price the cart in another currency from now on
+   * @param {String} userId
+   * @param {String} currency - Empty goes back to the buyer's country's currency
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async setCurrency(userId, currency) {
+    const cart = await this.getCart(userId);
+    cart.currency = currency ? await pricingService.resolveCurrency(userId, currency) : undefined;
+    await cart.save();
+    return this.price(cart);
+  }
+
+  async clear(userId) {
+    const cart = await this.getCart(userId);
+    cart.items = [];
+    cart.coupon = undefined;
+    cart.stackedCoupons = [];
+    await cart.save();
+    return this.price(cart);
+  }
+
+  /**
+   * Price the cart for payment, refusing stale or already owned items
+   * @param {String} userId
+   * @returns {Promise<Object>} - { cart, priced }
+   */
+  async prepareCheckout(userId) {
+    const cart = await this.getCart(userId);
+    const priced = await this.price(cart);
+
+    if (priced.items.length === 0) throw new AppError('Your cart is empty', 400);
+    if (priced.unavailable.length > 0) {
+      throw new AppError('Some items in your cart are no longer available. Please remove them and try again', 400);
+    }
+
+    for (const item of priced.items) {
+      if (await this.owns(userId, item.itemType, item.itemId)) {
+        throw new AppError(`You already have access to "${item.title}". Please remove it from your cart`, 400);
+      }
+    }
+
+    return { cart, priced };
+  }
+
+  /**
+   * Cart entries looked up in the catalogue and priced in one currency. Items
+   * that were unpublished or deleted since they were added are reported in
+   * `unavailable`.
+   * @param {Object} cart - Cart, or anything with cart-shaped `items`
+   * @param {Date} now
+   * @param {String} currency - When empty, the items' own currency if they share
+   *   one, else the base currency
+   * @returns {Promise<Object>} - { lines, unavailable }
+   */
+  async lines(cart, now = new Date(), currency = null) {
+    const found = [];
+    const unavailable = [];
+
+    for (const type of Object.keys(CATALOGUE)) {
+      const entry = CATALOGUE[type];
+      const ids = cart.items.filter(i => i.itemType === type).map(i => i[type]);
+      if (ids.length === 0) continue;
+
+      const docs = await entry.Model.find({ _id: { $in: ids }, ...entry.filter }).select(entry.select).lean();
+      const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+
+      cart.items.filter(i => i.itemType === type).forEach(cartItem => {
+        const doc = byId.get(String(cartItem[type]));
+        if (!doc) {
+          unavailable.push({ cartItemId: cartItem._id, itemType: type, itemId: cartItem[type] });
+          return;
+        }
+        found.push({ cartItem, type, entry, doc });
+      });
+    }
+
+    const own = [...new Set(found.map(({ doc }) => String(doc.currency || pricingService.baseCurrency()).toUpperCase()))];
+    const target = currency || (own.length === 1 ? own[0] : pricingService.baseCurrency());
+
+    const lines = [];
+    for (const { cartItem, type, entry, doc } of found) {
+      const quote = await pricingService.quote(doc, target, now);
+      lines.push({
+        cartItemId: cartItem._id,
+        itemType: type,
+        itemId: doc._id,
+        title: doc.title,
+        thumbnail: doc.thumbnail,
+        currency: quote.currency,
+        listPrice: quote.listPrice,
+        price: quote.price,
+        addedAt: cartItem.addedAt,
+        category: doc.category,
+        instructors: entry.instructorsOf(doc).filter(Boolean)
+      });
+    }
+
+    lines.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+    return { lines, unavailable };
+  }
+
+  /**
+   * Applied coupons that the cart's owner can still use, in the order applied
+   * @private
+   */
+  async usableCoupons(cart, now = new Date()) {
+    const usable = [];
+
+    for (const id of [cart.coupon, ...(cart.stackedCoupons || [])].filter(Boolean)) {
+      const coupon = await Coupon.findById(id);
+      if (couponService.unavailableReason(coupon, now)) continue;
+      if (await couponService.userReason(coupon, cart.user)) continue;
+      usable.push(coupon);
+    }
+
+    return couponService.stackable(usable);
+  }
+
+  /**
+   * Currency the cart is priced in: the buyer's choice, else their country's
+   * @private
+   */
+  async currencyOf(cart) {
+    if (cart.currency) return cart.currency;
+    return cart.user ? pricingService.currencyForUser(cart.user) : null;
+  }
+
+  /**
+   * Recompute every line from the catalogue and apply the cart's coupons
+   * @param {Object} cart - Cart document
+   * @returns {Promise<Object>} - { items, unavailable, coupon, coupons, subtotal, discount, total, currency }
+   */
+  async price(cart) {
+    const now = new Date();
+    const { lines, unavailable } = await this.lines(cart, now, await this.currencyOf(cart));
+    const currency = lines.length > 0 ? lines[0].currency : (cart.currency || pricingService.baseCurrency());
+    const round = (value) => roundAmount(value, currency);
+
+    const coupons = await this.usableCoupons(cart, now);
+    const convert = await pricingService.converter(coupons.map(c => c.currency), currency);
+    const { discounts, applied } = couponService.allocate(coupons, lines, convert);
+    const items = lines.map(({ category, instructors, ...line }, index) => ({
+      ...line,
+      discount: discounts[index],
+      amount: round(line.price - discounts[index])
+    }));
+
+    const subtotal = round(items.reduce((sum, i) => sum + i.price, 0));
+    const discount = round(items.reduce((sum, i) => sum + i.discount, 0));
+    const summary = applied.map(({ coupon, discount }) => ({
+      id: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      stackable: !!coupon.stackable,
+      discount
+    }));
+
+    return {
+      items,
+      unavailable,
+      coupon: summary[0] || null,
+      coupons: summary,
+      subtotal,
+      discount,
+      total: round(subtotal - discount),
+      currency
+    };
+  }
+}
+
+module.exports = new CartService();
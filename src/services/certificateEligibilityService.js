@@ -0,0 +1,222 @@
+const {
+  Course,
+  Lesson,
+  Quiz,
+  Assignment,
+  AssignmentSubmission,
+  MockTestAttempt,
+  ProgressTracking,
+  Enrollment,
+  Certificate
+} = require('../models');
+const AppError = require('../utils/appError');
+const certificateService = require('./certificateService');
+
+const DEFAULT_GRADE = 'Passed';
+const round = (value) => Math.round(value * 100) / 100;
+
+class CertificateEligibilityService {
+  /**
+   * Grade for a final score from the course's bands
+   * @param {Array} bands - [{ minScore, grade }]
+   * @param {Number} score - 0-100
+   * @returns {String}
+   */
+  gradeFor(bands, score) {
+    const reached = (bands || [])
+      .filter(band => score >= band.minScore)
+      .sort((a, b) => b.minScore - a.minScore);
+    return reached.length > 0 ? reached[0].grade : DEFAULT_GRADE;
+  }
+
+  /**
+   * Everything a course's criteria look at, for one student
+   * @private
+   */
+  async gather(studentId, course) {
+    const criteria = course.completionCriteria || {};
+    const notDeleted = { course: course._id, isDeleted: { $ne: true } };
+
+    const [progress, lessons, quizzes, assignments] = await Promise.all([
+      ProgressTracking.findOne({ student: studentId, course: course._id }).lean(),
+      (criteria.requiredLessons || []).length > 0
+        ? Promise.resolve(criteria.requiredLessons.map(String))
+        : Lesson.find(notDeleted).distinct('_id').then(ids => ids.map(String)),
+      Quiz.find({ ...notDeleted, isPublished: { $ne: false } }).select('totalPoints passingScore').lean(),
+      Assignment.find({ ...notDeleted, isPublished: { $ne: false } }).select('totalPoints passingPoints').lean()
+    ]);
+
+    const submissions = assignments.length > 0
+      ? await AssignmentSubmission.find({ student: studentId, assignment: { $in: assignments.map(a => a._id) } })
+        .select('assignment grade').lean()
+      : [];
+
+    const finalAttempt = criteria.finalMockTest
+      ? await MockTestAttempt.findOne({ student: studentId, mockTest: criteria.finalMockTest, status: 'completed' })
+        .sort('-percentage').select('percentage').lean()
+      : null;
+
+    return { progress, lessons, quizzes, assignments, submissions, finalAttempt };
+  }
+
+  /**
+   * Check a student against a course's completion criteria
+   * @param {String} studentId
+   * @param {Object|String} course - Course (with completionCriteria) or its ID
+   * @returns {Promise<Object>} - { eligible, score, grade, checks: [{ rule, passed, detail }] }
+   */
+  async evaluate(studentId, course) {
+    if (!course || !course.completionCriteria) {
+      course = await Course.findById(course).select('completionCriteria').lean();
+      if (!course) throw new AppError('No course found with that ID', 404);
+    }
+
+    const criteria = course.completionCriteria || {};
+    const { progress, lessons, quizzes, assignments, submissions, finalAttempt } = await this.gather(studentId, course);
+    const checks = [];
+    const scores = [];
+
+    // Lessons
+    const done = new Set(((progress && progress.completedLessons) || []).map(l => String(l.lesson)));
+    const missing = lessons.filter(id => !done.has(id));
+    checks.push({
+      rule: 'lessons',
+      passed: missing.length === 0,
+      detail: `${lessons.length - missing.length} of ${lessons.length} required lessons completed`
+    });
+
+    // Quizzes: best recorded score per quiz, as a percentage; never passed counts as 0
+    if (quizzes.length > 0) {
+      const best = new Map();
+      ((progress && progress.completedQuizzes) || []).forEach(entry => {
+        const key = String(entry.quiz);
+        best.set(key, Math.max(best.get(key) || 0, entry.score || 0));
+      });
+
+      const percentages = quizzes.map(quiz => (quiz.totalPoints > 0 ? Math.min(100, ((best.get(String(quiz._id)) || 0) / quiz.totalPoints) * 100) : 100));
+      const average = round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length);
+      scores.push(average);
+
+      if (criteria.minQuizAverage !== undefined && criteria.minQuizAverage !== null) {
+        checks.push({
+          rule: 'quizAverage',
+          passed: average >= criteria.minQuizAverage,
+          detail: `Quiz average ${average}% (needs ${criteria.minQuizAverage}%)`
+        });
+      }
+      if (criteria.requireQuizzesPassed) {
+        const passed = quizzes.filter((quiz, i) => percentages[i] >= (quiz.passingScore || 0)).length;
+        checks.push({
+          rule: 'quizzesPassed',
+          passed: passed === quizzes.length,
+          detail: `${passed} of ${quizzes.length} quizzes passed`
+        });
+      }
+    }
+
+    // Assignments: graded submissions
+    if (assignments.length > 0) {
+      const graded = new Map(submissions
+        .filter(s => s.grade && typeof s.grade.points === 'number')
+        .map(s => [String(s.assignment), s.grade.points]));
+
+      const percentages = assignments.map(a => (a.totalPoints > 0 ? Math.min(100, ((graded.get(String(a._id)) || 0) / a.totalPoints) * 100) : 100));
+      scores.push(round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length));
+
+      if (criteria.requireAssignmentsPassed) {
+        const passed = assignments.filter(a => graded.has(String(a._id)) && graded.get(String(a._id)) >= (a.passingPoints || 0)).length;
+        checks.push({
+          rule: 'assignmentsPassed',
+          passed: passed === assignments.length,
+          detail: `${passed} of ${assignments.length} assignments graded as passed`
+        });
+      }
+    }
+
+    // Final mock test
+    if (criteria.finalMockTest) {
+      const percentage = finalAttempt ? round(finalAttempt.percentage || 0) : null;
+      if (percentage !== null) scores.push(percentage);
+
+      const needed = criteria.finalMockTestMinPercentage || 0;
+      checks.push({
+        rule: 'finalMockTest',
+        passed: percentage !== null && percentage >= needed,
+        detail: percentage === null ? 'Final test not taken yet' : `Final test ${percentage}% (needs ${needed}%)`
+      });
+    }
+
+    // Final score: the average of the assessed parts; courses without assessments score 100
+    const score = scores.length > 0 ? round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : 100;
+
+    return {
+      eligible: checks.every(check => check.passed),
+      score,
+      grade: this.gradeFor(criteria.gradeBands, score),
+      checks
+    };
+  }
+
+  /**
+   * Evaluate and issue the certificate when the student qualifies
+   * @param {String} studentId
+   * @param {String} courseId
+   * @returns {Promise<Object>} - { evaluation, certificate, issued }; issued is false when it already existed
+   */
+  async checkAndIssue(studentId, courseId) {
+    const enrolled = await Enrollment.exists({ student: studentId, course: courseId, isActive: true, isRevoked: false });
+    if (!enrolled) throw new AppError('You are not enrolled in this course', 403);
+
+    const existing = await Certificate.findOne({ student: studentId, course: courseId });
+    if (existing) return { evaluation: null, certificate: existing, issued: false };
+
+    const evaluation = await this.evaluate(studentId, courseId);
+    if (!evaluation.eligible) return { evaluation, certificate: null, issued: false };
+
+    await ProgressTracking.updateOne(
+      { student: studentId, course: courseId, isCompleted: { $ne: true } },
+      { $set: { isCompleted: true, completedAt: new Date() } }
+    );
+
+    const certificate = await certificateService.generateCertificate({
+      studentId,
+      courseId,
+      grade: evaluation.grade,
+      percentage: evaluation.score
+    });
+
+    return { evaluation, certificate, issued: true };
+  }
+
+  /**
+   * Ask the certificate queue to evaluate a student. Repeated requests while
+   * one is waiting are merged.
+   * @param {String} studentId
+   * @param {String} courseId
+   */
+  async queueEvaluation(studentId, courseId) {
+    // Required lazily: the queue's processor depends on this service
+    const certificateQueue = require('../jobs/certificateQueue');
+
+    await certificateQueue.add(
+      { type: 'evaluate', data: { studentId: String(studentId), courseId: String(courseId) } },
+      { jobId: `eligibility-${studentId}-${courseId}` }
+    );
+  }
+
+  /**
+   * Queue evaluations for courses that use a mock test as their final test
+   * @param {String} studentId
+   * @param {String} mockTestId
+   */
+  async queueForMockTest(studentId, mockTestId) {
+    const courses = await Course.find({ 'completionCriteria.finalMockTest': mockTestId }).select('_id').lean();
+    for (const course of courses) {
+      if (await Enrollment.exists({ student: studentId, course: course._id, isActive: true })) {
+        await this.queueEvaluation(studentId, course._id);
+      }
+    }
+  }
+}
+
+module.exports = new CertificateEligibilityService();
@@ -1,256 +1,474 @@
-const PDFDocument = require('pdfkit');
-const QRCode = require('qrcode');
-const { Certificate, Course, User } = require('../models');
+const crypto = require('crypto');
+const { Certificate, CertificateTemplate, Course, User } = require('../models');
 const storageService = require('./storageService');
+const certificateTemplateService = require('./certificateTemplateService');
 const AppError = require('../utils/appError');
-const path = require('path');
-const fs = require('fs');
+const logger = require('../utils/logger');
+const { canonicalize, toBase64Url, fromBase64Url, toBase58, fromBase58, loadSigningKey } = require('../utils/signing');
+
+const VERIFICATION = {
+  VALID: 'valid',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+  TAMPERED: 'tampered',
+  NOT_FOUND: 'not_found'
+};
+
+const CREDENTIAL_CONTEXTS = {
+  vc: ['https://www.w3.org/ns/credentials/v2'],
+  openbadges: ['https://www.w3.org/ns/credentials/v2', 'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json']
+};
 
 class CertificateService {
   constructor() {
-    this.tempDir = path.join(__dirname, '../../temp/certificates');
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
+    this.signingKey = null;
+
+    // A missing key must stop a production start, not surface on the first certificate
+    if (process.env.NODE_ENV === 'production') this.key();
+  }
+
+  /**
+   * Ed25519 key certificates are signed with, from CERTIFICATE_SIGNING_KEY
+   * @returns {Object} - { privateKey, publicKey, keyId, jwk, publicKeyMultibase }
+   */
+  key() {
+    if (!this.signingKey) {
+      this.signingKey = loadSigningKey(process.env.CERTIFICATE_SIGNING_KEY, process.env.JWT_SECRET);
     }
+    return this.signingKey;
   }
 
   /**
-   * Generate certificate for completed course
-   * @param {Object} data - Certificate data
+   * Public half of the signing key, for verifying certificates without calling us
+   * @returns {Object} - { keyId, algorithm, jwk, publicKeyMultibase, pem }
    */
-  async generateCertificate(data) {
-    const {
-      studentId,
-      courseId,
-      studentName,
-      courseName,
-      grade,
-      percentage,
-      instructorName,
-      issueDate = new Date()
-    } = data;
+  publicKey() {
+    const { keyId, jwk, publicKeyMultibase, publicKey } = this.key();
+    return {
+      keyId,
+      algorithm: 'Ed25519',
+      jwk: { ...jwk, kid: keyId, alg: 'EdDSA', use: 'sig' },
+      publicKeyMultibase,
+      pem: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
 
-    // Generate unique certificate number
-    const certificateNumber = await this.generateCertificateNumber();
+  issuer() {
+    return {
+      id: process.env.BASE_URL,
+      name: process.env.CERTIFICATE_ISSUER_NAME || 'EdTech Platform'
+    };
+  }
 
-    // Create PDF
-    const pdfPath = await this.createCertificatePDF({
-      certificateNumber,
-      studentName,
-      courseName,
-      grade,
-      percentage,
-      instructorName,
-      issueDate
-    });
+  /**
+   * Issue the certificate of a course to a student. This is the only place
+   * certificates are created; a student gets one per course, so issuing again
+   * returns the existing certificate.
+   * @param {Object} data - { studentId, courseId, grade, percentage, issueDate, expiryDate, template }
+   *   template: CertificateTemplate to use instead of the course's choice
+   * @returns {Promise<Object>} - Certificate document
+   */
+  async issue({ studentId, courseId, grade = 'Passed', percentage = 100, issueDate = new Date(), expiryDate, template }) {
+    const existing = await Certificate.findOne({ student: studentId, course: courseId });
+    if (existing) return existing;
+
+    const [student, course] = await Promise.all([
+      User.findById(studentId).select('firstName lastName'),
+      Course.findById(courseId).select('title primaryInstructor').populate('primaryInstructor', 'firstName lastName')
+    ]);
+    if (!student) throw new AppError('No student found with that ID', 404);
+    if (!course) throw new AppError('No course found with that ID', 404);
+
+    const instructor = course.primaryInstructor;
+    const design = template !== undefined ? template : await certificateTemplateService.forCourse(course._id);
+    const certificateNumber = await this.generateCertificateNumber();
 
-    // Upload to storage
-    const pdfBuffer = await fs.promises.readFile(pdfPath);
-    const certificateUrl = await storageService.uploadFile({
-      buffer: pdfBuffer,
-      originalname: `certificate-${certificateNumber}.pdf`,
-      mimetype: 'application/pdf'
-    }, 'certificates');
-
-    // Generate verification URL
-    const verificationUrl = `${process.env.BASE_URL}/verify/certificate/${certificateNumber}`;
-
-    // Create certificate record
-    const certificate = await Certificate.create({
-      student: studentId,
-      course: courseId,
+    const certificate = new Certificate({
+      student: student._id,
+      course: course._id,
       certificateNumber,
-      studentName,
-      courseName,
+      studentName: `${student.firstName} ${student.lastName}`,
+      courseName: course.title,
       issueDate,
+      expiryDate,
       grade,
       percentage,
-      instructor: data.instructorId,
-      instructorName,
-      certificateUrl,
-      verificationUrl,
+      instructor: instructor ? instructor._id : undefined,
+      instructorName: instructor ? `${instructor.firstName} ${instructor.lastName}` : undefined,
+      verificationUrl: `${process.env.BASE_URL}/verify/certificate/${certificateNumber}`,
+      template: design && design._id ? design._id : undefined,
       isValid: true
     });
 
-    // Cleanup temp file
-    await fs.promises.unlink(pdfPath);
+    this.sign(certificate);
+    await certificate.save();
 
     return certificate;
   }
 
   /**
-   * Create certificate PDF
-   * @private
+   * Issue a certificate and store its PDF, for the certificate queue
+   * @param {Object} data - As for issue()
+   * @returns {Promise<Object>} - Certificate document
    */
-  async createCertificatePDF(data) {
-    const {
-      certificateNumber,
-      studentName,
-      courseName,
-      grade,
-      percentage,
-      instructorName,
-      issueDate
-    } = data;
-
-    const pdfPath = path.join(this.tempDir, `certificate-${certificateNumber}.pdf`);
-    const doc = new PDFDocument({
-      layout: 'landscape',
-      size: 'A4',
-      margins: { top: 50, bottom: 50, left: 50, right: 50 }
-    });
-
-    const writeStream = fs.createWriteStream(pdfPath);
-    doc.pipe(writeStream);
-
-    // Add border
-    doc.rect(30, 30, 750, 520).stroke();
-
-    // Add decorative elements
-    doc.rect(40, 40, 730, 500).stroke();
-
-    // Add logo or header
-    doc.fontSize(40)
-       .font('Helvetica-Bold')
-       .fillColor('#333')
-       .text('EdTech Platform', 100, 120, { align: 'center' });
-
-    // Certificate title
-    doc.fontSize(30)
-       .fillColor('#667eea')
-       .text('Certificate of Completion', 100, 180, { align: 'center' });
-
-    // Certificate body
-    doc.fontSize(16)
-       .fillColor('#333')
-       .text('This is to certify that', 100, 240, { align: 'center' });
-
-    // Student name
-    doc.fontSize(36)
-       .font('Helvetica-Bold')
-       .fillColor('#000')
-       .text(studentName, 100, 270, { align: 'center' });
-
-    // Course completion text
-    doc.fontSize(16)
-       .font('Helvetica')
-       .fillColor('#333')
-       .text('has successfully completed the course', 100, 320, { align: 'center' });
-
-    // Course name
-    doc.fontSize(24)
-       .font('Helvetica-Bold')
-       .fillColor('#667eea')
-       .text(courseName, 100, 350, { align: 'center' });
-
-    // Grade and percentage
-    if (grade || percentage) {
-      doc.fontSize(14)
-         .fillColor('#333')
-         .text(`with grade: ${grade || 'Passed'} (${percentage || 100}%)`, 100, 390, { align: 'center' });
+  async generateCertificate(data) {
+    const certificate = await this.issue(data);
+    if (certificate.certificateUrl) return certificate;
+
+    try {
+      const pdfBuffer = await this.createCertificatePDF(certificate, data.template);
+      certificate.certificateUrl = await storageService.uploadFile({
+        buffer: pdfBuffer,
+        originalname: `certificate-${certificate.certificateNumber}.pdf`,
+        mimetype: 'application/pdf'
+      }, 'certificates');
+      await certificate.save();
+    } catch (error) {
+      // The certificate stands without a stored copy; it can still be downloaded
+      logger.error(`Could not store the PDF of certificate ${certificate.certificateNumber}: ${error.message}`);
     }
 
-    // Instructor and date
-    doc.fontSize(12)
-       .fillColor('#666')
-       .text(`Instructor: ${instructorName}`, 100, 430, { align: 'center' });
+    return certificate;
+  }
 
-    const formattedDate = new Date(issueDate).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-    doc.text(`Issued on: ${formattedDate}`, 100, 450, { align: 'center' });
+  /**
+   * What a certificate's signature covers: everything printed on it
+   * @private
+   */
+  payloadFor(certificate, keyId = certificate.keyId) {
+    const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
 
-    // Certificate number
-    doc.fontSize(10)
-       .fillColor('#999')
-       .text(`Certificate No: ${certificateNumber}`, 100, 480, { align: 'center' });
+    return {
+      v: 1,
+      kid: keyId,
+      number: certificate.certificateNumber,
+      student: idOf(certificate.student),
+      name: certificate.studentName,
+      course: idOf(certificate.course),
+      courseName: certificate.courseName,
+      instructor: certificate.instructorName || undefined,
+      grade: certificate.grade || undefined,
+      percentage: certificate.percentage ?? undefined,
+      issued: new Date(certificate.issueDate).toISOString(),
+      expires: certificate.expiryDate ? new Date(certificate.expiryDate).toISOString() : undefined
+    };
+  }
 
-    // Generate QR code for verification
-    const verificationUrl = `${process.env.BASE_URL}/verify/certificate/${certificateNumber}`;
-    const qrBuffer = await QRCode.toBuffer(verificationUrl);
+  /**
+   * Sign a certificate's payload with the current key (does not save)
+   * @param {Object} certificate - Certificate document
+   */
+  sign(certificate) {
+    const { privateKey, keyId } = this.key();
+    const signedPayload = canonicalize(this.payloadFor(certificate, keyId));
 
-    // Add QR code
-    doc.image(qrBuffer, 350, 500, { width: 80, height: 80 });
+    certificate.keyId = keyId;
+    certificate.signedPayload = signedPayload;
+    certificate.signature = toBase64Url(crypto.sign(null, Buffer.from(signedPayload), privateKey));
+  }
 
-    doc.end();
+  /**
+   * Compact signed payload carried in the QR code:
+   * base64url(payload) "." base64url(signature)
+   * @param {Object} certificate
+   * @returns {String|null} - null for certificates issued before signing
+   */
+  token(certificate) {
+    return certificate.signature ? `${toBase64Url(certificate.signedPayload)}.${certificate.signature}` : null;
+  }
 
-    return new Promise((resolve, reject) => {
-      writeStream.on('finish', () => resolve(pdfPath));
-      writeStream.on('error', reject);
-    });
+  /**
+   * Verification page link with the signed token, for the QR code
+   * @param {Object} certificate
+   * @returns {String}
+   */
+  verificationLink(certificate) {
+    const token = this.token(certificate);
+    return token ? `${certificate.verificationUrl}?token=${token}` : certificate.verificationUrl;
   }
 
   /**
-   * Generate unique certificate number
-   * @private
+   * Check a token's signature. Needs nothing but the public key, so it works
+   * while the register is unreachable.
+   * @param {String} token
+   * @returns {Object} - { valid, payload, reason }
    */
-  async generateCertificateNumber() {
-    const prefix = 'CERT';
-    const timestamp = Date.now().toString(36).toUpperCase();
-    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-    
-    let certificateNumber = `${prefix}-${timestamp}-${random}`;
-    
-    // Ensure uniqueness
-    const existing = await Certificate.findOne({ certificateNumber });
-    if (existing) {
-      return this.generateCertificateNumber();
+  verifyToken(token) {
+    const [encodedPayload, signature, extra] = String(token || '').split('.');
+    if (!encodedPayload || !signature || extra !== undefined) {
+      return { valid: false, payload: null, reason: 'The verification code is malformed' };
     }
-    
-    return certificateNumber;
+
+    const signedPayload = fromBase64Url(encodedPayload).toString('utf8');
+    let payload;
+    try {
+      payload = JSON.parse(signedPayload);
+    } catch (err) {
+      return { valid: false, payload: null, reason: 'The verification code is malformed' };
+    }
+
+    const { publicKey, keyId } = this.key();
+    if (!payload || payload.kid !== keyId) {
+      return { valid: false, payload, reason: 'The certificate was not signed with our key' };
+    }
+    if (!crypto.verify(null, Buffer.from(signedPayload), publicKey, fromBase64Url(signature))) {
+      return { valid: false, payload, reason: 'The certificate details do not match its signature' };
+    }
+
+    return { valid: true, payload, reason: null };
   }
 
   /**
-   * Verify certificate
-   * @param {String} certificateNumber - Certificate number
+   * Check a certificate against its signature and the register. A token (from
+   * the QR code) must carry a genuine signature; the register then says whether
+   * the certificate was revoked or has expired.
+   * @param {String} certificateNumber - May be empty when a token is given
+   * @param {String} token
+   * @returns {Promise<Object>} - { status, isValid, message, signed, certificate, revocation }
    */
-  async verifyCertificate(certificateNumber) {
-    const certificate = await Certificate.findOne({ 
-      certificateNumber,
-      isValid: true 
-    })
-    .populate('student', 'firstName lastName')
-    .populate('course', 'title')
-    .populate('instructor', 'firstName lastName');
+  async verifyCertificate(certificateNumber, token) {
+    const result = (status, message, extra = {}) => ({
+      status,
+      isValid: status === VERIFICATION.VALID,
+      message,
+      signed: false,
+      certificate: null,
+      revocation: null,
+      ...extra
+    });
 
+    let claim = null;
+    if (token) {
+      const checked = this.verifyToken(token);
+      if (!checked.valid) return result(VERIFICATION.TAMPERED, checked.reason);
+      if (certificateNumber && checked.payload.number !== certificateNumber) {
+        return result(VERIFICATION.TAMPERED, 'The verification code belongs to another certificate');
+      }
+      claim = checked.payload;
+    }
+
+    const number = claim ? claim.number : certificateNumber;
+    const certificate = number ? await Certificate.findOne({ certificateNumber: number }) : null;
     if (!certificate) {
-      return {
-        isValid: false,
-        message: 'Certificate not found or has been revoked'
-      };
+      return result(VERIFICATION.NOT_FOUND, claim
+        ? 'The signature is genuine, but the certificate is not in our register'
+        : 'Certificate not found');
     }
 
-    return {
-      isValid: true,
+    // The record itself must still match what was signed
+    const signed = !!certificate.signature;
+    if (signed) {
+      const genuine = canonicalize(this.payloadFor(certificate)) === certificate.signedPayload
+        && this.verifyToken(this.token(certificate)).valid;
+      if (!genuine || (token && token !== this.token(certificate))) {
+        return result(VERIFICATION.TAMPERED, 'The certificate details do not match its signature');
+      }
+    }
+
+    const details = {
+      signed,
       certificate: {
+        certificateNumber: certificate.certificateNumber,
         studentName: certificate.studentName,
         courseName: certificate.courseName,
         issueDate: certificate.issueDate,
+        expiryDate: certificate.expiryDate,
         grade: certificate.grade,
         percentage: certificate.percentage,
         instructorName: certificate.instructorName,
         verificationUrl: certificate.verificationUrl
       }
     };
+
+    if (!certificate.isValid) {
+      const reason = certificate.revocationReason;
+      return result(VERIFICATION.REVOKED, reason ? `This certificate was revoked: ${reason}` : 'This certificate was revoked', {
+        ...details,
+        revocation: { revokedAt: certificate.revokedAt, reason }
+      });
+    }
+    if (certificate.expiryDate && new Date(certificate.expiryDate) < new Date()) {
+      return result(VERIFICATION.EXPIRED, 'This certificate has expired', details);
+    }
+
+    return result(VERIFICATION.VALID, signed
+      ? 'This certificate is genuine and valid'
+      : 'This certificate is in our register; it was issued before certificates were signed', details);
+  }
+
+  /**
+   * Sign certificates issued before signing was introduced
+   * @returns {Promise<Number>} - How many were signed
+   */
+  async signUnsigned() {
+    let count = 0;
+    const cursor = Certificate.find({ signature: { $exists: false } }).cursor();
+
+    for (let certificate = await cursor.next(); certificate; certificate = await cursor.next()) {
+      this.sign(certificate);
+      await certificate.save();
+      count++;
+    }
+
+    return count;
   }
 
   /**
-   * Revoke certificate
+   * Certificate as a W3C Verifiable Credential, or an Open Badges 3.0
+   * OpenBadgeCredential, with an eddsa-jcs-2022 Data Integrity proof
+   * @param {String} certificateNumber
+   * @param {String} format - vc | openbadges
+   * @returns {Promise<Object>}
+   */
+  async exportCredential(certificateNumber, format = 'openbadges') {
+    if (!CREDENTIAL_CONTEXTS[format]) throw new AppError('Format must be one of: vc, openbadges', 400);
+
+    const certificate = await Certificate.findOne({ certificateNumber });
+    if (!certificate) throw new AppError('Certificate not found', 404);
+    if (!certificate.isValid) {
+      const reason = certificate.revocationReason;
+      throw new AppError(reason ? `This certificate was revoked: ${reason}` : 'This certificate was revoked', 410);
+    }
+
+    const { id: issuerUrl, name: issuerName } = this.issuer();
+    const courseUrl = `${issuerUrl}/api/v1/courses/${certificate.course}`;
+    const badge = format === 'openbadges';
+
+    const credential = {
+      '@context': CREDENTIAL_CONTEXTS[format],
+      id: certificate.verificationUrl,
+      type: ['VerifiableCredential', badge ? 'OpenBadgeCredential' : 'CourseCompletionCredential'],
+      name: `${certificate.courseName} - Certificate of Completion`,
+      issuer: { id: issuerUrl, type: badge ? ['Profile'] : undefined, name: issuerName },
+      validFrom: new Date(certificate.issueDate).toISOString(),
+      validUntil: certificate.expiryDate ? new Date(certificate.expiryDate).toISOString() : undefined,
+      credentialSubject: badge
+        ? {
+          type: ['AchievementSubject'],
+          identifier: [{ type: 'IdentityObject', identityType: 'name', hashed: false, identityHash: certificate.studentName }],
+          achievement: {
+            id: courseUrl,
+            type: ['Achievement'],
+            achievementType: 'Certificate',
+            name: certificate.courseName,
+            description: `Completion of ${certificate.courseName}`,
+            criteria: { narrative: 'Completed the course requirements' }
+          },
+          result: certificate.grade ? [{ type: ['Result'], value: certificate.grade }] : undefined
+        }
+        : {
+          name: certificate.studentName,
+          course: { id: courseUrl, name: certificate.courseName },
+          instructor: certificate.instructorName,
+          grade: certificate.grade,
+          percentage: certificate.percentage,
+          certificateNumber: certificate.certificateNumber
+        }
+    };
+
+    // Round-trip drops the undefined fields so the proof covers exactly what is sent
+    return this.attachProof(JSON.parse(canonicalize(credential)));
+  }
+
+  /**
+   * Add a Data Integrity proof (eddsa-jcs-2022) to a credential
+   * @private
+   */
+  attachProof(credential, created = new Date()) {
+    const { privateKey, keyId } = this.key();
+    const options = {
+      type: 'DataIntegrityProof',
+      cryptosuite: 'eddsa-jcs-2022',
+      created: created.toISOString(),
+      verificationMethod: `${this.issuer().id}/api/v1/certificates/public-key#${keyId}`,
+      proofPurpose: 'assertionMethod'
+    };
+
+    const signature = crypto.sign(null, this.proofHash(credential, options), privateKey);
+    return { ...credential, proof: { ...options, proofValue: `z${toBase58(signature)}` } };
+  }
+
+  /**
+   * Check the proof of a credential made by exportCredential()
+   * @param {Object} credential
+   * @returns {Boolean}
+   */
+  verifyCredential(credential) {
+    const { proof, ...document } = credential || {};
+    if (!proof || proof.cryptosuite !== 'eddsa-jcs-2022' || typeof proof.proofValue !== 'string') return false;
+    if (!String(proof.verificationMethod).endsWith(`#${this.key().keyId}`)) return false;
+
+    const { proofValue, ...options } = proof;
+    try {
+      return crypto.verify(null, this.proofHash(document, options), this.key().publicKey, fromBase58(proofValue.slice(1)));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Bytes an eddsa-jcs-2022 proof signs: the hash of the proof options
+   * followed by the hash of the document, both canonicalized
+   * @private
+   */
+  proofHash(document, options) {
+    const sha256 = (value) => crypto.createHash('sha256').update(canonicalize(value)).digest();
+    return Buffer.concat([sha256({ ...options, '@context': document['@context'] }), sha256(document)]);
+  }
+
+  /**
+   * Render a certificate as a PDF with its template
+   * @param {Object} certificate - Certificate document
+   * @param {Object} template - Overrides the certificate's own template
+   * @returns {Promise<Buffer>}
+   */
+  async createCertificatePDF(certificate, template = null) {
+    const chosen = template || await certificateTemplateService.forCertificate(certificate);
+
+    // The QR code carries the signed payload, so it can be checked offline
+    return certificateTemplateService.render(chosen, certificate, this.verificationLink(certificate));
+  }
+
+  /**
+   * Generate unique certificate number
+   * @private
+   */
+  async generateCertificateNumber() {
+    const prefix = 'CERT';
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+
+    const certificateNumber = `${prefix}-${timestamp}-${random}`;
+
+    // Ensure uniqueness
+    const existing = await Certificate.exists({ certificateNumber });
+    if (existing) {
+      return this.generateCertificateNumber();
+    }
+
+    return certificateNumber;
+  }
+
+  /**
+   * Revoke certificate. The reason is shown to anyone who verifies it.
    * @param {String} certificateId - Certificate ID
    * @param {String} reason - Revocation reason
+   * @param {String} userId - Who revoked it
    */
-  async revokeCertificate(certificateId, reason) {
-    const certificate = await Certificate.findByIdAndUpdate(
-      certificateId,
-      {
-        isValid: false,
-        revokedAt: new Date(),
-        revocationReason: reason
-      },
-      { new: true }
-    );
+  async revokeCertificate(certificateId, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('Please give a reason for revoking the certificate', 400);
+    }
+
+    const certificate = await Certificate.findById(certificateId);
+    if (!certificate) throw new AppError('No certificate found with that ID', 404);
+    if (!certificate.isValid) throw new AppError('This certificate has already been revoked', 400);
+
+    certificate.isValid = false;
+    certificate.revokedAt = new Date();
+    certificate.revocationReason = String(reason).trim();
+    certificate.revokedBy = userId;
+    await certificate.save();
 
     return certificate;
   }
@@ -286,16 +504,34 @@ class CertificateService {
   /**
    * Bulk generate certificates
    * @param {Array} completions - Array of completion data
+   * @param {String} templateId - Template for all of them; else each course's choice
    */
-  async bulkGenerateCertificates(completions) {
+  async bulkGenerateCertificates(completions, templateId) {
     const results = {
       successful: [],
       failed: []
     };
 
+    let chosen;
+    if (templateId) {
+      chosen = await CertificateTemplate.findById(templateId);
+      if (!chosen) throw new AppError('No certificate template found with that ID', 404);
+    }
+
+    // Most batches are for a handful of courses
+    const byCourse = new Map();
+    const templateFor = async (courseId) => {
+      if (chosen) return chosen;
+      if (!byCourse.has(String(courseId))) {
+        byCourse.set(String(courseId), (await certificateTemplateService.forCourse(courseId)) || certificateTemplateService.builtIn());
+      }
+      return byCourse.get(String(courseId));
+    };
+
     for (const completion of completions) {
       try {
-        const certificate = await this.generateCertificate(completion);
+        const template = await templateFor(completion.courseId);
+        const certificate = await this.generateCertificate({ ...completion, template });
         results.successful.push(certificate);
       } catch (error) {
         results.failed.push({
@@ -328,7 +564,7 @@ class CertificateService {
         studentName: certificate.studentName,
         courseName: certificate.courseName,
         certificateUrl: certificate.certificateUrl,
-        verificationUrl: certificate.verificationUrl
+        verificationUrl: this.verificationLink(certificate)
       }
     });
 
@@ -336,4 +572,4 @@ class CertificateService {
   }
 }
 
-module.exports = new CertificateService();
\ No newline at end of file
+module.exports = new CertificateService();
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { CertificateTemplate, Course, Category } = require('../models');
+const storageService = require('./storageService');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+// Logos, signatures and fonts are small; anything bigger is a mistake
+const MAX_ASSET_BYTES = 5 * 1024 * 1024;
+
+// Fonts every PDF reader has; others must be listed in the template's `fonts`
+const STANDARD_FONTS = new Set([
+  'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique',
+  'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+  'Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic',
+  'Symbol', 'ZapfDingbats'
+]);
+
+// The layout certificates had before templates, used when nothing is chosen
+const BUILT_IN_TEMPLATE = {
+  name: 'Classic',
+  language: 'en',
+  size: 'A4',
+  layout: 'landscape',
+  fonts: [],
+  elements: [
+    { type: 'rect', x: 30, y: 30, width: 750, height: 520 },
+    { type: 'rect', x: 40, y: 40, width: 730, height: 500 },
+    { type: 'text', content: '{{issuerName}}', x: 100, y: 120, width: 642, font: 'Helvetica-Bold', fontSize: 40, color: '#333', align: 'center' },
+    { type: 'text', content: 'Certificate of Completion', x: 100, y: 180, width: 642, font: 'Helvetica-Bold', fontSize: 30, color: '#667eea', align: 'center' },
+    { type: 'text', content: 'This is to certify that', x: 100, y: 240, width: 642, fontSize: 16, color: '#333', align: 'center' },
+    { type: 'text', content: '{{studentName}}', x: 100, y: 270, width: 642, font: 'Helvetica-Bold', fontSize: 36, color: '#000', align: 'center' },
+    { type: 'text', content: 'has successfully completed the course', x: 100, y: 320, width: 642, fontSize: 16, color: '#333', align: 'center' },
+    { type: 'text', content: '{{courseName}}', x: 100, y: 350, width: 642, font: 'Helvetica-Bold', fontSize: 24, color: '#667eea', align: 'center' },
+    { type: 'text', content: 'with grade: {{grade}} ({{percentage}}%)', x: 100, y: 390, width: 642, fontSize: 14, color: '#333', align: 'center' },
+    { type: 'text', content: 'Instructor: {{instructorName}}', x: 100, y: 430, width: 642, fontSize: 12, color: '#666', align: 'center' },
+    { type: 'text', content: 'Issued on: {{issueDate}}', x: 100, y: 450, width: 642, fontSize: 12, color: '#666', align: 'center' },
+    { type: 'text', content: 'Certificate No: {{certificateNumber}}', x: 100, y: 480, width: 642, fontSize: 10, color: '#999', align: 'center' },
+    { type: 'qr', x: 660, y: 430, width: 100 }
+  ]
+};
+
+// What previews are filled in with
+const SAMPLE_CERTIFICATE = {
+  certificateNumber: 'CERT-SAMPLE-0000',
+  studentName: 'Jane Doe',
+  courseName: 'Sample Course Title',
+  instructorName: 'John Smith',
+  grade: 'Distinction',
+  percentage: 92,
+  verificationUrl: `${process.env.BASE_URL}/verify/certificate/CERT-SAMPLE-0000`
+};
+
+class CertificateTemplateService {
+  builtIn() {
+    return BUILT_IN_TEMPLATE;
+  }
+
+  /**
+   * Template a course's certificates use: the course's own, else its
+   * category's (or a parent category's), else the default template
+   * @param {String} courseId
+   * @returns {Promise<Object|null>} - CertificateTemplate, null for the built-in layout
+   */
+  async forCourse(courseId) {
+    const active = (id) => (id ? CertificateTemplate.findOne({ _id: id, isActive: true }) : null);
+
+    const course = await Course.findById(courseId).select('certificateTemplate category').lean();
+    if (course) {
+      const own = await active(course.certificateTemplate);
+      if (own) return own;
+
+      const seen = new Set();
+      let categoryId = course.category;
+      while (categoryId && !seen.has(String(categoryId))) {
+        seen.add(String(categoryId));
+        const category = await Category.findById(categoryId).select('certificateTemplate parentCategory').lean();
+        if (!category) break;
+
+        const chosen = await active(category.certificateTemplate);
+        if (chosen) return chosen;
+        categoryId = category.parentCategory;
+      }
+    }
+
+    return CertificateTemplate.findOne({ isDefault: true, isActive: true });
+  }
+
+  /**
+   * Template to draw an issued certificate with: the one it was issued with
+   * while that still exists, else what its course uses now
+   * @param {Object} certificate
+   * @returns {Promise<Object>}
+   */
+  async forCertificate(certificate) {
+    const pinned = certificate.template
+      ? await CertificateTemplate.findOne({ _id: certificate.template, isActive: true })
+      : null;
+    return pinned || (await this.forCourse(certificate.course)) || BUILT_IN_TEMPLATE;
+  }
+
+  /**
+   * Placeholder values for a certificate, written for the template's locale
+   * @param {Object} certificate
+   * @param {String} language
+   * @returns {Object}
+   */
+  values(certificate, language = 'en') {
+    let locale = 'en';
+    try {
+      locale = Intl.DateTimeFormat.supportedLocalesOf(language).length > 0 ? language : 'en';
+    } catch (err) {
+      // Malformed tag; fall back to English
+    }
+
+    const date = (value) => (value ? new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(value)) : '');
+
+    return {
+      studentName: certificate.studentName || '',
+      courseName: certificate.courseName || '',
+      instructorName: certificate.instructorName || '',
+      grade: certificate.grade || '',
+      percentage: certificate.percentage !== undefined && certificate.percentage !== null
+        ? new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(certificate.percentage)
+        : '',
+      issueDate: date(certificate.issueDate),
+      expiryDate: date(certificate.expiryDate),
+      certificateNumber: certificate.certificateNumber || '',
+      verificationUrl: certificate.verificationUrl || '',
+      issuerName: process.env.CERTIFICATE_ISSUER_NAME || 'EdTech Platform'
+    };
+  }
+
+  /**
+   * Replace {{placeholders}} in an element's text
+   * @param {String} content
+   * @param {Object} values
+   * @returns {String|null} - null when the text has placeholders and all are empty
+   */
+  fill(content, values) {
+    const found = [];
+    const text = String(content || '').replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+      const value = values[name] === undefined ? '' : String(values[name]);
+      found.push(value);
+      return value;
+    });
+
+    return found.length > 0 && found.every(value => value === '') ? null : text;
+  }
+
+  /**
+   * Read an image or font from local uploads or a URL
+   * @private
+   */
+  async loadAsset(url) {
+    if (url.startsWith('/uploads/') && storageService.localPath) {
+      const file = path.resolve(storageService.localPath, url.slice('/uploads/'.length));
+      if (!file.startsWith(path.resolve(storageService.localPath) + path.sep)) throw new Error('Invalid asset path');
+      return fs.promises.readFile(file);
+    }
+    if (!/^https?:\/\//i.test(url)) throw new Error('Assets must be uploads or http(s) URLs');
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_ASSET_BYTES) throw new Error('Asset is too large');
+    return buffer;
+  }
+
+  /**
+   * Draw a certificate with a template
+   * @param {Object} template - CertificateTemplate or the built-in layout
+   * @param {Object} certificate - Certificate or sample data
+   * @param {String} qrText - What the QR code encodes
+   * @returns {Promise<Buffer>} - PDF
+   */
+  async render(template, certificate, qrText) {
+    const values = this.values(certificate, template.language);
+    const assets = new Map();
+    const asset = async (url) => {
+      if (!assets.has(url)) {
+        assets.set(url, this.loadAsset(url).catch(err => {
+          logger.warn(`Certificate template "${template.name}": could not load ${url}: ${err.message}`);
+          return null;
+        }));
+      }
+      return assets.get(url);
+    };
+
+    const doc = new PDFDocument({ layout: template.layout || 'landscape', size: template.size || 'A4', margin: 0 });
+    const chunks = [];
+    const rendered = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const fonts = new Set();
+    for (const font of template.fonts || []) {
+      const buffer = await asset(font.url);
+      if (!buffer) continue;
+      try {
+        doc.registerFont(font.name, buffer);
+        fonts.add(font.name);
+      } catch (err) {
+        logger.warn(`Certificate template "${template.name}": font ${font.name} is not usable: ${err.message}`);
+      }
+    }
+    // A font that failed to load falls back to Helvetica rather than failing the certificate
+    const fontOf = (element) => (fonts.has(element.font) || STANDARD_FONTS.has(element.font) ? element.font : 'Helvetica');
+
+    const { width: pageWidth, height: pageHeight } = doc.page;
+    if (template.backgroundColor) doc.rect(0, 0, pageWidth, pageHeight).fill(template.backgroundColor);
+    if (template.backgroundImageUrl) {
+      const background = await asset(template.backgroundImageUrl);
+      if (background) doc.image(background, 0, 0, { width: pageWidth, height: pageHeight });
+    }
+
+    for (const element of template.elements || []) {
+      doc.save();
+      doc.opacity(element.opacity ?? 1);
+
+      switch (element.type) {
+        case 'text': {
+          const text = this.fill(element.content, values);
+          if (text === null) break;
+          doc.font(fontOf(element))
+            .fontSize(element.fontSize || 12)
+            .fillColor(element.color || '#000')
+            .text(text, element.x, element.y, {
+              width: element.width || Math.max(pageWidth - element.x * 2, 50),
+              align: element.align || 'left',
+              lineBreak: true
+            });
+          break;
+        }
+        case 'image': {
+          const image = element.imageUrl ? await asset(element.imageUrl) : null;
+          if (!image) break;
+          const box = element.width && element.height ? { fit: [element.width, element.height] } : { width: element.width, height: element.height };
+          doc.image(image, element.x, element.y, box);
+          break;
+        }
+        case 'qr': {
+          if (!qrText) break;
+          const size = element.width || 100;
+          const qr = await QRCode.toBuffer(qrText, { errorCorrectionLevel: 'L', margin: 1 });
+          doc.image(qr, element.x, element.y, { width: size, height: size });
+          break;
+        }
+        case 'line':
+          doc.lineWidth(element.lineWidth || 1)
+            .moveTo(element.x, element.y)
+            .lineTo(element.x + (element.width || 0), element.y + (element.height || 0))
+            .stroke(element.color || '#000');
+          break;
+        case 'rect':
+          doc.lineWidth(element.lineWidth || 1).rect(element.x, element.y, element.width || 0, element.height || 0);
+          if (element.fill && element.color) doc.fillAndStroke(element.fill, element.color);
+          else if (element.fill) doc.fill(element.fill);
+          else doc.stroke(element.color || '#000');
+          break;
+        default:
+          break;
+      }
+
+      doc.restore();
+    }
+
+    doc.end();
+    return rendered;
+  }
+
+  /**
+   * Sample PDF of a saved or draft template
+   * @param {Object} template
+   * @returns {Promise<Buffer>}
+   */
+  async preview(template) {
+    const sample = { ...SAMPLE_CERTIFICATE, issueDate: new Date() };
+    return this.render(template, sample, `${sample.verificationUrl}?token=SAMPLE`);
+  }
+
+  /**
+   * Build an unsaved template from a request body and check it
+   * @param {Object} data
+   * @returns {Object} - CertificateTemplate document
+   */
+  draft(data) {
+    const template = new CertificateTemplate(data);
+    this.check(template);
+    return template;
+  }
+
+  /**
+   * Schema validation, plus every font used being standard or supplied
+   * @private
+   */
+  check(template) {
+    const error = template.validateSync();
+    if (error) throw new AppError(Object.values(error.errors).map(e => e.message).join('. '), 400);
+
+    const supplied = new Set(template.fonts.map(f => f.name));
+    const unknown = template.elements.filter(e => e.font && !STANDARD_FONTS.has(e.font) && !supplied.has(e.font));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown font "${unknown[0].font}". Add it to the template's fonts or use a standard PDF font`, 400);
+    }
+  }
+
+  /**
+   * Create a template. Making it the default takes that over from the previous one.
+   * @param {Object} data
+   * @param {String} userId
+   * @returns {Promise<Object>}
+   */
+  async create(data, userId) {
+    const template = this.draft({ ...data, createdBy: userId });
+    if (template.isDefault) await CertificateTemplate.updateMany({ isDefault: true }, { isDefault: false });
+    return template.save();
+  }
+
+  async update(id, data) {
+    const template = await CertificateTemplate.findById(id);
+    if (!template) throw new AppError('No certificate template found with that ID', 404);
+
+    const { createdBy, ...changes } = data;
+    template.set(changes);
+    this.check(template);
+    if (template.isModified('isDefault') && template.isDefault) {
+      await CertificateTemplate.updateMany({ _id: { $ne: template._id }, isDefault: true }, { isDefault: false });
+    }
+
+    await template.save();
+    return template;
+  }
+
+  /**
+   * Delete a template; courses and categories using it fall back to the next choice
+   * @param {String} id
+   */
+  async remove(id) {
+    const template = await CertificateTemplate.findByIdAndDelete(id);
+    if (!template) throw new AppError('No certificate template found with that ID', 404);
+
+    await Promise.all([
+      Course.updateMany({ certificateTemplate: id }, { $unset: { certificateTemplate: 1 } }),
+      Category.updateMany({ certificateTemplate: id }, { $unset: { certificateTemplate: 1 } })
+    ]);
+  }
+}
+
+module.exports = new CertificateTemplateService();
@@ -0,0 +1,110 @@
+// services/codeRunner/comparators.js - Output comparison modes for test cases
+//
+// All built-in modes are pure functions of (output, expected). The 'checker'
+// mode needs to execute instructor code and is therefore handled by the judge,
+// which runs the checker inside the sandbox.
+
+const { COMPARISON_MODES } = require('../../utils/constants');
+const DEFAULT_EPSILON = 1e-6;
+
+const normalizeNewlines = (text) => String(text == null ? '' : text).replace(/\r\n?/g, '\n');
+
+const tokenize = (text) => {
+  const trimmed = normalizeNewlines(text).trim();
+  return trimmed ? trimmed.split(/\s+/) : [];
+};
+
+// Lines with surrounding whitespace trimmed and inner runs collapsed;
+// trailing blank lines are not significant
+const normalizedLines = (text) => {
+  const lines = normalizeNewlines(text)
+    .split('\n')
+    .map(line => line.trim().replace(/\s+/g, ' '));
+  while (lines.length && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+const numbersClose = (actual, expected, epsilon) => {
+  const diff = Math.abs(actual - expected);
+  // Absolute OR relative error, as in most competitive programming judges
+  return diff <= epsilon || diff <= epsilon * Math.abs(expected);
+};
+
+const comparators = {
+  // Identical apart from line endings and trailing newlines
+  exact: (output, expected) => {
+    const strip = (text) => normalizeNewlines(text).replace(/\n+$/, '');
+    return { passed: strip(output) === strip(expected) };
+  },
+
+  whitespace: (output, expected) => {
+    const actualLines = normalizedLines(output);
+    const expectedLines = normalizedLines(expected);
+    const mismatch = expectedLines.findIndex((line, i) => actualLines[i] !== line);
+
+    if (mismatch === -1 && actualLines.length === expectedLines.length) {
+      return { passed: true };
+    }
+    const line = mismatch === -1 ? expectedLines.length + 1 : mismatch + 1;
+    return { passed: false, message: `Line ${line} differs` };
+  },
+
+  token: (output, expected) => {
+    const actual = tokenize(output);
+    const wanted = tokenize(expected);
+    const mismatch = wanted.findIndex((token, i) => actual[i] !== token);
+
+    if (mismatch === -1 && actual.length === wanted.length) {
+      return { passed: true };
+    }
+    if (mismatch === -1) {
+      return { passed: false, message: `Expected ${wanted.length} tokens, got ${actual.length}` };
+    }
+    return { passed: false, message: `Token ${mismatch + 1} differs` };
+  },
+
+  float: (output, expected, { epsilon = DEFAULT_EPSILON } = {}) => {
+    const actual = tokenize(output);
+    const wanted = tokenize(expected);
+
+    if (actual.length !== wanted.length) {
+      return { passed: false, message: `Expected ${wanted.length} tokens, got ${actual.length}` };
+    }
+
+    for (let i = 0; i < wanted.length; i++) {
+      const bothNumeric = NUMBER_PATTERN.test(wanted[i]) && NUMBER_PATTERN.test(actual[i]);
+      const same = bothNumeric
+        ? numbersClose(parseFloat(actual[i]), parseFloat(wanted[i]), epsilon)
+        : actual[i] === wanted[i];
+
+      if (!same) {
+        return { passed: false, message: `Token ${i + 1} differs: expected ${wanted[i]}, got ${actual[i]}` };
+      }
+    }
+    return { passed: true };
+  }
+};
+
+/**
+ * Compare program output with the expected output
+ * @param {String} mode - One of exact | whitespace | token | float
+ * @param {String} output - Program stdout
+ * @param {String} expected - Expected output from the test case
+ * @param {Object} [options] - { epsilon } for float mode
+ * @returns {Object} - { passed, message? }
+ */
+const compareOutput = (mode, output, expected, options = {}) => {
+  const comparator = comparators[mode];
+  if (!comparator) {
+    throw new Error(`Unsupported comparison mode: ${mode}`);
+  }
+  return comparator(output, expected, options);
+};
+
+module.exports = {
+  COMPARISON_MODES,
+  DEFAULT_EPSILON,
+  compareOutput
+};
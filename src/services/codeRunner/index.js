@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const AppError = require('../../utils/appError');
+const sandbox = require('./sandbox');
+const { getLanguage, supportedLanguages } = require('./languages');
+
+const DEFAULT_TIME_LIMIT_MS = parseInt(process.env.CODE_RUNNER_TIME_LIMIT_MS, 10) || 2000;
+const DEFAULT_MEMORY_LIMIT_MB = parseInt(process.env.CODE_RUNNER_MEMORY_LIMIT_MB, 10) || 256;
+const MAX_TIME_LIMIT_MS = 15000;
+const MAX_MEMORY_LIMIT_MB = 1024;
+const OUTPUT_LIMIT_BYTES = parseInt(process.env.CODE_RUNNER_OUTPUT_LIMIT_BYTES, 10) || 64 * 1024;
+const MAX_SOURCE_BYTES = 64 * 1024;
+
+// Compilers get a fixed, more generous budget than the programs they build
+const COMPILE_LIMITS = {
+  timeLimitMs: 20000,
+  memoryMb: 1024,
+  runtimeMemoryMb: 0,
+  outputLimitBytes: 64 * 1024
+};
+
+class CodeRunnerService {
+  constructor() {
+    // Fail at startup rather than on the first submission when the driver is unusable
+    sandbox.getDriver();
+
+    this.workRoot = path.join(__dirname, '../../../temp/sandbox');
+    if (!fs.existsSync(this.workRoot)) {
+      fs.mkdirSync(this.workRoot, { recursive: true });
+    }
+  }
+
+  /**
+   * Resolve the effective limits for an exercise
+   * @param {Object} exercise - CodingExercise (timeLimit in ms, memoryLimit in MB)
+   * @returns {Object} - { timeLimitMs, memoryMb }
+   */
+  limitsFor(exercise = {}) {
+    const timeLimitMs = Math.min(exercise.timeLimit || DEFAULT_TIME_LIMIT_MS, MAX_TIME_LIMIT_MS);
+    const memoryMb = Math.min(exercise.memoryLimit || DEFAULT_MEMORY_LIMIT_MB, MAX_MEMORY_LIMIT_MB);
+    return { timeLimitMs, memoryMb };
+  }
+
+  isSupported(language) {
+    return !!getLanguage(language);
+  }
+
+  /**
+   * Write a program into a fresh sandbox directory and compile it if needed.
+   * The returned program must be released with dispose().
+   * @param {Object} options
+   * @param {String} options.language - Language key (see languages.js)
+   * @param {String} options.code - Source code
+   * @param {Number} [options.timeLimitMs] - Per execution wall/CPU limit
+   * @param {Number} [options.memoryMb] - Per execution memory limit
+   * @returns {Promise<Object>} - { workDir, adapter, limits, command, compileError }
+   */
+  async prepare({ language, code, timeLimitMs, memoryMb }) {
+    const adapter = getLanguage(language);
+    if (!adapter) {
+      throw new AppError(
+        `Unsupported language: ${language}. Supported: ${supportedLanguages().join(', ')}`,
+        400
+      );
+    }
+    if (typeof code !== 'string' || !code.trim()) {
+      throw new AppError('Code is required', 400);
+    }
+    if (Buffer.byteLength(code, 'utf8') > MAX_SOURCE_BYTES) {
+      throw new AppError(`Code exceeds the maximum size of ${MAX_SOURCE_BYTES / 1024}KB`, 400);
+    }
+
+    const defaults = this.limitsFor();
+    const limits = {
+      timeLimitMs: timeLimitMs || defaults.timeLimitMs,
+      memoryMb: memoryMb || defaults.memoryMb,
+      runtimeMemoryMb: adapter.runtimeMemoryMb,
+      outputLimitBytes: OUTPUT_LIMIT_BYTES
+    };
+    if (adapter.limitAddressSpace) {
+      limits.addressSpaceBytes = limits.memoryMb * 1024 * 1024;
+    }
+
+    const program = {
+      workDir: path.join(this.workRoot, uuidv4()),
+      adapter,
+      limits,
+      command: adapter.run.map(arg => arg.replace('{memoryMb}', String(limits.memoryMb))),
+      compileError: null
+    };
+
+    await fs.promises.mkdir(program.workDir, { recursive: true });
+
+    try {
+      await fs.promises.writeFile(path.join(program.workDir, adapter.sourceFile), code);
+
+      if (adapter.compile) {
+        const compiled = await sandbox.execute(adapter.compile, {
+          workDir: program.workDir,
+          limits: COMPILE_LIMITS,
+          writable: true
+        });
+        if (compiled.exitCode !== 0 || compiled.timedOut) {
+          program.compileError = compiled.timedOut
+            ? 'Compilation timed out'
+            : (compiled.stderr || compiled.stdout || 'Compilation failed').trim();
+        }
+      }
+    } catch (err) {
+      await this.dispose(program);
+      throw err;
+    }
+
+    return program;
+  }
+
+  /**
+   * Execute a prepared program once
+   * @param {Object} program - Result of prepare()
+   * @param {Object} [options]
+   * @param {String} [options.stdin] - Data for stdin
+   * @param {Object} [options.files] - { fileName: contents } placed next to the program (read-only)
+   * @returns {Promise<Object>} - Sandbox result (see sandbox.execute)
+   */
+  async exec(program, { stdin = '', files = {} } = {}) {
+    await Promise.all(Object.entries(files).map(([name, contents]) =>
+      fs.promises.writeFile(path.join(program.workDir, path.basename(name)), contents || '')
+    ));
+
+    const result = await sandbox.execute(program.command, {
+      workDir: program.workDir,
+      stdin,
+      limits: program.limits
+    });
+
+    const { outOfMemoryPattern } = program.adapter;
+    if (!result.memoryExceeded && result.exitCode !== 0 && outOfMemoryPattern) {
+      result.memoryExceeded = outOfMemoryPattern.test(result.stderr);
+    }
+
+    return result;
+  }
+
+  async dispose(program) {
+    if (!program) return;
+    await fs.promises.rm(program.workDir, { recursive: true, force: true }).catch(err => {
+      console.error('Error cleaning sandbox directory:', err);
+    });
+  }
+
+  /**
+   * Compile (if needed) and run code against a list of inputs
+   * @param {Object} options - Same as prepare(), plus:
+   * @param {Array<Object>} options.testCases - [{ input, ... }]; extra fields are passed through
+   * @returns {Promise<Object>} - { compileError, runs, executionTime, memoryUsed }
+   */
+  async run({ testCases = [], ...options }) {
+    let program;
+    try {
+      program = await this.prepare(options);
+      if (program.compileError) {
+        return { compileError: program.compileError, runs: [], executionTime: 0, memoryUsed: 0 };
+      }
+
+      // Test cases run sequentially so timings are not skewed by each other
+      const runs = [];
+      for (const testCase of testCases) {
+        const result = await this.exec(program, { stdin: testCase.input || '' });
+        runs.push({ testCase, ...result });
+      }
+
+      return {
+        compileError: null,
+        runs,
+        executionTime: runs.reduce((max, r) => Math.max(max, r.executionTime), 0),
+        memoryUsed: runs.reduce((max, r) => Math.max(max, r.memoryUsed), 0)
+      };
+    } finally {
+      await this.dispose(program);
+    }
+  }
+
+  /**
+   * Describe why a single run did not produce usable output
+   * @param {Object} run - Result from run().runs
+   * @returns {String|null}
+   */
+  describeFailure(run) {
+    if (run.timedOut) return 'Time limit exceeded';
+    if (run.memoryExceeded) return 'Memory limit exceeded';
+    if (run.outputExceeded) return 'Output limit exceeded';
+    if (run.exitCode !== 0) {
+      const reason = run.signal ? `killed by ${run.signal}` : `exit code ${run.exitCode}`;
+      return `Runtime error (${reason})${run.stderr ? `: ${run.stderr.trim()}` : ''}`;
+    }
+    return null;
+  }
+}
+
+module.exports = new CodeRunnerService();
@@ -0,0 +1,105 @@
+// services/codeRunner/languages.js - Per-language adapters for the code runner
+//
+// Every adapter describes how to lay out a submission on disk and which
+// commands compile and run it inside the sandbox. Commands are argv arrays
+// (never shell strings) and may use the {memoryMb} placeholder, which is
+// replaced with the effective memory limit of the run.
+//
+// New languages are added with registerLanguage(); the runner itself has no
+// language-specific branches.
+
+const adapters = new Map();
+
+/**
+ * Register (or replace) a language adapter
+ * @param {String} name - Language key, matched case-insensitively
+ * @param {Object} adapter - { sourceFile, compile?, run, limitAddressSpace?, runtimeMemoryMb?, outOfMemoryPattern? }
+ */
+const registerLanguage = (name, adapter) => {
+  if (!adapter || !adapter.sourceFile || !Array.isArray(adapter.run)) {
+    throw new Error(`Invalid adapter for language: ${name}`);
+  }
+  adapters.set(name.toLowerCase(), {
+    name: name.toLowerCase(),
+    compile: null,
+    // Runtimes that reserve large virtual regions up front (V8, JVM, CLR)
+    // cannot live under RLIMIT_AS; their memory is watched via RSS instead
+    limitAddressSpace: true,
+    // Extra headroom the runtime itself needs on top of the exercise limit
+    runtimeMemoryMb: 0,
+    ...adapter
+  });
+};
+
+/**
+ * Resolve an adapter by language name
+ * @param {String} name - Language key (e.g. 'javascript', 'CPP')
+ * @returns {Object|null}
+ */
+const getLanguage = (name) => {
+  if (!name) return null;
+  return adapters.get(String(name).toLowerCase()) || null;
+};
+
+const supportedLanguages = () => Array.from(adapters.keys());
+
+// ==========================================
+// BUILT-IN ADAPTERS
+// ==========================================
+registerLanguage('javascript', {
+  sourceFile: 'main.js',
+  run: [process.env.CODE_RUNNER_NODE || 'node', '--max-old-space-size={memoryMb}', 'main.js'],
+  limitAddressSpace: false,
+  runtimeMemoryMb: 64,
+  outOfMemoryPattern: /heap out of memory/i
+});
+
+registerLanguage('python', {
+  sourceFile: 'main.py',
+  run: [process.env.CODE_RUNNER_PYTHON || 'python3', '-S', '-B', 'main.py'],
+  outOfMemoryPattern: /MemoryError/
+});
+
+registerLanguage('java', {
+  // Students must declare `public class Main`
+  sourceFile: 'Main.java',
+  compile: [process.env.CODE_RUNNER_JAVAC || 'javac', '-encoding', 'UTF-8', 'Main.java'],
+  run: [process.env.CODE_RUNNER_JAVA || 'java', '-Xmx{memoryMb}m', '-Xss64m', '-XX:+UseSerialGC', 'Main'],
+  limitAddressSpace: false,
+  runtimeMemoryMb: 64,
+  outOfMemoryPattern: /OutOfMemoryError/
+});
+
+registerLanguage('cpp', {
+  sourceFile: 'main.cpp',
+  compile: [process.env.CODE_RUNNER_CXX || 'g++', '-std=c++17', '-O2', '-pipe', '-o', 'main', 'main.cpp'],
+  run: ['./main'],
+  outOfMemoryPattern: /std::bad_alloc/
+});
+
+registerLanguage('csharp', {
+  sourceFile: 'main.cs',
+  compile: [process.env.CODE_RUNNER_MCS || 'mcs', '-optimize+', '-out:main.exe', 'main.cs'],
+  run: [process.env.CODE_RUNNER_MONO || 'mono', 'main.exe'],
+  limitAddressSpace: false,
+  runtimeMemoryMb: 64,
+  outOfMemoryPattern: /OutOfMemoryException/
+});
+
+registerLanguage('ruby', {
+  sourceFile: 'main.rb',
+  run: [process.env.CODE_RUNNER_RUBY || 'ruby', 'main.rb'],
+  outOfMemoryPattern: /NoMemoryError|failed to allocate memory/
+});
+
+registerLanguage('php', {
+  sourceFile: 'main.php',
+  run: [process.env.CODE_RUNNER_PHP || 'php', '-d', 'memory_limit={memoryMb}M', 'main.php'],
+  outOfMemoryPattern: /Allowed memory size/
+});
+
+module.exports = {
+  registerLanguage,
+  getLanguage,
+  supportedLanguages
+};
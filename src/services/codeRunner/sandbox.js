@@ -0,0 +1,396 @@
+// services/codeRunner/sandbox.js - Isolated process execution with hard limits
+//
+// Two drivers are available, selected with CODE_RUNNER_DRIVER:
+//   - 'docker' (default): every command runs in a throw-away container with no
+//     network, a read-only root filesystem, dropped capabilities and a memory
+//     cgroup. The program sees only its own working directory and a private /tmp.
+//   - 'process': Linux namespaces + rlimits on the host. The program runs in a
+//     fresh network/IPC namespace (no network at all), under CPU/file-size/
+//     process/address-space rlimits, but it can still read the host filesystem.
+//     For local development only; it refuses to run when NODE_ENV=production.
+//
+// Both drivers sample the peak memory of everything the command starts
+// (compiler subprocesses included), so memory limits are enforced (and
+// reported) the same way for every runtime.
+//
+// Time is charged from the moment the program starts: container start-up is
+// not. Docker runs are timed from the container's own start/finish stamps and
+// the wall-clock guard allows CODE_RUNNER_STARTUP_GRACE_MS on top of the limit.
+
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DRIVER = process.env.CODE_RUNNER_DRIVER || 'docker';
+const RUN_AS = process.env.CODE_RUNNER_UID === undefined ? '65534' : process.env.CODE_RUNNER_UID;
+const DOCKER_IMAGE = process.env.CODE_RUNNER_IMAGE || 'learningaksh/code-runner:latest';
+const MAX_PROCESSES = parseInt(process.env.CODE_RUNNER_MAX_PROCESSES, 10) || 128;
+const MAX_FILE_SIZE = 16 * 1024 * 1024; // 16MB per file written by the program
+const SAMPLE_INTERVAL_MS = 5;
+const STARTUP_GRACE_MS = parseInt(process.env.CODE_RUNNER_STARTUP_GRACE_MS, 10) || 2000;
+const DOCKER_TIMEOUT_MS = 10000;
+
+// Programs never inherit the server environment (secrets, DB URIs, ...)
+const SANDBOX_ENV = {
+  PATH: process.env.CODE_RUNNER_PATH || '/usr/local/bin:/usr/bin:/bin',
+  HOME: '/tmp',
+  LANG: 'C.UTF-8',
+  LC_ALL: 'C.UTF-8'
+};
+
+const isRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+
+// ==========================================
+// MEMORY SAMPLERS
+// ==========================================
+
+// Peak RSS (VmHWM) of a host process, in bytes
+const readProcessPeak = (pid) => {
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+    return match ? parseInt(match[1], 10) * 1024 : 0;
+  } catch (err) {
+    return 0;
+  }
+};
+
+// Direct children of a host process, across all its threads
+const readChildren = (pid) => {
+  try {
+    return fs.readdirSync(`/proc/${pid}/task`).flatMap(tid =>
+      fs.readFileSync(`/proc/${pid}/task/${tid}/children`, 'utf8').split(' ').filter(Boolean)
+    );
+  } catch (err) {
+    return [];
+  }
+};
+
+// Peak RSS of a process and all its descendants, in bytes. Compilers and
+// programs that fork would otherwise stay outside the memory limit.
+const readTreePeak = (pid) => {
+  let total = 0;
+  const pending = [String(pid)];
+  const seen = new Set();
+  while (pending.length) {
+    const current = pending.pop();
+    if (seen.has(current)) continue;
+    seen.add(current);
+    total += readProcessPeak(current);
+    pending.push(...readChildren(current));
+  }
+  return total;
+};
+
+// Where a container's memory cgroup lives, by cgroup version and docker cgroup driver
+const containerCgroupFiles = (containerId) => [
+  // cgroup v2, systemd driver
+  `/sys/fs/cgroup/system.slice/docker-${containerId}.scope/memory.peak`,
+  `/sys/fs/cgroup/system.slice/docker-${containerId}.scope/memory.current`,
+  // cgroup v2, cgroupfs driver
+  `/sys/fs/cgroup/docker/${containerId}/memory.peak`,
+  `/sys/fs/cgroup/docker/${containerId}/memory.current`,
+  // cgroup v1, cgroupfs and systemd drivers
+  `/sys/fs/cgroup/memory/docker/${containerId}/memory.max_usage_in_bytes`,
+  `/sys/fs/cgroup/memory/system.slice/docker-${containerId}.scope/memory.max_usage_in_bytes`
+];
+
+// Peak usage of a container's memory cgroup, in bytes
+const readContainerPeak = (containerId) => {
+  if (!containerId) return 0;
+  for (const file of containerCgroupFiles(containerId)) {
+    try {
+      return parseInt(fs.readFileSync(file, 'utf8'), 10) || 0;
+    } catch (err) {
+      // try next location
+    }
+  }
+  return 0;
+};
+
+// Docker timestamps carry nanoseconds, which Date.parse does not accept everywhere
+const parseDockerTime = (value) => {
+  const match = /^(.+T\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})$/.exec(value || '');
+  if (!match) return NaN;
+  return Date.parse(`${match[1]}${match[3]}`) + Number(`0.${match[2] || '0'}`) * 1000;
+};
+
+const docker = (args) => new Promise((resolve, reject) => {
+  execFile('docker', args, { timeout: DOCKER_TIMEOUT_MS }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+});
+
+// ==========================================
+// DRIVERS
+// ==========================================
+const drivers = {
+  process: {
+    wrap(argv, { limits, workDir }) {
+      const cpuSeconds = Math.ceil(limits.timeLimitMs / 1000) + 1;
+      const rlimits = [
+        `--cpu=${cpuSeconds}`,
+        `--fsize=${MAX_FILE_SIZE}`,
+        `--nproc=${MAX_PROCESSES}`,
+        '--core=0',
+        '--nofile=64'
+      ];
+      if (limits.addressSpaceBytes) rlimits.push(`--as=${limits.addressSpaceBytes}`);
+
+      // Root can drop to the sandbox uid; everyone else needs a user namespace
+      const unshare = isRoot
+        ? ['unshare', '--net', '--ipc', '--uts', '--']
+        : ['unshare', '--user', '--map-root-user', '--net', '--ipc', '--uts', '--'];
+      const dropPrivileges = isRoot && RUN_AS
+        ? ['setpriv', `--reuid=${RUN_AS}`, `--regid=${RUN_AS}`, '--clear-groups', '--no-new-privs', '--']
+        : [];
+
+      return {
+        argv: [...unshare, 'prlimit', ...rlimits, '--', ...dropPrivileges, ...argv],
+        // Scratch files stay in the submission's own directory, not the shared /tmp
+        env: { ...SANDBOX_ENV, HOME: workDir, TMPDIR: workDir },
+        samplePeak: (child) => readTreePeak(child.pid),
+        startupGraceMs: 0
+      };
+    },
+
+    async prepare(workDir, { writable }) {
+      // The sandbox user may write only while compiling; runs see a read-only dir
+      if (!isRoot || !RUN_AS) return;
+      const uid = writable ? parseInt(RUN_AS, 10) : 0;
+      await fs.promises.chown(workDir, uid, uid);
+      const entries = await fs.promises.readdir(workDir);
+      await Promise.all(entries.map(entry => fs.promises.chown(path.join(workDir, entry), uid, uid)));
+    },
+
+    kill(child) {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (err) {
+        // already gone
+      }
+    },
+
+    // Nothing to read back: the host clock around the process is accurate enough
+    async finish() {
+      return {};
+    }
+  },
+
+  docker: {
+    wrap(argv, { limits, writable, workDir, cidFile }) {
+      const memoryMb = limits.memoryMb + limits.runtimeMemoryMb;
+      return {
+        argv: [
+          // Kept after exit so finish() can read its timings and OOM flag
+          'docker', 'run', '-i',
+          '--cidfile', cidFile,
+          '--network', 'none',
+          '--read-only',
+          '--tmpfs', '/tmp:rw,noexec,size=16m',
+          '--memory', `${memoryMb}m`,
+          '--memory-swap', `${memoryMb}m`,
+          '--pids-limit', String(MAX_PROCESSES),
+          '--cpus', '1',
+          '--cap-drop', 'ALL',
+          '--security-opt', 'no-new-privileges',
+          '--user', '65534:65534',
+          '--ulimit', `cpu=${Math.ceil(limits.timeLimitMs / 1000) + 1}`,
+          '--ulimit', `fsize=${MAX_FILE_SIZE}`,
+          '-v', `${workDir}:/sandbox:${writable ? 'rw' : 'ro'}`,
+          '-w', '/sandbox',
+          DOCKER_IMAGE,
+          ...argv
+        ],
+        env: SANDBOX_ENV,
+        samplePeak: () => readContainerPeak(readCid(cidFile)),
+        startupGraceMs: STARTUP_GRACE_MS
+      };
+    },
+
+    async prepare(workDir, { writable }) {
+      // Container runs as nobody; it needs write access only to compile
+      await fs.promises.chmod(workDir, writable ? 0o777 : 0o755);
+    },
+
+    kill(child, { cidFile }) {
+      const cid = readCid(cidFile);
+      if (cid) spawn('docker', ['kill', cid], { stdio: 'ignore' }).on('error', () => {});
+      child.kill('SIGKILL');
+    },
+
+    /**
+     * Read how long the program itself ran and whether the kernel OOM-killed
+     * it, then remove the container
+     * @returns {Promise<Object>} - { executionTime, oomKilled }
+     */
+    async finish(child, { cidFile }) {
+      const cid = readCid(cidFile);
+      if (!cid) return {};
+      try {
+        const state = JSON.parse(await docker(['inspect', '--format', '{{json .State}}', cid]));
+        const runTime = parseDockerTime(state.FinishedAt) - parseDockerTime(state.StartedAt);
+        return {
+          executionTime: runTime >= 0 ? runTime : undefined,
+          oomKilled: state.OOMKilled === true
+        };
+      } catch (err) {
+        return {};
+      } finally {
+        await docker(['rm', '-f', cid]).catch(() => {});
+      }
+    }
+  }
+};
+
+const readCid = (cidFile) => {
+  try {
+    return fs.readFileSync(cidFile, 'utf8').trim();
+  } catch (err) {
+    return null;
+  }
+};
+
+const getDriver = (name = DRIVER) => {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown code runner driver: ${name}`);
+  }
+  // Host processes can read the server's files; never run submissions that way in production
+  if (name === 'process' && process.env.NODE_ENV === 'production') {
+    throw new Error('The process code runner driver does not isolate the filesystem and cannot be used in production. Set CODE_RUNNER_DRIVER=docker.');
+  }
+  return driver;
+};
+
+// ==========================================
+// EXECUTION
+// ==========================================
+
+/**
+ * Run one command inside the sandbox
+ * @param {Array<String>} argv - Command to run (relative to workDir)
+ * @param {Object} options
+ * @param {String} options.workDir - Directory holding the submission
+ * @param {String} [options.stdin] - Data written to the program's stdin
+ * @param {Object} options.limits - { timeLimitMs, memoryMb, runtimeMemoryMb, outputLimitBytes, addressSpaceBytes }
+ * @param {Boolean} [options.writable] - Whether the program may write to workDir (compile step)
+ * @returns {Promise<Object>} - { stdout, stderr, exitCode, signal, timedOut, memoryExceeded, outputExceeded, executionTime, memoryUsed }
+ */
+const execute = async (argv, options) => {
+  const { workDir, stdin = '', limits, writable = false } = options;
+  const driver = getDriver();
+  const cidFile = path.join(path.dirname(workDir), `${path.basename(workDir)}.cid`);
+  const context = { limits, writable, workDir, cidFile };
+
+  await driver.prepare(workDir, context);
+  const wrapped = driver.wrap(argv, context);
+
+  return new Promise((resolve, reject) => {
+    const memoryCeiling = (limits.memoryMb + (limits.runtimeMemoryMb || 0)) * 1024 * 1024;
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let peakMemory = 0;
+    let timedOut = false;
+    let memoryExceeded = false;
+    let outputExceeded = false;
+    let settled = false;
+
+    let startedAt = process.hrtime.bigint();
+    const child = spawn(wrapped.argv[0], wrapped.argv.slice(1), {
+      cwd: workDir,
+      env: wrapped.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    const kill = () => driver.kill(child, context);
+
+    const sample = () => {
+      peakMemory = Math.max(peakMemory, wrapped.samplePeak(child));
+      if (peakMemory > memoryCeiling && !memoryExceeded) {
+        memoryExceeded = true;
+        kill();
+      }
+    };
+    const sampler = setInterval(sample, SAMPLE_INTERVAL_MS);
+    child.on('spawn', () => {
+      startedAt = process.hrtime.bigint();
+      sample();
+    });
+
+    // Wall-clock guard; the CPU rlimit alone does not catch sleeping programs.
+    // Start-up time is allowed for here and the verdict uses the measured run time.
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, limits.timeLimitMs + (wrapped.startupGraceMs || 0));
+
+    const collect = (bucket) => (chunk) => {
+      if (outputExceeded) return;
+      outputBytes += chunk.length;
+      if (outputBytes > limits.outputLimitBytes) {
+        outputExceeded = true;
+        bucket.push(chunk.slice(0, chunk.length - (outputBytes - limits.outputLimitBytes)));
+        kill();
+        return;
+      }
+      bucket.push(chunk);
+    };
+
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+    // Programs that never read stdin close the pipe early
+    child.stdin.on('error', () => {});
+
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(sampler);
+      clearTimeout(timer);
+      reject(new Error(`Sandbox failed to start (${DRIVER} driver): ${err.message}`));
+    });
+
+    child.on('close', async (exitCode, signal) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(sampler);
+      clearTimeout(timer);
+
+      const hostTime = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const finished = await driver.finish(child, context).catch(() => ({}));
+      fs.promises.unlink(cidFile).catch(() => {});
+
+      const executionTime = finished.executionTime === undefined ? hostTime : finished.executionTime;
+      // SIGXCPU (or SIGKILL after it) means the CPU rlimit was hit
+      if (signal === 'SIGXCPU' || executionTime > limits.timeLimitMs) timedOut = true;
+      // The container's memory cgroup killed it before a sample caught the peak
+      if (finished.oomKilled) {
+        memoryExceeded = true;
+        peakMemory = Math.max(peakMemory, memoryCeiling);
+      }
+
+      resolve({
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        exitCode,
+        signal,
+        timedOut,
+        memoryExceeded,
+        outputExceeded,
+        executionTime: Math.round(executionTime),
+        memoryUsed: Math.round(peakMemory / 1024) // KB
+      });
+    });
+
+    child.stdin.end(stdin);
+  });
+};
+
+module.exports = {
+  execute,
+  readContainerPeak,
+  parseDockerTime,
+  getDriver,
+  drivers,
+  driver: DRIVER
+};
@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const { Coupon, CouponRedemption, Payment } = require('../models');
+const AppError = require('../utils/appError');
+const { roundAmount } = require('../utils/currency');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const MAX_BATCH = 1000;
+const LIMIT_REACHED = 'Coupon usage limit has been reached';
+
+// A reservation whose payment was never completed stops counting after this long
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const includesId = (list, value) => !!value && (list || []).some(id => String(id) === String(value));
+
+class CouponService {
+  /**
+   * Random coupon code
+   * @param {Number} length - Characters after the prefix
+   * @param {String} prefix - e.g. "DIWALI" gives "DIWALI-7KQ2M9XA"
+   * @returns {String}
+   */
+  generateCode(length = 8, prefix = '') {
+    const bytes = crypto.randomBytes(length);
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += CODE_CHARS.charAt(bytes[i] % CODE_CHARS.length);
+    }
+    return prefix ? `${String(prefix).toUpperCase()}-${code}` : code;
+  }
+
+  /**
+   * Active coupon by code, or a 400 explaining why it cannot be used
+   * @param {String} code
+   * @returns {Promise<Object>} - Coupon
+   */
+  async findByCode(code) {
+    if (!code) throw new AppError('Please provide a coupon code', 400);
+
+    const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim() });
+    const reason = this.unavailableReason(coupon);
+    if (reason) throw new AppError(reason, 400);
+
+    return coupon;
+  }
+
+  /**
+   * Why a coupon cannot be used by anyone right now, or null when it can
+   * @param {Object} coupon
+   * @param {Date} now
+   * @returns {String|null}
+   */
+  unavailableReason(coupon, now = new Date()) {
+    if (!coupon || !coupon.isActive) return 'Invalid or expired coupon code';
+    if (coupon.startDate && new Date(coupon.startDate) > now) return 'Invalid or expired coupon code';
+    if (!coupon.expiryDate || new Date(coupon.expiryDate) < now) return 'Invalid or expired coupon code';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return LIMIT_REACHED;
+    return null;
+  }
+
+  /**
+   * Why this user cannot use a coupon, or null when they can
+   * @param {Object} coupon
+   * @param {String} userId
+   * @param {String} paymentId - Redemption of this payment is not counted
+   * @returns {Promise<String|null>}
+   */
+  async userReason(coupon, userId, paymentId) {
+    if (!userId) return null;
+
+    if (coupon.firstPurchaseOnly) {
+      const purchased = await Payment.exists({
+        user: userId,
+        status: { $in: ['success', 'partially_refunded', 'refunded'] },
+        amount: { $gt: 0 }
+      });
+      if (purchased) return 'This coupon is only valid on your first purchase';
+    }
+
+    if (coupon.perUserLimit) {
+      const used = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        user: userId,
+        active: true,
+        ...(paymentId ? { payment: { $ne: paymentId } } : {})
+      });
+      if (used >= coupon.perUserLimit) return 'You have already used this coupon the maximum number of times';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a coupon applies to a line. Course/category lists widen each other
+   * (either may match); instructor scope narrows whatever they allow.
+   * @param {Object} coupon
+   * @param {Object} line - { itemType, itemId, category, instructors, price }
+   * @returns {Boolean}
+   */
+  isEligible(coupon, line) {
+    if (!(line.price > 0)) return false;
+
+    const courses = coupon.validForCourses || [];
+    const categories = coupon.validForCategories || [];
+    if (courses.length > 0 || categories.length > 0) {
+      const matches = (line.itemType === 'course' && includesId(courses, line.itemId)) ||
+        includesId(categories, line.category);
+      if (!matches) return false;
+    }
+
+    const instructors = coupon.validForInstructors || [];
+    if (instructors.length > 0 && !(line.instructors || []).some(id => includesId(instructors, id))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Coupons that may be used together: a lone coupon, or only stackable ones.
+   * Later coupons that break the rule are dropped.
+   * @param {Array} coupons - In the order they were applied
+   * @returns {Array}
+   */
+  stackable(coupons) {
+    if (coupons.length <= 1) return coupons;
+    if (!coupons[0].stackable) return [coupons[0]];
+    return coupons.filter(coupon => coupon.stackable);
+  }
+
+  /**
+   * Spread coupons over the lines they are valid for. Each coupon works on what
+   * is left after the ones before it; fixed amounts and caps are split in
+   * proportion to line prices, rounding leftovers go to the last eligible line.
+   * @param {Array} coupons - In the order they were applied
+   * @param {Array} lines - [{ itemType, itemId, category, instructors, price }]
+   * @param {Function} convert - (amount, couponCurrency) => amount in the order's
+   *   currency, or null when it cannot be converted
+   * @returns {Object} - { discounts: per line, applied: [{ coupon, discount }] }
+   */
+  allocate(coupons, lines, convert = (amount) => amount) {
+    const discounts = lines.map(() => 0);
+    const applied = [];
+    const subtotal = lines.reduce((sum, line) => sum + (line.price || 0), 0);
+    const currency = lines.length > 0 ? lines[0].currency : undefined;
+    const round = (value) => roundAmount(value, currency);
+
+    for (const coupon of this.stackable(coupons.filter(Boolean))) {
+      const money = (value) => convert(value, coupon.currency);
+
+      const minimum = coupon.minOrderValue ? money(coupon.minOrderValue) : 0;
+      if (minimum === null || subtotal < minimum) continue;
+
+      const eligible = lines
+        .map((line, index) => ({ index, remaining: round(line.price - discounts[index]) }))
+        .filter(({ index, remaining }) => remaining > 0 && this.isEligible(coupon, lines[index]));
+
+      const eligibleTotal = round(eligible.reduce((sum, { remaining }) => sum + remaining, 0));
+      if (eligibleTotal === 0) continue;
+
+      let total;
+      if (coupon.discountType === 'percentage') total = (eligibleTotal * Math.min(coupon.discountValue, 100)) / 100;
+      else if (coupon.discountType === 'fixed_amount') total = money(coupon.discountValue);
+      else if (coupon.discountType === 'free') total = eligibleTotal;
+      else total = 0;
+      if (coupon.maxDiscountAmount !== null && coupon.maxDiscountAmount !== undefined) {
+        const cap = money(coupon.maxDiscountAmount);
+        total = cap === null ? null : Math.min(total, cap);
+      }
+      if (total === null) continue;
+      total = round(Math.min(total, eligibleTotal));
+      if (total <= 0) continue;
+
+      let allocated = 0;
+      eligible.forEach(({ index, remaining }, position) => {
+        const share = position === eligible.length - 1
+          ? round(total - allocated)
+          : round((total * remaining) / eligibleTotal);
+        const taken = Math.min(share, remaining);
+        discounts[index] = round(discounts[index] + taken);
+        allocated = round(allocated + taken);
+      });
+
+      applied.push({ coupon, discount: allocated });
+    }
+
+    return { discounts, applied };
+  }
+
+  /**
+   * Check a coupon can be added to an order, with a message saying why not
+   * @param {Object} coupon
+   * @param {Array} current - Coupons already on the order
+   * @param {Array} lines
+   * @param {String} userId
+   * @param {Function} convert - As for allocate()
+   */
+  async assertApplicable(coupon, current, lines, userId, convert = (amount) => amount) {
+    if (current.some(c => String(c._id) === String(coupon._id))) {
+      throw new AppError('This coupon is already applied', 400);
+    }
+    if (current.length > 0 && !(coupon.stackable && current.every(c => c.stackable))) {
+      throw new AppError('This coupon cannot be combined with the coupon already applied', 400);
+    }
+
+    const reason = await this.userReason(coupon, userId);
+    if (reason) throw new AppError(reason, 400);
+
+    const subtotal = round(lines.reduce((sum, line) => sum + (line.price || 0), 0));
+    const minimum = coupon.minOrderValue ? convert(coupon.minOrderValue, coupon.currency) : 0;
+    if (minimum && subtotal < minimum) {
+      const currency = lines.length > 0 ? `${lines[0].currency} ` : '';
+      throw new AppError(`This coupon needs a minimum order value of ${currency}${minimum}`, 400);
+    }
+
+    const { applied } = this.allocate([...current, coupon], lines, convert);
+    if (!applied.some(entry => String(entry.coupon._id) === String(coupon._id))) {
+      throw new AppError('This coupon is not valid for the items in your order', 400);
+    }
+  }
+
+  /**
+   * Hold the coupons of a new payment. Limits are taken atomically: the global
+   * one by a conditional increment of usedCount, the per-user one by a unique
+   * slot, so concurrent checkouts cannot overshoot either.
+   * @param {Object} payment - Payment with `coupons`
+   */
+  async reserve(payment) {
+    try {
+      for (const entry of payment.coupons || []) {
+        await this.reserveOne(payment, entry);
+      }
+    } catch (err) {
+      await this.release(payment);
+      throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async reserveOne(payment, entry, retried = false) {
+    const coupon = await Coupon.findById(entry.coupon);
+    const unavailable = this.unavailableReason(coupon);
+    // The usage limit is settled by the increment below, after stale holds are freed
+    if (unavailable && unavailable !== LIMIT_REACHED) throw new AppError(unavailable, 400);
+
+    const reason = await this.userReason(coupon, payment.user, payment._id);
+    if (reason) throw new AppError(reason, 400);
+
+    let redemption;
+    const slots = coupon.perUserLimit ? Array.from({ length: coupon.perUserLimit }, (_, i) => i + 1) : [undefined];
+    for (const slot of slots) {
+      try {
+        redemption = await CouponRedemption.create({
+          coupon: coupon._id, user: payment.user, payment: payment._id, discount: entry.discount, slot
+        });
+        break;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        if (!(err.keyPattern && err.keyPattern.slot)) return; // Already reserved for this payment
+      }
+    }
+    if (!redemption) throw new AppError('You have already used this coupon the maximum number of times', 400);
+
+    const counted = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        $or: [{ usageLimit: { $in: [null, 0] } }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+      },
+      { $inc: { usedCount: 1 } }
+    );
+    if (counted) return;
+
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    if (!retried && (await this.releaseStale(coupon._id)) > 0) {
+      return this.reserveOne(payment, entry, true);
+    }
+    throw new AppError(LIMIT_REACHED, 400);
+  }
+
+  /**
+   * Mark a successful payment's coupons as used. A payment that failed and then
+   * succeeded on retry lost its reservation, so it is taken back regardless of
+   * limits: the buyer has already paid the discounted price.
+   * @param {Object} payment
+   */
+  async redeem(payment) {
+    for (const entry of payment.coupons || []) {
+      const held = await CouponRedemption.findOneAndUpdate(
+        { coupon: entry.coupon, payment: payment._id, active: true },
+        { status: 'redeemed', redeemedAt: new Date() }
+      );
+      if (held) continue;
+
+      try {
+        await CouponRedemption.findOneAndUpdate(
+          { coupon: entry.coupon, payment: payment._id, active: { $ne: true } },
+          {
+            $set: { user: payment.user, active: true, status: 'redeemed', redeemedAt: new Date(), discount: entry.discount },
+            $unset: { slot: 1, releasedAt: 1 }
+          },
+          { upsert: true }
+        );
+      } catch (err) {
+        if (err.code === 11000) continue; // Revived by a concurrent call
+        throw err;
+      }
+      await Coupon.updateOne({ _id: entry.coupon }, { $inc: { usedCount: 1 } });
+    }
+  }
+
+  /**
+   * Give back the coupons held by a payment that will not complete
+   * @param {Object} payment
+   * @returns {Promise<Number>} - Reservations released
+   */
+  async release(payment) {
+    const held = await CouponRedemption.find({ payment: payment._id, active: true, status: 'reserved' }).select('_id coupon');
+    let released = 0;
+
+    for (const redemption of held) {
+      const freed = await CouponRedemption.findOneAndUpdate(
+        { _id: redemption._id, active: true, status: 'reserved' },
+        { $set: { active: false, status: 'released', releasedAt: new Date() }, $unset: { slot: 1 } }
+      );
+      if (!freed) continue;
+
+      await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      released++;
+    }
+
+    return released;
+  }
+
+  /**
+   * Release reservations of a coupon whose checkout was abandoned
+   * @param {String} couponId
+   * @returns {Promise<Number>} - Reservations released
+   */
+  async releaseStale(couponId) {
+    const stale = await CouponRedemption.find({
+      coupon: couponId,
+      active: true,
+      status: 'reserved',
+      createdAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) }
+    }).select('payment').lean();
+    if (stale.length === 0) return 0;
+
+    // A success whose fulfilment has not run yet still owns its reservation
+    const paid = await Payment.find({
+      _id: { $in: stale.map(r => r.payment) },
+      status: { $in: ['success', 'partially_refunded', 'refunded'] }
+    }).distinct('_id');
+
+    let released = 0;
+    for (const redemption of stale) {
+      if (includesId(paid, redemption.payment)) continue;
+      released += await this.release({ _id: redemption.payment });
+    }
+    return released;
+  }
+
+  /**
+   * Create many single-purpose coupons sharing the same rules
+   * @param {Object} data - Coupon fields shared by every code
+   * @param {Number} count
+   * @param {Object} options - { prefix, length }
+   * @returns {Promise<Object>} - { batch, coupons }
+   */
+  async generateBatch(data, count, { prefix, length = 8 } = {}) {
+    count = parseInt(count, 10);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH) {
+      throw new AppError(`Please ask for between 1 and ${MAX_BATCH} codes`, 400);
+    }
+    length = Math.min(Math.max(parseInt(length, 10) || 8, 6), 16);
+
+    const batch = `${prefix ? String(prefix).toUpperCase() : 'BATCH'}-${Date.now().toString(36).toUpperCase()}`;
+    const created = [];
+
+    // Collisions with existing codes are rare; retry just those a few times
+    for (let attempt = 0; attempt < 5 && created.length < count; attempt++) {
+      const codes = new Set();
+      while (codes.size < count - created.length) codes.add(this.generateCode(length, prefix));
+
+      const taken = await Coupon.find({ code: { $in: [...codes] } }).distinct('code');
+      const fresh = [...codes].filter(code => !taken.includes(code));
+
+      try {
+        created.push(...await Coupon.insertMany(fresh.map(code => ({ ...data, code, batch })), { ordered: false }));
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        created.push(...await Coupon.find({ batch, code: { $in: fresh } }));
+      }
+    }
+
+    if (created.length < count) {
+      throw new AppError(`Only ${created.length} of ${count} codes could be generated, please try again`, 500);
+    }
+
+    return { batch, coupons: created };
+  }
+}
+
+module.exports = new CouponService();
@@ -159,38 +159,47 @@ class EmailService {
     });
   }
 
-  async sendPaymentReceipt(user, payment, items) {
+  async sendPaymentReceipt(user, payment, items, invoice, invoicePdf) {
     const data = {
       firstName: user.firstName,
-      receiptNumber: payment.transactionId,
-      date: payment.createdAt,
+      receiptNumber: invoice ? invoice.number : payment.transactionId,
+      date: invoice ? invoice.issuedAt : payment.createdAt,
       items,
-      subtotal: payment.amount,
-      total: payment.amount,
+      subtotal: invoice ? invoice.subtotal : payment.amount,
+      taxes: invoice ? invoice.taxBreakdown : [],
+      total: invoice ? invoice.total : payment.amount,
       paymentMethod: payment.paymentMethod,
-      billingAddress: user.address
+      billingAddress: invoice ? invoice.buyer.address : user.address,
+      invoiceAttached: !!invoicePdf
     };
 
+    const attachments = invoicePdf
+      ? [{ filename: `${invoice.number.replace(/\//g, '-')}.pdf`, content: invoicePdf, contentType: 'application/pdf' }]
+      : undefined;
+
     return this.sendMail({
       to: user.email,
-      subject: `Payment Receipt - ${payment.transactionId}`,
+      subject: `Payment Receipt - ${data.receiptNumber}`,
       template: 'payment-receipt',
-      data
+      data,
+      attachments
     });
   }
 
-  async sendInstructorPayout(instructor, amount, period) {
+  async sendInstructorPayout(instructor, amount, period, details = {}) {
     const data = {
       firstName: instructor.firstName,
       amount,
+      currency: details.currency,
       period,
-      payoutDate: new Date(),
-      transactionId: `PO-${Date.now()}`
+      payoutDate: details.payoutDate || new Date(),
+      transactionId: details.transactionId || `PO-${Date.now()}`,
+      summary: details.summary
     };
 
     return this.sendMail({
       to: instructor.email,
-      subject: `Payout Processed: $${amount}`,
+      subject: `Payout Processed: ${details.currency ? `${details.currency} ` : '$'}${amount}`,
       template: 'instructor-payout',
       data
     });
@@ -255,7 +264,7 @@ class EmailService {
   }
 
   async sendVerificationEmail(user, token) {
-    const verifyUrl = `${process.env.BASE_URL}/verify-email/${token}`;
+    const verifyUrl = `${process.env.BASE_URL}/api/v1/auth/verify-email/${token}`;
 
     const data = {
       firstName: user.firstName,
@@ -280,7 +289,8 @@ class EmailService {
       ip: deviceInfo.ip,
       location: deviceInfo.location,
       time: new Date().toLocaleString(),
-      securityUrl: `${process.env.BASE_URL}/account/security`
+      securityUrl: `${process.env.BASE_URL}/account/security`,
+      reportUrl: deviceInfo.reportUrl
     };
 
     return this.sendMail({
@@ -0,0 +1,112 @@
+// services/grading/index.js - Question grading shared by quizzes and mock tests
+const {
+  ANSWER_FIELDS,
+  getQuestionType,
+  resolveQuestionType,
+  supportedQuestionTypes,
+  validateQuestion,
+  registerQuestionType
+} = require('./questionTypes');
+
+// Marks are reported to two decimals (partial credit of a 3 mark question)
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+class QuestionGrader {
+  constructor() {
+    this.ANSWER_FIELDS = ANSWER_FIELDS;
+    this.registerQuestionType = registerQuestionType;
+    this.getQuestionType = getQuestionType;
+    this.supportedQuestionTypes = supportedQuestionTypes;
+    this.validate = validateQuestion;
+  }
+
+  /**
+   * Canonical type name of a question (aliases and untyped legacy questions resolved)
+   * @param {Object} question
+   * @returns {String|null}
+   */
+  typeOf(question) {
+    const definition = resolveQuestionType(question);
+    return definition ? definition.name : null;
+  }
+
+  /**
+   * Bring an incoming answer to the shared shape. Older quiz clients send the
+   * chosen option as `selectedOption`.
+   * @param {Object} answer
+   * @returns {Object}
+   */
+  normalizeAnswer(answer = {}) {
+    const normalized = {};
+    ANSWER_FIELDS.forEach(field => {
+      if (answer[field] !== undefined) normalized[field] = answer[field];
+    });
+    if (normalized.selectedOptionIndex === undefined && typeof answer.selectedOption === 'number') {
+      normalized.selectedOptionIndex = answer.selectedOption;
+    }
+    if (typeof answer.selectedOption === 'boolean') normalized.selectedOption = answer.selectedOption;
+    return normalized;
+  }
+
+  /**
+   * Grade one answer
+   * @param {Object} question - Quiz, bank, mock test question or paper item
+   * @param {Object} [answer] - Student answer (missing = not attempted)
+   * @param {Object} scoring - { marks, negativeMarks }
+   * @returns {Object} - { type, attempted, credit, isCorrect, marksObtained, needsReview }
+   */
+  grade(question, answer, { marks = 0, negativeMarks = 0 } = {}) {
+    const definition = resolveQuestionType(question);
+    if (!definition) {
+      throw new Error(`Unsupported question type: ${question.type}`);
+    }
+
+    const normalized = this.normalizeAnswer(answer || {});
+    const attempted = !!answer && definition.attempted(normalized);
+    const credit = attempted ? definition.grade(question, normalized) : 0;
+
+    // Essays and other manually marked types score nothing until reviewed
+    if (credit === null) {
+      return { type: definition.name, attempted, credit: null, isCorrect: false, marksObtained: 0, needsReview: true };
+    }
+
+    let marksObtained = roundMarks(credit * marks);
+    // Negative marking only for attempted answers that earned nothing
+    if (attempted && credit === 0 && negativeMarks > 0) {
+      marksObtained = -negativeMarks;
+    }
+
+    return {
+      type: definition.name,
+      attempted,
+      credit,
+      isCorrect: credit === 1,
+      marksObtained,
+      needsReview: false
+    };
+  }
+
+  /**
+   * Correct answer as shown in results and reviews
+   * @param {Object} question
+   * @returns {*}
+   */
+  correctAnswer(question) {
+    const definition = resolveQuestionType(question);
+    return definition ? definition.correctAnswer(question) : null;
+  }
+
+  /**
+   * Fields of a question a student may see while answering
+   * @param {Object} question
+   * @param {Function} [rng] - Seeded random source for shuffled match/ordering items
+   * @returns {Object} - { type, options?, blankCount?, matchLeft?, matchRight?, orderItems? }
+   */
+  forStudent(question, rng) {
+    const definition = resolveQuestionType(question);
+    if (!definition) return { type: question.type };
+    return { type: definition.name, ...definition.forStudent(question, rng) };
+  }
+}
+
+module.exports = new QuestionGrader();
@@ -0,0 +1,309 @@
+// services/grading/questionTypes.js - Per-type graders for quiz and mock test questions
+//
+// Every question type describes how to tell whether a student answered it,
+// how much credit an answer earns (a fraction in [0, 1], or null when it has
+// to be marked by hand), what the correct answer looks like in a review and
+// which fields the student may see while answering.
+//
+// Answers share one shape across quizzes and mock tests:
+//   { selectedOptionIndex, selectedOptionIndexes, answerText, blanks, matches, sequence }
+// Each type only reads the fields it needs.
+//
+// New types are added with registerQuestionType(); the grader itself has no
+// type-specific branches.
+
+const types = new Map();
+const aliases = new Map();
+
+const ANSWER_FIELDS = ['selectedOptionIndex', 'selectedOptionIndexes', 'answerText', 'blanks', 'matches', 'sequence'];
+
+// Upper case with '-' and spaces as '_', so 'multiple-choice' and 'MULTIPLE_CHOICE' are the same key
+const normalizeKey = (name) => String(name).trim().toUpperCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Register (or replace) a question type
+ * @param {String} name - Type key, e.g. 'NUMERIC'
+ * @param {Object} definition - { attempted, grade, correctAnswer, validate?, forStudent?, autoGraded? }
+ * @param {Array} [typeAliases] - Other names accepted for this type
+ */
+const registerQuestionType = (name, definition, typeAliases = []) => {
+  if (!definition || typeof definition.grade !== 'function' || typeof definition.attempted !== 'function') {
+    throw new Error(`Invalid definition for question type: ${name}`);
+  }
+  const key = normalizeKey(name);
+  types.set(key, {
+    name: key,
+    autoGraded: true,
+    validate: () => null,
+    forStudent: () => ({}),
+    ...definition
+  });
+  typeAliases.forEach(alias => aliases.set(normalizeKey(alias), key));
+};
+
+/**
+ * Resolve a type definition by name or alias
+ * @param {String} name - e.g. 'MULTIPLE-CHOICE', 'numeric'
+ * @returns {Object|null}
+ */
+const getQuestionType = (name) => {
+  if (!name) return null;
+  const key = normalizeKey(name);
+  return types.get(aliases.get(key) || key) || null;
+};
+
+/**
+ * Type of a stored question. Bank and mock test questions written before
+ * types existed have none: they are single choice when they have options.
+ * @param {Object} question
+ * @returns {Object|null}
+ */
+const resolveQuestionType = (question) => {
+  if (question.type) return getQuestionType(question.type);
+  return getQuestionType(question.options && question.options.length > 0 ? 'SINGLE_CHOICE' : 'SHORT_ANSWER');
+};
+
+const supportedQuestionTypes = () => Array.from(types.keys());
+
+/**
+ * Check that a question carries what its type needs to be graded
+ * @param {Object} question
+ * @returns {String|null} - Error message, or null when valid
+ */
+const validateQuestion = (question) => {
+  const definition = resolveQuestionType(question);
+  if (!definition) return `Unsupported question type: ${question.type}`;
+  return definition.validate(question);
+};
+
+// ==========================================
+// HELPERS
+// ==========================================
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value == null ? '' : value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const sameText = (a, b, caseSensitive) => !isBlank(a) && normalizeText(a, caseSensitive) === normalizeText(b, caseSensitive);
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// Share of positions answered correctly; all-or-nothing unless partial credit is on
+const positionalCredit = (hits, total, partialCredit) => {
+  if (total === 0) return 0;
+  if (partialCredit === false) return hits === total ? 1 : 0;
+  return hits / total;
+};
+
+const optionIndex = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const publicOptions = (question) => list(question.options).map(opt => ({ text: opt.text }));
+
+// Deterministic when the caller passes a seeded rng (mock test papers)
+const shuffled = (items, rng = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const readBoolean = (answer) => {
+  if (typeof answer.selectedOption === 'boolean') return answer.selectedOption; // Legacy quiz clients
+  if (!isBlank(answer.answerText)) {
+    const text = normalizeText(answer.answerText);
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+  }
+  return null;
+};
+
+// ==========================================
+// BUILT-IN TYPES
+// ==========================================
+const singleChoice = {
+  attempted: (answer) => optionIndex(answer.selectedOptionIndex) !== null,
+  grade: (question, answer) => {
+    const option = list(question.options)[optionIndex(answer.selectedOptionIndex)];
+    return option && option.isCorrect ? 1 : 0;
+  },
+  correctAnswer: (question) => {
+    const correct = list(question.options).find(opt => opt.isCorrect);
+    return correct ? correct.text : null;
+  },
+  validate: (question) => {
+    const options = list(question.options);
+    if (options.length < 2) return 'A choice question needs at least two options';
+    if (!options.some(opt => opt.isCorrect)) return 'A choice question needs a correct option';
+    return null;
+  },
+  forStudent: (question) => ({ options: publicOptions(question) })
+};
+
+registerQuestionType('SINGLE_CHOICE', singleChoice, ['MULTIPLE_CHOICE', 'MCQ']);
+
+registerQuestionType('MULTIPLE_SELECT', {
+  attempted: (answer) => list(answer.selectedOptionIndexes).length > 0,
+  // Each wrong pick cancels a right one, so selecting everything earns nothing
+  grade: (question, answer) => {
+    const options = list(question.options);
+    const correct = options.filter(opt => opt.isCorrect).length;
+    const selected = new Set(list(answer.selectedOptionIndexes).map(Number));
+    let right = 0;
+    let wrong = 0;
+    selected.forEach(index => {
+      if (options[index] && options[index].isCorrect) right++;
+      else wrong++;
+    });
+
+    if (question.partialCredit === false) return right === correct && wrong === 0 ? 1 : 0;
+    return correct === 0 ? 0 : Math.max(0, (right - wrong) / correct);
+  },
+  correctAnswer: (question) => list(question.options).filter(opt => opt.isCorrect).map(opt => opt.text),
+  validate: (question) => {
+    const options = list(question.options);
+    if (options.length < 2) return 'A choice question needs at least two options';
+    if (!options.some(opt => opt.isCorrect)) return 'A choice question needs a correct option';
+    return null;
+  },
+  forStudent: (question) => ({ options: publicOptions(question) })
+}, ['MULTI_SELECT', 'MULTIPLE_RESPONSE']);
+
+registerQuestionType('TRUE_FALSE', {
+  attempted: (answer) => readBoolean(answer) !== null || optionIndex(answer.selectedOptionIndex) !== null,
+  // Either 'true'/'false' in correctAnswer, or two options with one marked correct
+  grade: (question, answer) => {
+    if (list(question.options).length > 0 && optionIndex(answer.selectedOptionIndex) !== null) {
+      return singleChoice.grade(question, answer);
+    }
+    const value = readBoolean(answer);
+    return value !== null && String(value) === normalizeText(question.correctAnswer) ? 1 : 0;
+  },
+  correctAnswer: (question) => (list(question.options).length > 0
+    ? singleChoice.correctAnswer(question)
+    : normalizeText(question.correctAnswer)),
+  validate: (question) => {
+    if (list(question.options).length > 0) return singleChoice.validate(question);
+    return ['true', 'false'].includes(normalizeText(question.correctAnswer))
+      ? null
+      : 'A true/false question needs correctAnswer "true" or "false"';
+  },
+  forStudent: (question) => (list(question.options).length > 0 ? { options: publicOptions(question) } : {})
+}, ['BOOLEAN']);
+
+registerQuestionType('NUMERIC', {
+  attempted: (answer) => !isBlank(answer.answerText),
+  // Inside [min, max] when a range is set, otherwise within ±tolerance of value
+  grade: (question, answer) => {
+    const numeric = question.numeric || {};
+    const value = Number(String(answer.answerText).trim());
+    if (isBlank(answer.answerText) || !Number.isFinite(value)) return 0;
+
+    const hasRange = numeric.min !== undefined && numeric.min !== null && numeric.max !== undefined && numeric.max !== null;
+    if (hasRange) return value >= numeric.min && value <= numeric.max ? 1 : 0;
+
+    // Small slack so 0.1 + 0.2 style representation errors do not cost marks
+    const tolerance = Math.abs(numeric.tolerance || 0) + 1e-9;
+    return Math.abs(value - numeric.value) <= tolerance ? 1 : 0;
+  },
+  correctAnswer: (question) => {
+    const numeric = question.numeric || {};
+    if (numeric.min !== undefined && numeric.min !== null && numeric.max !== undefined && numeric.max !== null) {
+      return `${numeric.min} to ${numeric.max}`;
+    }
+    return numeric.tolerance ? `${numeric.value} ± ${numeric.tolerance}` : String(numeric.value);
+  },
+  validate: (question) => {
+    const numeric = question.numeric || {};
+    const hasValue = typeof numeric.value === 'number' && Number.isFinite(numeric.value);
+    const hasRange = typeof numeric.min === 'number' && typeof numeric.max === 'number';
+    if (!hasValue && !hasRange) return 'A numeric question needs numeric.value or numeric.min and numeric.max';
+    if (hasRange && numeric.min > numeric.max) return 'numeric.min cannot be greater than numeric.max';
+    return null;
+  }
+}, ['NUMBER', 'INTEGER']);
+
+registerQuestionType('FILL_BLANK', {
+  // One blank may be answered through answerText
+  attempted: (answer) => list(answer.blanks).some(b => !isBlank(b)) || !isBlank(answer.answerText),
+  grade: (question, answer) => {
+    const blanks = list(question.blanks);
+    const responses = list(answer.blanks).length > 0 ? answer.blanks : [answer.answerText];
+    const hits = blanks.filter((blank, i) =>
+      list(blank.acceptedAnswers).some(accepted => sameText(responses[i], accepted, question.caseSensitive))
+    ).length;
+    return positionalCredit(hits, blanks.length, question.partialCredit);
+  },
+  correctAnswer: (question) => list(question.blanks).map(blank => list(blank.acceptedAnswers)[0]),
+  validate: (question) => {
+    const blanks = list(question.blanks);
+    if (blanks.length === 0) return 'A fill-in-the-blank question needs at least one blank';
+    if (blanks.some(blank => !list(blank.acceptedAnswers).some(a => !isBlank(a)))) {
+      return 'Every blank needs at least one accepted answer';
+    }
+    return null;
+  },
+  forStudent: (question) => ({ blankCount: list(question.blanks).length })
+}, ['FILL_IN_THE_BLANK', 'FILL_IN_THE_BLANKS']);
+
+registerQuestionType('MATCH', {
+  // matches[i] is the right-hand item the student paired with the i-th left-hand item
+  attempted: (answer) => list(answer.matches).some(m => !isBlank(m)),
+  grade: (question, answer) => {
+    const pairs = list(question.matchPairs);
+    const matches = list(answer.matches);
+    const hits = pairs.filter((pair, i) => sameText(matches[i], pair.right, true)).length;
+    return positionalCredit(hits, pairs.length, question.partialCredit);
+  },
+  correctAnswer: (question) => list(question.matchPairs).map(pair => ({ left: pair.left, right: pair.right })),
+  validate: (question) => {
+    const pairs = list(question.matchPairs);
+    if (pairs.length < 2) return 'A match question needs at least two pairs';
+    if (pairs.some(pair => isBlank(pair.left) || isBlank(pair.right))) return 'Every pair needs a left and a right item';
+    return null;
+  },
+  forStudent: (question, rng) => ({
+    matchLeft: list(question.matchPairs).map(pair => pair.left),
+    matchRight: shuffled(list(question.matchPairs).map(pair => pair.right), rng)
+  })
+}, ['MATCH_THE_FOLLOWING', 'MATCHING']);
+
+registerQuestionType('ORDERING', {
+  // sequence lists the items in the order the student arranged them
+  attempted: (answer) => list(answer.sequence).length > 0,
+  grade: (question, answer) => {
+    const items = list(question.orderItems);
+    const sequence = list(answer.sequence);
+    const hits = items.filter((item, i) => sameText(sequence[i], item, true)).length;
+    return positionalCredit(hits, items.length, question.partialCredit);
+  },
+  correctAnswer: (question) => list(question.orderItems),
+  validate: (question) => (list(question.orderItems).length < 2 ? 'An ordering question needs at least two items' : null),
+  forStudent: (question, rng) => ({ orderItems: shuffled(list(question.orderItems), rng) })
+}, ['SEQUENCE', 'SEQUENCING']);
+
+registerQuestionType('SHORT_ANSWER', {
+  attempted: (answer) => !isBlank(answer.answerText),
+  grade: (question, answer) => (sameText(answer.answerText, question.correctAnswer, question.caseSensitive) ? 1 : 0),
+  correctAnswer: (question) => question.correctAnswer,
+  validate: (question) => (isBlank(question.correctAnswer) ? 'A short answer question needs a correctAnswer' : null)
+}, ['TEXT', 'FILL_IN']);
+
+registerQuestionType('ESSAY', {
+  autoGraded: false,
+  attempted: (answer) => !isBlank(answer.answerText),
+  grade: () => null,
+  correctAnswer: () => null
+}, ['LONG_ANSWER']);
+
+module.exports = {
+  ANSWER_FIELDS,
+  registerQuestionType,
+  getQuestionType,
+  resolveQuestionType,
+  supportedQuestionTypes,
+  validateQuestion
+};
@@ -0,0 +1,473 @@
+// services/invoicing/index.js - Tax invoices and credit notes for payments
+const PDFDocument = require('pdfkit');
+const { Invoice, User } = require('../../models');
+const AppError = require('../../utils/appError');
+const taxRules = require('./taxRules');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Online coaching and training services
+const DEFAULT_SAC_CODE = '999293';
+
+const ITEM_LABELS = { course: 'Course', testSeries: 'Test series', mockTest: 'Mock test', subscription: 'Subscription' };
+
+// Documents racing for the same number retry with the next one
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+// Listings and the register never show documents that were not numbered yet
+const ISSUED = { status: { $ne: 'pending' } };
+
+class InvoiceService {
+  constructor() {
+    this.taxRules = taxRules;
+  }
+
+  /**
+   * Seller details printed on every invoice
+   * @returns {Object}
+   */
+  seller() {
+    return {
+      name: process.env.INVOICE_SELLER_NAME || 'EdTech Platform',
+      gstin: process.env.INVOICE_SELLER_GSTIN,
+      email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM,
+      address: {
+        street: process.env.INVOICE_SELLER_ADDRESS,
+        city: process.env.INVOICE_SELLER_CITY,
+        state: process.env.INVOICE_SELLER_STATE || 'Karnataka',
+        country: process.env.INVOICE_SELLER_COUNTRY || 'IN',
+        zipCode: process.env.INVOICE_SELLER_ZIP
+      }
+    };
+  }
+
+  /**
+   * Indian financial year of a date, e.g. 2026-27 (starts in April by default)
+   * @param {Date} date
+   * @returns {String}
+   */
+  financialYear(date = new Date()) {
+    const startMonth = (parseInt(process.env.INVOICE_FY_START_MONTH, 10) || 4) - 1;
+    const start = date.getMonth() >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Number following the last one issued for a document type within a
+   * financial year. Nothing is reserved: the number is only taken when
+   * assignNumber writes it onto a document.
+   * @param {String} type - invoice | credit_note
+   * @param {Date} date
+   * @returns {Promise<Object>} - { number, financialYear, sequence }
+   */
+  async nextNumber(type, date = new Date()) {
+    const financialYear = this.financialYear(date);
+    const last = await Invoice.findOne({ type, financialYear, sequence: { $exists: true } })
+      .sort('-sequence')
+      .select('sequence')
+      .lean();
+    const sequence = (last ? last.sequence : 0) + 1;
+
+    const prefix = type === 'credit_note' ? 'CN' : 'INV';
+    return {
+      number: `${prefix}/${financialYear}/${String(sequence).padStart(5, '0')}`,
+      financialYear,
+      sequence
+    };
+  }
+
+  /**
+   * Number and issue a pending document. The unique sequence index makes
+   * concurrent issues collide instead of sharing a number, and a failed issue
+   * leaves the document pending without using one, so the series stays gap-free.
+   * @param {Object} document - Pending Invoice (invoice or credit note)
+   * @returns {Promise<Object>} - The issued document
+   */
+  async assignNumber(document) {
+    for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+      const issuedAt = new Date();
+      const numbering = await this.nextNumber(document.type, issuedAt);
+      try {
+        const issued = await Invoice.findOneAndUpdate(
+          { _id: document._id, status: 'pending' },
+          { $set: { ...numbering, issuedAt, status: 'issued' } },
+          { new: true }
+        );
+        // Numbered meanwhile by another call finishing the same claim
+        return issued || Invoice.findById(document._id);
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+    }
+    throw new AppError('The document could not be numbered. Please try again.', 503);
+  }
+
+  /**
+   * Buyer block from the payment's billing details or the user's profile
+   * @private
+   */
+  buyer(payment, user) {
+    const billing = payment.billingDetails || {};
+    const address = billing.address && (billing.address.country || billing.address.state)
+      ? billing.address
+      : (user && user.address) || {};
+
+    return {
+      name: billing.name || (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : undefined),
+      companyName: billing.companyName,
+      email: user ? user.email : undefined,
+      gstin: billing.gstin,
+      address: {
+        street: address.street,
+        city: address.city,
+        state: address.state,
+        country: address.country,
+        zipCode: address.zipCode
+      }
+    };
+  }
+
+  /**
+   * Invoice lines for what a payment bought, with tax backed out of the amount paid
+   * @private
+   */
+  buildLines(items, components) {
+    return items.map(item => {
+      const split = taxRules.splitInclusive(item.amount, components);
+      return {
+        lineItem: item._id,
+        itemType: item.itemType,
+        item: item[item.itemType],
+        description: `${ITEM_LABELS[item.itemType] || 'Item'}: ${item.title || 'Purchase'}`,
+        sacCode: process.env.INVOICE_SAC_CODE || DEFAULT_SAC_CODE,
+        quantity: 1,
+        taxableAmount: split.taxableAmount,
+        taxes: split.taxes,
+        total: split.total
+      };
+    });
+  }
+
+  /**
+   * Totals and per-rate tax summary of a set of lines
+   * @param {Array} lines
+   * @returns {Object} - { subtotal, taxTotal, total, taxBreakdown }
+   */
+  summarize(lines) {
+    const breakdown = new Map();
+    lines.forEach(line => {
+      line.taxes.forEach(tax => {
+        const key = `${tax.name}:${tax.rate}`;
+        const entry = breakdown.get(key) || { name: tax.name, rate: tax.rate, taxableAmount: 0, amount: 0 };
+        entry.taxableAmount = round(entry.taxableAmount + line.taxableAmount);
+        entry.amount = round(entry.amount + tax.amount);
+        breakdown.set(key, entry);
+      });
+    });
+
+    const subtotal = round(lines.reduce((sum, line) => sum + line.taxableAmount, 0));
+    const total = round(lines.reduce((sum, line) => sum + line.total, 0));
+    return { subtotal, taxTotal: round(total - subtotal), total, taxBreakdown: [...breakdown.values()] };
+  }
+
+  /**
+   * Issue the tax invoice for a successful payment (once; later calls return it)
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object>} - Invoice
+   */
+  async issueForPayment(payment) {
+    const existing = await Invoice.findOne({ payment: payment._id, type: 'invoice' });
+    if (existing) return existing.status === 'pending' ? this.assignNumber(existing) : existing;
+
+    const paymentService = require('../payments');
+    const user = await User.findById(payment.user).select('firstName lastName email address');
+    const seller = this.seller();
+    const buyer = this.buyer(payment, user);
+    const place = taxRules.placeOfSupply(seller.address, { ...buyer.address, gstin: buyer.gstin });
+    const components = taxRules.taxComponents(seller.address, place);
+
+    const lines = this.buildLines(paymentService.itemsOf(payment), components);
+
+    // Claim the payment's invoice first; only the claimed document is numbered
+    let claimed;
+    try {
+      claimed = await Invoice.create({
+        type: 'invoice',
+        payment: payment._id,
+        user: payment.user,
+        seller,
+        buyer,
+        placeOfSupply: place.label,
+        currency: payment.currency,
+        lines,
+        ...this.summarize(lines),
+        notes: components.length === 0 ? 'Export of services - zero rated' : undefined
+      });
+    } catch (err) {
+      // Claimed concurrently; finish that document instead
+      if (err.code !== 11000) throw err;
+      claimed = await Invoice.findOne({ payment: payment._id, type: 'invoice' });
+    }
+    return claimed.status === 'pending' ? this.assignNumber(claimed) : claimed;
+  }
+
+  /**
+   * Issue a credit note for refunded items, reusing the tax split of the
+   * original invoice so the refund reverses exactly what was charged
+   * @param {Object} payment - Refunded Payment
+   * @param {Array} items - Refunded line items (see paymentService.itemsOf)
+   * @param {Object} options - { amount, reason } amount is used for payments without line items
+   * @returns {Promise<Object>} - Invoice of type credit_note
+   */
+  async issueCreditNote(payment, items, { amount, reason } = {}) {
+    const invoice = await this.issueForPayment(payment);
+    const refundKey = `${payment._id}:${items.map(item => String(item._id || item.itemType)).sort().join('-')}`;
+
+    const existing = await Invoice.findOne({ refundKey, type: 'credit_note' });
+    if (existing) return existing.status === 'pending' ? this.assignNumber(existing) : existing;
+
+    const lines = items.map(item => {
+      const original = invoice.lines.find(line => (item._id
+        ? String(line.lineItem) === String(item._id)
+        : line.itemType === item.itemType && String(line.item) === String(item[item.itemType])));
+      const rates = original ? original.taxes.map(tax => ({ name: tax.name, rate: tax.rate })) : [];
+      const gross = item._id ? item.amount : (amount || item.amount);
+      const split = taxRules.splitInclusive(gross, rates);
+
+      return {
+        lineItem: item._id,
+        itemType: item.itemType,
+        item: item[item.itemType],
+        description: original ? original.description : `${ITEM_LABELS[item.itemType] || 'Item'}`,
+        sacCode: original ? original.sacCode : undefined,
+        quantity: 1,
+        taxableAmount: split.taxableAmount,
+        taxes: split.taxes,
+        total: split.total
+      };
+    });
+
+    let claimed;
+    try {
+      claimed = await Invoice.create({
+        type: 'credit_note',
+        payment: payment._id,
+        user: payment.user,
+        originalInvoice: invoice._id,
+        refundKey,
+        reason: reason || payment.refundReason,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        placeOfSupply: invoice.placeOfSupply,
+        currency: invoice.currency,
+        lines,
+        ...this.summarize(lines),
+        notes: `Against invoice ${invoice.number}`
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      claimed = await Invoice.findOne({ refundKey, type: 'credit_note' });
+    }
+    return claimed.status === 'pending' ? this.assignNumber(claimed) : claimed;
+  }
+
+  /**
+   * Invoice and credit notes of a payment
+   * @param {String} paymentId
+   * @returns {Promise<Array>}
+   */
+  async forPayment(paymentId) {
+    return Invoice.find({ payment: paymentId, ...ISSUED }).sort('issuedAt');
+  }
+
+  async getById(invoiceId) {
+    return Invoice.findById(invoiceId);
+  }
+
+  /**
+   * Invoice the caller may see (owner or admin)
+   * @param {String} invoiceId
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>}
+   */
+  async getForUser(invoiceId, user) {
+    const invoice = await Invoice.findOne({ _id: invoiceId, ...ISSUED });
+    if (!invoice || (user.role !== 'admin' && String(invoice.user) !== String(user.id))) {
+      throw new AppError('No invoice found with that ID', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * Render an invoice or credit note as a PDF
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(invoice) {
+    const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 50, left: 50, right: 50 } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const money = (value) => `${invoice.currency} ${Number(value || 0).toFixed(2)}`;
+    const address = (party) => [
+      party.address && party.address.street,
+      party.address && [party.address.city, party.address.state, party.address.zipCode].filter(Boolean).join(', '),
+      party.address && party.address.country
+    ].filter(Boolean).join('\n');
+    const isCredit = invoice.type === 'credit_note';
+
+    // Header
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .fillColor('#333')
+       .text(isCredit ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'right' });
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor('#333')
+       .text(`No: ${invoice.number}`, { align: 'right' })
+       .text(`Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`, { align: 'right' })
+       .text(`Financial year: ${invoice.financialYear}`, { align: 'right' });
+    if (isCredit && invoice.notes) doc.text(invoice.notes, { align: 'right' });
+
+    // Seller and buyer
+    const top = 140;
+    doc.font('Helvetica-Bold').fontSize(11).text('Seller', 50, top);
+    doc.font('Helvetica').fontSize(10)
+       .text(invoice.seller.name || '', 50, top + 15, { width: 230 })
+       .text(address(invoice.seller), { width: 230 });
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`, { width: 230 });
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Bill to', 310, top);
+    doc.font('Helvetica').fontSize(10)
+       .text([invoice.buyer.companyName, invoice.buyer.name].filter(Boolean).join('\n'), 310, top + 15, { width: 230 })
+       .text(address(invoice.buyer), { width: 230 });
+    if (invoice.buyer.email) doc.text(invoice.buyer.email, { width: 230 });
+    if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`, { width: 230 });
+    doc.text(`Place of supply: ${invoice.placeOfSupply}`, { width: 230 });
+
+    // Lines
+    let y = 280;
+    const columns = [
+      { label: 'Description', x: 50, width: 200 },
+      { label: 'SAC', x: 255, width: 50 },
+      { label: 'Taxable', x: 305, width: 75, align: 'right' },
+      { label: 'Tax', x: 385, width: 75, align: 'right' },
+      { label: 'Total', x: 465, width: 80, align: 'right' }
+    ];
+    doc.font('Helvetica-Bold').fontSize(10);
+    columns.forEach(col => doc.text(col.label, col.x, y, { width: col.width, align: col.align || 'left' }));
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).stroke();
+    y += 22;
+
+    doc.font('Helvetica');
+    invoice.lines.forEach(line => {
+      const tax = line.taxes.reduce((sum, t) => sum + t.amount, 0);
+      const values = [line.description, line.sacCode || '', money(line.taxableAmount), money(tax), money(line.total)];
+      const height = doc.heightOfString(line.description, { width: 200 });
+      if (y + height > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      columns.forEach((col, index) => doc.text(values[index], col.x, y, { width: col.width, align: col.align || 'left' }));
+      y += Math.max(height, 12) + 8;
+    });
+
+    // Totals
+    doc.moveTo(305, y).lineTo(545, y).stroke();
+    y += 8;
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+         .text(label, 305, y, { width: 155 })
+         .text(value, 465, y, { width: 80, align: 'right' });
+      y += 16;
+    };
+    totalRow('Taxable value', money(invoice.subtotal));
+    invoice.taxBreakdown.forEach(tax => totalRow(`${tax.name} @ ${tax.rate}%`, money(tax.amount)));
+    totalRow(isCredit ? 'Total credited' : 'Total', money(invoice.total), true);
+
+    if (!isCredit && invoice.notes) {
+      doc.font('Helvetica').fontSize(9).fillColor('#666').text(invoice.notes, 50, y + 20);
+    }
+    if (isCredit && invoice.reason) {
+      doc.font('Helvetica').fontSize(9).fillColor('#666').text(`Reason: ${invoice.reason}`, 50, y + 20);
+    }
+
+    doc.fontSize(8)
+       .fillColor('#999')
+       .text('This is a computer generated document and does not require a signature.', 50, 770, { align: 'center', width: 495 });
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Rows of the invoice register (invoices and credit notes) for a period
+   * @param {Object} range - { from, to }
+   * @returns {Promise<Array>}
+   */
+  async register({ from, to } = {}) {
+    const filter = { ...ISSUED };
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+
+    const documents = await Invoice.find(filter)
+      .populate('originalInvoice', 'number')
+      .sort('issuedAt')
+      .lean();
+
+    // Credit notes are reported as negative amounts
+    return documents.map(doc => {
+      const sign = doc.type === 'credit_note' ? -1 : 1;
+      const tax = (name) => round(sign * doc.taxBreakdown.filter(t => t.name === name).reduce((sum, t) => sum + t.amount, 0));
+      return {
+        number: doc.number,
+        type: doc.type === 'credit_note' ? 'Credit note' : 'Invoice',
+        date: new Date(doc.issuedAt).toISOString().slice(0, 10),
+        financialYear: doc.financialYear,
+        buyerName: doc.buyer.companyName || doc.buyer.name || '',
+        buyerGstin: doc.buyer.gstin || '',
+        placeOfSupply: doc.placeOfSupply,
+        currency: doc.currency,
+        taxableValue: round(sign * doc.subtotal),
+        cgst: tax('CGST'),
+        sgst: tax('SGST'),
+        igst: tax('IGST'),
+        vat: round(tax('VAT') + tax('GST')),
+        total: round(sign * doc.total),
+        originalInvoice: doc.originalInvoice ? doc.originalInvoice.number : '',
+        payment: String(doc.payment)
+      };
+    });
+  }
+
+  /**
+   * Queue the payment receipt email; the job attaches the invoice PDF
+   * @param {Object} payment
+   * @param {Object} invoice
+   */
+  async sendReceipt(payment, invoice) {
+    const user = await User.findById(payment.user).select('firstName lastName email address');
+    if (!user) return;
+
+    const emailQueue = require('../../jobs/emailQueue');
+    await emailQueue.add({
+      type: 'paymentReceipt',
+      data: {
+        user: { email: user.email, firstName: user.firstName, address: user.address },
+        payment: { transactionId: payment.transactionId, createdAt: payment.createdAt, amount: payment.amount, paymentMethod: payment.paymentMethod },
+        items: invoice.lines.map(line => ({ name: line.description, price: line.total })),
+        invoiceId: invoice._id
+      }
+    });
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,172 @@
+// services/invoicing/taxRules.js - Which tax applies to a sale, by buyer country or Indian state.
+// Prices on the platform are tax inclusive, so tax is backed out of what the buyer paid.
+
+const GST_RATE = 18;
+
+// Foreign jurisdictions the platform is registered in; other exports are zero rated
+const DESTINATION_RATES = {
+  GB: { name: 'VAT', rate: 20 },
+  DE: { name: 'VAT', rate: 19 },
+  FR: { name: 'VAT', rate: 20 },
+  IT: { name: 'VAT', rate: 22 },
+  ES: { name: 'VAT', rate: 21 },
+  NL: { name: 'VAT', rate: 21 },
+  IE: { name: 'VAT', rate: 23 },
+  AE: { name: 'VAT', rate: 5 },
+  SG: { name: 'GST', rate: 9 },
+  AU: { name: 'GST', rate: 10 }
+};
+
+const COUNTRY_CODES = {
+  india: 'IN',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'great britain': 'GB',
+  germany: 'DE',
+  france: 'FR',
+  italy: 'IT',
+  spain: 'ES',
+  netherlands: 'NL',
+  ireland: 'IE',
+  'united arab emirates': 'AE',
+  uae: 'AE',
+  singapore: 'SG',
+  australia: 'AU',
+  japan: 'JP',
+  china: 'CN',
+  'united states': 'US',
+  usa: 'US',
+  canada: 'CA'
+};
+
+// GST state codes, used for the place of supply
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const countryCode = (country) => {
+  if (!country) return null;
+  const value = String(country).trim();
+  if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+  return COUNTRY_CODES[value.toLowerCase()] || null;
+};
+
+const stateCode = (state) => {
+  if (!state) return null;
+  const value = String(state).trim();
+  if (/^\d{2}$/.test(value)) return value;
+  return STATE_CODES[value.toLowerCase()] || null;
+};
+
+/**
+ * Where the sale is taxed. A GSTIN fixes the buyer's state; otherwise the
+ * billing address is used, and buyers without one are treated as domestic.
+ * @param {Object} seller - { country, state }
+ * @param {Object} buyer - { country, state, gstin }
+ * @returns {Object} - { country, stateCode, label }
+ */
+const placeOfSupply = (seller, buyer) => {
+  const sellerCountry = countryCode(seller.country) || 'IN';
+  const gstState = buyer.gstin ? buyer.gstin.slice(0, 2) : null;
+  const country = gstState ? 'IN' : (countryCode(buyer.country) || sellerCountry);
+  const code = country === 'IN' ? (gstState || stateCode(buyer.state) || stateCode(seller.state)) : null;
+  const stateName = code ? Object.keys(STATE_CODES).find(name => STATE_CODES[name] === code) : null;
+
+  return {
+    country,
+    stateCode: code,
+    label: code ? `${code}-${stateName.replace(/\b\w/g, c => c.toUpperCase())}` : country
+  };
+};
+
+/**
+ * Tax components for a sale
+ * @param {Object} seller - { country, state }
+ * @param {Object} place - placeOfSupply()
+ * @returns {Array} - [{ name, rate }], empty when zero rated
+ */
+const taxComponents = (seller, place) => {
+  const sellerCountry = countryCode(seller.country) || 'IN';
+
+  if (place.country === sellerCountry && sellerCountry === 'IN') {
+    const sellerState = stateCode(seller.state);
+    if (sellerState && place.stateCode === sellerState) {
+      return [{ name: 'CGST', rate: GST_RATE / 2 }, { name: 'SGST', rate: GST_RATE / 2 }];
+    }
+    return [{ name: 'IGST', rate: GST_RATE }];
+  }
+
+  const destination = DESTINATION_RATES[place.country];
+  return destination ? [{ ...destination }] : [];
+};
+
+/**
+ * Split a tax-inclusive amount into taxable value and tax components. The
+ * last component absorbs rounding so the parts always add up to the gross.
+ * @param {Number} gross - Amount paid including tax
+ * @param {Array} components - taxComponents()
+ * @returns {Object} - { taxableAmount, taxes: [{ name, rate, amount }], total }
+ */
+const splitInclusive = (gross, components) => {
+  const totalRate = components.reduce((sum, c) => sum + c.rate, 0);
+  const taxableAmount = round(gross / (1 + totalRate / 100));
+  const taxTotal = round(gross - taxableAmount);
+
+  let allocated = 0;
+  const taxes = components.map((component, index) => {
+    const amount = index === components.length - 1
+      ? round(taxTotal - allocated)
+      : round((taxTotal * component.rate) / totalRate);
+    allocated = round(allocated + amount);
+    return { name: component.name, rate: component.rate, amount };
+  });
+
+  return { taxableAmount, taxes, total: round(gross) };
+};
+
+module.exports = {
+  GST_RATE,
+  DESTINATION_RATES,
+  countryCode,
+  stateCode,
+  placeOfSupply,
+  taxComponents,
+  splitInclusive
+};
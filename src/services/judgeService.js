@@ -0,0 +1,256 @@
+const { CodingExercise, CodingSubmission, ProgressTracking } = require('../models');
+const codeRunner = require('./codeRunner');
+const { compareOutput, DEFAULT_EPSILON } = require('./codeRunner/comparators');
+const AppError = require('../utils/appError');
+
+// Standard judge verdicts (master type: code_submission_verdict)
+const VERDICTS = {
+  ACCEPTED: 'accepted',
+  WRONG_ANSWER: 'wrong_answer',
+  TIME_LIMIT_EXCEEDED: 'time_limit_exceeded',
+  MEMORY_LIMIT_EXCEEDED: 'memory_limit_exceeded',
+  RUNTIME_ERROR: 'runtime_error',
+  COMPILE_ERROR: 'compile_error'
+};
+
+// Checkers are trusted more than submissions but still run sandboxed
+const CHECKER_LIMITS = { timeLimitMs: 5000, memoryMb: 256 };
+
+class JudgeService {
+  constructor() {
+    this.VERDICTS = VERDICTS;
+  }
+
+  /**
+   * Verdict for a single sandbox run
+   * @param {Object} run - Entry from codeRunner.run().runs
+   * @param {Boolean} outputMatches - Whether the produced output was correct
+   * @returns {String}
+   */
+  verdictFor(run, outputMatches) {
+    if (run.timedOut) return VERDICTS.TIME_LIMIT_EXCEEDED;
+    if (run.memoryExceeded) return VERDICTS.MEMORY_LIMIT_EXCEEDED;
+    if (run.outputExceeded || run.exitCode !== 0) return VERDICTS.RUNTIME_ERROR;
+    return outputMatches ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER;
+  }
+
+  /**
+   * Comparison settings for a test case; per-test overrides win over the exercise
+   * @param {Object} exercise - CodingExercise
+   * @param {Object} testCase - Test case
+   * @returns {Object} - { mode, epsilon }
+   */
+  resolveComparison(exercise, testCase) {
+    const base = (exercise && exercise.comparison) || {};
+    const epsilon = testCase.epsilon != null ? testCase.epsilon : base.epsilon;
+    return {
+      mode: testCase.comparisonMode || base.mode || 'exact',
+      epsilon: epsilon != null ? epsilon : DEFAULT_EPSILON
+    };
+  }
+
+  /**
+   * Compile the instructor checker of an exercise
+   * @param {Object} exercise - CodingExercise with comparison.checker.code selected
+   * @returns {Promise<Object>} - Prepared sandbox program
+   */
+  async prepareChecker(exercise) {
+    const checker = exercise.comparison && exercise.comparison.checker;
+    if (!checker || !checker.code) {
+      throw new AppError('This exercise uses a checker but none is configured', 400);
+    }
+
+    const program = await codeRunner.prepare({
+      language: checker.language || 'python',
+      code: checker.code,
+      ...CHECKER_LIMITS
+    });
+    if (program.compileError) {
+      await codeRunner.dispose(program);
+      throw new AppError(`Checker failed to compile: ${program.compileError}`, 500);
+    }
+    return program;
+  }
+
+  /**
+   * Ask the checker whether an output is acceptable. The checker finds
+   * input.txt, output.txt (the student's output) and answer.txt (expected
+   * output) in its working directory and exits 0 to accept, 1 or 2 to reject.
+   * Whatever it prints is recorded as the checker message.
+   * @returns {Promise<Object>} - { passed, message }
+   */
+  async runChecker(checker, testCase, output) {
+    const result = await codeRunner.exec(checker, {
+      files: {
+        'input.txt': testCase.input,
+        'output.txt': output,
+        'answer.txt': testCase.expectedOutput
+      }
+    });
+
+    const message = (result.stdout || result.stderr).trim().slice(0, 500) || null;
+    if (result.timedOut || result.memoryExceeded || ![0, 1, 2].includes(result.exitCode)) {
+      throw new AppError(`Checker failed: ${codeRunner.describeFailure(result) || `exit code ${result.exitCode}`}`, 500);
+    }
+    return { passed: result.exitCode === 0, message };
+  }
+
+  /**
+   * Run code against test cases and grade every run
+   * @param {Object} exercise - CodingExercise (limits and comparison settings are read from it)
+   * @param {String} code - Source code
+   * @param {String} language - Language key
+   * @param {Array<Object>} testCases - Test cases to run
+   * @returns {Promise<Object>} - { verdict, compileError, results, totalPoints, executionTime, memoryUsed }
+   */
+  async evaluate(exercise, code, language, testCases) {
+    const limits = codeRunner.limitsFor(exercise);
+    const needsChecker = testCases.some(tc => this.resolveComparison(exercise, tc).mode === 'checker');
+    let program;
+    let checker;
+
+    try {
+      program = await codeRunner.prepare({ language, code, ...limits });
+
+      if (program.compileError) {
+        return {
+          verdict: VERDICTS.COMPILE_ERROR,
+          compileError: program.compileError,
+          results: [],
+          totalPoints: 0,
+          executionTime: 0,
+          memoryUsed: 0
+        };
+      }
+
+      if (needsChecker) {
+        checker = await this.prepareChecker(exercise);
+      }
+
+      let totalPoints = 0;
+      const results = [];
+
+      // Test cases run sequentially so timings are not skewed by each other
+      for (const testCase of testCases) {
+        const run = await codeRunner.exec(program, { stdin: testCase.input || '' });
+        const comparison = this.resolveComparison(exercise, testCase);
+        const failure = codeRunner.describeFailure(run);
+
+        let outcome = { passed: false, message: null };
+        if (!failure) {
+          outcome = comparison.mode === 'checker'
+            ? await this.runChecker(checker, testCase, run.stdout)
+            : compareOutput(comparison.mode, run.stdout, testCase.expectedOutput, comparison);
+        }
+
+        const verdict = this.verdictFor(run, outcome.passed);
+        const passed = verdict === VERDICTS.ACCEPTED;
+        const points = passed ? (testCase.points || 0) : 0;
+        totalPoints += points;
+
+        results.push({
+          testCase: testCase.input,
+          passed,
+          verdict,
+          comparisonMode: comparison.mode,
+          checkerMessage: outcome.message || null,
+          output: run.stdout.trim(),
+          expectedOutput: testCase.expectedOutput,
+          points,
+          error: failure,
+          executionTime: run.executionTime,
+          memoryUsed: run.memoryUsed,
+          isHidden: !!testCase.isHidden
+        });
+      }
+
+      // Like most judges, the overall verdict is that of the first failing test
+      const firstFailure = results.find(r => !r.passed);
+
+      return {
+        verdict: firstFailure ? firstFailure.verdict : VERDICTS.ACCEPTED,
+        compileError: null,
+        results,
+        totalPoints,
+        executionTime: results.reduce((max, r) => Math.max(max, r.executionTime), 0),
+        memoryUsed: results.reduce((max, r) => Math.max(max, r.memoryUsed), 0)
+      };
+    } finally {
+      await codeRunner.dispose(program);
+      await codeRunner.dispose(checker);
+    }
+  }
+
+  /**
+   * Judge a queued submission against every test case (hidden included)
+   * @param {String} submissionId - CodingSubmission ID
+   * @returns {Promise<Object>} - Updated submission
+   */
+  async judgeSubmission(submissionId) {
+    const submission = await CodingSubmission.findById(submissionId);
+    if (!submission) {
+      throw new AppError('Submission not found', 404);
+    }
+
+    const exercise = await CodingExercise.findById(submission.exercise)
+      .select('+comparison.checker.code');
+    if (!exercise) {
+      throw new AppError('Exercise not found', 404);
+    }
+
+    submission.status = 'running';
+    submission.judgeStartedAt = new Date();
+    await submission.save();
+
+    let evaluation;
+    try {
+      evaluation = await this.evaluate(exercise, submission.code, submission.language, exercise.testCases);
+    } catch (err) {
+      // Infrastructure failure, not the student's fault: no verdict is recorded
+      submission.status = 'failed';
+      submission.error = err.message;
+      submission.judgedAt = new Date();
+      await submission.save();
+      throw err;
+    }
+
+    submission.status = 'completed';
+    submission.verdict = evaluation.verdict;
+    submission.testResults = evaluation.results;
+    submission.totalPoints = evaluation.totalPoints;
+    submission.executionTime = evaluation.executionTime;
+    submission.memoryUsed = evaluation.memoryUsed;
+    submission.error = evaluation.compileError;
+    submission.judgedAt = new Date();
+    await submission.save();
+
+    if (evaluation.verdict === VERDICTS.ACCEPTED) {
+      const progress = await ProgressTracking.findOne({
+        student: submission.student,
+        course: exercise.course
+      });
+
+      if (progress) {
+        progress.lastActivity = Date.now();
+        await progress.save();
+      }
+    }
+
+    return submission;
+  }
+
+  /**
+   * Student-facing view of test results; hidden cases never leak their data
+   * @param {Array<Object>} results - testResults
+   */
+  maskHiddenResults(results = []) {
+    return results.map(result => {
+      const plain = typeof result.toObject === 'function' ? result.toObject() : { ...result };
+      return plain.isHidden
+        ? { ...plain, testCase: null, output: null, expectedOutput: null }
+        : plain;
+    });
+  }
+}
+
+module.exports = new JudgeService();
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const AppError = require('../utils/appError');
+const emailQueue = require('../jobs/emailQueue');
+const sessionService = require('./sessionService');
+
+const MINUTE = 60 * 1000;
+const MAX_KNOWN_DEVICES = 20;
+
+// "This wasn't me" links use their own secret so they can never pass as access tokens
+const reportSecret = () => `${process.env.JWT_SECRET}:device-report`;
+
+const intEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+class LoginSecurityService {
+  /**
+   * Failed attempts allowed before a lockout, and how long lockouts last.
+   * Each failure past the limit doubles the lockout, up to the maximum.
+   */
+  policy() {
+    return {
+      maxAttempts: intEnv('LOGIN_MAX_ATTEMPTS', 5),
+      baseLockMinutes: intEnv('LOGIN_LOCKOUT_MINUTES', 1),
+      maxLockMinutes: intEnv('LOGIN_LOCKOUT_MAX_MINUTES', 24 * 60),
+      // Failures older than this no longer count
+      windowMinutes: intEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 24 * 60)
+    };
+  }
+
+  /**
+   * Network a client address belongs to: /24 for IPv4, /48 for IPv6
+   * @param {String} ip
+   * @returns {String}
+   */
+  ipPrefix(ip) {
+    const address = String(ip || '').replace(/^::ffff:/i, '');
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+      return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+    if (address.includes(':')) {
+      const [head] = address.split('::');
+      const groups = head.split(':').filter(Boolean);
+      while (groups.length < 3) groups.push('0');
+      return `${groups.slice(0, 3).join(':').toLowerCase()}::/48`;
+    }
+    return 'unknown';
+  }
+
+  /**
+   * Device a request comes from. The fingerprint covers browser family, OS and
+   * network, so browser updates or a new address on the same network still match.
+   * @param {Object} req - Express request (express-useragent populates req.useragent)
+   * @returns {Object} - { fingerprint, browser, os, platform, ip, ipPrefix }
+   */
+  deviceOf(req) {
+    const ua = req.useragent || {};
+    const browser = ua.browser || 'unknown';
+    const os = ua.os || 'unknown';
+    const ipPrefix = this.ipPrefix(req.ip);
+
+    return {
+      fingerprint: crypto.createHash('sha256').update([browser, os, ipPrefix].join('|').toLowerCase()).digest('hex'),
+      browser,
+      os,
+      platform: ua.platform || 'unknown',
+      ip: req.ip,
+      ipPrefix
+    };
+  }
+
+  /**
+   * Whether the account is locked out right now
+   * @param {Object} user
+   * @returns {Boolean}
+   */
+  isLocked(user) {
+    return Boolean(user.lockUntil) && new Date(user.lockUntil).getTime() > Date.now();
+  }
+
+  /**
+   * Refuse a login while the account is locked out
+   * @param {Object} user
+   */
+  assertNotLocked(user) {
+    if (this.isLocked(user)) {
+      const minutes = Math.ceil((new Date(user.lockUntil).getTime() - Date.now()) / MINUTE);
+      throw new AppError(`Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+    }
+  }
+
+  /**
+   * Count a failed attempt and lock the account once the limit is passed
+   * @param {Object} user
+   * @returns {Promise<Date|null>} - lockUntil, when locked
+   */
+  async recordFailure(user) {
+    const { maxAttempts, baseLockMinutes, maxLockMinutes, windowMinutes } = this.policy();
+    const now = Date.now();
+
+    // Old failures expire instead of adding up over months
+    await User.updateOne(
+      { _id: user._id, lastFailedLoginAt: { $lt: new Date(now - windowMinutes * MINUTE) } },
+      { $set: { failedLoginAttempts: 0 } }
+    );
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date(now) } },
+      { new: true }
+    ).select('+failedLoginAttempts');
+    if (!updated || updated.failedLoginAttempts < maxAttempts) return null;
+
+    const minutes = Math.min(baseLockMinutes * 2 ** (updated.failedLoginAttempts - maxAttempts), maxLockMinutes);
+    const lockUntil = new Date(now + minutes * MINUTE);
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+    return lockUntil;
+  }
+
+  /**
+   * Record a completed login: clears failed attempts and checks the device
+   * against the user's known devices, emailing the user about new ones. The
+   * first device an account is seen on is trusted without an email.
+   * @param {Object} user
+   * @param {Object} req
+   * @returns {Promise<Object>} - { newDevice, device }
+   */
+  async recordSuccess(user, req) {
+    const device = this.deviceOf(req);
+    const account = await User.findById(user._id).select('+knownDevices');
+    if (!account) throw new AppError('The user belonging to this login no longer exists.', 401);
+
+    const now = new Date();
+    const known = account.knownDevices.find(entry => entry.fingerprint === device.fingerprint);
+    const newDevice = !known && account.knownDevices.length > 0;
+
+    if (known) {
+      known.lastSeenAt = now;
+    } else {
+      account.knownDevices.push({
+        fingerprint: device.fingerprint,
+        browser: device.browser,
+        os: device.os,
+        ipPrefix: device.ipPrefix,
+        firstSeenAt: now,
+        lastSeenAt: now
+      });
+      // Keep the most recently used devices
+      account.knownDevices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+      account.knownDevices.splice(MAX_KNOWN_DEVICES);
+    }
+
+    account.lastLogin = now;
+    account.failedLoginAttempts = 0;
+    account.lockUntil = undefined;
+    await account.save({ validateBeforeSave: false });
+
+    if (newDevice) {
+      await emailQueue.add({
+        type: 'newDevice',
+        data: {
+          user: { firstName: account.firstName, email: account.email },
+          deviceInfo: {
+            device: device.platform,
+            browser: device.browser,
+            os: device.os,
+            ip: device.ip,
+            location: 'Unknown',
+            reportUrl: `${process.env.BASE_URL}/api/v1/auth/devices/not-me/${this.reportToken(account, device)}`
+          }
+        }
+      });
+    }
+
+    return { newDevice, device };
+  }
+
+  /**
+   * Token for the "this wasn't me" link of a new-device email
+   * @private
+   */
+  reportToken(user, device) {
+    return jwt.sign({ id: String(user._id), fingerprint: device.fingerprint, purpose: 'device-report' }, reportSecret(), {
+      expiresIn: process.env.DEVICE_REPORT_EXPIRES_IN || '7d'
+    });
+  }
+
+  /**
+   * Check a "this wasn't me" link token without acting on it
+   * @param {String} token
+   * @returns {Object} - { id, fingerprint }
+   */
+  readReportToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), reportSecret());
+    } catch (err) {
+      throw new AppError('This link is invalid or has expired', 400);
+    }
+    if (decoded.purpose !== 'device-report') throw new AppError('This link is invalid or has expired', 400);
+    return decoded;
+  }
+
+  /**
+   * "This wasn't me": forget the device, end every session and require a
+   * password reset before the next login. A reset link is emailed.
+   * @param {String} token
+   */
+  async reportUnrecognizedLogin(token) {
+    const decoded = this.readReportToken(token);
+
+    const user = await User.findById(decoded.id);
+    if (!user) throw new AppError('This link is invalid or has expired', 400);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { knownDevices: { fingerprint: decoded.fingerprint } }, $set: { passwordResetRequired: true } }
+    );
+    await sessionService.revokeAll(user._id, { reason: 'unrecognized_login' });
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await emailQueue.add({
+      type: 'passwordReset',
+      data: { user: { firstName: user.firstName, email: user.email }, resetToken }
+    });
+  }
+}
+
+module.exports = new LoginSecurityService();
@@ -0,0 +1,411 @@
+const _ = require('lodash');
+const { MockTest, MockTestQuestion, MockTestAttempt } = require('../models');
+const AppError = require('../utils/appError');
+const mockTestPaperService = require('./mockTestPaperService');
+const mockTestResultService = require('./mockTestResultService');
+const certificateEligibilityService = require('./certificateEligibilityService');
+const questionGrader = require('./grading');
+
+// Answers arriving shortly after the timer ran out are still accepted (network latency)
+const GRACE_SECONDS = parseInt(process.env.MOCK_TEST_GRACE_SECONDS, 10) || 30;
+const ACTIVE_STATUSES = ['started', 'in-progress'];
+
+class MockTestAttemptService {
+  isActive(attempt) {
+    return ACTIVE_STATUSES.includes(attempt.status);
+  }
+
+  /**
+   * Last moment an answer or submission is accepted for an attempt
+   * @param {Object} attempt - MockTestAttempt
+   * @returns {Date|null} - null for attempts without a timer
+   */
+  deadline(attempt) {
+    if (!attempt.expiresAt) return null;
+    return new Date(new Date(attempt.expiresAt).getTime() + GRACE_SECONDS * 1000);
+  }
+
+  isOverdue(attempt, now = new Date()) {
+    const deadline = this.deadline(attempt);
+    return !!deadline && now > deadline;
+  }
+
+  remainingSeconds(attempt, now = new Date()) {
+    if (!attempt.expiresAt || !this.isActive(attempt)) return 0;
+    return Math.max(0, Math.ceil((new Date(attempt.expiresAt) - now) / 1000));
+  }
+
+  /**
+   * Running state of an attempt as shown to the student (no answers key)
+   * @param {Object} attempt - MockTestAttempt document
+   * @returns {Object}
+   */
+  view(attempt) {
+    return {
+      _id: attempt._id,
+      mockTest: attempt.mockTest,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      expiresAt: attempt.expiresAt,
+      remainingSeconds: this.remainingSeconds(attempt),
+      totalMarks: attempt.totalMarks,
+      tabSwitches: attempt.tabSwitches,
+      isFlagged: attempt.isFlagged,
+      answers: attempt.answers.map(a => ({
+        questionId: a.questionId,
+        ..._.pick(a, questionGrader.ANSWER_FIELDS),
+        timeSpentSeconds: a.timeSpentSeconds
+      }))
+    };
+  }
+
+  /**
+   * Start an attempt, or resume the one that is still running
+   * @param {Object} mockTest - MockTest document
+   * @param {String} studentId - User ID
+   * @returns {Promise<Object>} - { attempt, resumed }
+   */
+  async start(mockTest, studentId) {
+    const running = await MockTestAttempt.findOne({
+      mockTest: mockTest._id,
+      student: studentId,
+      status: { $in: ACTIVE_STATUSES }
+    }).sort('-startedAt');
+
+    if (running) {
+      if (!this.isOverdue(running)) {
+        return { attempt: running, resumed: true };
+      }
+      // The timer job has not caught up yet; close it before starting a new one
+      await this.finalize(running._id, 'time_expired');
+    }
+
+    if (mockTest.maxAttempts) {
+      const attemptsCount = await MockTestAttempt.countDocuments({
+        mockTest: mockTest._id,
+        student: studentId
+      });
+      if (attemptsCount >= mockTest.maxAttempts) {
+        throw new AppError('Maximum attempts reached for this mock test', 400);
+      }
+    }
+
+    // Every attempt gets its own seeded paper (random draw for blueprint tests)
+    const { seed, paper, totalMarks } = await mockTestPaperService.generatePaper(mockTest);
+    const startedAt = new Date();
+
+    const attempt = await MockTestAttempt.create({
+      mockTest: mockTest._id,
+      student: studentId,
+      startedAt,
+      expiresAt: new Date(startedAt.getTime() + mockTest.duration * 60 * 1000),
+      status: 'started',
+      seed,
+      paper,
+      totalMarks
+    });
+
+    await mockTestPaperService.recordUsage(paper);
+    await this.scheduleAutoSubmit(attempt);
+
+    return { attempt, resumed: false };
+  }
+
+  /**
+   * Queue the delayed job that submits the attempt when its time is up
+   * @param {Object} attempt - MockTestAttempt document
+   */
+  async scheduleAutoSubmit(attempt) {
+    // Required lazily: the queue's processor depends on this service
+    const mockTestQueue = require('../jobs/mockTestQueue');
+
+    const job = await mockTestQueue.add(
+      { type: 'autoSubmit', data: { attemptId: attempt._id.toString() } },
+      {
+        delay: Math.max(0, this.deadline(attempt) - Date.now()),
+        jobId: `autosubmit-${attempt._id}`
+      }
+    );
+
+    attempt.autoSubmitJobId = String(job.id);
+    await MockTestAttempt.updateOne({ _id: attempt._id }, { autoSubmitJobId: attempt.autoSubmitJobId });
+  }
+
+  /**
+   * Load an attempt the student may still write to. Overdue attempts are
+   * submitted on the spot and rejected.
+   * @private
+   */
+  async loadActive(attemptId, studentId) {
+    const attempt = await MockTestAttempt.findById(attemptId);
+
+    if (!attempt) throw new AppError('No attempt found with that ID', 404);
+    if (attempt.student.toString() !== String(studentId)) throw new AppError('Unauthorized', 403);
+    if (!this.isActive(attempt)) throw new AppError('This attempt has already been submitted', 400);
+
+    if (this.isOverdue(attempt)) {
+      await this.finalize(attempt._id, 'time_expired');
+      throw new AppError('Time is up. The attempt was submitted automatically', 409);
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Upsert answers by question; answers to questions outside the paper are ignored
+   * @private
+   */
+  mergeAnswers(attempt, answers = []) {
+    const paperIds = new Set(attempt.paper.map(item => item.questionId.toString()));
+    const now = new Date();
+    // A question cannot take longer than the whole test
+    const maxSeconds = attempt.expiresAt
+      ? Math.ceil((new Date(attempt.expiresAt) - new Date(attempt.startedAt)) / 1000)
+      : Infinity;
+
+    answers.forEach(answer => {
+      if (!answer || !answer.questionId) return;
+      const questionId = String(answer.questionId);
+      if (attempt.paper.length > 0 && !paperIds.has(questionId)) return;
+
+      // Fields left out of the new answer are cleared, not kept from the old one
+      const values = { answeredAt: now };
+      questionGrader.ANSWER_FIELDS.forEach(field => { values[field] = answer[field]; });
+      const seconds = Number(answer.timeSpentSeconds);
+      if (answer.timeSpentSeconds !== undefined && Number.isFinite(seconds)) {
+        values.timeSpentSeconds = Math.min(maxSeconds, Math.max(0, Math.round(seconds)));
+      }
+      const existing = attempt.answers.find(a => a.questionId && a.questionId.toString() === questionId);
+
+      if (existing) existing.set(values);
+      else attempt.answers.push({ questionId, ...values });
+    });
+  }
+
+  /**
+   * Autosave answers while the attempt is running
+   * @param {String} attemptId - Attempt ID
+   * @param {String} studentId - User ID
+   * @param {Array} answers - [{ questionId, ...answer fields of the question's type }]
+   * @returns {Promise<Object>} - Updated attempt
+   */
+  async saveAnswers(attemptId, studentId, answers) {
+    if (!Array.isArray(answers)) {
+      throw new AppError('Answers array is required', 400);
+    }
+
+    const attempt = await this.loadActive(attemptId, studentId);
+    this.mergeAnswers(attempt, answers);
+    attempt.status = 'in-progress';
+    attempt.lastHeartbeat = new Date();
+    await attempt.save();
+
+    return attempt;
+  }
+
+  /**
+   * Heartbeat from the test client; applies the mock test's proctoring policy
+   * @param {String} attemptId - Attempt ID
+   * @param {String} studentId - User ID
+   * @param {Object} activity - { tabSwitches } switches since the previous heartbeat
+   * @returns {Promise<Object>} - { attempt, terminated, tabSwitchesLeft }
+   */
+  async recordActivity(attemptId, studentId, { tabSwitches = 0 } = {}) {
+    const attempt = await this.loadActive(attemptId, studentId);
+    const mockTest = await MockTest.findById(attempt.mockTest).select('proctoring');
+    const { maxTabSwitches = null, action = 'flag' } = (mockTest && mockTest.proctoring) || {};
+
+    attempt.lastHeartbeat = new Date();
+    attempt.tabSwitches += Math.max(0, parseInt(tabSwitches, 10) || 0);
+
+    const limitExceeded = maxTabSwitches !== null && attempt.tabSwitches > maxTabSwitches;
+    if (limitExceeded && !attempt.isFlagged) {
+      attempt.isFlagged = true;
+      attempt.flagReason = `Left the test ${attempt.tabSwitches} times (limit ${maxTabSwitches})`;
+    }
+    await attempt.save();
+
+    if (limitExceeded && action === 'terminate') {
+      return {
+        attempt: await this.finalize(attempt._id, 'proctoring'),
+        terminated: true,
+        tabSwitchesLeft: 0
+      };
+    }
+
+    return {
+      attempt,
+      terminated: false,
+      tabSwitchesLeft: maxTabSwitches === null ? null : Math.max(0, maxTabSwitches - attempt.tabSwitches)
+    };
+  }
+
+  /**
+   * Submit on behalf of the student; final answers are merged with autosaved ones
+   * @param {String} attemptId - Attempt ID
+   * @param {String} studentId - User ID
+   * @param {Array} [answers] - Answers not yet autosaved
+   * @returns {Promise<Object>} - Graded attempt
+   */
+  async submit(attemptId, studentId, answers = []) {
+    const attempt = await MockTestAttempt.findById(attemptId);
+
+    if (!attempt) throw new AppError('No attempt found with that ID', 404);
+    if (attempt.student.toString() !== String(studentId)) throw new AppError('Unauthorized', 403);
+    if (!this.isActive(attempt)) throw new AppError('Already submitted', 400);
+
+    // Answers sent after the deadline are not counted
+    if (this.isOverdue(attempt)) {
+      return this.finalize(attempt._id, 'time_expired');
+    }
+
+    if (Array.isArray(answers) && answers.length > 0) {
+      this.mergeAnswers(attempt, answers);
+      await attempt.save();
+    }
+
+    return this.finalize(attempt._id, 'manual');
+  }
+
+  /**
+   * Mark answers against the paper
+   * @param {Array} questions - Paper items or questions with _id, marks, negativeMarks and their answer key
+   * @param {Array} answers - Saved answers
+   * @returns {Object} - { answers, score }
+   */
+  gradeAnswers(questions, answers) {
+    let score = 0;
+    const graded = [];
+
+    answers.forEach(answer => {
+      const question = questions.find(q => q._id.toString() === String(answer.questionId));
+      if (!question) return;
+
+      // An autosaved answer may have been cleared again; the grader does not count that as wrong
+      const { isCorrect, marksObtained, needsReview } = questionGrader.grade(question, answer, {
+        marks: question.marks,
+        negativeMarks: question.negativeMarks
+      });
+
+      score += marksObtained;
+      graded.push({
+        questionId: question._id,
+        ..._.pick(answer, questionGrader.ANSWER_FIELDS),
+        answeredAt: answer.answeredAt,
+        timeSpentSeconds: answer.timeSpentSeconds,
+        isCorrect,
+        marksObtained,
+        needsReview
+      });
+    });
+
+    return { answers: graded, score: Math.round(score * 100) / 100 };
+  }
+
+  /**
+   * Grade and close an attempt. Safe to call concurrently (timer job and
+   * student submit): only the first call writes the result.
+   * @param {String} attemptId - Attempt ID
+   * @param {String} reason - manual | time_expired | proctoring
+   * @returns {Promise<Object>} - The completed attempt
+   */
+  async finalize(attemptId, reason) {
+    const attempt = await MockTestAttempt.findById(attemptId).populate('mockTest');
+    if (!attempt || !this.isActive(attempt)) return attempt;
+
+    const mockTest = attempt.mockTest;
+
+    // Grade against the paper the student actually got; older attempts have none
+    const questions = attempt.paper.length > 0
+      ? attempt.paper.map(item => ({ ...item.toObject(), _id: item.questionId }))
+      : await MockTestQuestion.find({ mockTest: mockTest._id });
+    const totalMarks = attempt.totalMarks || mockTest.totalMarks;
+
+    const { answers, score } = this.gradeAnswers(questions, attempt.answers);
+
+    // ✅ FIX: Prevent NaN if totalMarks is 0
+    let percentage = 0;
+    if (totalMarks > 0) {
+      percentage = (score / totalMarks) * 100;
+    } else {
+      percentage = score > 0 ? 100 : 0;
+    }
+    percentage = Math.max(0, percentage);
+
+    // Provisional standing at submit time; the result service recomputes everyone's
+    const totalStudents = await MockTestAttempt.countDocuments({
+      mockTest: mockTest._id,
+      status: 'completed'
+    });
+    const betterScores = await MockTestAttempt.countDocuments({
+      mockTest: mockTest._id,
+      score: { $gt: score },
+      status: 'completed'
+    });
+
+    const completedAt = new Date();
+    // Time past the timer (grace period, late sweep) is not counted
+    const endedAt = attempt.expiresAt && attempt.expiresAt < completedAt ? attempt.expiresAt : completedAt;
+
+    const completed = await MockTestAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: { $in: ACTIVE_STATUSES } },
+      {
+        $set: {
+          answers,
+          score,
+          percentage,
+          isPassed: percentage >= (mockTest.passingMarks || 0),
+          completedAt,
+          timeTaken: (endedAt - attempt.startedAt) / 1000 / 60,
+          rank: betterScores + 1,
+          totalStudents: totalStudents + 1,
+          status: 'completed',
+          submissionReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    // Someone else finished it first
+    if (!completed) return MockTestAttempt.findById(attempt._id);
+
+    await this.updateMockTestStats(mockTest._id);
+    await mockTestResultService.queueRecompute(mockTest);
+
+    // Courses may use this test as their final exam
+    await certificateEligibilityService.queueForMockTest(attempt.student, mockTest._id);
+    return completed;
+  }
+
+  async updateMockTestStats(mockTestId) {
+    const [stats] = await MockTestAttempt.aggregate([
+      { $match: { mockTest: mockTestId, status: 'completed' } },
+      { $group: { _id: null, avg: { $avg: '$score' }, count: { $sum: 1 } } }
+    ]);
+
+    await MockTest.updateOne(
+      { _id: mockTestId },
+      { attemptsCount: stats?.count || 0, averageScore: stats?.avg || 0, lastSubmissionAt: new Date() }
+    );
+  }
+
+  /**
+   * Submit every attempt whose timer has run out (safety net for lost timer jobs)
+   * @returns {Promise<Object>} - { submitted }
+   */
+  async expireOverdue() {
+    const cutoff = new Date(Date.now() - GRACE_SECONDS * 1000);
+    const overdue = await MockTestAttempt.find({
+      status: { $in: ACTIVE_STATUSES },
+      expiresAt: { $lt: cutoff }
+    }).select('_id').limit(500);
+
+    for (const { _id } of overdue) {
+      await this.finalize(_id, 'time_expired');
+    }
+
+    return { submitted: overdue.length };
+  }
+}
+
+module.exports = new MockTestAttemptService();
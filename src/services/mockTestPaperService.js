@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { BankQuestion, MockTestQuestion } = require('../models');
+const AppError = require('../utils/appError');
+const questionGrader = require('./grading');
+
+class MockTestPaperService {
+  /**
+   * Deterministic PRNG (mulberry32) seeded from an arbitrary string,
+   * so a paper can be reproduced from the seed stored on the attempt
+   * @param {String} seed
+   * @returns {Function} - Returns floats in [0, 1)
+   */
+  createRng(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Fisher-Yates on a copy
+  shuffle(items, rng) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  newSeed() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  /**
+   * Bank filter for one blueprint rule
+   * @param {Object} mockTest - MockTest document
+   * @param {Object} rule - Blueprint entry
+   * @returns {Object} - Mongo filter for BankQuestion
+   */
+  ruleFilter(mockTest, rule) {
+    const filter = {
+      category: mockTest.category,
+      subject: rule.subject,
+      isActive: true,
+      isDeleted: { $ne: true }
+    };
+    if (rule.chapter) filter.chapter = rule.chapter;
+    if (rule.difficulty) filter.difficulty = rule.difficulty.toUpperCase();
+    if (rule.tags && rule.tags.length > 0) filter.tags = { $all: rule.tags };
+    return filter;
+  }
+
+  describeRule(rule) {
+    return [rule.sectionName, rule.subject, rule.chapter, rule.difficulty].filter(Boolean).join(' / ');
+  }
+
+  /**
+   * How many bank questions each blueprint rule can draw from
+   * @param {Object} mockTest - MockTest document
+   * @returns {Promise<Array>} - [{ rule, required, available }]
+   */
+  async blueprintAvailability(mockTest) {
+    return Promise.all(mockTest.blueprint.map(async (rule) => ({
+      rule: this.describeRule(rule),
+      required: rule.count,
+      available: await BankQuestion.countDocuments(this.ruleFilter(mockTest, rule))
+    })));
+  }
+
+  /**
+   * Reject a blueprint the bank cannot fill
+   * @param {Object} mockTest - MockTest document (or unsaved blueprint holder)
+   */
+  async assertBlueprintSatisfiable(mockTest) {
+    const availability = await this.blueprintAvailability(mockTest);
+    const missing = availability.filter(a => a.available < a.required);
+    if (missing.length > 0) {
+      const details = missing.map(m => `${m.rule}: need ${m.required}, found ${m.available}`).join('; ');
+      throw new AppError(`Not enough questions in the bank for this blueprint (${details})`, 400);
+    }
+    return availability;
+  }
+
+  /**
+   * Convert a bank/mock test question into a paper entry
+   * @private
+   */
+  toPaperItem(question, questionModel, overrides, rng, shuffleOptions) {
+    const options = (question.options || []).map((opt, index) => ({
+      text: opt.text,
+      isCorrect: !!opt.isCorrect,
+      index
+    }));
+    const shown = shuffleOptions ? this.shuffle(options, rng) : options;
+
+    return {
+      questionId: question._id,
+      questionModel,
+      sectionName: overrides.sectionName || question.sectionName,
+      subject: question.subject,
+      chapter: question.chapter,
+      difficulty: question.difficulty,
+      question: question.question,
+      type: questionGrader.typeOf(question),
+      options: shown.map(({ text, isCorrect }) => ({ text, isCorrect })),
+      optionOrder: shown.map(opt => opt.index),
+      correctAnswer: question.correctAnswer,
+      numeric: question.numeric,
+      blanks: question.blanks,
+      matchPairs: question.matchPairs,
+      orderItems: question.orderItems,
+      caseSensitive: question.caseSensitive,
+      partialCredit: question.partialCredit,
+      marks: overrides.marks !== undefined ? overrides.marks : question.marks,
+      negativeMarks: overrides.negativeMarks !== undefined ? overrides.negativeMarks : question.negativeMarks,
+      explanation: question.explanation
+    };
+  }
+
+  /**
+   * Keep sections in first-seen order and optionally shuffle inside each one
+   * @private
+   */
+  arrangeSections(items, rng, shuffleQuestions) {
+    const sections = new Map();
+    items.forEach(item => {
+      const key = item.sectionName || '';
+      if (!sections.has(key)) sections.set(key, []);
+      sections.get(key).push(item);
+    });
+
+    const ordered = [];
+    sections.forEach(sectionItems => {
+      ordered.push(...(shuffleQuestions ? this.shuffle(sectionItems, rng) : sectionItems));
+    });
+    return ordered.map((item, index) => ({ ...item, order: index + 1 }));
+  }
+
+  /**
+   * Draw a paper for one attempt
+   * @param {Object} mockTest - MockTest document
+   * @param {String} [seed] - Reuse to regenerate the same paper from the same bank
+   * @returns {Promise<Object>} - { seed, paper, totalMarks }
+   */
+  async generatePaper(mockTest, seed = this.newSeed()) {
+    const rng = this.createRng(seed);
+    const hasBlueprint = mockTest.blueprint && mockTest.blueprint.length > 0;
+    let items;
+
+    if (hasBlueprint) {
+      const picked = new Set();
+      const selections = [];
+
+      // Rules are filled in order; a question used by an earlier rule is not drawn twice
+      for (const rule of mockTest.blueprint) {
+        const candidates = await BankQuestion.find(this.ruleFilter(mockTest, rule))
+          .select('_id')
+          .sort('_id')
+          .lean();
+        const available = candidates
+          .map(c => c._id.toString())
+          .filter(id => !picked.has(id));
+
+        if (available.length < rule.count) {
+          throw new AppError(
+            `Not enough questions in the bank for "${this.describeRule(rule)}": need ${rule.count}, found ${available.length}`,
+            400
+          );
+        }
+
+        const chosen = this.shuffle(available, rng).slice(0, rule.count);
+        chosen.forEach(id => picked.add(id));
+        selections.push({ rule, ids: chosen });
+      }
+
+      const questions = await BankQuestion.find({ _id: { $in: [...picked] } }).lean();
+      const byId = new Map(questions.map(q => [q._id.toString(), q]));
+
+      items = selections.flatMap(({ rule, ids }) => ids.map(id => this.toPaperItem(
+        byId.get(id),
+        'BankQuestion',
+        { sectionName: rule.sectionName, marks: rule.marks, negativeMarks: rule.negativeMarks },
+        rng,
+        mockTest.shuffleOptions
+      )));
+    } else {
+      const questions = await MockTestQuestion.find({ mockTest: mockTest._id }).sort('order').lean();
+      if (questions.length === 0) {
+        throw new AppError('This mock test has no questions yet', 400);
+      }
+      items = questions.map(q => this.toPaperItem(q, 'MockTestQuestion', {}, rng, mockTest.shuffleOptions));
+    }
+
+    const paper = this.arrangeSections(items, rng, mockTest.shuffleQuestions);
+    const totalMarks = paper.reduce((acc, item) => acc + (item.marks || 0), 0);
+
+    return { seed, paper, totalMarks };
+  }
+
+  /**
+   * Paper as shown to the student while the attempt is running (no answers).
+   * Match and ordering items are shuffled per question from the attempt seed,
+   * so they stay put when the student resumes.
+   * @param {Array} paper - attempt.paper
+   * @param {String} [seed] - attempt.seed
+   * @returns {Array}
+   */
+  forStudent(paper, seed) {
+    return paper.map(item => ({
+      _id: item.questionId,
+      sectionName: item.sectionName,
+      subject: item.subject,
+      question: item.question,
+      options: [],
+      ...questionGrader.forStudent(item, this.createRng(`${seed}:${item.questionId}`)),
+      marks: item.marks,
+      negativeMarks: item.negativeMarks,
+      order: item.order
+    }));
+  }
+
+  /**
+   * Record that the bank questions of a paper have been used
+   * @param {Array} paper - attempt.paper
+   */
+  async recordUsage(paper) {
+    const ids = paper.filter(item => item.questionModel === 'BankQuestion').map(item => item.questionId);
+    if (ids.length === 0) return;
+    await BankQuestion.updateMany({ _id: { $in: ids } }, { $inc: { usageCount: 1 } });
+  }
+}
+
+module.exports = new MockTestPaperService();
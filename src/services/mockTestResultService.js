@@ -0,0 +1,396 @@
+const { MockTest, MockTestAttempt, TestSeries, User } = require('../models');
+const AppError = require('../utils/appError');
+const questionGrader = require('./grading');
+
+// Percentiles are reported like the national testing agencies do:
+// share of ranked candidates scoring the same or less, to two decimals
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Rank and percentile of a score within a cohort
+ * @param {Array} sortedScores - Cohort scores, ascending
+ * @param {Number} score
+ * @returns {Object} - { rank, percentile }
+ */
+const standing = (sortedScores, score) => {
+  const total = sortedScores.length;
+  if (total === 0) return { rank: 1, percentile: 100 };
+
+  // First index with a value greater than score
+  let lo = 0;
+  let hi = total;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sortedScores[mid] <= score) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return {
+    rank: total - lo + 1, // Equal scores share a rank (1, 2, 2, 4)
+    percentile: round2((lo / total) * 100)
+  };
+};
+
+const ascending = (values) => [...values].sort((a, b) => a - b);
+
+// A saved answer may have been cleared again
+const hasResponse = (answer) => questionGrader.ANSWER_FIELDS.some(field => {
+  const value = answer[field];
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return String(value).trim() !== '';
+});
+
+class MockTestResultService {
+  constructor() {
+    this.standing = standing;
+  }
+
+  /**
+   * Whether ranks may be shown yet
+   * @param {Object} mockTest - MockTest (needs resultPublishAt)
+   * @returns {Boolean}
+   */
+  isPublished(mockTest, now = new Date()) {
+    return !mockTest.resultPublishAt || new Date(mockTest.resultPublishAt) <= now;
+  }
+
+  /**
+   * Section and subject totals of one attempt, from its paper
+   * @param {Object} attempt - Completed attempt with paper and answers
+   * @returns {Object} - { sections: [{ sectionName, score, maxMarks }], subjects: [{ subject, score, maxMarks }] }
+   */
+  breakdown(attempt) {
+    const marksByQuestion = new Map(
+      (attempt.answers || []).map(a => [String(a.questionId), a.marksObtained || 0])
+    );
+    const sections = new Map();
+    const subjects = new Map();
+
+    const add = (groups, key, item) => {
+      if (!groups.has(key)) groups.set(key, { score: 0, maxMarks: 0 });
+      const group = groups.get(key);
+      group.score = round2(group.score + (marksByQuestion.get(String(item.questionId)) || 0));
+      group.maxMarks += item.marks || 0;
+    };
+
+    (attempt.paper || []).forEach(item => {
+      add(sections, item.sectionName || 'General', item);
+      if (item.subject) add(subjects, item.subject, item);
+    });
+
+    return {
+      sections: [...sections].map(([sectionName, totals]) => ({ sectionName, ...totals })),
+      subjects: [...subjects].map(([subject, totals]) => ({ subject, ...totals }))
+    };
+  }
+
+  /**
+   * Recompute rank, percentile and sectional standings for every completed
+   * attempt of a mock test. Only a student's first attempt is ranked;
+   * re-attempts are placed against that cohort without taking a rank from it.
+   * @param {String} mockTestId - MockTest ID
+   * @returns {Promise<Object>} - { ranked, updated }
+   */
+  async recompute(mockTestId) {
+    const computedAt = new Date();
+    const attempts = await MockTestAttempt.find({ mockTest: mockTestId, status: 'completed' })
+      .select('student score completedAt paper.questionId paper.sectionName paper.subject paper.marks answers.questionId answers.marksObtained')
+      .sort('completedAt')
+      .lean();
+
+    const seen = new Set();
+    const rows = attempts.map(attempt => {
+      const student = attempt.student.toString();
+      const isRanked = !seen.has(student);
+      seen.add(student);
+      return { attempt, isRanked, ...this.breakdown(attempt) };
+    });
+    const ranked = rows.filter(row => row.isRanked);
+
+    const overall = ascending(ranked.map(row => row.attempt.score || 0));
+    const cohort = (key, field) => {
+      const scores = new Map();
+      ranked.forEach(row => row[key].forEach(group => {
+        if (!scores.has(group[field])) scores.set(group[field], []);
+        scores.get(group[field]).push(group.score);
+      }));
+      scores.forEach((values, name) => scores.set(name, ascending(values)));
+      return scores;
+    };
+    const sectionScores = cohort('sections', 'sectionName');
+    const subjectScores = cohort('subjects', 'subject');
+
+    const place = (groups, field, scores) => groups.map(group => ({
+      ...group,
+      ...standing(scores.get(group[field]) || [], group.score)
+    }));
+
+    const operations = rows.map(row => ({
+      updateOne: {
+        filter: { _id: row.attempt._id },
+        update: {
+          $set: {
+            isRanked: row.isRanked,
+            ...standing(overall, row.attempt.score || 0),
+            totalStudents: ranked.length,
+            sectionResults: place(row.sections, 'sectionName', sectionScores),
+            subjectResults: place(row.subjects, 'subject', subjectScores)
+          }
+        }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await MockTestAttempt.bulkWrite(operations, { ordered: false });
+    }
+    await MockTest.updateOne({ _id: mockTestId }, { resultsComputedAt: computedAt });
+
+    return { ranked: ranked.length, updated: operations.length };
+  }
+
+  /**
+   * Queue a recompute: right away once results are public, otherwise on the
+   * publish date. Submissions close together share one job.
+   * @param {Object} mockTest - MockTest document
+   */
+  async queueRecompute(mockTest) {
+    // Required lazily: the queue's processor depends on this service
+    const mockTestQueue = require('../jobs/mockTestQueue');
+
+    const publishAt = mockTest.resultPublishAt ? new Date(mockTest.resultPublishAt) : null;
+    await mockTestQueue.add(
+      { type: 'recomputeResults', data: { mockTestId: mockTest._id.toString() } },
+      {
+        delay: publishAt ? Math.max(0, publishAt - Date.now()) : 0,
+        jobId: `results-${mockTest._id}-${publishAt ? publishAt.getTime() : 'live'}`
+      }
+    );
+  }
+
+  /**
+   * Recompute every published mock test with submissions newer than its
+   * results (safety net for lost or deduplicated jobs)
+   * @returns {Promise<Object>} - { recomputed }
+   */
+  async refreshStale() {
+    const now = new Date();
+    const stale = await MockTest.find({
+      lastSubmissionAt: { $ne: null },
+      $expr: { $gt: ['$lastSubmissionAt', { $ifNull: ['$resultsComputedAt', new Date(0)] }] },
+      $or: [{ resultPublishAt: null }, { resultPublishAt: { $lte: now } }]
+    }).select('_id').limit(100);
+
+    for (const { _id } of stale) {
+      await this.recompute(_id);
+    }
+    return { recomputed: stale.length };
+  }
+
+  /**
+   * Hide standings of an attempt until its results are published
+   * @param {Object} attempt - Plain attempt object
+   * @param {Object} mockTest - MockTest (needs resultPublishAt)
+   * @returns {Object}
+   */
+  redact(attempt, mockTest) {
+    if (!mockTest || this.isPublished(mockTest)) return attempt;
+    const { rank, percentile, totalStudents, sectionResults, subjectResults, ...rest } = attempt;
+    return { ...rest, resultPublishAt: mockTest.resultPublishAt };
+  }
+
+  /**
+   * Per-question time spent, with the cohort average and the topper's time
+   * @private
+   */
+  async timeAnalysis(attempt, topper) {
+    const questionIds = attempt.paper.map(item => item.questionId);
+    const averages = await MockTestAttempt.aggregate([
+      { $match: { mockTest: attempt.mockTest._id, status: 'completed', isRanked: true } },
+      { $unwind: '$answers' },
+      { $match: { 'answers.questionId': { $in: questionIds } } },
+      {
+        $group: {
+          _id: '$answers.questionId',
+          averageTimeSpentSeconds: { $avg: '$answers.timeSpentSeconds' },
+          correctRate: { $avg: { $cond: ['$answers.isCorrect', 1, 0] } }
+        }
+      }
+    ]);
+    const averageById = new Map(averages.map(a => [a._id.toString(), a]));
+    const topperTimes = new Map(
+      ((topper && topper.answers) || []).map(a => [a.questionId.toString(), a.timeSpentSeconds])
+    );
+    const answerById = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+
+    const questions = attempt.paper.map(item => {
+      const id = item.questionId.toString();
+      const answer = answerById.get(id);
+      const cohort = averageById.get(id);
+      return {
+        questionId: item.questionId,
+        order: item.order,
+        sectionName: item.sectionName,
+        timeSpentSeconds: answer && answer.timeSpentSeconds != null ? answer.timeSpentSeconds : null,
+        isCorrect: !!(answer && answer.isCorrect),
+        marksObtained: answer ? answer.marksObtained || 0 : 0,
+        averageTimeSpentSeconds: cohort && cohort.averageTimeSpentSeconds != null ? round2(cohort.averageTimeSpentSeconds) : null,
+        correctRate: cohort ? round2(cohort.correctRate * 100) : null,
+        topperTimeSpentSeconds: topperTimes.has(id) ? topperTimes.get(id) : null
+      };
+    });
+
+    const sections = new Map();
+    questions.forEach(q => {
+      const key = q.sectionName || 'General';
+      if (!sections.has(key)) sections.set(key, { sectionName: key, timeSpentSeconds: 0, questions: 0, correct: 0 });
+      const section = sections.get(key);
+      section.timeSpentSeconds += q.timeSpentSeconds || 0;
+      section.questions += 1;
+      if (q.isCorrect) section.correct += 1;
+    });
+
+    const timed = questions.filter(q => q.timeSpentSeconds !== null);
+    const totalSeconds = timed.reduce((acc, q) => acc + q.timeSpentSeconds, 0);
+
+    return {
+      totalSeconds,
+      averagePerQuestion: timed.length > 0 ? round2(totalSeconds / timed.length) : null,
+      sections: [...sections.values()],
+      questions
+    };
+  }
+
+  summarize(attempt) {
+    const attempted = attempt.answers.filter(hasResponse).length;
+    const correct = attempt.answers.filter(a => a.isCorrect).length;
+    return {
+      score: attempt.score,
+      percentage: round2(attempt.percentage || 0),
+      percentile: attempt.percentile,
+      timeTaken: attempt.timeTaken,
+      attempted,
+      correct,
+      accuracy: attempted > 0 ? round2((correct / attempted) * 100) : 0,
+      sections: attempt.sectionResults || []
+    };
+  }
+
+  /**
+   * Result review of a completed attempt: standings, topper comparison and time analytics
+   * @param {Object} completed - Completed attempt as a plain object, mockTest populated
+   * @returns {Promise<Object>}
+   */
+  async review(completed) {
+    const mockTest = completed.mockTest;
+    const published = this.isPublished(mockTest);
+    let attempt = completed;
+
+    // The publish date passed but the scheduled recompute has not run yet
+    if (published && mockTest.resultPublishAt && !(mockTest.resultsComputedAt >= mockTest.resultPublishAt)) {
+      await this.recompute(mockTest._id);
+      const standings = await MockTestAttempt.findById(completed._id)
+        .select('rank percentile totalStudents isRanked sectionResults subjectResults')
+        .lean();
+      attempt = { ...completed, ...standings };
+    }
+
+    const topper = published
+      ? await MockTestAttempt.findOne({ mockTest: mockTest._id, status: 'completed', isRanked: true })
+        .sort({ score: -1, completedAt: 1 })
+        .select('student score percentage percentile timeTaken answers sectionResults')
+        .populate('student', 'firstName lastName')
+        .lean()
+      : null;
+
+    const timeAnalysis = await this.timeAnalysis(attempt, topper);
+
+    if (!published) {
+      return { published: false, resultPublishAt: mockTest.resultPublishAt, timeAnalysis };
+    }
+
+    const mine = this.summarize(attempt);
+    const best = topper && this.summarize(topper);
+
+    return {
+      published: true,
+      rank: attempt.rank,
+      percentile: attempt.percentile,
+      totalStudents: attempt.totalStudents,
+      isRanked: attempt.isRanked,
+      sections: attempt.sectionResults,
+      subjects: attempt.subjectResults,
+      topperComparison: best && {
+        topper: { ...best, student: topper.student },
+        you: mine,
+        scoreGap: round2(best.score - mine.score),
+        timeGap: best.timeTaken != null && mine.timeTaken != null ? round2(mine.timeTaken - best.timeTaken) : null,
+        isTopper: topper._id.toString() === attempt._id.toString()
+      },
+      timeAnalysis
+    };
+  }
+
+  /**
+   * Cumulative standings across the published mock tests of a series
+   * (first attempt of each test, as ranked per test)
+   * @param {String} seriesId - TestSeries ID
+   * @param {Object} options - { page, limit, studentId }
+   * @returns {Promise<Object>} - { series, maxMarks, totalStudents, standings, me }
+   */
+  async seriesStandings(seriesId, { page = 1, limit = 50, studentId } = {}) {
+    const series = await TestSeries.findById(seriesId).select('title tests isDeleted').lean();
+    if (!series || series.isDeleted) throw new AppError('No test series found with that ID', 404);
+
+    const now = new Date();
+    const tests = await MockTest.find({
+      _id: { $in: series.tests.map(t => t.mockTestId).filter(Boolean) },
+      $or: [{ resultPublishAt: null }, { resultPublishAt: { $lte: now } }]
+    }).select('_id totalMarks').lean();
+
+    const rows = await MockTestAttempt.aggregate([
+      { $match: { mockTest: { $in: tests.map(t => t._id) }, status: 'completed', isRanked: true } },
+      {
+        $group: {
+          _id: '$student',
+          totalScore: { $sum: '$score' },
+          testsTaken: { $sum: 1 },
+          averagePercentile: { $avg: '$percentile' },
+          totalTime: { $sum: '$timeTaken' }
+        }
+      },
+      // Ties on total go to the better average percentile, then to the faster student
+      { $sort: { totalScore: -1, averagePercentile: -1, totalTime: 1 } }
+    ]);
+
+    const scores = ascending(rows.map(row => row.totalScore));
+    const standings = rows.map(row => ({
+      student: row._id,
+      totalScore: round2(row.totalScore),
+      testsTaken: row.testsTaken,
+      averagePercentile: row.averagePercentile != null ? round2(row.averagePercentile) : null,
+      totalTime: row.totalTime != null ? round2(row.totalTime) : null,
+      ...standing(scores, row.totalScore)
+    }));
+
+    const start = (Math.max(1, page) - 1) * limit;
+    const pageRows = standings.slice(start, start + limit);
+    const users = await User.find({ _id: { $in: pageRows.map(row => row.student) } })
+      .select('firstName lastName profilePicture')
+      .lean();
+    const userById = new Map(users.map(u => [u._id.toString(), u]));
+
+    const me = studentId ? standings.find(row => row.student.toString() === String(studentId)) || null : null;
+
+    return {
+      series: { _id: series._id, title: series.title },
+      publishedTests: tests.length,
+      maxMarks: tests.reduce((acc, t) => acc + (t.totalMarks || 0), 0),
+      totalStudents: standings.length,
+      standings: pageRows.map(row => ({ ...row, student: userById.get(row.student.toString()) || { _id: row.student } })),
+      me
+    };
+  }
+}
+
+module.exports = new MockTestResultService();
@@ -351,7 +351,7 @@ class NotificationService {
         _id: { $in: notificationIds },
         user: userId
       },
-      { isRead: true }
+      { isRead: true, readAt: new Date() }
     );
   }
 
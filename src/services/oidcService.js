@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, StudentProfile } = require('../models');
+const AppError = require('../utils/appError');
+
+const HOUR = 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Known providers. OpenID Connect ones only need an issuer (endpoints come from
+// discovery); plain OAuth2 ones such as GitHub list their endpoints instead.
+// Any of it can be overridden with OIDC_<NAME>_* variables.
+const PRESETS = {
+  google: {
+    label: 'Google',
+    issuer: 'https://accounts.google.com'
+  },
+  microsoft: {
+    label: 'Microsoft',
+    // Multi-tenant: the token's issuer carries the user's tenant ({tenantid})
+    issuer: 'https://login.microsoftonline.com/common/v2.0'
+  },
+  github: {
+    label: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email'
+  }
+};
+
+// The state cookie is a token of its own kind, never accepted as an access token
+const stateSecret = () => `${process.env.JWT_SECRET}:oidc`;
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...(options.headers || {}) },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  } catch (err) {
+    throw new AppError(`The identity provider could not be reached: ${err.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new AppError(`The identity provider answered with an error (${response.status})`, 502);
+  }
+  return body;
+};
+
+class OidcService {
+  constructor() {
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * A provider's settings from OIDC_<NAME>_* variables over its preset
+   * @param {String} name
+   * @returns {Object|null} - null when no client ID is configured
+   */
+  config(name) {
+    const env = (suffix) => process.env[`OIDC_${name.toUpperCase()}_${suffix}`];
+    if (!/^[a-z0-9]+$/.test(name) || !env('CLIENT_ID')) return null;
+
+    const preset = PRESETS[name] || {};
+    return {
+      name,
+      label: env('LABEL') || preset.label || name,
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET'),
+      issuer: env('ISSUER') || preset.issuer,
+      authorizationEndpoint: env('AUTHORIZATION_ENDPOINT') || preset.authorizationEndpoint,
+      tokenEndpoint: env('TOKEN_ENDPOINT') || preset.tokenEndpoint,
+      userinfoEndpoint: env('USERINFO_ENDPOINT') || preset.userinfoEndpoint,
+      emailsEndpoint: env('EMAILS_ENDPOINT') || preset.emailsEndpoint,
+      scopes: env('SCOPES') || preset.scopes || 'openid email profile',
+      // Frontends that forward the code to the callback route set their own page here
+      redirectUri: env('REDIRECT_URI') || `${process.env.BASE_URL}/api/v1/auth/oidc/${name}/callback`
+    };
+  }
+
+  /**
+   * Providers enabled in OIDC_PROVIDERS (comma-separated names)
+   * @returns {Array}
+   */
+  providers() {
+    return (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => this.config(name))
+      .filter(Boolean);
+  }
+
+  provider(name) {
+    const provider = this.providers().find(entry => entry.name === String(name).toLowerCase());
+    if (!provider) throw new AppError('Unknown sign-in provider', 404);
+    return provider;
+  }
+
+  /**
+   * Provider settings completed from its discovery document, cached for an hour
+   * @param {Object} provider
+   * @returns {Promise<Object>}
+   */
+  async metadata(provider) {
+    if (!provider.issuer) return provider;
+
+    const cached = this.metadataCache.get(provider.issuer);
+    let discovery = cached && cached.expiresAt > Date.now() ? cached.document : null;
+    if (!discovery) {
+      discovery = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      this.metadataCache.set(provider.issuer, { document: discovery, expiresAt: Date.now() + HOUR });
+    }
+
+    return {
+      ...provider,
+      issuer: discovery.issuer || provider.issuer,
+      authorizationEndpoint: provider.authorizationEndpoint || discovery.authorization_endpoint,
+      tokenEndpoint: provider.tokenEndpoint || discovery.token_endpoint,
+      userinfoEndpoint: provider.userinfoEndpoint || discovery.userinfo_endpoint,
+      jwksUri: discovery.jwks_uri
+    };
+  }
+
+  /**
+   * Where to send the browser, plus the state to keep in a cookie until it returns
+   * @param {String} name - provider
+   * @param {Object} options - { linkUserId } when linking to a signed-in account
+   * @returns {Promise<Object>} - { url, stateToken }
+   */
+  async authorizationRequest(name, { linkUserId } = {}) {
+    const provider = await this.metadata(this.provider(name));
+    const state = randomToken(24);
+    const nonce = randomToken(24);
+    const verifier = randomToken(32);
+
+    const url = new URL(provider.authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', provider.redirectUri);
+    url.searchParams.set('scope', provider.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', crypto.createHash('sha256').update(verifier).digest('base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (provider.jwksUri) url.searchParams.set('nonce', nonce);
+
+    const stateToken = jwt.sign(
+      { provider: provider.name, state, nonce, verifier, ...(linkUserId && { link: String(linkUserId) }) },
+      stateSecret(),
+      { expiresIn: '10m' }
+    );
+
+    return { url: url.toString(), stateToken };
+  }
+
+  /**
+   * Finish the authorization code flow and return who signed in
+   * @param {String} name - provider
+   * @param {Object} params - callback parameters (code, state, error)
+   * @param {String} stateToken - from the state cookie
+   * @returns {Promise<Object>} - { profile, linkUserId }
+   */
+  async identify(name, params, stateToken) {
+    if (params.error) {
+      throw new AppError(`Sign-in was cancelled or refused: ${params.error_description || params.error}`, 401);
+    }
+
+    let saved;
+    try {
+      saved = jwt.verify(String(stateToken), stateSecret());
+    } catch (err) {
+      throw new AppError('Your sign-in attempt has expired. Please try again.', 400);
+    }
+    if (saved.provider !== String(name).toLowerCase() || !params.state || saved.state !== params.state) {
+      throw new AppError('Sign-in state does not match. Please try again.', 400);
+    }
+    if (!params.code) throw new AppError('The identity provider did not return an authorization code', 400);
+
+    const provider = await this.metadata(this.provider(name));
+    const tokens = await this.exchange(provider, params.code, saved.verifier);
+
+    let claims;
+    if (provider.jwksUri) {
+      if (!tokens.id_token) throw new AppError('The identity provider did not return an ID token', 502);
+      claims = await this.verifyIdToken(provider, tokens.id_token, saved.nonce);
+    } else {
+      claims = await this.userInfo(provider, tokens.access_token);
+    }
+
+    return { profile: this.profileFrom(claims), linkUserId: saved.link };
+  }
+
+  /**
+   * Authorization code for tokens, proving the PKCE verifier
+   * @private
+   */
+  async exchange(provider, code, verifier) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: verifier
+    });
+    if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+
+    const tokens = await fetchJson(provider.tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    // GitHub reports a bad code with 200 and an error field
+    if (tokens.error) throw new AppError(`Sign-in failed: ${tokens.error_description || tokens.error}`, 401);
+    return tokens;
+  }
+
+  /**
+   * A provider signing key by key ID. Unknown IDs refetch the key set once,
+   * so key rotation is picked up.
+   * @private
+   */
+  async signingKey(provider, kid) {
+    const find = (keys) => keys.find(key => !kid || key.kid === kid);
+
+    let cached = this.jwksCache.get(provider.jwksUri);
+    let jwk = cached && cached.expiresAt > Date.now() ? find(cached.keys) : null;
+    if (!jwk) {
+      const { keys = [] } = await fetchJson(provider.jwksUri);
+      cached = { keys, expiresAt: Date.now() + HOUR };
+      this.jwksCache.set(provider.jwksUri, cached);
+      jwk = find(keys);
+    }
+    if (!jwk) throw new AppError('The identity provider token was signed with an unknown key', 401);
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Check an ID token's signature, audience, issuer and nonce
+   * @param {Object} provider - with metadata
+   * @param {String} idToken
+   * @param {String} nonce
+   * @returns {Promise<Object>} - claims
+   */
+  async verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new AppError('The identity provider token could not be verified', 401);
+
+    const key = await this.signingKey(provider, decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, { algorithms: ID_TOKEN_ALGORITHMS, audience: provider.clientId });
+    } catch (err) {
+      throw new AppError('The identity provider token could not be verified', 401);
+    }
+
+    const issuer = provider.issuer.replace('{tenantid}', claims.tid || '');
+    if (claims.iss !== issuer || claims.nonce !== nonce) {
+      throw new AppError('The identity provider token could not be verified', 401);
+    }
+    return claims;
+  }
+
+  /**
+   * Claims from a userinfo endpoint, for providers without ID tokens
+   * @private
+   */
+  async userInfo(provider, accessToken) {
+    if (!accessToken || !provider.userinfoEndpoint) {
+      throw new AppError('The identity provider did not return an access token', 502);
+    }
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const info = await fetchJson(provider.userinfoEndpoint, { headers });
+
+    const claims = { ...info, sub: info.sub || info.id, picture: info.picture || info.avatar_url };
+    if (provider.emailsEndpoint) {
+      // Only an address the provider has verified counts
+      const emails = await fetchJson(provider.emailsEndpoint, { headers });
+      const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+      claims.email = primary ? primary.email : info.email;
+      claims.email_verified = Boolean(primary);
+    }
+    return claims;
+  }
+
+  /**
+   * Our view of an identity from provider claims
+   * @param {Object} claims
+   * @returns {Object} - { subject, email, emailVerified, firstName, lastName, picture }
+   */
+  profileFrom(claims) {
+    if (claims.sub === undefined || claims.sub === null) {
+      throw new AppError('The identity provider did not identify the user', 502);
+    }
+
+    const email = claims.email ? String(claims.email).trim().toLowerCase() : undefined;
+    const [first, ...rest] = String(claims.name || '').trim().split(/\s+/).filter(Boolean);
+
+    return {
+      subject: String(claims.sub),
+      email,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || first || (email ? email.split('@')[0] : 'User'),
+      // lastName is required; the user can correct it from their profile
+      lastName: claims.family_name || rest.join(' ') || '-',
+      picture: claims.picture
+    };
+  }
+
+  /**
+   * The account an identity signs in to: the one it is linked to, the signed-in
+   * user when linking, an account with the same verified email, or a new one
+   * @param {String} name - provider
+   * @param {Object} profile - from profileFrom
+   * @param {String} linkUserId - set when linking from a signed-in account
+   * @returns {Promise<Object>} - { user, created, linked }
+   */
+  async resolveUser(name, profile, linkUserId) {
+    const identity = { provider: name, subject: profile.subject, email: profile.email, linkedAt: new Date() };
+    const existing = await User.findOne({ identities: { $elemMatch: { provider: name, subject: profile.subject } } });
+
+    if (linkUserId) {
+      if (existing && String(existing._id) !== String(linkUserId)) {
+        throw new AppError('This sign-in account is already linked to another user', 409);
+      }
+      if (existing) return { user: existing, created: false, linked: false };
+
+      const user = await User.findById(linkUserId);
+      if (!user) throw new AppError('No user found with that ID', 404);
+      if (user.identities.some(entry => entry.provider === name)) {
+        throw new AppError(`A ${name} account is already linked. Unlink it first.`, 409);
+      }
+      user.identities.push(identity);
+      await user.save({ validateBeforeSave: false });
+      return { user, created: false, linked: true };
+    }
+
+    if (existing) return { user: existing, created: false, linked: false };
+
+    if (!profile.email) {
+      throw new AppError('The identity provider did not share an email address', 400);
+    }
+
+    const sameEmail = await User.findOne({ email: profile.email });
+    if (sameEmail) {
+      // Both sides must vouch for the address, or whoever registered it first could take the account
+      if (!profile.emailVerified || !sameEmail.isEmailVerified) {
+        throw new AppError('An account with this email already exists. Log in with your password and link this provider from your profile.', 409);
+      }
+      sameEmail.identities.push(identity);
+      await sameEmail.save({ validateBeforeSave: false });
+      return { user: sameEmail, created: false, linked: true };
+    }
+
+    const user = await User.create({
+      email: profile.email,
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      profilePicture: profile.picture || null,
+      role: 'student',
+      isEmailVerified: profile.emailVerified,
+      identities: [identity]
+    });
+
+    try {
+      await StudentProfile.create({ user: user._id });
+    } catch (err) {
+      // Same rollback as password signups: no user without a profile
+      await User.findByIdAndDelete(user._id);
+      throw new AppError('Account creation failed during profile setup. Please try again.', 500);
+    }
+
+    return { user, created: true, linked: true };
+  }
+
+  /**
+   * Remove a linked identity, keeping at least one way to sign in
+   * @param {String} userId
+   * @param {String} name - provider
+   * @returns {Promise<Object>} - the user
+   */
+  async unlink(userId, name) {
+    const user = await User.findById(userId).select('+password');
+    if (!user) throw new AppError('No user found with that ID', 404);
+
+    const remaining = user.identities.filter(entry => entry.provider !== name);
+    if (remaining.length === user.identities.length) {
+      throw new AppError(`No ${name} account is linked`, 404);
+    }
+    if (!user.password && remaining.length === 0) {
+      throw new AppError('This is your only way to sign in. Set a password (via forgot password) before unlinking it.', 400);
+    }
+
+    user.identities = remaining;
+    await user.save({ validateBeforeSave: false });
+    user.password = undefined;
+    return user;
+  }
+}
+
+module.exports = new OidcService();
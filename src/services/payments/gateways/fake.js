@@ -0,0 +1,72 @@
+// services/payments/gateways/fake.js - Local gateway for development and tests.
+// Behaves like a real one (orders, signed webhooks, refunds) without any network calls.
+// Enabled with PAYMENT_GATEWAY=fake and a FAKE_PAYMENT_WEBHOOK_SECRET of your own.
+const crypto = require('crypto');
+const AppError = require('../../../utils/appError');
+
+// No default: a secret everyone knows would let anyone sign a successful payment
+const secret = () => {
+  if (!process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    throw new AppError('The fake payment gateway is not configured. Set FAKE_PAYMENT_WEBHOOK_SECRET.', 500);
+  }
+  return process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+const EVENT_STATUS = {
+  'payment.succeeded': 'success',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+module.exports = {
+  name: 'fake',
+
+  async createOrder(payment) {
+    return {
+      transactionId: `fake_pi_${payment._id}`,
+      clientData: { clientSecret: `fake_secret_${payment._id}`, isFake: true }
+    };
+  },
+
+  // Lets a local client pick the outcome: { status: 'failed' } simulates a declined card
+  async verifyConfirmation(payment, { status } = {}) {
+    if (status === 'failed') return { status: 'failed' };
+    return { status: 'success', gatewayPaymentId: `fake_ch_${payment._id}` };
+  },
+
+  parseWebhook(rawBody, headers) {
+    const signature = String(headers['x-fake-signature'] || '');
+    const expected = sign(rawBody);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return {
+      id: event.id,
+      type: event.type,
+      status: EVENT_STATUS[event.type] || null,
+      transactionId: event.data.transactionId,
+      gatewayPaymentId: event.data.gatewayPaymentId,
+      refundAmount: event.data.refundAmount,
+      payload: event
+    };
+  },
+
+  async refund() {
+    return { refundId: `fake_re_${crypto.randomBytes(6).toString('hex')}` };
+  },
+
+  /**
+   * Build a signed webhook delivery as the gateway would send it
+   * @param {String} type - payment.succeeded | payment.failed | payment.refunded
+   * @param {Object} data - { transactionId, gatewayPaymentId, refundAmount }
+   * @returns {Object} - { rawBody, headers }
+   */
+  buildWebhook(type, data, id = `fake_evt_${crypto.randomBytes(6).toString('hex')}`) {
+    const rawBody = Buffer.from(JSON.stringify({ id, type, data }));
+    return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+  }
+};
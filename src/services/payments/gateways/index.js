@@ -0,0 +1,32 @@
+// services/payments/gateways/index.js - Gateway adapters by name
+const AppError = require('../../../utils/appError');
+
+const gateways = {
+  stripe: require('./stripe'),
+  razorpay: require('./razorpay'),
+  fake: require('./fake')
+};
+
+/**
+ * Adapter for a gateway; defaults to PAYMENT_GATEWAY. The fake gateway settles
+ * payments without money changing hands, so it is served only when
+ * PAYMENT_GATEWAY=fake opts into it, and never in production.
+ * @param {String} name - stripe | razorpay | fake
+ * @returns {Object}
+ */
+const getGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (!name) throw new AppError('No payment gateway is configured. Set PAYMENT_GATEWAY.', 500);
+  const gateway = gateways[String(name).toLowerCase()];
+  if (!gateway) throw new AppError(`Unknown payment gateway: ${name}`, 404);
+  if (gateway.name === 'fake') {
+    if (process.env.NODE_ENV === 'production') {
+      throw new AppError('The fake payment gateway is not available in production', 500);
+    }
+    if (String(process.env.PAYMENT_GATEWAY).toLowerCase() !== 'fake') {
+      throw new AppError('The fake payment gateway is not enabled. Set PAYMENT_GATEWAY=fake to use it.', 404);
+    }
+  }
+  return gateway;
+};
+
+module.exports = { getGateway, gateways };
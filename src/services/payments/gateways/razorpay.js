@@ -0,0 +1,85 @@
+// services/payments/gateways/razorpay.js - Razorpay Orders adapter
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const AppError = require('../../../utils/appError');
+const { toMinor, fromMinor } = require('../../../utils/currency');
+
+let client;
+const razorpay = () => {
+  if (!client) {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new AppError('Razorpay is not configured', 500);
+    }
+    client = new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET });
+  }
+  return client;
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Razorpay event -> Payment status
+const EVENT_STATUS = {
+  'payment.captured': 'success',
+  'order.paid': 'success',
+  'payment.failed': 'failed',
+  'refund.processed': 'refunded'
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  async createOrder(payment, metadata) {
+    const order = await razorpay().orders.create({
+      amount: toMinor(payment.amount, payment.currency), // in paise for INR
+      currency: payment.currency.toUpperCase(),
+      receipt: payment._id.toString(),
+      notes: { paymentId: payment._id.toString(), ...metadata }
+    });
+
+    return {
+      transactionId: order.id,
+      clientData: { orderId: order.id, amount: order.amount, currency: order.currency, keyId: process.env.RAZORPAY_KEY_ID }
+    };
+  },
+
+  // Checkout hands the client a signature over "order_id|payment_id"
+  async verifyConfirmation(payment, { razorpay_payment_id: gatewayPaymentId, razorpay_signature: signature } = {}) {
+    const expected = hmac(process.env.RAZORPAY_KEY_SECRET || '', `${payment.transactionId}|${gatewayPaymentId}`);
+    if (!gatewayPaymentId || !safeEqual(expected, signature)) {
+      throw new AppError('Invalid payment signature', 400);
+    }
+    return { status: 'success', gatewayPaymentId };
+  },
+
+  parseWebhook(rawBody, headers) {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) throw new AppError('Razorpay webhooks are not configured', 500);
+    if (!safeEqual(hmac(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody), headers['x-razorpay-signature'])) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const payment = event.payload.payment ? event.payload.payment.entity : {};
+    const refund = event.payload.refund ? event.payload.refund.entity : null;
+    return {
+      id: headers['x-razorpay-event-id'] || `${event.event}:${(refund || payment).id}`,
+      type: event.event,
+      status: EVENT_STATUS[event.event] || null,
+      transactionId: payment.order_id,
+      gatewayPaymentId: refund ? refund.payment_id : payment.id,
+      refundAmount: refund ? fromMinor(refund.amount, refund.currency) : undefined,
+      payload: event
+    };
+  },
+
+  async refund(payment, amount) {
+    if (!payment.gatewayPaymentId) throw new AppError('Payment has no Razorpay payment ID to refund', 400);
+    const refund = await razorpay().payments.refund(payment.gatewayPaymentId, amount ? { amount: toMinor(amount, payment.currency) } : {});
+    return { refundId: refund.id };
+  }
+};
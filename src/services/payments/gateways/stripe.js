@@ -0,0 +1,75 @@
+// services/payments/gateways/stripe.js - Stripe PaymentIntents adapter
+const Stripe = require('stripe');
+const AppError = require('../../../utils/appError');
+const { toMinor, fromMinor } = require('../../../utils/currency');
+
+let client;
+const stripe = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) throw new AppError('Stripe is not configured', 500);
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Stripe event type -> Payment status
+const EVENT_STATUS = {
+  'payment_intent.succeeded': 'success',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed',
+  'charge.refunded': 'refunded'
+};
+
+module.exports = {
+  name: 'stripe',
+
+  async createOrder(payment, metadata) {
+    const intent = await stripe().paymentIntents.create({
+      amount: toMinor(payment.amount, payment.currency),
+      currency: payment.currency.toLowerCase(),
+      metadata: { paymentId: payment._id.toString(), ...metadata }
+    }, { idempotencyKey: `payment-${payment._id}` });
+
+    return { transactionId: intent.id, clientData: { clientSecret: intent.client_secret } };
+  },
+
+  // The client only tells us to look; the outcome comes from Stripe
+  async verifyConfirmation(payment) {
+    const intent = await stripe().paymentIntents.retrieve(payment.transactionId);
+    if (intent.status === 'succeeded') return { status: 'success', gatewayPaymentId: intent.latest_charge };
+    if (intent.status === 'canceled') return { status: 'failed' };
+    return { status: 'pending' };
+  },
+
+  parseWebhook(rawBody, headers) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) throw new AppError('Stripe webhooks are not configured', 500);
+
+    let event;
+    try {
+      event = Stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      throw new AppError('Invalid webhook signature', 400);
+    }
+
+    const object = event.data.object;
+    const isCharge = object.object === 'charge';
+    return {
+      id: event.id,
+      type: event.type,
+      status: EVENT_STATUS[event.type] || null,
+      transactionId: isCharge ? object.payment_intent : object.id,
+      gatewayPaymentId: isCharge ? object.id : object.latest_charge,
+      refundAmount: isCharge ? fromMinor(object.amount_refunded, object.currency) : undefined,
+      payload: event
+    };
+  },
+
+  // reference identifies what is refunded, so a retried request is not refunded twice
+  async refund(payment, amount, reference = amount || 'full') {
+    const refund = await stripe().refunds.create({
+      payment_intent: payment.transactionId,
+      amount: amount ? toMinor(amount, payment.currency) : undefined // undefined refunds the full amount
+    }, { idempotencyKey: `refund-${payment._id}-${reference}` });
+    return { refundId: refund.id };
+  }
+};
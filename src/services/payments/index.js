@@ -0,0 +1,462 @@
+// services/payments/index.js - Payment state machine, fulfilment and gateway webhooks
+const mongoose = require('mongoose');
+const { Payment, PaymentEvent, Enrollment, ProgressTracking, Cart } = require('../../models');
+const AppError = require('../../utils/appError');
+const testSeriesService = require('../testSeriesService');
+const couponService = require('../couponService');
+const pricingService = require('../pricingService');
+const { getGateway } = require('./gateways');
+
+// Allowed moves of Payment.status. A failed payment can still succeed when the
+// student retries on the same order; refunds only follow a success.
+const TRANSITIONS = {
+  pending: ['success', 'failed'],
+  failed: ['success'],
+  success: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refunded'],
+  refunded: []
+};
+
+const ITEM_TYPES = ['course', 'testSeries', 'mockTest'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PaymentService {
+  constructor() {
+    this.TRANSITIONS = TRANSITIONS;
+    this.getGateway = getGateway;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Items a payment paid for. Payments made before line items existed carry a
+   * single course/testSeries/mockTest field instead.
+   * @param {Object} payment
+   * @returns {Array}
+   */
+  itemsOf(payment) {
+    if (payment.lineItems && payment.lineItems.length > 0) return payment.lineItems;
+
+    const itemType = ITEM_TYPES.find(type => payment[type]);
+    return itemType ? [{ itemType, [itemType]: payment[itemType], amount: payment.amount, status: 'active' }] : [];
+  }
+
+  /**
+   * Create a pending payment and open the matching order at the gateway.
+   * Coupons are reserved first so their limits hold across concurrent
+   * checkouts. Nothing to charge (a 100% coupon) settles straight away.
+   * @param {Object} data - Payment fields: user, amount, currency, lineItems, ...
+   * @param {Object} metadata - Passed to the gateway with the order
+   * @returns {Promise<Object>} - { payment, gateway, clientData }
+   */
+  async open(data, metadata = {}) {
+    const _id = new mongoose.Types.ObjectId();
+    data = { ...(await pricingService.toBase(data.amount, data.currency)), ...data };
+
+    if (data.amount === 0) {
+      const payment = await Payment.create({
+        ...data,
+        _id,
+        status: 'pending',
+        paymentGateway: 'none',
+        transactionId: `FREE-${_id}`
+      });
+      await this.reserveCoupons(payment);
+      return { payment: await this.settle(payment, 'success', { source: 'coupon' }), gateway: 'none', clientData: {} };
+    }
+
+    const gateway = getGateway();
+    let payment = await Payment.create({
+      ...data,
+      _id,
+      status: 'pending',
+      paymentGateway: gateway.name,
+      transactionId: `TEMP-${_id}` // Replaced by the gateway's order/intent ID below
+    });
+    await this.reserveCoupons(payment);
+
+    let order;
+    try {
+      order = await gateway.createOrder(payment, metadata);
+    } catch (err) {
+      await this.transition(payment, 'failed', { source: 'gateway' });
+      await couponService.release(payment);
+      throw err;
+    }
+
+    payment.transactionId = order.transactionId;
+    payment = await payment.save();
+
+    return { payment, gateway: gateway.name, clientData: order.clientData };
+  }
+
+  /**
+   * Hold the coupons of a new payment; when they cannot be held the payment
+   * is failed so it can never be completed at the discounted price
+   * @private
+   */
+  async reserveCoupons(payment) {
+    if (!payment.coupons || payment.coupons.length === 0) return;
+
+    try {
+      await couponService.reserve(payment);
+    } catch (err) {
+      await this.transition(payment, 'failed', { source: 'coupon' });
+      throw err;
+    }
+  }
+
+  /**
+   * Move a payment to a new status. Moving to the current status is a no-op, so
+   * a webhook and a client confirmation can race safely.
+   * @param {Object} payment - Payment document
+   * @param {String} to - Target status
+   * @param {Object} meta - { source, eventId, gatewayPaymentId, refundAmount, refundReason }
+   * @returns {Promise<Object>} - { payment, changed }
+   */
+  async transition(payment, to, meta = {}) {
+    if (payment.status === to) return { payment, changed: false };
+    if (!this.canTransition(payment.status, to)) {
+      throw new AppError(`Cannot move a ${payment.status} payment to ${to}`, 409);
+    }
+
+    const set = { status: to };
+    if (meta.gatewayPaymentId) set.gatewayPaymentId = meta.gatewayPaymentId;
+    if (to === 'refunded') {
+      set.refundAmount = meta.refundAmount || payment.amount;
+      set.refundReason = meta.refundReason || payment.refundReason;
+      set.refundedAt = Date.now();
+    }
+
+    // Conditional on the status we read, so two writers cannot both transition
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status },
+      {
+        $set: set,
+        $push: { statusHistory: { from: payment.status, to, source: meta.source, eventId: meta.eventId, at: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Payment.findById(payment._id);
+      if (current && current.status === to) return { payment: current, changed: false };
+      throw new AppError('Payment was updated concurrently, please retry', 409);
+    }
+
+    return { payment: updated, changed: true };
+  }
+
+  /**
+   * Grant what was bought. Claims the payment first so enrollment runs exactly
+   * once; a failed fulfilment releases the claim for the next delivery.
+   * @param {Object} payment - Successful Payment
+   * @returns {Promise<Boolean>} - true when this call did the fulfilment
+   */
+  async fulfil(payment) {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'success', fulfilledAt: null },
+      { fulfilledAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    const items = this.itemsOf(claimed);
+    try {
+      for (const item of items) {
+        await this.fulfilItem(claimed, item);
+      }
+    } catch (err) {
+      await Payment.updateOne({ _id: claimed._id }, { fulfilledAt: null });
+      throw err;
+    }
+
+    // Bookkeeping after access is granted; a failure here must not undo it
+    try {
+      await couponService.redeem(claimed);
+
+      const bought = items.filter(i => ['course', 'testSeries'].includes(i.itemType)).map(i => ({ itemType: i.itemType, [i.itemType]: i[i.itemType] }));
+      if (bought.length > 0) {
+        await Cart.updateOne(
+          { user: claimed.user },
+          {
+            $pull: { items: { $or: bought } },
+            ...(claimed.coupon ? { $unset: { coupon: 1 }, $set: { stackedCoupons: [] } } : {})
+          }
+        );
+      }
+    } catch (err) {
+      console.error('Post-payment cleanup failed:', err);
+    }
+
+    let invoice = null;
+    try {
+      const invoicing = require('../invoicing');
+      invoice = await invoicing.issueForPayment(claimed);
+      await invoicing.sendReceipt(claimed, invoice);
+    } catch (err) {
+      console.error('Invoice could not be issued:', err);
+    }
+
+    try {
+      await require('../payoutService').recordSale(claimed, invoice);
+    } catch (err) {
+      console.error('Instructor earnings could not be recorded:', err);
+    }
+
+    return true;
+  }
+
+  /**
+   * Enroll the buyer in one purchased item
+   * @private
+   */
+  async fulfilItem(payment, item) {
+    if (item.itemType === 'course') {
+      const enrollment = await Enrollment.findOne({ student: payment.user, course: item.course });
+
+      if (!enrollment) {
+        await Enrollment.create({
+          student: payment.user,
+          course: item.course,
+          payment: payment._id,
+          enrolledAt: Date.now(),
+          isActive: true
+        });
+      } else if (!enrollment.isActive || enrollment.isRevoked || enrollment.subscription) {
+        // Bought again after a refund, or bought by a (former) subscriber: a
+        // purchase never expires, nor ends with the subscription
+        await Enrollment.findByIdAndUpdate(enrollment._id, {
+          $set: { payment: payment._id, isActive: true, isRevoked: false },
+          $unset: { subscription: '', expiryDate: '' }
+        });
+      }
+
+      await ProgressTracking.updateOne(
+        { student: payment.user, course: item.course },
+        { $setOnInsert: { courseProgressPercentage: 0 } },
+        { upsert: true }
+      );
+    } else if (item.itemType === 'testSeries') {
+      await testSeriesService.grantFromPayment(payment, item.testSeries);
+    } else if (item.itemType === 'subscription') {
+      await require('../subscriptionService').activateFromPayment(payment, item);
+    }
+    // A mock test bought on its own needs no record: the successful payment unlocks it
+  }
+
+  /**
+   * Withdraw the access granted by refunded items of a payment
+   * @param {Object} payment - Payment
+   * @param {Array} items - Line items to revoke (all of them by default)
+   */
+  async revoke(payment, items = this.itemsOf(payment)) {
+    for (const item of items) {
+      if (item.itemType === 'course') {
+        await Enrollment.findOneAndUpdate(
+          { payment: payment._id, course: item.course },
+          { isActive: false, isRevoked: true },
+          { new: true }
+        );
+      } else if (item.itemType === 'testSeries') {
+        await testSeriesService.revokeForPayment(payment, item.testSeries);
+      } else if (item.itemType === 'subscription') {
+        await require('../subscriptionService').cancelForRefund(payment, item);
+      }
+    }
+  }
+
+  /**
+   * Refund a payment at its gateway, in full or for some of its line items,
+   * and withdraw access to what was refunded
+   * @param {Object} payment - Payment document
+   * @param {Object} options - { lineItemIds, amount, reason, source }
+   * @returns {Promise<Object>} - Updated Payment
+   */
+  async refund(payment, { lineItemIds, amount, reason, source = 'admin' } = {}) {
+    if (!['success', 'partially_refunded'].includes(payment.status)) {
+      throw new AppError('Only successful payments can be refunded', 400);
+    }
+
+    const hasLines = payment.lineItems && payment.lineItems.length > 0;
+    const active = hasLines ? payment.lineItems.filter(item => item.status !== 'refunded') : [];
+    let items = active;
+
+    if (lineItemIds && lineItemIds.length > 0) {
+      if (!hasLines) throw new AppError('This payment has no line items', 400);
+      const ids = new Set(lineItemIds.map(String));
+      items = active.filter(item => ids.has(String(item._id)));
+      if (items.length !== ids.size) {
+        throw new AppError('One or more line items were not found or are already refunded', 400);
+      }
+    }
+
+    const refundAmount = hasLines ? round(items.reduce((sum, item) => sum + item.amount, 0)) : (amount || payment.amount);
+    const gateway = payment.paymentGateway === 'none' ? null : getGateway(payment.paymentGateway);
+    if (gateway && refundAmount > 0) {
+      const reference = hasLines ? items.map(item => String(item._id)).sort().join('-') : String(refundAmount);
+      await gateway.refund(payment, refundAmount, reference);
+    }
+
+    // Payments without line items keep the old all-or-nothing refund
+    if (!hasLines) {
+      return this.settle(payment, 'refunded', { source, refundAmount, refundReason: reason || 'Refund requested' });
+    }
+
+    const refundedIds = items.map(item => item._id);
+    const to = items.length === active.length ? 'refunded' : 'partially_refunded';
+    const updated = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: payment.status,
+        lineItems: { $not: { $elemMatch: { _id: { $in: refundedIds }, status: 'refunded' } } }
+      },
+      {
+        $set: {
+          status: to,
+          refundReason: reason || 'Refund requested',
+          refundedAt: Date.now(),
+          'lineItems.$[refunded].status': 'refunded',
+          'lineItems.$[refunded].refundedAt': new Date()
+        },
+        $inc: { refundAmount },
+        $push: { statusHistory: { from: payment.status, to, source, at: new Date() } }
+      },
+      { new: true, arrayFilters: [{ 'refunded._id': { $in: refundedIds } }] }
+    );
+    if (!updated) throw new AppError('Payment was updated concurrently, please retry', 409);
+
+    await this.revoke(updated, items);
+    await this.bookRefund(updated, items, { reason });
+    return updated;
+  }
+
+  /**
+   * Credit note and instructor earnings reversal for refunded items. The
+   * refund itself has already gone through, so failures are logged and both
+   * can be recorded again later.
+   * @private
+   */
+  async bookRefund(payment, items, options) {
+    try {
+      await require('../invoicing').issueCreditNote(payment, items, options);
+    } catch (err) {
+      console.error('Credit note could not be issued:', err);
+    }
+
+    try {
+      await require('../payoutService').recordRefund(payment, items);
+    } catch (err) {
+      console.error('Instructor earnings could not be reversed:', err);
+    }
+  }
+
+  /**
+   * Apply a gateway outcome to a payment and run its side effects
+   * @param {Object} payment - Payment document
+   * @param {String} status - success | failed | refunded
+   * @param {Object} meta - See transition()
+   * @returns {Promise<Object>} - Updated Payment
+   */
+  async settle(payment, status, meta = {}) {
+    const { payment: updated, changed } = await this.transition(payment, status, meta);
+
+    // Also retried when unchanged, in case an earlier fulfilment failed half way
+    if (updated.status === 'success') await this.fulfil(updated);
+    if (updated.status === 'failed' && changed) await couponService.release(updated);
+    if (updated.status === 'refunded' && changed) {
+      const items = this.itemsOf(updated).filter(item => item.status !== 'refunded');
+      await this.revoke(updated, items);
+      await this.bookRefund(updated, items, { amount: meta.refundAmount, reason: meta.refundReason });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Payment an incoming gateway event refers to
+   * @private
+   */
+  async findPayment(gateway, event) {
+    const or = [];
+    if (event.transactionId) or.push({ transactionId: event.transactionId });
+    if (event.gatewayPaymentId) or.push({ gatewayPaymentId: event.gatewayPaymentId });
+    if (or.length === 0) return null;
+    return Payment.findOne({ paymentGateway: gateway, $or: or });
+  }
+
+  /**
+   * Record a delivery before processing it. Returns null for events already
+   * handled; failed ones are claimed again so gateway retries can succeed.
+   * @private
+   */
+  async claimEvent(gateway, event) {
+    try {
+      return await PaymentEvent.create({ gateway, eventId: event.id, type: event.type, payload: event.payload });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return PaymentEvent.findOneAndUpdate(
+        { gateway, eventId: event.id, status: 'failed' },
+        { status: 'processing', error: null, $inc: { attempts: 1 } },
+        { new: true }
+      );
+    }
+  }
+
+  /**
+   * Verify and process a webhook delivery
+   * @param {String} gatewayName - Route parameter
+   * @param {Buffer} rawBody - Exact request bytes (signatures are computed over them)
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - { eventId, outcome: processed | ignored | duplicate }
+   */
+  async handleWebhook(gatewayName, rawBody, headers) {
+    const gateway = getGateway(gatewayName);
+    const event = gateway.parseWebhook(rawBody, headers);
+
+    const record = await this.claimEvent(gateway.name, event);
+    if (!record) return { eventId: event.id, outcome: 'duplicate' };
+
+    const finish = async (status, extra = {}) => {
+      await PaymentEvent.updateOne({ _id: record._id }, { status, processedAt: new Date(), ...extra });
+      return { eventId: event.id, outcome: status };
+    };
+
+    try {
+      if (!event.status) return await finish('ignored');
+
+      const payment = await this.findPayment(gateway.name, event);
+      if (!payment) return await finish('ignored', { error: 'No matching payment' });
+
+      // Partial refunds are recorded per line item through refund(); the gateway only echoes them
+      if (event.status === 'refunded' && event.refundAmount !== undefined && round(event.refundAmount) < round(payment.amount)) {
+        return await finish('ignored', { payment: payment._id, error: 'Partial refund' });
+      }
+
+      try {
+        await this.settle(payment, event.status, {
+          source: 'webhook',
+          eventId: event.id,
+          gatewayPaymentId: event.gatewayPaymentId,
+          refundAmount: event.refundAmount
+        });
+      } catch (err) {
+        // Out of order deliveries (a failure after the success) are not retried
+        if (err.statusCode === 409 && !this.canTransition(payment.status, event.status)) {
+          return await finish('ignored', { payment: payment._id, error: err.message });
+        }
+        throw err;
+      }
+
+      return await finish('processed', { payment: payment._id });
+    } catch (err) {
+      await PaymentEvent.updateOne({ _id: record._id }, { status: 'failed', error: err.message });
+      throw err;
+    }
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,577 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const { LedgerEntry, PayoutBatch, Course, TestSeries, MockTest, InstructorProfile, User } = require('../models');
+const AppError = require('../utils/appError');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const EARNING_ROLES = ['instructor', 'co-instructor'];
+
+// Which entry types make up each line of a statement
+const SUMMARY_TYPES = {
+  sales: ['sale'],
+  fees: ['platform_fee', 'fee_reversal'],
+  refunds: ['refund'],
+  payouts: ['payout', 'payout_reversal'],
+  adjustments: ['adjustment']
+};
+
+class PayoutService {
+  /**
+   * Platform commission, as a percent of each instructor credit
+   * @returns {Number}
+   */
+  feePercent() {
+    const value = parseFloat(process.env.PLATFORM_FEE_PERCENT);
+    return Number.isFinite(value) ? value : 30;
+  }
+
+  /**
+   * Start and end of a YYYY-MM period (UTC)
+   * @param {String} period
+   * @returns {Object} - { start, end }
+   */
+  periodBounds(period) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+      throw new AppError('Period must be in YYYY-MM format', 400);
+    }
+    const [year, month] = period.split('-').map(Number);
+    return { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) };
+  }
+
+  previousPeriod(now = new Date()) {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * How a course's earnings are shared. Explicit revenueShare percentages win;
+   * otherwise active co-instructors split equally, falling back to the
+   * primary instructor.
+   * @param {Object} course - { instructors, primaryInstructor }
+   * @returns {Array} - [{ instructor, percent }]
+   */
+  courseShares(course) {
+    const active = (course.instructors || []).filter(i => i.isActive !== false && i.instructor);
+    const explicit = active.filter(i => i.revenueShare > 0);
+
+    let weighted;
+    if (explicit.length > 0) weighted = explicit.map(i => ({ instructor: i.instructor, weight: i.revenueShare }));
+    else if (active.length > 0) weighted = active.map(i => ({ instructor: i.instructor, weight: 1 }));
+    else if (course.primaryInstructor) weighted = [{ instructor: course.primaryInstructor, weight: 1 }];
+    else return [];
+
+    const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+    return weighted.map(w => ({ instructor: w.instructor, percent: round((w.weight * 100) / total) }));
+  }
+
+  /**
+   * Instructors credited for one purchased item
+   * @private
+   */
+  async sharesFor(item) {
+    if (item.itemType === 'course') {
+      const course = await Course.findById(item.course).select('instructors primaryInstructor').lean();
+      return course ? this.courseShares(course) : [];
+    }
+    // Subscription revenue stays with the platform
+    if (!['testSeries', 'mockTest'].includes(item.itemType)) return [];
+
+    const Model = item.itemType === 'testSeries' ? TestSeries : MockTest;
+    const product = await Model.findById(item[item.itemType]).select('instructor').lean();
+    return product && product.instructor ? [{ instructor: product.instructor, percent: 100 }] : [];
+  }
+
+  /**
+   * Split an amount by percentages; the last share absorbs rounding
+   * @param {Number} amount
+   * @param {Array} shares - [{ instructor, percent }]
+   * @returns {Array} - [{ instructor, percent, amount }]
+   */
+  split(amount, shares) {
+    let allocated = 0;
+    return shares.map((share, index) => {
+      const value = index === shares.length - 1
+        ? round(amount - allocated)
+        : round((amount * share.percent) / 100);
+      allocated = round(allocated + value);
+      return { ...share, amount: value };
+    });
+  }
+
+  lineKey(item) {
+    return item._id ? String(item._id) : item.itemType;
+  }
+
+  /**
+   * Write entries, skipping any whose key was already recorded
+   * @private
+   */
+  async insertEntries(entries) {
+    if (entries.length === 0) return;
+    try {
+      await LedgerEntry.insertMany(entries, { ordered: false });
+    } catch (err) {
+      const errors = err.writeErrors || [err];
+      if (!errors.every(e => e.code === 11000 || (e.err && e.err.code === 11000))) throw err;
+    }
+  }
+
+  /**
+   * Credit instructors for a fulfilled payment and charge the platform fee.
+   * Earnings are taken from the taxable value on the invoice, so tax
+   * collected from the buyer is never shared out.
+   * @param {Object} payment - Successful Payment
+   * @param {Object} invoice - Its tax invoice, if one was issued
+   */
+  async recordSale(payment, invoice) {
+    const paymentService = require('./payments');
+    const feePercent = this.feePercent();
+    const at = new Date();
+    const entries = [];
+
+    for (const item of paymentService.itemsOf(payment)) {
+      if (!(item.amount > 0) || item.status === 'refunded') continue;
+
+      const shares = await this.sharesFor(item);
+      if (shares.length === 0) continue;
+
+      const line = invoice && invoice.lines.find(l => (item._id
+        ? String(l.lineItem) === String(item._id)
+        : l.itemType === item.itemType));
+      const base = line ? line.taxableAmount : item.amount;
+      const lineKey = this.lineKey(item);
+      const common = {
+        currency: payment.currency,
+        at,
+        payment: payment._id,
+        lineKey,
+        itemType: item.itemType,
+        [item.itemType]: item[item.itemType]
+      };
+
+      this.split(base, shares).forEach(credit => {
+        const fee = round((credit.amount * feePercent) / 100);
+        entries.push({
+          ...common,
+          instructor: credit.instructor,
+          type: 'sale',
+          amount: credit.amount,
+          sharePercent: credit.percent,
+          description: `${credit.percent}% of ${item.title || 'sale'}`,
+          key: `sale:${payment._id}:${lineKey}:${credit.instructor}`
+        });
+        if (fee > 0) {
+          entries.push({
+            ...common,
+            instructor: credit.instructor,
+            type: 'platform_fee',
+            amount: -fee,
+            feePercent,
+            description: `Platform fee ${feePercent}%`,
+            key: `platform_fee:${payment._id}:${lineKey}:${credit.instructor}`
+          });
+        }
+      });
+    }
+
+    await this.insertEntries(entries);
+  }
+
+  /**
+   * Reverse what was credited for refunded items, returning the platform fee
+   * @param {Object} payment - Payment
+   * @param {Array} items - Refunded line items
+   */
+  async recordRefund(payment, items) {
+    const lineKeys = items.map(item => this.lineKey(item));
+    const credited = await LedgerEntry.find({
+      payment: payment._id,
+      lineKey: { $in: lineKeys },
+      type: { $in: ['sale', 'platform_fee'] }
+    }).lean();
+
+    const at = new Date();
+    const entries = credited.map(entry => {
+      const type = entry.type === 'sale' ? 'refund' : 'fee_reversal';
+      return {
+        instructor: entry.instructor,
+        type,
+        amount: -entry.amount,
+        currency: entry.currency,
+        at,
+        payment: entry.payment,
+        lineKey: entry.lineKey,
+        itemType: entry.itemType,
+        course: entry.course,
+        testSeries: entry.testSeries,
+        mockTest: entry.mockTest,
+        description: type === 'refund' ? 'Refund to student' : 'Platform fee returned on refund',
+        key: `${type}:${payment._id}:${entry.lineKey}:${entry.instructor}`
+      };
+    });
+
+    await this.insertEntries(entries);
+  }
+
+  /**
+   * Manual credit or debit by an admin
+   * @param {Object} data - { instructor, amount, currency, description }
+   * @param {String} adminId
+   * @returns {Promise<Object>} - LedgerEntry
+   */
+  async adjust({ instructor, amount, currency, description }, adminId) {
+    if (!instructor || !currency || !Number.isFinite(Number(amount)) || Number(amount) === 0) {
+      throw new AppError('Please provide instructor, currency and a non-zero amount', 400);
+    }
+    if (!(await User.exists({ _id: instructor, role: { $in: EARNING_ROLES } }))) {
+      throw new AppError('No instructor found with that ID', 404);
+    }
+
+    return LedgerEntry.create({
+      instructor,
+      type: 'adjustment',
+      amount: round(Number(amount)),
+      currency: String(currency).toUpperCase(),
+      description,
+      createdBy: adminId,
+      key: `adjustment:${instructor}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`
+    });
+  }
+
+  /**
+   * Set revenue-share percentages for a course's instructors
+   * @param {String} courseId
+   * @param {Array} shares - [{ instructor, percent }], must total 100
+   * @returns {Promise<Array>} - Resulting shares
+   */
+  async setRevenueShares(courseId, shares) {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new AppError('Please provide shares as [{ instructor, percent }]', 400);
+    }
+
+    const course = await Course.findById(courseId).select('instructors primaryInstructor').lean();
+    if (!course) throw new AppError('No course found with that ID', 404);
+
+    const byInstructor = new Map(shares.map(s => [String(s.instructor), Number(s.percent)]));
+    const active = (course.instructors || []).filter(i => i.isActive !== false).map(i => String(i.instructor));
+
+    for (const [instructor, percent] of byInstructor) {
+      if (!active.includes(instructor)) {
+        throw new AppError(`${instructor} is not an active instructor of this course`, 400);
+      }
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new AppError('Each percent must be between 0 and 100', 400);
+      }
+    }
+    const total = round([...byInstructor.values()].reduce((sum, p) => sum + p, 0));
+    if (total !== 100) throw new AppError(`Revenue shares must add up to 100, got ${total}`, 400);
+
+    const instructors = course.instructors.map(i => ({
+      ...i,
+      revenueShare: byInstructor.has(String(i.instructor)) ? byInstructor.get(String(i.instructor)) : 0
+    }));
+    await Course.updateOne({ _id: courseId }, { $set: { instructors } });
+
+    return this.courseShares({ ...course, instructors });
+  }
+
+  /**
+   * Current balance per currency
+   * @param {String} instructorId
+   * @returns {Promise<Array>} - [{ currency, balance }]
+   */
+  async balance(instructorId) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { instructor: new mongoose.Types.ObjectId(instructorId) } },
+      { $group: { _id: '$currency', balance: { $sum: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return rows.map(row => ({ currency: row._id, balance: round(row.balance) }));
+  }
+
+  /**
+   * Totals of a set of entries, by statement line
+   * @param {Array} entries
+   * @returns {Object} - { sales, fees, refunds, payouts, adjustments }
+   */
+  summarize(entries) {
+    const totals = {};
+    Object.entries(SUMMARY_TYPES).forEach(([name, types]) => {
+      totals[name] = round(entries.filter(e => types.includes(e.type)).reduce((sum, e) => sum + e.amount, 0));
+    });
+    return totals;
+  }
+
+  /**
+   * Monthly statement: opening balance, every entry of the month, closing balance
+   * @param {String} instructorId
+   * @param {String} period - YYYY-MM
+   * @returns {Promise<Object>}
+   */
+  async statement(instructorId, period) {
+    const { start, end } = this.periodBounds(period);
+    const instructor = await User.findById(instructorId).select('firstName lastName email role');
+    if (!instructor || !EARNING_ROLES.includes(instructor.role)) throw new AppError('No instructor found with that ID', 404);
+
+    const [opening, entries] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $match: { instructor: instructor._id, at: { $lt: start } } },
+        { $group: { _id: '$currency', balance: { $sum: '$amount' } } }
+      ]),
+      LedgerEntry.find({ instructor: instructor._id, at: { $gte: start, $lt: end } })
+        .populate('course', 'title')
+        .populate('testSeries', 'title')
+        .populate('mockTest', 'title')
+        .sort('at')
+        .lean()
+    ]);
+
+    const currencies = [...new Set([...opening.map(o => o._id), ...entries.map(e => e.currency)])].sort();
+    return {
+      instructor: { id: instructor._id, name: `${instructor.firstName} ${instructor.lastName}`, email: instructor.email },
+      period,
+      periodStart: start,
+      periodEnd: end,
+      accounts: currencies.map(currency => {
+        const openingBalance = round((opening.find(o => o._id === currency) || { balance: 0 }).balance);
+        const own = entries.filter(e => e.currency === currency);
+        const totals = this.summarize(own);
+        return {
+          currency,
+          openingBalance,
+          entries: own,
+          totals,
+          closingBalance: round(openingBalance + own.reduce((sum, e) => sum + e.amount, 0))
+        };
+      })
+    };
+  }
+
+  /**
+   * Render a statement as a PDF
+   * @param {Object} statement - See statement()
+   * @returns {Promise<Buffer>}
+   */
+  async renderStatementPdf(statement) {
+    const doc = new PDFDocument({ size: 'A4', margins: { top: 50, bottom: 50, left: 50, right: 50 } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.fontSize(20).font('Helvetica-Bold').fillColor('#333').text('Earnings Statement', { align: 'right' });
+    doc.fontSize(10).font('Helvetica')
+       .text(`Period: ${statement.period}`, { align: 'right' })
+       .text(statement.instructor.name, { align: 'right' })
+       .text(statement.instructor.email, { align: 'right' });
+
+    let y = 140;
+    const row = (cells, bold = false) => {
+      if (y > 740) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      doc.text(cells[0], 50, y, { width: 70 });
+      doc.text(cells[1], 120, y, { width: 265 });
+      doc.text(cells[2], 390, y, { width: 155, align: 'right' });
+      y += Math.max(doc.heightOfString(cells[1], { width: 265 }), 11) + 5;
+    };
+
+    if (statement.accounts.length === 0) {
+      doc.fontSize(10).text('No earnings activity in this period.', 50, y);
+    }
+
+    statement.accounts.forEach(account => {
+      const money = (value) => `${account.currency} ${Number(value).toFixed(2)}`;
+      doc.font('Helvetica-Bold').fontSize(12).text(`${account.currency} account`, 50, y);
+      y += 20;
+      row(['Date', 'Description', 'Amount'], true);
+      row(['', 'Opening balance', money(account.openingBalance)]);
+
+      account.entries.forEach(entry => {
+        const product = entry.course || entry.testSeries || entry.mockTest;
+        const description = [entry.description, product && product.title].filter(Boolean).join(' - ');
+        row([new Date(entry.at).toISOString().slice(0, 10), description, money(entry.amount)]);
+      });
+
+      y += 5;
+      row(['', 'Sales', money(account.totals.sales)]);
+      row(['', 'Platform fees', money(account.totals.fees)]);
+      row(['', 'Refunds', money(account.totals.refunds)]);
+      row(['', 'Payouts', money(account.totals.payouts)]);
+      row(['', 'Adjustments', money(account.totals.adjustments)]);
+      row(['', 'Closing balance', money(account.closingBalance)], true);
+      y += 20;
+    });
+
+    doc.end();
+    return done;
+  }
+
+  /**
+   * Create the payout batch for a finished month. Every instructor with a
+   * positive balance at the end of the month is paid that balance, which is
+   * debited from the ledger straight away. Running it again returns the
+   * existing batch.
+   * @param {String} period - YYYY-MM, defaults to last month
+   * @param {String} createdBy - Admin user ID (none when scheduled)
+   * @returns {Promise<Object>} - PayoutBatch
+   */
+  async generateBatch(period = this.previousPeriod(), createdBy) {
+    const { start, end } = this.periodBounds(period);
+    if (end > new Date()) throw new AppError('Payouts can only be generated for a month that has ended', 400);
+
+    const existing = await PayoutBatch.findOne({ period });
+    if (existing) return existing;
+    if (await PayoutBatch.exists({ periodStart: { $gt: start } })) {
+      throw new AppError('A later payout period has already been generated', 400);
+    }
+
+    const inPeriod = (types) => ({
+      $sum: { $cond: [{ $and: [{ $gte: ['$at', start] }, { $in: ['$type', types] }] }, '$amount', 0] }
+    });
+    const rows = await LedgerEntry.aggregate([
+      { $match: { at: { $lt: end } } },
+      {
+        $group: {
+          _id: { instructor: '$instructor', currency: '$currency' },
+          balance: { $sum: '$amount' },
+          openingBalance: { $sum: { $cond: [{ $lt: ['$at', start] }, '$amount', 0] } },
+          sales: inPeriod(SUMMARY_TYPES.sales),
+          fees: inPeriod(SUMMARY_TYPES.fees),
+          refunds: inPeriod(SUMMARY_TYPES.refunds),
+          adjustments: inPeriod(SUMMARY_TYPES.adjustments)
+        }
+      }
+    ]);
+
+    const minimum = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT) || 0;
+    const due = rows.filter(row => round(row.balance) > 0 && round(row.balance) >= minimum);
+
+    const profiles = await InstructorProfile.find({ user: { $in: due.map(row => row._id.instructor) } })
+      .select('user paymentDetails')
+      .lean();
+    const detailsOf = new Map(profiles.map(p => [String(p.user), p.paymentDetails]));
+
+    let batch;
+    try {
+      batch = await PayoutBatch.create({
+        period,
+        periodStart: start,
+        periodEnd: end,
+        status: due.length === 0 ? 'completed' : 'pending',
+        completedAt: due.length === 0 ? new Date() : undefined,
+        createdBy,
+        payouts: due.map(row => ({
+          instructor: row._id.instructor,
+          currency: row._id.currency,
+          amount: round(row.balance),
+          summary: {
+            openingBalance: round(row.openingBalance),
+            sales: round(row.sales),
+            fees: round(row.fees),
+            refunds: round(row.refunds),
+            adjustments: round(row.adjustments)
+          },
+          paymentDetails: detailsOf.get(String(row._id.instructor))
+        }))
+      });
+    } catch (err) {
+      if (err.code === 11000) return PayoutBatch.findOne({ period });
+      throw err;
+    }
+
+    // Dated inside the period so the next statement opens at zero
+    await this.insertEntries(batch.payouts.map(payout => ({
+      instructor: payout.instructor,
+      type: 'payout',
+      amount: -payout.amount,
+      currency: payout.currency,
+      at: new Date(end.getTime() - 1),
+      payoutBatch: batch._id,
+      description: `Payout for ${period}`,
+      key: `payout:${batch._id}:${payout._id}`
+    })));
+
+    return batch;
+  }
+
+  /**
+   * Record the outcome of one payout. A paid payout emails the instructor;
+   * a failed one puts the money back on their balance for the next batch.
+   * @param {String} batchId
+   * @param {String} payoutId
+   * @param {Object} outcome - { status: paid | failed, transactionId, reason }
+   * @returns {Promise<Object>} - PayoutBatch
+   */
+  async updatePayout(batchId, payoutId, { status, transactionId, reason } = {}) {
+    if (!['paid', 'failed'].includes(status)) throw new AppError('Status must be paid or failed', 400);
+    if (status === 'paid' && !transactionId) throw new AppError('Please provide the transfer transactionId', 400);
+
+    const set = status === 'paid'
+      ? { 'payouts.$.status': 'paid', 'payouts.$.transactionId': transactionId, 'payouts.$.paidAt': new Date() }
+      : { 'payouts.$.status': 'failed', 'payouts.$.failureReason': reason || 'Transfer failed' };
+
+    let batch = await PayoutBatch.findOneAndUpdate(
+      { _id: batchId, payouts: { $elemMatch: { _id: payoutId, status: 'pending' } } },
+      { $set: set },
+      { new: true }
+    );
+    if (!batch) {
+      if (!(await PayoutBatch.exists({ _id: batchId, 'payouts._id': payoutId }))) {
+        throw new AppError('No payout found with that ID', 404);
+      }
+      throw new AppError('Only pending payouts can be updated', 400);
+    }
+
+    const payout = batch.payouts.id(payoutId);
+    if (status === 'failed') {
+      await this.insertEntries([{
+        instructor: payout.instructor,
+        type: 'payout_reversal',
+        amount: payout.amount,
+        currency: payout.currency,
+        payoutBatch: batch._id,
+        description: `Payout for ${batch.period} failed: ${payout.failureReason}`,
+        key: `payout_reversal:${batch._id}:${payout._id}`
+      }]);
+    } else {
+      await this.sendPayoutEmail(batch, payout);
+    }
+
+    if (!batch.payouts.some(p => p.status === 'pending')) {
+      batch = await PayoutBatch.findByIdAndUpdate(batch._id, { status: 'completed', completedAt: new Date() }, { new: true });
+    }
+    return batch;
+  }
+
+  /**
+   * @private
+   */
+  async sendPayoutEmail(batch, payout) {
+    const instructor = await User.findById(payout.instructor).select('firstName email');
+    if (!instructor) return;
+
+    const emailQueue = require('../jobs/emailQueue');
+    await emailQueue.add({
+      type: 'instructorPayout',
+      data: {
+        instructor: { firstName: instructor.firstName, email: instructor.email },
+        amount: payout.amount,
+        period: batch.period,
+        details: {
+          currency: payout.currency,
+          transactionId: payout.transactionId,
+          payoutDate: payout.paidAt,
+          summary: payout.summary
+        }
+      }
+    });
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,230 @@
+const { ExchangeRate, User } = require('../models');
+const AppError = require('../utils/appError');
+const { roundAmount, currencyForCountry } = require('../utils/currency');
+const { countryCode } = require('./invoicing/taxRules');
+
+// Rates change a few times a day at most; reading them on every price is wasteful
+const RATES_TTL_MS = 60 * 1000;
+
+class PricingService {
+  constructor() {
+    this.cache = null;
+  }
+
+  baseCurrency() {
+    return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+  }
+
+  /**
+   * FX table for the current base currency, base itself included at 1
+   * @returns {Promise<Map>} - currency -> { rate, roundingIncrement }
+   */
+  async rates() {
+    const base = this.baseCurrency();
+    if (this.cache && this.cache.base === base && this.cache.expiresAt > Date.now()) return this.cache.rates;
+
+    const rows = await ExchangeRate.find({ base }).lean();
+    const rates = new Map(rows.map(row => [row.currency, { rate: row.rate, roundingIncrement: row.roundingIncrement }]));
+    rates.set(base, { rate: 1, roundingIncrement: (rates.get(base) || {}).roundingIncrement });
+
+    this.cache = { base, rates, expiresAt: Date.now() + RATES_TTL_MS };
+    return rates;
+  }
+
+  async isSupported(currency) {
+    return (await this.rates()).has(String(currency || '').toUpperCase());
+  }
+
+  /**
+   * Convert with a loaded FX table. Converted amounts are rounded to the target
+   * currency's minor unit and its rounding increment.
+   * @param {Map} rates - From rates()
+   * @param {Number} amount
+   * @param {String} from
+   * @param {String} to
+   * @returns {Number}
+   */
+  convertWith(rates, amount, from, to) {
+    from = String(from).toUpperCase();
+    to = String(to).toUpperCase();
+    if (from === to) return amount;
+
+    const source = rates.get(from);
+    const target = rates.get(to);
+    if (!source || !target) throw new AppError(`No exchange rate is set for ${source ? to : from}`, 400);
+
+    return roundAmount((amount / source.rate) * target.rate, to, target.roundingIncrement);
+  }
+
+  /**
+   * A converter for amounts in any of `currencies` into `to`. The FX table is
+   * only read when one of them differs from `to`.
+   * @param {Array} currencies - Source currencies; null means the base currency
+   * @param {String} to
+   * @returns {Promise<Function>} - (amount, from) => amount in `to`, null without a rate
+   */
+  async converter(currencies, to) {
+    const base = this.baseCurrency();
+    const target = String(to || base).toUpperCase();
+    const needsRates = currencies.some(c => String(c || base).toUpperCase() !== target);
+    const rates = needsRates ? await this.rates() : null;
+
+    return (amount, from) => {
+      const source = String(from || base).toUpperCase();
+      if (source === target) return amount;
+      return rates.has(source) && rates.has(target) ? this.convertWith(rates, amount, source, target) : null;
+    };
+  }
+
+  /**
+   * Price an item is sold at right now. A course sale only applies between
+   * discountStartDate and discountEndDate when those are set.
+   * @param {Object} item - { price, discountPrice, discountStartDate, discountEndDate, isFree }
+   * @param {Date} now
+   * @returns {Number}
+   */
+  unitPrice(item, now = new Date()) {
+    if (item.isFree) return 0;
+
+    const hasDiscount = item.discountPrice !== undefined && item.discountPrice !== null && item.discountPrice > 0;
+    const started = !item.discountStartDate || new Date(item.discountStartDate) <= now;
+    const notEnded = !item.discountEndDate || new Date(item.discountEndDate) >= now;
+
+    return hasDiscount && started && notEnded ? Math.min(item.discountPrice, item.price) : item.price;
+  }
+
+  /**
+   * What an item costs in a currency: from its price list when it has one,
+   * otherwise converted from its own price. Items without a currency are
+   * priced in the base currency.
+   * @param {Object} item - Course, TestSeries or MockTest
+   * @param {String} currency - Wanted currency; the item's own when empty
+   * @param {Date} now
+   * @returns {Promise<Object>} - { currency, listPrice, price, fxRate }
+   */
+  async quote(item, currency, now = new Date()) {
+    const own = String(item.currency || this.baseCurrency()).toUpperCase();
+    const target = String(currency || own).toUpperCase();
+
+    if (target === own) {
+      return { currency: own, listPrice: item.price, price: this.unitPrice(item, now), fxRate: null };
+    }
+
+    const listed = (item.prices || []).find(p => p.currency === target);
+    if (listed) {
+      const entry = { ...listed, isFree: item.isFree, discountStartDate: item.discountStartDate, discountEndDate: item.discountEndDate };
+      return { currency: target, listPrice: listed.price, price: this.unitPrice(entry, now), fxRate: null };
+    }
+
+    const rates = await this.rates();
+    return {
+      currency: target,
+      listPrice: this.convertWith(rates, item.price, own, target),
+      price: this.convertWith(rates, this.unitPrice(item, now), own, target),
+      fxRate: rates.has(own) && rates.has(target) ? rates.get(target).rate / rates.get(own).rate : null
+    };
+  }
+
+  /**
+   * Currency of the user's country, when prices can be shown in it
+   * @param {Object|String} user - User document or ID
+   * @returns {Promise<String|null>}
+   */
+  async currencyForUser(user) {
+    if (!user) return null;
+
+    const profile = user.address !== undefined ? user : await User.findById(user).select('address').lean();
+    const country = profile && profile.address && profile.address.country;
+    const currency = currencyForCountry(countryCode(country));
+
+    return currency && (await this.isSupported(currency)) ? currency : null;
+  }
+
+  /**
+   * Currency to price a purchase in: the one asked for, else the user's country's
+   * @param {Object|String} user
+   * @param {String} requested
+   * @returns {Promise<String|null>} - null keeps each item's own currency
+   */
+  async resolveCurrency(user, requested) {
+    if (requested) {
+      const code = String(requested).toUpperCase();
+      if (!(await this.isSupported(code))) throw new AppError(`Prices are not available in ${code}`, 400);
+      return code;
+    }
+    return this.currencyForUser(user);
+  }
+
+  /**
+   * Snapshot of an amount in the base currency, stored on payments for reporting
+   * @param {Number} amount
+   * @param {String} currency
+   * @returns {Promise<Object>} - { baseCurrency, baseAmount, fxRate }; amount null without a rate
+   */
+  async toBase(amount, currency) {
+    const baseCurrency = this.baseCurrency();
+    const code = String(currency || baseCurrency).toUpperCase();
+    if (code === baseCurrency) return { baseCurrency, baseAmount: amount, fxRate: 1 };
+
+    const entry = (await this.rates()).get(code);
+    if (!entry) return { baseCurrency, baseAmount: null, fxRate: null };
+
+    return { baseCurrency, baseAmount: roundAmount(amount / entry.rate, baseCurrency), fxRate: entry.rate };
+  }
+
+  /**
+   * Aggregation expression for a payment's amount in the base currency. Uses the
+   * stored snapshot, or today's rate for payments made before it was recorded.
+   * @param {Map} rates - From rates()
+   * @param {String} amountField
+   * @returns {Object}
+   */
+  baseAmountExpression(rates, amountField = '$amount') {
+    const branches = [...rates.entries()]
+      .filter(([currency]) => currency !== this.baseCurrency())
+      .map(([currency, { rate }]) => ({ case: { $eq: ['$currency', currency] }, then: { $divide: [amountField, rate] } }));
+
+    const converted = branches.length > 0 ? { $switch: { branches, default: amountField } } : amountField;
+    return { $ifNull: ['$baseAmount', converted] };
+  }
+
+  async listRates() {
+    return ExchangeRate.find({ base: this.baseCurrency() }).sort('currency').lean();
+  }
+
+  /**
+   * Create or update the rate of a currency against the base currency
+   * @param {String} currency
+   * @param {Object} data - { rate, roundingIncrement, source }
+   * @param {String} userId
+   * @returns {Promise<Object>} - ExchangeRate
+   */
+  async setRate(currency, { rate, roundingIncrement, source }, userId) {
+    const code = String(currency || '').toUpperCase();
+    const base = this.baseCurrency();
+    if (code === base) throw new AppError(`${base} is the base currency; its rate is always 1`, 400);
+    if (!(Number(rate) > 0)) throw new AppError('Please provide a positive rate', 400);
+
+    let row = await ExchangeRate.findOne({ base, currency: code });
+    if (!row) row = new ExchangeRate({ base, currency: code });
+
+    row.rate = Number(rate);
+    if (roundingIncrement !== undefined) row.roundingIncrement = roundingIncrement === null ? undefined : Number(roundingIncrement);
+    if (source) row.source = source;
+    row.updatedBy = userId;
+    await row.save();
+
+    this.cache = null;
+    return row;
+  }
+
+  async removeRate(currency) {
+    const row = await ExchangeRate.findOneAndDelete({ base: this.baseCurrency(), currency: String(currency || '').toUpperCase() });
+    if (!row) throw new AppError('No exchange rate found for that currency', 404);
+
+    this.cache = null;
+    return row;
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { Session, User } = require('../models');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { signAccessToken, signRefreshToken, verifyRefreshToken, decodeToken } = require('../utils/authUtils');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  /**
+   * Device details kept with a session
+   * @param {Object} req - Express request (express-useragent populates req.useragent)
+   * @returns {Object} - { userAgent, device, ip }
+   */
+  deviceOf(req) {
+    const ua = req.useragent || {};
+    const known = (value) => value && value !== 'unknown';
+    const device = [ua.browser, ua.os].every(known) ? `${ua.browser} on ${ua.os}` : undefined;
+
+    return {
+      userAgent: req.get ? req.get('user-agent') : undefined,
+      device,
+      ip: req.ip
+    };
+  }
+
+  /**
+   * A fresh access/refresh token pair for a session
+   * @private
+   */
+  sign(user, sessionId) {
+    const accessToken = signAccessToken(user, sessionId);
+    const refreshToken = signRefreshToken(user, sessionId);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenHash: hash(refreshToken),
+      expiresAt: new Date(decodeToken(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Sign a user in on a new device session
+   * @param {Object} user
+   * @param {Object} req
+   * @returns {Promise<Object>} - { accessToken, refreshToken, session }
+   */
+  async start(user, req) {
+    const session = new Session({ user: user._id, ...this.deviceOf(req) });
+    const { accessToken, refreshToken, tokenHash, expiresAt } = this.sign(user, session._id);
+
+    session.tokenHash = tokenHash;
+    session.expiresAt = expiresAt;
+    await session.save();
+
+    return { accessToken, refreshToken, session };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The presented token is used up;
+   * presenting it again revokes the session, since only a copy could do that.
+   * @param {String} refreshToken
+   * @param {Object} req
+   * @returns {Promise<Object>} - { accessToken, refreshToken, session, user }
+   */
+  async rotate(refreshToken, req) {
+    const decoded = refreshToken ? verifyRefreshToken(refreshToken) : null;
+    if (!decoded || !decoded.sid) {
+      throw new AppError('Invalid or expired refresh token. Please log in again.', 401);
+    }
+
+    const session = await Session.findById(decoded.sid).select('+tokenHash');
+    if (!session || session.revokedAt || String(session.user) !== String(decoded.id)) {
+      throw new AppError('Your session has ended. Please log in again.', 401);
+    }
+
+    const presented = hash(refreshToken);
+    if (session.tokenHash !== presented) {
+      await this.reuseDetected(session);
+      throw new AppError('This refresh token was already used. Please log in again.', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || user.isDeleted) {
+      await this.revoke(decoded.id, session._id, 'account_disabled');
+      throw new AppError('Your account has been deactivated or deleted', 401);
+    }
+
+    const { accessToken, refreshToken: nextToken, tokenHash, expiresAt } = this.sign(user, session._id);
+
+    // Only swap if nobody rotated this token in the meantime; the loser of a race is treated as a replay
+    const { modifiedCount } = await Session.updateOne(
+      { _id: session._id, tokenHash: presented, revokedAt: null },
+      { $set: { tokenHash, expiresAt, lastActiveAt: new Date(), ...this.deviceOf(req) } }
+    );
+    if (modifiedCount === 0) {
+      await this.reuseDetected(session);
+      throw new AppError('This refresh token was already used. Please log in again.', 401);
+    }
+
+    return { accessToken, refreshToken: nextToken, session, user };
+  }
+
+  /**
+   * @private
+   */
+  async reuseDetected(session) {
+    logger.warn(`Refresh token reuse on session ${session._id} of user ${session.user}; session revoked`);
+    await this.revoke(session.user, session._id, 'token_reuse');
+  }
+
+  /**
+   * Whether an access token's session is still live
+   * @param {String} sessionId
+   * @param {String} userId
+   * @returns {Promise<Boolean>}
+   */
+  async isActive(sessionId, userId) {
+    if (!sessionId) return false;
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(session);
+  }
+
+  /**
+   * A user's live sessions, most recently used first
+   * @param {String} userId
+   * @param {String} currentSessionId - flagged as `current`
+   * @returns {Promise<Array>}
+   */
+  async list(userId, currentSessionId) {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent device ip lastActiveAt expiresAt createdAt')
+      .sort('-lastActiveAt')
+      .lean();
+
+    return sessions.map(session => ({ ...session, current: String(session._id) === String(currentSessionId) }));
+  }
+
+  /**
+   * End one of a user's sessions
+   * @param {String} userId
+   * @param {String} sessionId
+   * @param {String} reason
+   * @returns {Promise<Boolean>} - false when there was no live session to end
+   */
+  async revoke(userId, sessionId, reason = 'revoked') {
+    const { modifiedCount } = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return modifiedCount > 0;
+  }
+
+  /**
+   * End all of a user's sessions ("log out everywhere")
+   * @param {String} userId
+   * @param {Object} options - { except: sessionId to keep, reason }
+   * @returns {Promise<Number>} - how many were ended
+   */
+  async revokeAll(userId, { except, reason = 'logout_all' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const { modifiedCount } = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return modifiedCount;
+  }
+
+  /**
+   * End the session a refresh token belongs to (logout)
+   * @param {String} refreshToken
+   * @returns {Promise<Boolean>}
+   */
+  async end(refreshToken) {
+    const decoded = refreshToken ? verifyRefreshToken(refreshToken) : null;
+    if (!decoded || !decoded.sid) return false;
+    return this.revoke(decoded.id, decoded.sid, 'logout');
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,399 @@
+// Similarity detection between student submissions.
+//
+// Code is compared with token winnowing (Schleimer et al., the MOSS approach):
+// source is reduced to a stream of normalised tokens, every k-gram of tokens is
+// hashed and a robust subset of hashes is kept as the fingerprint. Renaming
+// variables or reformatting therefore does not hide copied code.
+//
+// Free text is compared with word shingling: every run of k consecutive words
+// is hashed and documents are compared on the sets of shingles.
+
+const { CodingExercise, CodingSubmission, Assignment, AssignmentSubmission, SimilarityReport } = require('../models');
+const AppError = require('../utils/appError');
+
+const CODE_KGRAM = 8;
+const CODE_WINDOW = 4;
+const TEXT_SHINGLE = 5;
+const DEFAULT_THRESHOLD = 0.3;
+const MAX_MATCHES_PER_PAIR = 50;
+
+// A hash found in more than this share of the documents is boilerplate (shared
+// I/O code, common idioms) rather than evidence, and would make pair counting
+// quadratic in the class size. Small classes keep every hash up to the minimum.
+const COMMON_HASH_SHARE = 0.5;
+const COMMON_HASH_MIN_DOCUMENTS = 10;
+
+// Keywords shared by the supported languages are kept verbatim; every other
+// identifier collapses to a single token
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+  'return', 'function', 'def', 'class', 'struct', 'new', 'delete', 'try', 'catch',
+  'except', 'finally', 'throw', 'raise', 'import', 'from', 'include', 'using',
+  'public', 'private', 'protected', 'static', 'const', 'let', 'var', 'int', 'long',
+  'float', 'double', 'char', 'bool', 'boolean', 'string', 'void', 'in', 'and', 'or',
+  'not', 'lambda', 'yield', 'async', 'await', 'true', 'false', 'null', 'None', 'True',
+  'False', 'this', 'self', 'print', 'elif', 'with', 'as', 'pass', 'end', 'begin'
+]);
+
+// Comments, strings, numbers, identifiers, then any single punctuation mark
+const CODE_TOKEN_PATTERN = /(\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)|("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|`(?:\\.|[^`\\])*`)|(\b\d[\w.]*)|([A-Za-z_$][\w$]*)|([^\s\w])/g;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const KIND_BY_TARGET = { CodingExercise: 'code', Assignment: 'text' };
+
+// 32-bit FNV-1a
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+class SimilarityService {
+  constructor() {
+    this.DEFAULT_THRESHOLD = DEFAULT_THRESHOLD;
+  }
+
+  /**
+   * Normalised token stream of source code, with character offsets
+   * @param {String} code - Source code
+   * @returns {Array<Object>} - [{ value, start, end }]
+   */
+  tokenizeCode(code = '') {
+    const tokens = [];
+    let match;
+    CODE_TOKEN_PATTERN.lastIndex = 0;
+
+    while ((match = CODE_TOKEN_PATTERN.exec(code)) !== null) {
+      const [text, comment, str, num, ident] = match;
+      if (comment) continue;
+
+      let value = text;
+      if (str) value = 'STR';
+      else if (num) value = 'NUM';
+      else if (ident) value = KEYWORDS.has(ident) ? ident : 'ID';
+
+      tokens.push({ value, start: match.index, end: match.index + text.length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Lower-cased words of a text, with character offsets
+   * @param {String} text - Free text
+   * @returns {Array<Object>} - [{ value, start, end }]
+   */
+  tokenizeText(text = '') {
+    const tokens = [];
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      tokens.push({ value: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+  }
+
+  /**
+   * Hash every k-gram of tokens
+   * @returns {Array<Object>} - [{ hash, start, end }] in document order
+   */
+  kgrams(tokens, k) {
+    const grams = [];
+    for (let i = 0; i + k <= tokens.length; i++) {
+      const text = tokens.slice(i, i + k).map(t => t.value).join('\u0001');
+      grams.push({ hash: hashString(text), start: tokens[i].start, end: tokens[i + k - 1].end });
+    }
+    return grams;
+  }
+
+  /**
+   * Winnowing: keep the minimum hash of every window of w consecutive k-grams
+   * (rightmost on ties), recording each selected position once
+   */
+  winnow(grams, w) {
+    if (grams.length <= w) return grams.slice();
+
+    const selected = [];
+    let lastIndex = -1;
+    for (let i = 0; i + w <= grams.length; i++) {
+      let minIndex = i;
+      for (let j = i + 1; j < i + w; j++) {
+        if (grams[j].hash <= grams[minIndex].hash) minIndex = j;
+      }
+      if (minIndex !== lastIndex) {
+        selected.push(grams[minIndex]);
+        lastIndex = minIndex;
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Fingerprint a document
+   * @param {String} content - Code or text
+   * @param {String} kind - 'code' (winnowing) or 'text' (shingling)
+   * @returns {Array<Object>} - [{ hash, start, end }]
+   */
+  fingerprint(content, kind) {
+    if (kind === 'code') {
+      return this.winnow(this.kgrams(this.tokenizeCode(content), CODE_KGRAM), CODE_WINDOW);
+    }
+    return this.kgrams(this.tokenizeText(content), TEXT_SHINGLE);
+  }
+
+  /**
+   * Merge fingerprint positions that both documents share into highlighted spans
+   * @returns {Array<Object>} - [{ a: { start, end }, b: { start, end } }]
+   */
+  matchingSpans(fingerprintsA, fingerprintsB, shared) {
+    const positionsB = new Map();
+    for (const fp of fingerprintsB) {
+      if (shared.has(fp.hash) && !positionsB.has(fp.hash)) positionsB.set(fp.hash, fp);
+    }
+
+    const spans = [];
+    for (const fp of fingerprintsA) {
+      const other = positionsB.get(fp.hash);
+      if (!other) continue;
+
+      const last = spans[spans.length - 1];
+      // Extend the previous span when both sides continue (or overlap) it
+      if (last && fp.start <= last.a.end + 1 && other.start <= last.b.end + 1 && other.end >= last.b.start) {
+        last.a.end = Math.max(last.a.end, fp.end);
+        last.b.start = Math.min(last.b.start, other.start);
+        last.b.end = Math.max(last.b.end, other.end);
+      } else {
+        spans.push({ a: { start: fp.start, end: fp.end }, b: { start: other.start, end: other.end } });
+      }
+    }
+    return spans.slice(0, MAX_MATCHES_PER_PAIR);
+  }
+
+  /**
+   * Compare every pair of documents and return the suspicious ones
+   * @param {Array<Object>} documents - [{ id, owner, content }]
+   * @param {Object} options
+   * @param {String} options.kind - 'code' or 'text'
+   * @param {Number} [options.threshold] - Minimum coverage (0-1) for a pair to be reported
+   * @param {String} [options.baseContent] - Starter code / prompt to ignore
+   * @returns {Array<Object>} - Pairs sorted by descending similarity
+   */
+  compareDocuments(documents, { kind, threshold = DEFAULT_THRESHOLD, baseContent = '' }) {
+    const ignored = new Set(this.fingerprint(baseContent, kind).map(fp => fp.hash));
+
+    const fingerprinted = documents.map(doc => {
+      const fingerprints = this.fingerprint(doc.content || '', kind).filter(fp => !ignored.has(fp.hash));
+      return { ...doc, fingerprints, hashes: new Set(fingerprints.map(fp => fp.hash)) };
+    });
+
+    // Inverted index so only documents sharing at least one hash are compared
+    const index = new Map();
+    fingerprinted.forEach((doc, i) => {
+      for (const hash of doc.hashes) {
+        if (!index.has(hash)) index.set(hash, []);
+        index.get(hash).push(i);
+      }
+    });
+
+    const commonLimit = Math.max(COMMON_HASH_MIN_DOCUMENTS, Math.ceil(documents.length * COMMON_HASH_SHARE));
+    for (const [hash, docs] of index) {
+      if (docs.length <= commonLimit) continue;
+      // Dropped like starter code: it counts neither as shared nor towards coverage
+      index.delete(hash);
+      for (const i of docs) fingerprinted[i].hashes.delete(hash);
+    }
+    for (const doc of fingerprinted) {
+      doc.fingerprints = doc.fingerprints.filter(fp => doc.hashes.has(fp.hash));
+    }
+
+    const sharedCounts = new Map();
+    for (const docs of index.values()) {
+      for (let x = 0; x < docs.length; x++) {
+        for (let y = x + 1; y < docs.length; y++) {
+          const key = `${docs[x]}:${docs[y]}`;
+          sharedCounts.set(key, (sharedCounts.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    const pairs = [];
+    for (const [key, sharedCount] of sharedCounts) {
+      const [i, j] = key.split(':').map(Number);
+      const a = fingerprinted[i];
+      const b = fingerprinted[j];
+
+      const coverageA = sharedCount / a.hashes.size;
+      const coverageB = sharedCount / b.hashes.size;
+      if (Math.max(coverageA, coverageB) < threshold) continue;
+
+      const shared = new Set([...a.hashes].filter(hash => b.hashes.has(hash)));
+      pairs.push({
+        a: a.id,
+        b: b.id,
+        ownerA: a.owner,
+        ownerB: b.owner,
+        similarity: sharedCount / (a.hashes.size + b.hashes.size - sharedCount),
+        coverageA,
+        coverageB,
+        matches: this.matchingSpans(a.fingerprints, b.fingerprints, shared)
+      });
+    }
+
+    return pairs.sort((p, q) =>
+      Math.max(q.coverageA, q.coverageB) - Math.max(p.coverageA, p.coverageB)
+    );
+  }
+
+  parameters(kind, threshold = DEFAULT_THRESHOLD) {
+    return kind === 'code'
+      ? { method: 'winnowing', k: CODE_KGRAM, window: CODE_WINDOW, threshold }
+      : { method: 'shingling', k: TEXT_SHINGLE, window: 1, threshold };
+  }
+
+  /**
+   * Latest submission of every student for an exercise/assignment
+   * @param {Object} Model - CodingSubmission or AssignmentSubmission
+   * @param {Object} match - Filter selecting the target
+   */
+  async latestSubmissions(Model, match) {
+    const latest = await Model.aggregate([
+      { $match: match },
+      { $sort: { submittedAt: -1 } },
+      { $group: { _id: '$student', submission: { $first: '$$ROOT' } } }
+    ]);
+    return latest.map(entry => entry.submission);
+  }
+
+  /**
+   * Documents to compare for a report target
+   * @param {String} targetType - 'CodingExercise' or 'Assignment'
+   * @param {String} target - Target ID
+   * @returns {Promise<Object>} - { kind, documents, baseContent }
+   */
+  async documentsFor(targetType, target) {
+    if (targetType === 'CodingExercise') {
+      const exercise = await CodingExercise.findById(target);
+      if (!exercise) throw new AppError('No exercise found', 404);
+
+      // Graded attempts only: "run code" practice may be ad-hoc code against client-supplied tests
+      const submissions = await this.latestSubmissions(CodingSubmission, {
+        exercise: exercise._id,
+        isPractice: { $ne: true },
+        status: 'completed'
+      });
+      return {
+        kind: 'code',
+        documents: submissions.map(s => ({ id: s._id, owner: s.student, content: s.code })),
+        // initialCode is ignored as boilerplate
+        baseContent: exercise.initialCode
+      };
+    }
+
+    const assignment = await Assignment.findById(target);
+    if (!assignment) throw new AppError('Assignment not found', 404);
+
+    const submissions = await this.latestSubmissions(AssignmentSubmission, { assignment: assignment._id });
+    return {
+      kind: 'text',
+      documents: submissions.map(s => ({ id: s._id, owner: s.student, content: s.content })),
+      // The assignment's own text is shared by every answer
+      baseContent: [assignment.description, assignment.instructions].filter(Boolean).join('\n')
+    };
+  }
+
+  /**
+   * Record a report request; the similarity queue fills it in with runReport()
+   * @param {String} targetType - 'CodingExercise' or 'Assignment'
+   * @param {String} target - Target ID
+   * @param {String} userId - Requesting instructor
+   * @param {Object} [options] - { threshold }
+   * @returns {Promise<Object>} - Pending SimilarityReport
+   */
+  async createReport(targetType, target, userId, { threshold } = {}) {
+    const { method, k, window, threshold: usedThreshold } = this.parameters(KIND_BY_TARGET[targetType], threshold);
+
+    return SimilarityReport.create({
+      targetType,
+      target,
+      method,
+      parameters: { k, window, threshold: usedThreshold },
+      status: 'pending',
+      generatedBy: userId
+    });
+  }
+
+  /**
+   * Compare the latest submissions of a report's target and store the suspicious pairs
+   * @param {String} reportId - SimilarityReport ID
+   * @returns {Promise<Object>} - Completed report
+   */
+  async runReport(reportId) {
+    const report = await SimilarityReport.findById(reportId);
+    if (!report) throw new AppError('Similarity report not found', 404);
+
+    report.status = 'running';
+    await report.save();
+
+    try {
+      const { kind, documents, baseContent } = await this.documentsFor(report.targetType, report.target);
+      const pairs = this.compareDocuments(documents, { kind, threshold: report.parameters.threshold, baseContent });
+
+      report.submissionsCompared = documents.length;
+      report.pairs = pairs.map(pair => ({
+        submissionA: pair.a,
+        submissionB: pair.b,
+        studentA: pair.ownerA,
+        studentB: pair.ownerB,
+        similarity: pair.similarity,
+        coverageA: pair.coverageA,
+        coverageB: pair.coverageB,
+        matches: pair.matches
+      }));
+      report.status = 'completed';
+      report.completedAt = new Date();
+    } catch (err) {
+      report.status = 'failed';
+      report.error = err.message;
+      await report.save();
+      throw err;
+    }
+
+    return report.save();
+  }
+
+  /**
+   * Most recent report for a target
+   * @param {Object} [options] - { completedOnly }: skip reports still being generated
+   */
+  async getLatestReport(targetType, target, { completedOnly = false } = {}) {
+    return SimilarityReport.findOne({ targetType, target, ...(completedOnly && { status: 'completed' }) })
+      .sort('-createdAt')
+      .populate('pairs.studentA pairs.studentB', 'firstName lastName email');
+  }
+
+  /**
+   * Highest similarity found for each submission in a report
+   * @param {Object} report - SimilarityReport
+   * @returns {Map<String, Object>} - submissionId -> { score, matchedSubmission, matchedStudent }
+   */
+  summarizeBySubmission(report) {
+    const summary = new Map();
+    if (!report) return summary;
+
+    const record = (own, other, otherStudent, score) => {
+      const key = own.toString();
+      if (!summary.has(key) || summary.get(key).score < score) {
+        summary.set(key, { score, matchedSubmission: other, matchedStudent: otherStudent });
+      }
+    };
+
+    for (const pair of report.pairs) {
+      record(pair.submissionA, pair.submissionB, pair.studentB, pair.coverageA);
+      record(pair.submissionB, pair.submissionA, pair.studentA, pair.coverageB);
+    }
+    return summary;
+  }
+}
+
+module.exports = new SimilarityService();
@@ -0,0 +1,401 @@
+const { Subscription, SubscriptionPlan, Enrollment, ProgressTracking } = require('../models');
+const AppError = require('../utils/appError');
+
+// Statuses that still give access (past_due only until graceUntil)
+const LIVE = ['trialing', 'active', 'past_due'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+  constructor() {
+    this.LIVE = LIVE;
+  }
+
+  graceDays() {
+    const days = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10);
+    return Number.isFinite(days) && days >= 0 ? days : 3;
+  }
+
+  /**
+   * End of a billing period starting at `date`. Month ends are clamped, so a
+   * period starting on 31 January ends on the last day of February.
+   * @param {Date} date
+   * @param {String} interval - monthly | annual
+   * @returns {Date}
+   */
+  addInterval(date, interval) {
+    const months = interval === 'annual' ? 12 : 1;
+    const end = new Date(date);
+    const day = end.getUTCDate();
+    end.setUTCDate(1);
+    end.setUTCMonth(end.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+    end.setUTCDate(Math.min(day, lastDay));
+    return end;
+  }
+
+  /**
+   * Until when a subscription gives access
+   * @param {Object} subscription
+   * @returns {Date|null}
+   */
+  accessEnd(subscription) {
+    if (!LIVE.includes(subscription.status)) return null;
+    return subscription.status === 'past_due' ? subscription.graceUntil : subscription.currentPeriodEnd;
+  }
+
+  isLive(subscription, now = new Date()) {
+    const end = this.accessEnd(subscription);
+    return !!end && new Date(end) > now;
+  }
+
+  /**
+   * Whether a plan includes a course
+   * @param {Object} plan - SubscriptionPlan
+   * @param {Object} course - Course (needs category)
+   * @returns {Boolean}
+   */
+  covers(plan, course) {
+    if (!plan || plan.isActive === false) return false;
+    if (plan.scope === 'all_access') return true;
+    const categoryId = String(course.category && course.category._id ? course.category._id : course.category);
+    return (plan.categories || []).some(category => String(category._id || category) === categoryId);
+  }
+
+  /**
+   * A live subscription of the user that includes the course, if any
+   * @param {String} userId
+   * @param {Object} course
+   * @returns {Promise<Object|null>} - Subscription with its plan populated
+   */
+  async coveringSubscription(userId, course) {
+    const now = new Date();
+    const subscriptions = await Subscription.find({ user: userId, status: { $in: LIVE } }).populate('plan');
+    return subscriptions.find(sub => this.isLive(sub, now) && this.covers(sub.plan, course)) || null;
+  }
+
+  /**
+   * Enroll a subscriber in a course their plan includes. The enrollment
+   * expires with the subscription.
+   * @param {String} userId
+   * @param {Object} course
+   * @returns {Promise<Object|null>} - Enrollment, or null without a covering subscription
+   */
+  async enrollCourse(userId, course) {
+    const subscription = await this.coveringSubscription(userId, course);
+    if (!subscription) return null;
+
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { student: userId, course: course._id },
+      {
+        $set: { subscription: subscription._id, expiryDate: this.accessEnd(subscription), isActive: true, isRevoked: false },
+        $setOnInsert: { enrolledAt: new Date() }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await ProgressTracking.updateOne(
+      { student: userId, course: course._id },
+      { $setOnInsert: { courseProgressPercentage: 0 } },
+      { upsert: true }
+    );
+
+    return enrollment;
+  }
+
+  /**
+   * Keep the enrollments made through a subscription in step with its access
+   * @private
+   */
+  async syncEnrollments(subscription) {
+    const end = this.accessEnd(subscription);
+    if (end) {
+      await Enrollment.updateMany(
+        { subscription: subscription._id, isRevoked: false },
+        { isActive: true, expiryDate: end }
+      );
+    } else {
+      await Enrollment.updateMany(
+        { subscription: subscription._id, isActive: true },
+        { isActive: false, expiryDate: subscription.endedAt || new Date() }
+      );
+    }
+  }
+
+  /**
+   * Move a subscription to another status, unless someone else already did
+   * @private
+   */
+  async move(subscription, to, reason, set = {}, payment) {
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, status: subscription.status },
+      {
+        $set: { status: to, ...set },
+        $push: { history: { from: subscription.status, to, reason, payment, at: new Date() } }
+      },
+      { new: true }
+    );
+    if (updated) await this.syncEnrollments(updated);
+    return updated;
+  }
+
+  /**
+   * Start a subscription. First-time subscribers get the plan's trial; others
+   * get a payment to complete, and the subscription starts when it succeeds.
+   * @param {Object} user - req.user
+   * @param {String} planId
+   * @param {Object} billingDetails - For the invoice
+   * @returns {Promise<Object>} - { subscription } or { payment, gateway, clientData }
+   */
+  async subscribe(user, planId, billingDetails) {
+    const plan = await SubscriptionPlan.findOne({ _id: planId, isActive: true });
+    if (!plan) throw new AppError('No subscription plan found with that ID', 404);
+
+    const current = await Subscription.find({ user: user.id, plan: plan._id, status: { $in: LIVE } });
+    if (current.some(sub => this.isLive(sub))) {
+      throw new AppError('You already have an active subscription to this plan', 400);
+    }
+
+    const hadTrial = await Subscription.exists({ user: user.id, trialEnd: { $ne: null } });
+    if (plan.trialDays > 0 && !hadTrial) {
+      const now = new Date();
+      const trialEnd = new Date(now.getTime() + plan.trialDays * DAY);
+      const subscription = await Subscription.create({
+        user: user.id,
+        plan: plan._id,
+        status: 'trialing',
+        currentPeriodStart: now,
+        currentPeriodEnd: trialEnd,
+        trialEnd,
+        history: [{ to: 'trialing', reason: `${plan.trialDays} day trial` }]
+      });
+      return { subscription };
+    }
+
+    return this.openPayment(user, plan, null, billingDetails);
+  }
+
+  /**
+   * Pay for the next period of a subscription: when a renewal is due, while
+   * in the grace period, or ahead of time
+   * @param {Object} user - req.user
+   * @param {String} subscriptionId
+   * @param {Object} billingDetails
+   * @returns {Promise<Object>} - { payment, gateway, clientData }
+   */
+  async renew(user, subscriptionId, billingDetails) {
+    const subscription = await this.getOwn(user, subscriptionId);
+    if (!LIVE.includes(subscription.status)) {
+      throw new AppError('This subscription has ended. Please subscribe again', 400);
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      throw new AppError('This subscription is set to cancel. Resume it before renewing', 400);
+    }
+
+    const plan = await SubscriptionPlan.findById(subscription.plan);
+    if (!plan || !plan.isActive) throw new AppError('This plan is no longer available', 400);
+
+    return this.openPayment(user, plan, subscription, billingDetails);
+  }
+
+  /**
+   * @private
+   */
+  async openPayment(user, plan, subscription, billingDetails) {
+    const paymentService = require('./payments');
+    return paymentService.open({
+      user: user.id,
+      amount: plan.price,
+      currency: plan.currency,
+      billingDetails,
+      lineItems: [{
+        itemType: 'subscription',
+        subscriptionPlan: plan._id,
+        subscription: subscription ? subscription._id : undefined,
+        title: `${plan.name} (${plan.interval})${subscription ? ' renewal' : ''}`,
+        listPrice: plan.price,
+        price: plan.price,
+        amount: plan.price
+      }],
+      metadata: { source: subscription ? 'subscription_renewal' : 'subscription' }
+    }, { userId: user.id, itemType: 'subscription', itemId: String(plan._id) });
+  }
+
+  /**
+   * Start or extend a subscription once its payment succeeded. Renewals
+   * continue from the end of the current period, so paying during the grace
+   * period or early keeps the billing dates.
+   * @param {Object} payment - Successful Payment
+   * @param {Object} item - Its subscription line item
+   * @returns {Promise<Object>} - Subscription
+   */
+  async activateFromPayment(payment, item) {
+    const now = new Date();
+    let subscription = item.subscription
+      ? await Subscription.findById(item.subscription)
+      : await Subscription.findOne({ user: payment.user, plan: item.subscriptionPlan, status: { $in: LIVE } });
+
+    if (subscription && subscription.history.some(h => h.payment && String(h.payment) === String(payment._id))) {
+      return subscription; // Already applied
+    }
+
+    const plan = await SubscriptionPlan.findById(subscription ? subscription.plan : item.subscriptionPlan);
+    if (!plan) throw new AppError('Subscription plan not found', 404);
+
+    if (!subscription || !LIVE.includes(subscription.status)) {
+      subscription = await Subscription.create({
+        user: payment.user,
+        plan: plan._id,
+        status: 'active',
+        currentPeriodStart: now,
+        currentPeriodEnd: this.addInterval(now, plan.interval),
+        lastPayment: payment._id,
+        history: [{ to: 'active', reason: 'Subscribed', payment: payment._id }]
+      });
+      return subscription;
+    }
+
+    const start = subscription.currentPeriodEnd > now || subscription.status === 'past_due'
+      ? subscription.currentPeriodEnd
+      : now;
+    const updated = await this.move(subscription, 'active', 'Renewed', {
+      currentPeriodStart: start,
+      currentPeriodEnd: this.addInterval(start, plan.interval),
+      graceUntil: null,
+      lastPayment: payment._id
+    }, payment._id);
+    if (!updated) throw new AppError('Subscription was updated concurrently, please retry', 409);
+
+    return updated;
+  }
+
+  /**
+   * End a subscription whose payment was refunded
+   * @param {Object} payment - Refunded Payment
+   * @param {Object} item - Its subscription line item
+   */
+  async cancelForRefund(payment, item) {
+    const subscription = item.subscription
+      ? await Subscription.findById(item.subscription)
+      : await Subscription.findOne({ lastPayment: payment._id });
+    if (!subscription || !LIVE.includes(subscription.status)) return null;
+
+    return this.move(subscription, 'canceled', 'Payment refunded', { endedAt: new Date(), canceledAt: new Date() }, payment._id);
+  }
+
+  async getOwn(user, subscriptionId) {
+    const subscription = await Subscription.findById(subscriptionId);
+    if (!subscription || (String(subscription.user) !== String(user.id) && user.role !== 'admin')) {
+      throw new AppError('No subscription found with that ID', 404);
+    }
+    return subscription;
+  }
+
+  /**
+   * Cancel at the end of the current period (or trial); access continues until then
+   * @param {Object} user - req.user
+   * @param {String} subscriptionId
+   * @returns {Promise<Object>}
+   */
+  async cancel(user, subscriptionId) {
+    const subscription = await this.getOwn(user, subscriptionId);
+    if (!LIVE.includes(subscription.status)) throw new AppError('This subscription has already ended', 400);
+
+    // Nothing left to wait for once a renewal is overdue
+    if (subscription.status === 'past_due') {
+      return this.move(subscription, 'canceled', 'Canceled during grace period', { canceledAt: new Date(), endedAt: new Date() });
+    }
+
+    subscription.cancelAtPeriodEnd = true;
+    subscription.canceledAt = new Date();
+    await subscription.save();
+    return subscription;
+  }
+
+  async resume(user, subscriptionId) {
+    const subscription = await this.getOwn(user, subscriptionId);
+    if (!subscription.cancelAtPeriodEnd || !this.isLive(subscription)) {
+      throw new AppError('Only a subscription set to cancel at period end can be resumed', 400);
+    }
+
+    subscription.cancelAtPeriodEnd = false;
+    subscription.canceledAt = undefined;
+    await subscription.save();
+    return subscription;
+  }
+
+  /**
+   * Scheduled sweep: end subscriptions cancelled at period end, move lapsed
+   * ones into the grace period and expire those whose grace ran out. Also
+   * deactivates any enrollment past its expiryDate.
+   * @param {Date} now
+   * @returns {Promise<Object>} - Counts per outcome
+   */
+  async processDue(now = new Date()) {
+    const result = { canceled: 0, pastDue: 0, expired: 0, enrollmentsExpired: 0 };
+
+    const ending = await Subscription.find({ status: { $in: ['trialing', 'active'] }, currentPeriodEnd: { $lte: now } });
+    for (const subscription of ending) {
+      if (subscription.cancelAtPeriodEnd) {
+        if (await this.move(subscription, 'canceled', 'Canceled at period end', { endedAt: subscription.currentPeriodEnd })) {
+          result.canceled++;
+          await this.notify(subscription, 'Subscription ended', 'Your subscription has ended as requested. You can subscribe again at any time.');
+        }
+        continue;
+      }
+
+      const graceUntil = new Date(subscription.currentPeriodEnd.getTime() + this.graceDays() * DAY);
+      const reason = subscription.status === 'trialing' ? 'Trial ended' : 'Renewal due';
+      if (await this.move(subscription, 'past_due', reason, { graceUntil })) {
+        result.pastDue++;
+        await this.notify(
+          subscription,
+          'Subscription renewal due',
+          `Please renew your subscription by ${graceUntil.toDateString()} to keep access to your courses.`
+        );
+      }
+    }
+
+    const lapsed = await Subscription.find({ status: 'past_due', graceUntil: { $lte: now } });
+    for (const subscription of lapsed) {
+      if (await this.move(subscription, 'expired', 'Not renewed within the grace period', { endedAt: now })) {
+        result.expired++;
+        await this.notify(subscription, 'Subscription expired', 'Your subscription has expired. Renew it to regain access to your courses.');
+      }
+    }
+
+    const expiredEnrollments = await Enrollment.updateMany(
+      { isActive: true, expiryDate: { $lte: now } },
+      { isActive: false }
+    );
+    result.enrollmentsExpired = expiredEnrollments.modifiedCount || 0;
+
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async notify(subscription, title, message) {
+    try {
+      const notificationQueue = require('../jobs/notificationQueue');
+      await notificationQueue.add({
+        type: 'single',
+        data: {
+          notification: {
+            userId: subscription.user,
+            type: 'subscription',
+            title,
+            message,
+            data: { subscriptionId: subscription._id },
+            channels: ['in-app', 'email']
+          }
+        }
+      });
+    } catch (err) {
+      console.error('Subscription notification failed:', err);
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,277 @@
+const { TestSeries, TestSeriesEnrollment, MockTest, MockTestAttempt, Payment } = require('../models');
+const AppError = require('../utils/appError');
+const mockTestResultService = require('./mockTestResultService');
+
+const ACTIVE_ATTEMPT = ['started', 'in-progress'];
+
+class TestSeriesService {
+  /**
+   * Filter for enrollments that currently grant access
+   * @private
+   */
+  activeEnrollmentFilter(now = new Date()) {
+    return {
+      isActive: true,
+      isRevoked: false,
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }]
+    };
+  }
+
+  /**
+   * Current enrollment of a student in any of the given series
+   * @param {String} studentId - User ID
+   * @param {String|Array} seriesIds - TestSeries ID(s)
+   * @returns {Promise<Object|null>}
+   */
+  async activeEnrollment(studentId, seriesIds) {
+    const ids = Array.isArray(seriesIds) ? seriesIds : [seriesIds];
+    if (ids.length === 0) return null;
+    return TestSeriesEnrollment.findOne({
+      student: studentId,
+      testSeries: { $in: ids },
+      ...this.activeEnrollmentFilter()
+    });
+  }
+
+  isOwner(user, doc) {
+    return user.role === 'admin' || (doc.instructor && doc.instructor.toString() === String(user.id));
+  }
+
+  /**
+   * Whether a user may attempt a mock test. Paid tests (own price or part of a
+   * paid series) are locked unless purchased or marked as a free preview.
+   * @param {Object} user - req.user
+   * @param {Object} mockTest - MockTest document
+   * @returns {Promise<Object>} - { allowed, via, series }
+   */
+  async checkMockTestAccess(user, mockTest) {
+    if (this.isOwner(user, mockTest)) return { allowed: true, via: 'owner', series: [] };
+    if (mockTest.isFreePreview) return { allowed: true, via: 'free_preview', series: [] };
+
+    const series = await TestSeries.find({
+      'tests.mockTestId': mockTest._id,
+      isFree: { $ne: true },
+      isDeleted: { $ne: true }
+    }).select('title price discountPrice').lean();
+
+    if (series.length === 0 && !(mockTest.price > 0)) {
+      return { allowed: true, via: 'free', series };
+    }
+
+    if (series.length > 0 && await this.activeEnrollment(user.id, series.map(s => s._id))) {
+      return { allowed: true, via: 'series', series };
+    }
+
+    // A mock test can also be bought on its own
+    if (mockTest.price > 0 && await Payment.exists({ user: user.id, mockTest: mockTest._id, status: 'success' })) {
+      return { allowed: true, via: 'purchase', series };
+    }
+
+    return { allowed: false, via: null, series };
+  }
+
+  /**
+   * Throw 403 when the mock test is locked for the user
+   * @param {Object} user - req.user
+   * @param {Object} mockTest - MockTest document
+   */
+  async assertMockTestAccess(user, mockTest) {
+    const access = await this.checkMockTestAccess(user, mockTest);
+    if (!access.allowed) {
+      const offer = access.series.length > 0 ? ` Purchase "${access.series[0].title}" to unlock it.` : '';
+      throw new AppError(`This mock test is locked.${offer}`, 403);
+    }
+    return access;
+  }
+
+  /**
+   * Create or reactivate an enrollment, starting the validity period again
+   * @private
+   */
+  async grant(studentId, seriesId, paymentId = null) {
+    const series = await TestSeries.findById(seriesId).select('validityDays');
+    if (!series) throw new AppError('No test series found with that ID', 404);
+
+    const enrolledAt = new Date();
+    const expiryDate = series.validityDays
+      ? new Date(enrolledAt.getTime() + series.validityDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    return TestSeriesEnrollment.findOneAndUpdate(
+      { student: studentId, testSeries: seriesId },
+      { $set: { payment: paymentId, enrolledAt, expiryDate, isActive: true, isRevoked: false } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Give the buyer of a series access (idempotent: reactivates an old enrollment)
+   * @param {Object} payment - Successful Payment
+   * @param {String} seriesId - Series bought with it (a cart payment can hold several)
+   * @returns {Promise<Object>} - TestSeriesEnrollment
+   */
+  async grantFromPayment(payment, seriesId = payment.testSeries) {
+    return this.grant(payment.user, seriesId, payment._id);
+  }
+
+  /**
+   * Withdraw the access bought with a refunded payment
+   * @param {Object} payment - Refunded Payment
+   * @param {String} seriesId - Refunded series
+   */
+  async revokeForPayment(payment, seriesId = payment.testSeries) {
+    return TestSeriesEnrollment.findOneAndUpdate(
+      { payment: payment._id, testSeries: seriesId },
+      { isActive: false, isRevoked: true },
+      { new: true }
+    );
+  }
+
+  /**
+   * Enroll in a free series without a payment
+   * @param {Object} series - TestSeries document
+   * @param {String} studentId - User ID
+   */
+  async enrollFree(series, studentId) {
+    if (!series.isFree) {
+      throw new AppError('This test series is paid. Please purchase it through payments', 400);
+    }
+    return this.grant(studentId, series._id);
+  }
+
+  /**
+   * Per-test progress of a student across a series, grouped by subject and chapter
+   * @param {String} seriesId - TestSeries ID
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>}
+   */
+  async dashboard(seriesId, user) {
+    const series = await TestSeries.findOne({ _id: seriesId, isDeleted: { $ne: true } })
+      .populate('tests.mockTestId', 'title duration totalQuestions totalMarks passingMarks isFreePreview price resultPublishAt isPublished isDeleted')
+      .lean();
+    if (!series) throw new AppError('No test series found with that ID', 404);
+
+    const isOwner = this.isOwner(user, series);
+    const enrollment = isOwner ? null : await this.activeEnrollment(user.id, series._id);
+    const hasAccess = isOwner || series.isFree || !!enrollment;
+
+    const entries = series.tests
+      .filter(t => t.mockTestId && !t.mockTestId.isDeleted && (t.mockTestId.isPublished || isOwner))
+      .sort((a, b) => a.order - b.order);
+    const testIds = entries.map(t => t.mockTestId._id);
+
+    const [attempts, purchased] = await Promise.all([
+      MockTestAttempt.find({ student: user.id, mockTest: { $in: testIds } })
+        .select('mockTest status score percentage percentile rank isRanked startedAt completedAt')
+        .sort('-startedAt')
+        .lean(),
+      Payment.find({ user: user.id, mockTest: { $in: testIds }, status: 'success' }).distinct('mockTest')
+    ]);
+    const purchasedIds = new Set(purchased.map(String));
+
+    const tests = entries.map(entry => {
+      const test = entry.mockTestId;
+      const own = attempts.filter(a => a.mockTest.toString() === test._id.toString());
+      const completed = own.filter(a => a.status === 'completed');
+      const running = own.find(a => ACTIVE_ATTEMPT.includes(a.status));
+      const ranked = completed.find(a => a.isRanked) || completed[completed.length - 1];
+      const best = completed.reduce((top, a) => (!top || a.score > top.score ? a : top), null);
+      const unlocked = hasAccess || test.isFreePreview || purchasedIds.has(test._id.toString());
+      const published = mockTestResultService.isPublished(test);
+
+      let status = 'not_started';
+      if (!unlocked) status = 'locked';
+      else if (running) status = 'in_progress';
+      else if (completed.length > 0) status = 'completed';
+
+      return {
+        mockTest: test._id,
+        title: test.title,
+        subject: entry.subject || 'General',
+        chapter: entry.chapter || null,
+        order: entry.order,
+        duration: test.duration,
+        totalQuestions: test.totalQuestions,
+        totalMarks: test.totalMarks,
+        isFreePreview: test.isFreePreview,
+        status,
+        attemptsCount: own.length,
+        activeAttempt: running ? running._id : null,
+        bestScore: best ? best.score : null,
+        bestPercentage: best ? best.percentage : null,
+        rank: ranked && published ? ranked.rank : null,
+        percentile: ranked && published ? ranked.percentile : null,
+        resultPublishAt: published ? null : test.resultPublishAt,
+        lastAttemptAt: own.length > 0 ? own[0].startedAt : null
+      };
+    });
+
+    // Subject -> chapter -> tests, in series order
+    const subjects = new Map();
+    tests.forEach(test => {
+      if (!subjects.has(test.subject)) subjects.set(test.subject, { subject: test.subject, completed: 0, total: 0, chapters: new Map() });
+      const subject = subjects.get(test.subject);
+      const chapterKey = test.chapter || '';
+      if (!subject.chapters.has(chapterKey)) subject.chapters.set(chapterKey, { chapter: test.chapter, tests: [] });
+      subject.chapters.get(chapterKey).tests.push(test);
+      subject.total += 1;
+      if (test.status === 'completed') subject.completed += 1;
+    });
+
+    const count = (status) => tests.filter(t => t.status === status).length;
+    const percentiles = tests.map(t => t.percentile).filter(p => typeof p === 'number');
+
+    return {
+      series: {
+        _id: series._id,
+        title: series.title,
+        isFree: series.isFree,
+        price: series.price,
+        discountPrice: series.discountPrice
+      },
+      access: {
+        hasAccess,
+        via: isOwner ? 'owner' : series.isFree ? 'free' : enrollment ? 'purchase' : null,
+        expiryDate: enrollment ? enrollment.expiryDate : null
+      },
+      summary: {
+        totalTests: tests.length,
+        completed: count('completed'),
+        inProgress: count('in_progress'),
+        notStarted: count('not_started'),
+        locked: count('locked'),
+        averagePercentile: percentiles.length > 0
+          ? Math.round((percentiles.reduce((a, b) => a + b, 0) / percentiles.length) * 100) / 100
+          : null
+      },
+      subjects: [...subjects.values()].map(({ chapters, ...subject }) => ({
+        ...subject,
+        chapters: [...chapters.values()]
+      }))
+    };
+  }
+
+  /**
+   * Check the mock tests put into a series: they must exist and, unless an
+   * admin is editing, belong to the series instructor
+   * @param {Array} tests - [{ mockTestId, subject, chapter, order }]
+   * @param {Object} user - req.user
+   */
+  async validateTests(tests = [], user) {
+    const ids = [...new Set(tests.map(t => t && t.mockTestId && String(t.mockTestId)).filter(Boolean))];
+    if (ids.length !== tests.length) {
+      throw new AppError('Every test needs a distinct mockTestId', 400);
+    }
+    if (ids.length === 0) return;
+
+    const filter = { _id: { $in: ids }, isDeleted: { $ne: true } };
+    if (user.role !== 'admin') filter.instructor = user.id;
+
+    const found = await MockTest.countDocuments(filter);
+    if (found !== ids.length) {
+      throw new AppError('One or more mock tests were not found or are not yours', 400);
+    }
+  }
+}
+
+module.exports = new TestSeriesService();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { User, SystemSettings } = require('../models');
+const AppError = require('../utils/appError');
+const totp = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/security');
+
+// SystemSettings key holding the roles that must use 2FA
+const POLICY_KEY = 'security.twoFactorRequiredRoles';
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Challenge tokens use their own secret so they can never pass as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa`;
+
+// Recovery codes are compared without case or separators
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+class TwoFactorService {
+  issuer() {
+    return process.env.TWO_FACTOR_ISSUER || 'EdTech Platform';
+  }
+
+  /**
+   * Roles for which 2FA is mandatory
+   * @returns {Promise<Array>}
+   */
+  async requiredRoles() {
+    const setting = await SystemSettings.findOne({ key: POLICY_KEY }).lean();
+    return setting && Array.isArray(setting.value) ? setting.value : [];
+  }
+
+  /**
+   * Set the roles for which 2FA is mandatory
+   * @param {Array} roles
+   * @param {String} userId - admin making the change
+   * @returns {Promise<Array>}
+   */
+  async setRequiredRoles(roles, userId) {
+    const known = User.schema.path('role').enumValues;
+    if (!Array.isArray(roles) || roles.some(role => !known.includes(role))) {
+      throw new AppError(`roles must be a list of: ${known.join(', ')}`, 400);
+    }
+
+    const unique = [...new Set(roles)];
+    await SystemSettings.findOneAndUpdate(
+      { key: POLICY_KEY },
+      {
+        $set: {
+          value: unique,
+          type: 'array',
+          description: 'Roles that must use two-factor authentication',
+          updatedBy: userId
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return unique;
+  }
+
+  async isRequiredFor(user) {
+    return (await this.requiredRoles()).includes(user.role);
+  }
+
+  /**
+   * Short-lived token standing in for a password-checked login until the
+   * second step is done. purpose: 'login' (enter a code) or 'setup' (enrol first)
+   * @param {Object} user
+   * @param {String} purpose
+   * @returns {String}
+   */
+  challengeToken(user, purpose) {
+    return jwt.sign({ id: String(user._id), purpose }, challengeSecret(), {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+    });
+  }
+
+  /**
+   * The user a challenge token was issued to
+   * @param {String} token
+   * @param {String} purpose
+   * @returns {Promise<Object>} - user, with 2FA secrets selected
+   */
+  async readChallenge(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), challengeSecret());
+    } catch (err) {
+      throw new AppError('Your login challenge is invalid or has expired. Please log in again.', 401);
+    }
+    if (decoded.purpose !== purpose) {
+      throw new AppError('Your login challenge is invalid or has expired. Please log in again.', 401);
+    }
+
+    const user = await User.findById(decoded.id).select(SECRET_FIELDS);
+    if (!user || !user.isActive || user.isDeleted) {
+      throw new AppError('Your account has been deactivated or deleted', 401);
+    }
+    return user;
+  }
+
+  /**
+   * Start enrolment: a new secret, kept pending until a code from it is confirmed
+   * @param {Object} user
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode (data URL) }
+   */
+  async beginSetup(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    const otpauthUrl = totp.keyUri({ secret, account: user.email, issuer: this.issuer() });
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {String} userId
+   * @param {String} code
+   * @returns {Promise<Array>} - recovery codes, shown only this once
+   */
+  async enable(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) throw new AppError('No user found with that ID', 404);
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is already enabled', 400);
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const step = totp.verify(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) throw new AppError('Invalid authentication code', 400);
+
+    const recoveryCodes = this.newRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  newRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Check a second factor. Each TOTP step and each recovery code works once.
+   * @param {Object} user - with 2FA secrets selected
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<String|null>} - 'totp', 'recovery', or null when rejected
+   */
+  async verify(user, { code, recoveryCode } = {}) {
+    if (!user.twoFactor || !user.twoFactor.enabled) return null;
+
+    if (code) {
+      const step = totp.verify(decryptSecret(user.twoFactor.secret), code);
+      if (step === null) return null;
+
+      // Conditional update, so a code cannot be replayed within its window
+      const { modifiedCount } = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return modifiedCount > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+      const hashed = hashRecoveryCode(recoveryCode);
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hashed },
+        { $pull: { 'twoFactor.recoveryCodes': hashed } }
+      );
+      return modifiedCount > 0 ? 'recovery' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the recovery codes, after checking a current code
+   * @param {String} userId
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Array>}
+   */
+  async regenerateRecoveryCodes(userId, factor) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !(await this.verify(user, factor))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    const recoveryCodes = this.newRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } });
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn 2FA off, after checking a current code. Not allowed where the policy requires it.
+   * @param {String} userId
+   * @param {Object} factor - { code } or { recoveryCode }
+   */
+  async disable(userId, factor) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+    if (await this.isRequiredFor(user)) {
+      throw new AppError(`Two-factor authentication is mandatory for ${user.role} accounts`, 403);
+    }
+    if (!(await this.verify(user, factor))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await User.updateOne({ _id: userId }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,7 +1,12 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-// 1. SIGN ACCESS TOKEN (Short-lived, e.g., 1 hour)
-exports.signAccessToken = (user) => {
+// Falls back to a secret derived from JWT_SECRET so an access token can never pass as a refresh token
+const refreshSecret = () => process.env.REFRESH_TOKEN_SECRET || `${process.env.JWT_SECRET}:refresh`;
+
+// 1. SIGN ACCESS TOKEN (Short-lived, e.g., 15 minutes)
+// sessionId ties the token to a Session so revoking the session ends it
+exports.signAccessToken = (user, sessionId) => {
   // Handle if 'user' is a Mongoose doc or a plain object
   const userId = user._id || user.id;
 
@@ -11,16 +16,18 @@ exports.signAccessToken = (user) => {
     ...(user.name && { name: user.name }),
     ...(user.email && { email: user.email }),
     isSuperAdmin: user.isSuperAdmin || false,
-    isOwner: user.isOwner || false
+    isOwner: user.isOwner || false,
+    ...(sessionId && { sid: String(sessionId) })
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "1h",
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
   });
 };
 
 // 2. SIGN REFRESH TOKEN (Long-lived, e.g., 30 days)
-exports.signRefreshToken = (input) => {
+// jti keeps every rotated token unique, even two issued in the same second
+exports.signRefreshToken = (input, sessionId) => {
   // 🟢 FIX: Handle the input format { id: '...' } coming from controller
   let id;
   if (typeof input === 'string') {
@@ -33,7 +40,13 @@ exports.signRefreshToken = (input) => {
     throw new Error("Invalid user ID for Refresh Token");
   }
   
-  return jwt.sign({ id }, process.env.REFRESH_TOKEN_SECRET, {
+  const payload = {
+    id,
+    ...(sessionId && { sid: String(sessionId) }),
+    jti: crypto.randomUUID()
+  };
+
+  return jwt.sign(payload, refreshSecret(), {
     expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || "30d",
   });
 };
@@ -50,7 +63,7 @@ exports.verifyToken = (token) => {
 // 4. VERIFY REFRESH TOKEN (Used in refresh-token endpoint)
 exports.verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+    return jwt.verify(token, refreshSecret());
   } catch (error) {
     return null;
   }
@@ -78,3 +91,16 @@ exports.signToken = (user) => {
     expiresIn: process.env.JWT_EXPIRES_IN,
   });
 };
+
+// Actions an unverified email address blocks. EMAIL_VERIFICATION_REQUIRED_FOR is a
+// comma-separated list of login, enrollment, payment and course_creation, or "none".
+const VERIFICATION_ACTIONS = ['login', 'enrollment', 'payment', 'course_creation'];
+const DEFAULT_VERIFICATION_POLICY = 'enrollment,payment,course_creation';
+
+exports.emailVerificationRequired = (action) => {
+  const policy = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || DEFAULT_VERIFICATION_POLICY)
+    .split(',')
+    .map(entry => entry.trim().toLowerCase());
+
+  return VERIFICATION_ACTIONS.includes(action) && policy.includes(action);
+};
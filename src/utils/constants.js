@@ -25,14 +25,18 @@ module.exports = {
       PENDING: 'pending',
       SUCCESS: 'success',
       FAILED: 'failed',
-      REFUNDED: 'refunded'
+      REFUNDED: 'refunded',
+      PARTIALLY_REFUNDED: 'partially_refunded'
     },
     
     DISCOUNT_TYPES: {
       PERCENTAGE: 'percentage',
       FIXED: 'fixed_amount',
       FREE: 'free'
-    }
+    },
+
+    // How a program's output is checked against a test case (see services/codeRunner/comparators)
+    COMPARISON_MODES: ['exact', 'whitespace', 'token', 'float', 'checker']
   };
   
   // utils/validators.js
@@ -0,0 +1,73 @@
+// utils/currency.js - Minor units, rounding and the default currency of a country
+
+// Decimal places per ISO 4217 code, from the platform's Intl data (JPY 0, KWD 3, ...)
+const digitsCache = new Map();
+const minorDigits = (currency) => {
+  const code = String(currency || '').toUpperCase();
+  if (!digitsCache.has(code)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+      // Unknown code: keep two decimals
+    }
+    digitsCache.set(code, digits);
+  }
+  return digitsCache.get(code);
+};
+
+/**
+ * Round an amount the way a currency is charged. An increment (e.g. 1 for
+ * whole rupees, 0.05 for Swiss francs) rounds converted prices to it.
+ * @param {Number} amount
+ * @param {String} currency
+ * @param {Number} increment
+ * @returns {Number}
+ */
+const roundAmount = (amount, currency, increment) => {
+  const factor = 10 ** minorDigits(currency);
+  let value = Math.round(amount * factor) / factor;
+  if (increment > 0) {
+    value = Math.round(value / increment) * increment;
+    value = Math.round(value * factor) / factor;
+  }
+  return value;
+};
+
+// Gateways take integer amounts in the currency's smallest unit
+const toMinor = (amount, currency) => Math.round(amount * 10 ** minorDigits(currency));
+const fromMinor = (amount, currency) => amount / 10 ** minorDigits(currency);
+
+// ISO 3166 alpha-2 -> the currency prices are shown in
+const COUNTRY_CURRENCIES = {
+  IN: 'INR',
+  US: 'USD',
+  GB: 'GBP',
+  DE: 'EUR',
+  FR: 'EUR',
+  IT: 'EUR',
+  ES: 'EUR',
+  NL: 'EUR',
+  IE: 'EUR',
+  BE: 'EUR',
+  AT: 'EUR',
+  PT: 'EUR',
+  FI: 'EUR',
+  JP: 'JPY',
+  CN: 'CNY',
+  CA: 'CAD',
+  AU: 'AUD',
+  SG: 'SGD',
+  AE: 'AED'
+};
+
+const currencyForCountry = (countryCode) => COUNTRY_CURRENCIES[String(countryCode || '').toUpperCase()] || null;
+
+module.exports = {
+  COUNTRY_CURRENCIES,
+  minorDigits,
+  roundAmount,
+  toMinor,
+  fromMinor,
+  currencyForCountry
+};
@@ -70,6 +70,14 @@ const systemMasters = [
   { type: 'code_submission_status', code: 'RUNNING', name: 'Running', metadata: { sortOrder: 2 } },
   { type: 'code_submission_status', code: 'COMPLETED', name: 'Completed', metadata: { sortOrder: 3 } },
   { type: 'code_submission_status', code: 'FAILED', name: 'Failed', metadata: { sortOrder: 4 } },
+
+  // --- CODE SUBMISSION VERDICTS ---
+  { type: 'code_submission_verdict', code: 'ACCEPTED', name: 'Accepted', metadata: { sortOrder: 1 } },
+  { type: 'code_submission_verdict', code: 'WRONG_ANSWER', name: 'Wrong Answer', metadata: { sortOrder: 2 } },
+  { type: 'code_submission_verdict', code: 'TIME_LIMIT_EXCEEDED', name: 'Time Limit Exceeded', metadata: { sortOrder: 3 } },
+  { type: 'code_submission_verdict', code: 'MEMORY_LIMIT_EXCEEDED', name: 'Memory Limit Exceeded', metadata: { sortOrder: 4 } },
+  { type: 'code_submission_verdict', code: 'RUNTIME_ERROR', name: 'Runtime Error', metadata: { sortOrder: 5 } },
+  { type: 'code_submission_verdict', code: 'COMPILE_ERROR', name: 'Compilation Error', metadata: { sortOrder: 6 } },
   
   // --- BADGE CRITERIA ---
   { type: 'badge_criteria', code: 'COMPLETE_COURSE', name: 'Course Completion', description: 'Awarded for completing 100% of a course', metadata: { sortOrder: 1 } },
@@ -163,6 +171,7 @@ const systemMasters = [
   { type: 'payment_status', code: 'SUCCESS', name: 'Success', metadata: { sortOrder: 2 } },
   { type: 'payment_status', code: 'FAILED', name: 'Failed', metadata: { sortOrder: 3 } },
   { type: 'payment_status', code: 'REFUNDED', name: 'Refunded', metadata: { sortOrder: 4 } },
+  { type: 'payment_status', code: 'PARTIALLY_REFUNDED', name: 'Partially Refunded', metadata: { sortOrder: 5 } },
 
   // --- INSTRUCTOR ROLES ---
   { type: 'instructor_role', code: 'PRIMARY', name: 'Primary Instructor', description: 'Main instructor with full control', metadata: { sortOrder: 1 } },
@@ -173,7 +182,39 @@ const systemMasters = [
   { type: 'invitation_status', code: 'PENDING', name: 'Pending', metadata: { sortOrder: 1 } },
   { type: 'invitation_status', code: 'ACCEPTED', name: 'Accepted', metadata: { sortOrder: 2 } },
   { type: 'invitation_status', code: 'EXPIRED', name: 'Expired', metadata: { sortOrder: 3 } },
-  { type: 'invitation_status', code: 'REVOKED', name: 'Revoked', metadata: { sortOrder: 4 } }
+  { type: 'invitation_status', code: 'REVOKED', name: 'Revoked', metadata: { sortOrder: 4 } },
+
+  // ==========================================
+  // STUDENT EXPERIENCE & ACTIVITY MASTERS
+  // ==========================================
+  // --- LIVE SESSION STATUSES ---
+  { type: 'live_session_status', code: 'SCHEDULED', name: 'Scheduled', metadata: { sortOrder: 1 } },
+  { type: 'live_session_status', code: 'LIVE', name: 'Live', metadata: { sortOrder: 2 } },
+  { type: 'live_session_status', code: 'ENDED', name: 'Ended', metadata: { sortOrder: 3 } },
+  { type: 'live_session_status', code: 'CANCELLED', name: 'Cancelled', metadata: { sortOrder: 4 } },
+
+  // --- NOTIFICATION TYPES ---
+  { type: 'notification_type', code: 'GENERAL', name: 'General', metadata: { sortOrder: 1 } },
+  { type: 'notification_type', code: 'ANNOUNCEMENT', name: 'Announcement', description: 'Course or platform announcement', metadata: { sortOrder: 2 } },
+  { type: 'notification_type', code: 'COURSE_UPDATE', name: 'Course Update', description: 'New or changed content in an enrolled course', metadata: { sortOrder: 3 } },
+  { type: 'notification_type', code: 'LIVE_SESSION', name: 'Live Session Scheduled', metadata: { sortOrder: 4 } },
+  { type: 'notification_type', code: 'LIVE_SESSION_STARTING', name: 'Live Session Starting', metadata: { sortOrder: 5 } },
+  { type: 'notification_type', code: 'RECORDING_AVAILABLE', name: 'Recording Available', metadata: { sortOrder: 6 } },
+  { type: 'notification_type', code: 'BADGE_EARNED', name: 'Badge Earned', metadata: { sortOrder: 7 } },
+  { type: 'notification_type', code: 'ENROLLMENT', name: 'Enrollment', metadata: { sortOrder: 8 } },
+  { type: 'notification_type', code: 'PAYMENT', name: 'Payment', metadata: { sortOrder: 9 } },
+  { type: 'notification_type', code: 'CERTIFICATE', name: 'Certificate', metadata: { sortOrder: 10 } },
+  { type: 'notification_type', code: 'SYSTEM', name: 'System', description: 'Security and account notices', metadata: { sortOrder: 11 } },
+  { type: 'notification_type', code: 'SUBSCRIPTION', name: 'Subscription', description: 'Renewals, trials and expiry', metadata: { sortOrder: 12 } },
+
+  // --- ACTIVITY TYPES ---
+  { type: 'activity_type', code: 'LOGIN', name: 'Login', metadata: { sortOrder: 1 } },
+  { type: 'activity_type', code: 'LOGOUT', name: 'Logout', metadata: { sortOrder: 2 } },
+  { type: 'activity_type', code: 'ENROLLMENT', name: 'Enrollment', metadata: { sortOrder: 3 } },
+  { type: 'activity_type', code: 'COURSE_COMPLETE', name: 'Course Complete', metadata: { sortOrder: 4 } },
+  { type: 'activity_type', code: 'PAYMENT', name: 'Payment', metadata: { sortOrder: 5 } },
+  { type: 'activity_type', code: 'REVIEW', name: 'Review', metadata: { sortOrder: 6 } },
+  { type: 'activity_type', code: 'DISCUSSION', name: 'Discussion', metadata: { sortOrder: 7 } }
 ];
 
 /**
@@ -252,3 +293,5 @@ const initializeMasters = async () => {
 };
 
 module.exports = initializeMasters;
+// Seed values, for checking model validators against them
+module.exports.systemMasters = systemMasters;
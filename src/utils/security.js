@@ -15,4 +15,23 @@ exports.encryptData = (text) => {
   let encrypted = cipher.update(text, 'utf8', 'hex');
   encrypted += cipher.final('hex');
   return encrypted;
-};
\ No newline at end of file
+};
+
+// AES-256-GCM for secrets that must be read back (e.g. TOTP keys). Output is iv.tag.ciphertext in hex.
+const secretKey = () => crypto.createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || `${process.env.JWT_SECRET}:encryption`)
+  .digest();
+
+exports.encryptSecret = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join('.');
+};
+
+exports.decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
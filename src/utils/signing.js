@@ -0,0 +1,117 @@
+// utils/signing.js - Ed25519 signing key and the encodings signed documents use
+const crypto = require('crypto');
+
+// PKCS#8 wrapper for a raw 32-byte Ed25519 seed (RFC 8410)
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+// Multicodec prefix of an Ed25519 public key, used by publicKeyMultibase
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * JSON with sorted keys and no whitespace (RFC 8785), so the same document
+ * always produces the same bytes to sign. Undefined values are left out.
+ * @param {*} value
+ * @returns {String}
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (text) => Buffer.from(String(text), 'base64url');
+
+const toBase58 = (buffer) => {
+  const bytes = [...buffer];
+  let zeros = 0;
+  while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+
+  return '1'.repeat(zeros) + digits.reverse().map(d => BASE58_ALPHABET[d]).join('');
+};
+
+const fromBase58 = (text) => {
+  const bytes = [];
+  for (const char of String(text)) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) throw new Error('Invalid base58 character');
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+};
+
+/**
+ * Load an Ed25519 key pair. Without a PEM, one is derived from `fallbackSecret`
+ * so development setups sign consistently across restarts. Production requires
+ * a PEM: a derived key is only as secret as the application secret.
+ * @param {String} pem - PKCS#8 private key; literal "\n" sequences are accepted
+ * @param {String} fallbackSecret
+ * @returns {Object} - { privateKey, publicKey, keyId, jwk, publicKeyMultibase }
+ */
+const loadSigningKey = (pem, fallbackSecret) => {
+  let privateKey;
+  if (pem) {
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') throw new Error('The signing key must be an Ed25519 private key');
+  } else {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('No signing key is configured. Set an Ed25519 private key (PEM) before starting in production.');
+    }
+    // An empty secret would give a key anyone can compute
+    if (!fallbackSecret) throw new Error('No signing key or secret to derive one from is configured');
+    const seed = crypto.createHash('sha256').update(`signing-key:${fallbackSecret}`).digest();
+    privateKey = crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: 'jwk' });
+  const raw = fromBase64Url(jwk.x);
+
+  return {
+    privateKey,
+    publicKey,
+    keyId: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16),
+    jwk,
+    publicKeyMultibase: `z${toBase58(Buffer.concat([ED25519_MULTICODEC, raw]))}`
+  };
+};
+
+module.exports = {
+  canonicalize,
+  toBase64Url,
+  fromBase64Url,
+  toBase58,
+  fromBase58,
+  loadSigningKey
+};
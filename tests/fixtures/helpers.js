@@ -0,0 +1,23 @@
+// tests/fixtures/helpers.js - Shared fixtures for unit tests
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fresh ObjectId for documents the test builds
+const id = () => new mongoose.Types.ObjectId();
+
+// Date n days from now (negative for the past)
+const days = (n) => new Date(Date.now() + n * DAY);
+
+// Minimal stand-in for a mongoose query chain: chained calls return the query,
+// which resolves to `result` when awaited, lean()ed or distinct()ed
+const query = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  populate() { return this; },
+  distinct: () => Promise.resolve(result),
+  lean: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+module.exports = { DAY, id, days, query };
@@ -0,0 +1,85 @@
+// tests/unit/cart.service.test.js
+const { Course, Coupon } = require('../../src/models');
+const cartService = require('../../src/services/cartService');
+const pricingService = require('../../src/services/pricingService');
+const { id, days } = require('../fixtures/helpers');
+
+describe('Cart service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('applies a course sale only inside its window', () => {
+    const course = { price: 100, discountPrice: 60 };
+
+    expect(cartService.unitPrice(course)).toBe(60);
+    expect(cartService.unitPrice({ ...course, discountStartDate: days(1) })).toBe(100);
+    expect(cartService.unitPrice({ ...course, discountEndDate: days(-1) })).toBe(100);
+    expect(cartService.unitPrice({ ...course, discountStartDate: days(-1), discountEndDate: days(1) })).toBe(60);
+    expect(cartService.unitPrice({ price: 100, discountPrice: 0 })).toBe(100);
+    expect(cartService.unitPrice({ ...course, isFree: true })).toBe(0);
+  });
+
+  it('splits fixed coupons across lines and keeps the total exact', () => {
+    const lines = [{ itemType: 'course', itemId: id(), price: 100 }, { itemType: 'course', itemId: id(), price: 100 }, { itemType: 'testSeries', itemId: id(), price: 100 }];
+
+    const fixed = cartService.allocateDiscount({ discountType: 'fixed_amount', discountValue: 100 }, lines);
+    expect(fixed).toEqual([33.33, 33.33, 33.34]);
+    expect(fixed.reduce((a, b) => a + b, 0)).toBeCloseTo(100, 2);
+
+    const restricted = cartService.allocateDiscount(
+      { discountType: 'percentage', discountValue: 50, validForCourses: [lines[1].itemId] },
+      lines
+    );
+    expect(restricted).toEqual([0, 50, 0]);
+  });
+
+  it('charges a course\'s listed price in the cart currency instead of converting', async () => {
+    const course = { _id: id(), title: 'Node', price: 100, currency: 'USD', prices: [{ currency: 'INR', price: 4999 }], isPublished: true };
+    // Hands back only the selected fields, as the database would
+    jest.spyOn(Course, 'find').mockImplementation(() => {
+      let fields = [];
+      return {
+        select(spec) { fields = spec.split(' '); return this; },
+        lean: () => Promise.resolve([Object.fromEntries(Object.entries(course).filter(([key]) => key === '_id' || fields.includes(key)))])
+      };
+    });
+    jest.spyOn(pricingService, 'rates').mockResolvedValue(new Map([['USD', { rate: 1 }], ['INR', { rate: 83 }]]));
+
+    const priced = await cartService.price({ currency: 'INR', items: [{ _id: id(), itemType: 'course', course: course._id }] });
+
+    expect(priced.items[0]).toMatchObject({ currency: 'INR', listPrice: 4999, price: 4999 });
+    expect(priced).toMatchObject({ total: 4999, currency: 'INR' });
+  });
+
+  it('prices the cart from the catalogue and drops an expired coupon', async () => {
+    const [c1, c2, gone] = [id(), id(), id()];
+    jest.spyOn(Course, 'find').mockReturnValue({
+      select() { return this; },
+      lean: () => Promise.resolve([
+        { _id: c1, title: 'Node', price: 100, discountPrice: 80, currency: 'USD' },
+        { _id: c2, title: 'React', price: 50, currency: 'USD' }
+      ])
+    });
+    const findCoupon = jest.spyOn(Coupon, 'findById').mockResolvedValue({
+      code: 'SAVE10', discountType: 'percentage', discountValue: 10, isActive: true,
+      startDate: days(-1), expiryDate: days(1), usageLimit: null, usedCount: 0
+    });
+    const cart = {
+      coupon: id(),
+      items: [
+        { _id: id(), itemType: 'course', course: c1, addedAt: days(-2) },
+        { _id: id(), itemType: 'course', course: c2, addedAt: days(-1) },
+        { _id: id(), itemType: 'course', course: gone, addedAt: days(-1) }
+      ]
+    };
+
+    const priced = await cartService.price(cart);
+
+    expect(priced.items.map(i => [i.title, i.price, i.discount, i.amount])).toEqual([['Node', 80, 8, 72], ['React', 50, 5, 45]]);
+    expect(priced).toMatchObject({ subtotal: 130, discount: 13, total: 117, currency: 'USD' });
+    expect(priced.unavailable).toHaveLength(1);
+
+    findCoupon.mockResolvedValue({ code: 'OLD', discountType: 'percentage', discountValue: 10, isActive: true, startDate: days(-9), expiryDate: days(-1) });
+    const withoutCoupon = await cartService.price(cart);
+    expect(withoutCoupon).toMatchObject({ coupon: null, discount: 0, total: 130 });
+  });
+});
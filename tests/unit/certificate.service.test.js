@@ -0,0 +1,139 @@
+// tests/unit/certificate.service.test.js
+const crypto = require('crypto');
+const { Certificate, User } = require('../../src/models');
+const certificateService = require('../../src/services/certificateService');
+const { canonicalize, toBase58, fromBase58, loadSigningKey } = require('../../src/utils/signing');
+const { id } = require('../fixtures/helpers');
+
+const makeCertificate = (overrides = {}) => {
+  const certificate = new Certificate({
+    student: id(),
+    course: id(),
+    certificateNumber: 'CERT-TEST-0001',
+    studentName: 'Asha Rao',
+    courseName: 'Intro to Algorithms',
+    instructorName: 'R. Iyer',
+    grade: 'Distinction',
+    percentage: 92,
+    issueDate: new Date('2026-03-01T10:00:00Z'),
+    verificationUrl: 'https://example.test/verify/certificate/CERT-TEST-0001',
+    ...overrides
+  });
+  certificateService.sign(certificate);
+  return certificate;
+};
+
+describe('Certificate service', () => {
+  const secret = process.env.JWT_SECRET || 'test-secret';
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    certificateService.signingKey = null;
+    process.env.JWT_SECRET = secret;
+    process.env.BASE_URL = 'https://example.test';
+    delete process.env.CERTIFICATE_SIGNING_KEY;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('canonicalizes and encodes signed data deterministically', () => {
+    expect(canonicalize({ b: 1, a: [true, null, { d: 'x', c: undefined }] })).toBe('{"a":[true,null,{"d":"x"}],"b":1}');
+
+    const bytes = Buffer.from([0, 0, 1, 2, 255, 128]);
+    expect(fromBase58(toBase58(bytes)).equals(bytes)).toBe(true);
+    expect(toBase58(Buffer.from('hello world'))).toBe('StV1DL6CwTryKyV');
+  });
+
+  it('never signs with a key derived from a missing secret or in production', () => {
+    expect(() => loadSigningKey(undefined, '')).toThrow('No signing key or secret to derive one from is configured');
+    expect(loadSigningKey(undefined, secret).keyId).toBe(loadSigningKey(undefined, secret).keyId);
+
+    process.env.NODE_ENV = 'production';
+    expect(() => loadSigningKey(undefined, secret)).toThrow(/before starting in production/);
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    expect(loadSigningKey(pem, undefined).publicKey.asymmetricKeyType).toBe('ed25519');
+  });
+
+  it('signs the certificate payload and detects any change to it', () => {
+    const certificate = makeCertificate();
+    const token = certificateService.token(certificate);
+
+    expect(certificateService.verifyToken(token)).toMatchObject({ valid: true, payload: { number: 'CERT-TEST-0001', name: 'Asha Rao' } });
+    expect(certificateService.verificationLink(certificate)).toBe(`${certificate.verificationUrl}?token=${token}`);
+
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(Buffer.from(payload, 'base64url').toString().replace('Distinction', 'Honours')).toString('base64url');
+    expect(certificateService.verifyToken(`${forged}.${signature}`)).toMatchObject({ valid: false });
+    expect(certificateService.verifyToken('not-a-token')).toMatchObject({ valid: false });
+
+    // Another key's signature is refused
+    certificateService.signingKey = null;
+    process.env.JWT_SECRET = `${secret}-rotated`;
+    expect(certificateService.verifyToken(token)).toMatchObject({ valid: false, reason: 'The certificate was not signed with our key' });
+  });
+
+  it('reports revocation with its reason and edited records as tampered', async () => {
+    const certificate = makeCertificate();
+    const token = certificateService.token(certificate);
+    const findOne = jest.spyOn(Certificate, 'findOne').mockResolvedValue(certificate);
+
+    await expect(certificateService.verifyCertificate(null, token)).resolves.toMatchObject({
+      status: 'valid', isValid: true, signed: true, certificate: { studentName: 'Asha Rao' }
+    });
+    expect(findOne).toHaveBeenCalledWith({ certificateNumber: 'CERT-TEST-0001' });
+
+    await expect(certificateService.verifyCertificate('CERT-OTHER', token)).resolves.toMatchObject({ status: 'tampered' });
+
+    certificate.isValid = false;
+    certificate.revokedAt = new Date();
+    certificate.revocationReason = 'Academic misconduct';
+    await expect(certificateService.verifyCertificate('CERT-TEST-0001')).resolves.toMatchObject({
+      status: 'revoked', isValid: false, revocation: { reason: 'Academic misconduct' }
+    });
+
+    certificate.isValid = true;
+    certificate.grade = 'Honours';
+    await expect(certificateService.verifyCertificate('CERT-TEST-0001')).resolves.toMatchObject({ status: 'tampered', isValid: false });
+
+    findOne.mockResolvedValue(null);
+    await expect(certificateService.verifyCertificate(null, token)).resolves.toMatchObject({ status: 'not_found' });
+  });
+
+  it('exports Open Badges and VC credentials with a verifiable proof', async () => {
+    const certificate = makeCertificate();
+    jest.spyOn(Certificate, 'findOne').mockResolvedValue(certificate);
+
+    const badge = await certificateService.exportCredential('CERT-TEST-0001', 'openbadges');
+    expect(badge.type).toEqual(['VerifiableCredential', 'OpenBadgeCredential']);
+    expect(badge.credentialSubject.achievement.name).toBe('Intro to Algorithms');
+    expect(badge.proof).toMatchObject({ type: 'DataIntegrityProof', cryptosuite: 'eddsa-jcs-2022' });
+    expect(badge.validUntil).toBeUndefined();
+    expect(certificateService.verifyCredential(badge)).toBe(true);
+    expect(certificateService.verifyCredential({ ...badge, name: 'Something else' })).toBe(false);
+
+    const vc = await certificateService.exportCredential('CERT-TEST-0001', 'vc');
+    expect(vc.credentialSubject).toMatchObject({ name: 'Asha Rao', grade: 'Distinction' });
+    expect(certificateService.verifyCredential(JSON.parse(JSON.stringify(vc)))).toBe(true);
+
+    await expect(certificateService.exportCredential('CERT-TEST-0001', 'pdf')).rejects.toMatchObject({ statusCode: 400 });
+    certificate.isValid = false;
+    certificate.revocationReason = 'Issued in error';
+    await expect(certificateService.exportCredential('CERT-TEST-0001')).rejects.toMatchObject({
+      statusCode: 410, message: 'This certificate was revoked: Issued in error'
+    });
+  });
+
+  it('issues one certificate per student and course', async () => {
+    const existing = makeCertificate();
+    jest.spyOn(Certificate, 'findOne').mockResolvedValue(existing);
+    const findUser = jest.spyOn(User, 'findById');
+
+    await expect(certificateService.issue({ studentId: existing.student, courseId: existing.course })).resolves.toBe(existing);
+    expect(findUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/certificateEligibility.service.test.js
+const { Enrollment, Certificate, ProgressTracking } = require('../../src/models');
+const certificateEligibilityService = require('../../src/services/certificateEligibilityService');
+const certificateService = require('../../src/services/certificateService');
+const { id } = require('../fixtures/helpers');
+
+describe('Certificate eligibility service', () => {
+  const [l1, l2, q1, q2, a1] = [id(), id(), id(), id(), id()];
+  const studentId = id();
+
+  const records = (overrides = {}) => ({
+    progress: {
+      completedLessons: [{ lesson: l1 }, { lesson: l2 }],
+      completedQuizzes: [{ quiz: q1, score: 8 }, { quiz: q1, score: 9 }, { quiz: q2, score: 14 }]
+    },
+    lessons: [String(l1), String(l2)],
+    quizzes: [{ _id: q1, totalPoints: 10, passingScore: 70 }, { _id: q2, totalPoints: 20, passingScore: 75 }],
+    assignments: [{ _id: a1, totalPoints: 100, passingPoints: 60 }],
+    submissions: [{ assignment: a1, grade: { points: 85 } }],
+    finalAttempt: null,
+    ...overrides
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('maps the final score to the highest grade band reached', () => {
+    const bands = [{ minScore: 60, grade: 'Merit' }, { minScore: 85, grade: 'Distinction' }];
+
+    expect(certificateEligibilityService.gradeFor(bands, 91)).toBe('Distinction');
+    expect(certificateEligibilityService.gradeFor(bands, 60)).toBe('Merit');
+    expect(certificateEligibilityService.gradeFor(bands, 59.9)).toBe('Passed');
+    expect(certificateEligibilityService.gradeFor([], 100)).toBe('Passed');
+  });
+
+  it('checks lessons, quiz scores, assignments and the final test', async () => {
+    const course = {
+      _id: id(),
+      completionCriteria: {
+        minQuizAverage: 75,
+        requireQuizzesPassed: true,
+        requireAssignmentsPassed: true,
+        gradeBands: [{ minScore: 80, grade: 'Distinction' }]
+      }
+    };
+    jest.spyOn(certificateEligibilityService, 'gather').mockResolvedValue(records());
+
+    // Quizzes: best of q1 is 90%, q2 is 70% (below its 75% pass mark)
+    let result = await certificateEligibilityService.evaluate(studentId, course);
+    expect(result.eligible).toBe(false);
+    expect(result.checks.find(c => c.rule === 'quizAverage')).toMatchObject({ passed: true, detail: 'Quiz average 80% (needs 75%)' });
+    expect(result.checks.find(c => c.rule === 'quizzesPassed')).toMatchObject({ passed: false, detail: '1 of 2 quizzes passed' });
+    expect(result.checks.find(c => c.rule === 'assignmentsPassed')).toMatchObject({ passed: true });
+    expect(result.score).toBe(82.5);
+    expect(result.grade).toBe('Distinction');
+
+    // A lesson missing, an ungraded assignment and a final test not yet taken
+    course.completionCriteria = { requireAssignmentsPassed: true, finalMockTest: id(), finalMockTestMinPercentage: 50 };
+    certificateEligibilityService.gather.mockResolvedValue(records({
+      progress: { completedLessons: [{ lesson: l1 }], completedQuizzes: [] },
+      quizzes: [],
+      submissions: [{ assignment: a1 }]
+    }));
+    result = await certificateEligibilityService.evaluate(studentId, course);
+    expect(result.checks.map(c => [c.rule, c.passed])).toEqual([
+      ['lessons', false], ['assignmentsPassed', false], ['finalMockTest', false]
+    ]);
+    expect(result.checks[0].detail).toBe('1 of 2 required lessons completed');
+
+    // Nothing but lessons: completing them all earns a "Passed" at 100
+    course.completionCriteria = {};
+    certificateEligibilityService.gather.mockResolvedValue(records({ quizzes: [], assignments: [], submissions: [] }));
+    await expect(certificateEligibilityService.evaluate(studentId, course)).resolves.toMatchObject({ eligible: true, score: 100, grade: 'Passed' });
+  });
+
+  it('issues only to enrolled students who qualify, once', async () => {
+    const courseId = id();
+    const enrolled = jest.spyOn(Enrollment, 'exists').mockResolvedValue(null);
+    await expect(certificateEligibilityService.checkAndIssue(studentId, courseId)).rejects.toMatchObject({ statusCode: 403 });
+
+    enrolled.mockResolvedValue({ _id: id() });
+    const existing = jest.spyOn(Certificate, 'findOne').mockResolvedValue({ _id: id() });
+    await expect(certificateEligibilityService.checkAndIssue(studentId, courseId)).resolves.toMatchObject({ issued: false });
+
+    existing.mockResolvedValue(null);
+    const evaluate = jest.spyOn(certificateEligibilityService, 'evaluate').mockResolvedValue({ eligible: false, checks: [] });
+    const generate = jest.spyOn(certificateService, 'generateCertificate').mockResolvedValue({ certificateNumber: 'CERT-1' });
+    const complete = jest.spyOn(ProgressTracking, 'updateOne').mockResolvedValue({});
+
+    await expect(certificateEligibilityService.checkAndIssue(studentId, courseId)).resolves.toMatchObject({ certificate: null, issued: false });
+    expect(generate).not.toHaveBeenCalled();
+
+    evaluate.mockResolvedValue({ eligible: true, score: 88, grade: 'Merit', checks: [] });
+    await expect(certificateEligibilityService.checkAndIssue(studentId, courseId)).resolves.toMatchObject({ issued: true });
+    expect(generate).toHaveBeenCalledWith({ studentId, courseId, grade: 'Merit', percentage: 88 });
+    expect(complete).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/certificateTemplate.service.test.js
+const { CertificateTemplate, Course, Category } = require('../../src/models');
+const certificateTemplateService = require('../../src/services/certificateTemplateService');
+const { id, query } = require('../fixtures/helpers');
+
+describe('Certificate template service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('fills placeholders and drops text whose placeholders are all empty', () => {
+    const values = certificateTemplateService.values({
+      studentName: 'Asha Rao', courseName: 'Algorithms', percentage: 92.5, issueDate: new Date('2026-03-01T10:00:00Z')
+    }, 'de');
+
+    expect(values.issueDate).toBe('1. März 2026');
+    expect(values.percentage).toBe('92,5');
+    expect(certificateTemplateService.fill('Awarded to {{ studentName }} for {{courseName}}', values)).toBe('Awarded to Asha Rao for Algorithms');
+    expect(certificateTemplateService.fill('Instructor: {{instructorName}}', values)).toBeNull();
+    expect(certificateTemplateService.fill('Certificate of Completion', values)).toBe('Certificate of Completion');
+
+    expect(certificateTemplateService.values({ issueDate: new Date('2026-03-01T10:00:00Z') }, 'not a locale!').issueDate).toBe('March 1, 2026');
+  });
+
+  it('rejects unknown placeholders and fonts', () => {
+    expect(() => certificateTemplateService.draft({
+      name: 'Bad', elements: [{ type: 'text', content: 'Hello {{nickname}}', x: 10, y: 10 }]
+    })).toThrow('Unknown placeholder');
+
+    expect(() => certificateTemplateService.draft({
+      name: 'Bad', elements: [{ type: 'text', content: 'Hello', x: 10, y: 10, font: 'NotoSansDevanagari' }]
+    })).toThrow('Unknown font "NotoSansDevanagari"');
+
+    expect(() => certificateTemplateService.draft({
+      name: 'Hindi',
+      fonts: [{ name: 'NotoSansDevanagari', url: 'https://example.test/noto.ttf' }],
+      elements: [{ type: 'text', content: '{{studentName}}', x: 10, y: 10, font: 'NotoSansDevanagari' }]
+    })).not.toThrow();
+  });
+
+  it('uses the course template, then the category chain, then the default', async () => {
+    const [courseTemplate, parentTemplate, defaultTemplate] = [{ name: 'course' }, { name: 'parent' }, { name: 'default' }];
+    const [ownId, childId, parentId] = [id(), id(), id()];
+
+    const findOne = jest.spyOn(CertificateTemplate, 'findOne').mockImplementation((filter) => {
+      if (filter.isDefault) return Promise.resolve(defaultTemplate);
+      if (String(filter._id) === String(ownId)) return Promise.resolve(courseTemplate);
+      if (String(filter._id) === String(parentId)) return Promise.resolve(parentTemplate);
+      return Promise.resolve(null);
+    });
+    const course = jest.spyOn(Course, 'findById').mockReturnValue(query({ certificateTemplate: ownId, category: childId }));
+    jest.spyOn(Category, 'findById').mockImplementation((categoryId) => query(String(categoryId) === String(childId)
+      ? { parentCategory: parentId }
+      : { certificateTemplate: parentId }));
+
+    await expect(certificateTemplateService.forCourse(id())).resolves.toBe(courseTemplate);
+
+    course.mockReturnValue(query({ category: childId }));
+    await expect(certificateTemplateService.forCourse(id())).resolves.toBe(parentTemplate);
+
+    course.mockReturnValue(query(null));
+    await expect(certificateTemplateService.forCourse(id())).resolves.toBe(defaultTemplate);
+
+    findOne.mockResolvedValue(null);
+    await expect(certificateTemplateService.forCertificate({ course: id() })).resolves.toBe(certificateTemplateService.builtIn());
+  });
+
+  it('renders a template to a PDF, skipping assets that fail to load', async () => {
+    const template = certificateTemplateService.draft({
+      name: 'Institute',
+      layout: 'portrait',
+      backgroundColor: '#fdf6e3',
+      elements: [
+        { type: 'image', imageUrl: '/uploads/missing-logo.png', x: 40, y: 40, width: 80, height: 80 },
+        { type: 'text', content: '{{studentName}}', x: 40, y: 200, fontSize: 28, font: 'Times-Bold', align: 'center' },
+        { type: 'line', x: 40, y: 260, width: 200, color: '#c5a059' },
+        { type: 'qr', x: 400, y: 600, width: 90 }
+      ]
+    });
+
+    const pdf = await certificateTemplateService.preview(template);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const builtIn = await certificateTemplateService.render(certificateTemplateService.builtIn(), {
+      studentName: 'Asha Rao', courseName: 'Algorithms', issueDate: new Date(), certificateNumber: 'CERT-1'
+    }, 'https://example.test/verify/certificate/CERT-1');
+    expect(builtIn.length).toBeGreaterThan(1000);
+  });
+});
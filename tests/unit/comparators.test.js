@@ -0,0 +1,33 @@
+// tests/unit/comparators.test.js
+const { compareOutput } = require('../../src/services/codeRunner/comparators');
+
+describe('Output comparators', () => {
+  it('exact mode ignores line endings and trailing newlines only', () => {
+    expect(compareOutput('exact', '1 2\r\n3\n\n', '1 2\n3').passed).toBe(true);
+    expect(compareOutput('exact', '1 2 \n3', '1 2\n3').passed).toBe(false);
+  });
+
+  it('whitespace mode ignores trailing spaces and blank trailing lines', () => {
+    expect(compareOutput('whitespace', '1   2 \n 3\n\n', '1 2\n3').passed).toBe(true);
+
+    const result = compareOutput('whitespace', '1 2\n4', '1 2\n3');
+    expect(result.passed).toBe(false);
+    expect(result.message).toBe('Line 2 differs');
+  });
+
+  it('token mode ignores line structure', () => {
+    expect(compareOutput('token', '1\n2\n3', '1 2 3').passed).toBe(true);
+    expect(compareOutput('token', '1 2', '1 2 3').passed).toBe(false);
+  });
+
+  it('float mode accepts answers within epsilon', () => {
+    expect(compareOutput('float', '3.1415927', '3.14159265', { epsilon: 1e-6 }).passed).toBe(true);
+    expect(compareOutput('float', '3.14', '3.14159265', { epsilon: 1e-6 }).passed).toBe(false);
+    expect(compareOutput('float', 'YES 1e9', 'YES 1000000000.5', { epsilon: 1e-6 }).passed).toBe(true);
+    expect(compareOutput('float', 'NO 1', 'YES 1').passed).toBe(false);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => compareOutput('checker', '', '')).toThrow('Unsupported comparison mode');
+  });
+});
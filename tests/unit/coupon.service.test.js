@@ -0,0 +1,105 @@
+// tests/unit/coupon.service.test.js
+const { Coupon, CouponRedemption } = require('../../src/models');
+const couponService = require('../../src/services/couponService');
+const { id, days, query } = require('../fixtures/helpers');
+
+const duplicate = (keyPattern) => Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern });
+
+describe('Coupon service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('scopes coupons by course or category, narrowed by instructor', () => {
+    const [course, math, teacher, other] = [id(), id(), id(), id()];
+    const line = { itemType: 'course', itemId: course, category: id(), instructors: [teacher], price: 100 };
+
+    // Stored ids are ObjectIds while request ids are strings; both must match
+    expect(couponService.isEligible({ validForCourses: [course] }, { ...line, itemId: String(course) })).toBe(true);
+    expect(couponService.isEligible({ validForCourses: [id()], validForCategories: [math] }, { ...line, category: math })).toBe(true);
+    expect(couponService.isEligible({ validForCategories: [math] }, line)).toBe(false);
+    expect(couponService.isEligible({ validForInstructors: [teacher] }, line)).toBe(true);
+    expect(couponService.isEligible({ validForCourses: [course], validForInstructors: [other] }, line)).toBe(false);
+    expect(couponService.isEligible({}, { ...line, price: 0 })).toBe(false);
+  });
+
+  it('stacks coupons on what is left, honouring caps, minimum order and stacking rules', () => {
+    const lines = [{ itemType: 'course', itemId: id(), price: 100 }, { itemType: 'course', itemId: id(), price: 50 }];
+    const capped = { _id: id(), discountType: 'percentage', discountValue: 50, maxDiscountAmount: 30, stackable: true };
+    const flat = { _id: id(), discountType: 'fixed_amount', discountValue: 24, stackable: true };
+
+    const stacked = couponService.allocate([capped, flat], lines);
+    expect(stacked.discounts).toEqual([36, 18]);
+    expect(stacked.applied.map(a => a.discount)).toEqual([30, 24]);
+
+    const exclusive = couponService.allocate([{ ...capped, stackable: false }, flat], lines);
+    expect(exclusive.applied).toHaveLength(1);
+    expect(exclusive.discounts).toEqual([20, 10]);
+
+    const bigOrder = couponService.allocate([{ ...flat, minOrderValue: 200 }], lines);
+    expect(bigOrder).toEqual({ discounts: [0, 0], applied: [] });
+  });
+
+  it('refuses a coupon once the user has used up their slots', async () => {
+    const coupon = { _id: id(), isActive: true, startDate: days(-1), expiryDate: days(1), perUserLimit: 2, usageLimit: null, usedCount: 0 };
+    const payment = { _id: id(), user: id(), coupons: [{ coupon: coupon._id, discount: 10 }] };
+
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(coupon);
+    // Another checkout took the last slot after the count was read
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(1);
+    const create = jest.spyOn(CouponRedemption, 'create').mockRejectedValue(duplicate({ coupon: 1, user: 1, slot: 1 }));
+    const increment = jest.spyOn(Coupon, 'findOneAndUpdate');
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue(query([]));
+
+    await expect(couponService.reserve(payment)).rejects.toThrow('maximum number of times');
+    expect(create.mock.calls.map(call => call[0].slot)).toEqual([1, 2]);
+    expect(increment).not.toHaveBeenCalled();
+  });
+
+  it('takes the global limit with a conditional increment and backs out when it is full', async () => {
+    const coupon = { _id: id(), isActive: true, startDate: days(-1), expiryDate: days(1), usageLimit: 5, usedCount: 4 };
+    const payment = { _id: id(), user: id(), coupons: [{ coupon: coupon._id, discount: 10 }] };
+    const redemption = { _id: id() };
+
+    jest.spyOn(Coupon, 'findById').mockResolvedValue(coupon);
+    jest.spyOn(CouponRedemption, 'create').mockResolvedValue(redemption);
+    const increment = jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(null);
+    const remove = jest.spyOn(CouponRedemption, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue({
+      select: () => Object.assign(Promise.resolve([]), { lean: () => Promise.resolve([]) })
+    });
+
+    await expect(couponService.reserve(payment)).rejects.toThrow('usage limit has been reached');
+    expect(increment.mock.calls[0][0].$or[1]).toEqual({ $expr: { $lt: ['$usedCount', '$usageLimit'] } });
+    expect(increment.mock.calls[0][1]).toEqual({ $inc: { usedCount: 1 } });
+    expect(remove).toHaveBeenCalledWith({ _id: redemption._id });
+  });
+
+  it('releases only reservations that are still held', async () => {
+    const payment = { _id: id() };
+    const [held, raced] = [{ _id: id(), coupon: id() }, { _id: id(), coupon: id() }];
+
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue(query([held, raced]));
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate')
+      .mockResolvedValueOnce(held)
+      .mockResolvedValueOnce(null);
+    const decrement = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+
+    await expect(couponService.release(payment)).resolves.toBe(1);
+    expect(decrement).toHaveBeenCalledTimes(1);
+    expect(decrement).toHaveBeenCalledWith({ _id: held.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  });
+
+  it('generates a batch of unique prefixed codes', async () => {
+    jest.spyOn(Coupon, 'find').mockReturnValueOnce({ distinct: () => Promise.resolve([]) });
+    const insert = jest.spyOn(Coupon, 'insertMany').mockImplementation(async docs => docs);
+
+    const { batch, coupons } = await couponService.generateBatch({ discountType: 'percentage', discountValue: 20 }, 25, { prefix: 'webinar' });
+
+    expect(batch).toMatch(/^WEBINAR-/);
+    expect(coupons).toHaveLength(25);
+    expect(new Set(coupons.map(c => c.code)).size).toBe(25);
+    coupons.forEach(c => expect(c).toMatchObject({ batch, discountValue: 20, code: expect.stringMatching(/^WEBINAR-[A-Z0-9]{8}$/) }));
+    expect(insert).toHaveBeenCalledTimes(1);
+
+    await expect(couponService.generateBatch({}, 5000)).rejects.toThrow('between 1 and 1000');
+  });
+});
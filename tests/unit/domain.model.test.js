@@ -0,0 +1,147 @@
+// tests/unit/domain.model.test.js
+const mongoose = require('mongoose');
+const {
+  Master,
+  Notification,
+  LearningPath,
+  LiveSession,
+  AuditLog,
+  SystemSettings,
+  ActivityLog,
+  Session
+} = require('../../src/models');
+const { systemMasters } = require('../../src/utils/initializeMasters');
+const { id } = require('../fixtures/helpers');
+
+const DAY = 24 * 60 * 60;
+
+// Validation errors by path, without touching the database
+const errorsOf = async (doc) => {
+  try {
+    await doc.validate();
+    return {};
+  } catch (err) {
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    return err.errors;
+  }
+};
+
+const indexOf = (Model, fields) =>
+  Model.schema.indexes().find(([keys]) => JSON.stringify(keys) === JSON.stringify(fields));
+
+describe('Domain models', () => {
+  beforeEach(() => {
+    // Master lookups answered from the seed data the app installs
+    jest.spyOn(Master, 'exists').mockImplementation(async ({ type, $or }) => {
+      const [{ code }, { name }] = $or;
+      return systemMasters.some(m => m.type === type && (m.code === code || m.name === name)) ? { _id: id() } : null;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('Notification', () => {
+    it('should require user, type, title and message', async () => {
+      const errors = await errorsOf(new Notification({}));
+      expect(Object.keys(errors).sort()).toEqual(['message', 'title', 'type', 'user']);
+    });
+
+    it('should accept only notification types from the masters', async () => {
+      const base = { user: id(), title: 'Live class', message: 'Starts in 10 minutes' };
+      expect(await errorsOf(new Notification({ ...base, type: 'live_session_starting' }))).toEqual({});
+      expect((await errorsOf(new Notification({ ...base, type: 'spam' }))).type.message).toBe('Invalid notification type');
+    });
+
+    it('should expire notifications at expiresAt', () => {
+      expect(indexOf(Notification, { expiresAt: 1 })[1]).toMatchObject({ expireAfterSeconds: 0 });
+    });
+  });
+
+  describe('LearningPath', () => {
+    it('should require title, description and an order for each course', async () => {
+      const errors = await errorsOf(new LearningPath({ courses: [{ course: id() }] }));
+      expect(Object.keys(errors).sort()).toEqual(['courses.0.order', 'description', 'title']);
+    });
+
+    it('should accept only course levels from the masters', async () => {
+      const base = { title: 'Full Stack Developer', description: 'From HTML to deployment' };
+      expect(await errorsOf(new LearningPath({ ...base, level: 'intermediate' }))).toEqual({});
+      expect((await errorsOf(new LearningPath({ ...base, level: 'wizard' }))).level.message).toBe('Invalid learning path level');
+    });
+  });
+
+  describe('LiveSession', () => {
+    const base = () => ({
+      course: id(),
+      instructor: id(),
+      title: 'Office hours',
+      startTime: new Date('2026-11-01T10:00:00Z'),
+      endTime: new Date('2026-11-01T11:00:00Z')
+    });
+
+    it('should require course, instructor, title and times', async () => {
+      const errors = await errorsOf(new LiveSession({}));
+      expect(Object.keys(errors).sort()).toEqual(['course', 'endTime', 'instructor', 'startTime', 'title']);
+    });
+
+    it('should default to scheduled and accept only statuses from the masters', async () => {
+      const session = new LiveSession(base());
+      expect(session.status).toBe('scheduled');
+      expect(await errorsOf(session)).toEqual({});
+
+      for (const status of ['live', 'ended', 'cancelled']) {
+        expect(await errorsOf(new LiveSession({ ...base(), status }))).toEqual({});
+      }
+      expect((await errorsOf(new LiveSession({ ...base(), status: 'paused' }))).status.message).toBe('Invalid live session status');
+    });
+
+    it('should reject sessions that end before they start', async () => {
+      const errors = await errorsOf(new LiveSession({ ...base(), endTime: new Date('2026-11-01T09:00:00Z') }));
+      expect(errors.endTime.message).toBe('End time must be after the start time');
+    });
+  });
+
+  describe('AuditLog', () => {
+    it('should require an action and index entries by age for archiving', async () => {
+      expect(Object.keys(await errorsOf(new AuditLog({})))).toEqual(['action']);
+      expect(indexOf(AuditLog, { createdAt: 1 })).toBeDefined();
+    });
+  });
+
+  describe('SystemSettings', () => {
+    it('should require a unique key and a known value type', async () => {
+      expect(Object.keys(await errorsOf(new SystemSettings({})))).toEqual(['key']);
+      expect(Object.keys(await errorsOf(new SystemSettings({ key: 'site.name', type: 'date' })))).toEqual(['type']);
+      expect(SystemSettings.schema.path('key').options.unique).toBe(true);
+    });
+  });
+
+  describe('ActivityLog', () => {
+    it('should require user and type, and accept only activity types from the masters', async () => {
+      expect(Object.keys(await errorsOf(new ActivityLog({}))).sort()).toEqual(['type', 'user']);
+      expect(await errorsOf(new ActivityLog({ user: id(), type: 'course_complete' }))).toEqual({});
+      expect((await errorsOf(new ActivityLog({ user: id(), type: 'hack' }))).type.message).toBe('Invalid activity type');
+    });
+
+    it('should expire entries after the retention period', () => {
+      const ttl = indexOf(ActivityLog, { createdAt: 1 });
+      expect(ttl[1]).toMatchObject({ expireAfterSeconds: 365 * DAY });
+    });
+  });
+
+  describe('Session', () => {
+    it('should require a user and an expiry', async () => {
+      expect(Object.keys(await errorsOf(new Session({}))).sort()).toEqual(['expiresAt', 'user']);
+    });
+
+    it('should accept only known revocation reasons', async () => {
+      const base = { user: id(), expiresAt: new Date(Date.now() + DAY * 1000) };
+      expect(await errorsOf(new Session({ ...base, revokedReason: 'token_reuse' }))).toEqual({});
+      expect(Object.keys(await errorsOf(new Session({ ...base, revokedReason: 'bored' })))).toEqual(['revokedReason']);
+    });
+
+    it('should expire sessions at expiresAt', () => {
+      expect(indexOf(Session, { expiresAt: 1 })[1]).toMatchObject({ expireAfterSeconds: 0 });
+    });
+  });
+});
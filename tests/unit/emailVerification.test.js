@@ -0,0 +1,49 @@
+// tests/unit/emailVerification.test.js
+const crypto = require('crypto');
+const { User } = require('../../src/models');
+const { emailVerificationRequired } = require('../../src/utils/authUtils');
+const { requireVerifiedEmail } = require('../../src/middlewares/authMiddleware');
+
+describe('Email verification', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('stores only a hash of the verification token, valid for a day', () => {
+    const user = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test' });
+    const token = user.createEmailVerificationToken();
+
+    expect(user.emailVerificationToken).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(user.emailVerificationToken).not.toBe(token);
+    expect(user.emailVerificationExpires - user.emailVerificationSentAt).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('reads the policy from EMAIL_VERIFICATION_REQUIRED_FOR', () => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    expect(['login', 'enrollment', 'payment', 'course_creation'].map(emailVerificationRequired)).toEqual([false, true, true, true]);
+
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = ' Login, payment ';
+    expect(emailVerificationRequired('login')).toBe(true);
+    expect(emailVerificationRequired('enrollment')).toBe(false);
+
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'none';
+    expect(emailVerificationRequired('payment')).toBe(false);
+    expect(emailVerificationRequired('none')).toBe(false);
+  });
+
+  it('blocks unverified accounts from covered actions, but not admins', () => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    const run = (user, action) => {
+      const next = jest.fn();
+      requireVerifiedEmail(action)({ user }, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    expect(run({ role: 'student', isEmailVerified: false }, 'enrollment')).toMatchObject({ statusCode: 403 });
+    expect(run({ role: 'student', isEmailVerified: true }, 'enrollment')).toBeUndefined();
+    expect(run({ role: 'admin', isEmailVerified: false }, 'payment')).toBeUndefined();
+    expect(run({ role: 'instructor', isEmailVerified: false }, 'login')).toBeUndefined();
+  });
+});
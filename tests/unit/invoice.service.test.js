@@ -0,0 +1,134 @@
+// tests/unit/invoice.service.test.js
+const { Invoice } = require('../../src/models');
+const invoicing = require('../../src/services/invoicing');
+const taxRules = require('../../src/services/invoicing/taxRules');
+const { id, query } = require('../fixtures/helpers');
+
+describe('Invoice service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.INVOICE_SELLER_STATE = 'Karnataka';
+    process.env.INVOICE_SELLER_COUNTRY = 'IN';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('picks CGST/SGST, IGST, destination VAT or zero rating from the place of supply', () => {
+    const seller = { country: 'IN', state: 'Karnataka' };
+    const taxesFor = (buyer) => taxRules.taxComponents(seller, taxRules.placeOfSupply(seller, buyer));
+
+    expect(taxesFor({ country: 'India', state: 'karnataka' })).toEqual([{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }]);
+    expect(taxesFor({ country: 'IN', state: 'Maharashtra' })).toEqual([{ name: 'IGST', rate: 18 }]);
+    // The GSTIN state wins over the billing address
+    expect(taxesFor({ country: 'IN', state: 'Karnataka', gstin: '27AAPFU0939F1ZV' })).toEqual([{ name: 'IGST', rate: 18 }]);
+    expect(taxesFor({ country: 'Germany' })).toEqual([{ name: 'VAT', rate: 19 }]);
+    expect(taxesFor({ country: 'US' })).toEqual([]);
+    expect(taxRules.placeOfSupply(seller, { country: 'IN', state: 'Maharashtra' }).label).toBe('27-Maharashtra');
+  });
+
+  it('backs tax out of the amount paid without losing a paisa', () => {
+    const split = taxRules.splitInclusive(499, [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }]);
+
+    expect(split.taxableAmount).toBe(422.88);
+    expect(split.taxes.map(t => t.amount)).toEqual([38.06, 38.06]);
+    expect(split.taxableAmount + split.taxes[0].amount + split.taxes[1].amount).toBeCloseTo(499, 2);
+    expect(taxRules.splitInclusive(100, [])).toEqual({ taxableAmount: 100, taxes: [], total: 100 });
+  });
+
+  it('numbers invoices and credit notes per financial year', async () => {
+    expect(invoicing.financialYear(new Date('2026-03-31T12:00:00'))).toBe('2025-26');
+    expect(invoicing.financialYear(new Date('2026-04-01T12:00:00'))).toBe('2026-27');
+
+    const last = jest.spyOn(Invoice, 'findOne').mockReturnValue(query({ sequence: 41 }));
+
+    expect(await invoicing.nextNumber('invoice', new Date('2026-10-19T12:00:00')))
+      .toEqual({ number: 'INV/2026-27/00042', financialYear: '2026-27', sequence: 42 });
+    expect((await invoicing.nextNumber('credit_note', new Date('2027-01-05T12:00:00'))).number).toBe('CN/2026-27/00042');
+    expect(last.mock.calls[1][0]).toEqual({ type: 'credit_note', financialYear: '2026-27', sequence: { $exists: true } });
+
+    last.mockReturnValue(query(null));
+    expect((await invoicing.nextNumber('invoice', new Date('2027-04-01T12:00:00'))).number).toBe('INV/2027-28/00001');
+  });
+
+  it('claims the invoice before numbering it, so failed or concurrent issues leave no gaps', async () => {
+    const pending = { _id: id(), type: 'invoice', status: 'pending' };
+    const issued = [];
+    let lastSequence = 6;
+    jest.spyOn(invoicing, 'nextNumber').mockImplementation(async () => ({
+      number: `INV/2026-27/0000${lastSequence + 1}`,
+      financialYear: '2026-27',
+      sequence: lastSequence + 1
+    }));
+    const update = jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+      // Another document took 7 between reading the last number and writing it
+      if ($set.sequence === 7) {
+        lastSequence = 7;
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      issued.push($set.sequence);
+      return { ...pending, ...$set };
+    });
+
+    await expect(invoicing.assignNumber(pending)).resolves.toMatchObject({ status: 'issued', sequence: 8, number: 'INV/2026-27/00008' });
+    expect(issued).toEqual([8]);
+    expect(update.mock.calls[0][0]).toEqual({ _id: pending._id, status: 'pending' });
+
+    // A claim left pending by a failed issue is numbered by the next call instead of being skipped
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(pending);
+    const create = jest.spyOn(Invoice, 'create');
+    await invoicing.issueForPayment({ _id: id(), user: id() });
+    expect(create).not.toHaveBeenCalled();
+    expect(issued).toEqual([8, 8]);
+
+    // Someone else finished the same claim first: their number is returned, none is taken
+    update.mockResolvedValue(null);
+    const findById = jest.spyOn(Invoice, 'findById').mockResolvedValue({ ...pending, status: 'issued', sequence: 8 });
+    await expect(invoicing.assignNumber(pending)).resolves.toMatchObject({ sequence: 8 });
+    expect(findById).toHaveBeenCalledWith(pending._id);
+  });
+
+  it('credits refunded lines at the rates of the original invoice', async () => {
+    const payment = { _id: id(), user: id(), currency: 'INR', amount: 1500, status: 'partially_refunded' };
+    const lines = [id(), id()];
+    const original = {
+      _id: id(),
+      number: 'INV/2026-27/00001',
+      seller: { name: 'EdTech Platform' },
+      buyer: { name: 'Asha Rao' },
+      placeOfSupply: '27-Maharashtra',
+      currency: 'INR',
+      lines: [
+        { lineItem: lines[0], itemType: 'course', description: 'Course: Node', taxes: [{ name: 'IGST', rate: 18, amount: 152.54 }] },
+        { lineItem: lines[1], itemType: 'course', description: 'Course: React', taxes: [{ name: 'IGST', rate: 18, amount: 76.27 }] }
+      ]
+    };
+
+    jest.spyOn(invoicing, 'issueForPayment').mockResolvedValue(original);
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Invoice, 'create').mockImplementation(async (doc) => ({ ...doc, _id: id(), status: 'pending' }));
+    jest.spyOn(invoicing, 'nextNumber').mockResolvedValue({ number: 'CN/2026-27/00001', financialYear: '2026-27', sequence: 1 });
+    jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({ ...create.mock.calls[0][0], ...$set }));
+
+    const note = await invoicing.issueCreditNote(payment, [{ _id: lines[1], itemType: 'course', amount: 500 }], { reason: 'Wrong course' });
+
+    expect(note).toMatchObject({
+      type: 'credit_note',
+      status: 'issued',
+      number: 'CN/2026-27/00001',
+      originalInvoice: original._id,
+      refundKey: `${payment._id}:${lines[1]}`,
+      subtotal: 423.73,
+      taxTotal: 76.27,
+      total: 500,
+      taxBreakdown: [{ name: 'IGST', rate: 18, taxableAmount: 423.73, amount: 76.27 }],
+      notes: 'Against invoice INV/2026-27/00001'
+    });
+    expect(note.lines).toHaveLength(1);
+    expect(note.lines[0].description).toBe('Course: React');
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,196 @@
+// tests/unit/judge.service.test.js
+process.env.REDIS_ENABLED = 'false';
+
+const { CodingExercise, CodingSubmission, ProgressTracking } = require('../../src/models');
+const codeRunner = require('../../src/services/codeRunner');
+const judgeService = require('../../src/services/judgeService');
+const judgeQueue = require('../../src/jobs/judgeQueue');
+const codingExerciseController = require('../../src/controllers/codingExerciseController');
+const { id, query } = require('../fixtures/helpers');
+
+const { VERDICTS } = judgeService;
+
+// Sandbox result for one run
+const run = (stdout, extra = {}) => ({
+  stdout,
+  stderr: '',
+  exitCode: 0,
+  signal: null,
+  timedOut: false,
+  memoryExceeded: false,
+  outputExceeded: false,
+  executionTime: 10,
+  memoryUsed: 2048,
+  ...extra
+});
+
+const exercise = {
+  _id: id(),
+  course: id(),
+  timeLimit: 1000,
+  memoryLimit: 128,
+  comparison: { mode: 'whitespace' },
+  testCases: [
+    { input: '1 2', expectedOutput: '3', points: 10 },
+    { input: '2 2', expectedOutput: '4', points: 10 },
+    { input: '5 5', expectedOutput: '10', points: 20, isHidden: true }
+  ]
+};
+
+// Stubs the sandbox so each test case returns the next prepared result
+const stubRunner = (runs, { compileError = null } = {}) => {
+  jest.spyOn(codeRunner, 'prepare').mockResolvedValue({ workDir: '/sandbox/test', compileError });
+  jest.spyOn(codeRunner, 'dispose').mockResolvedValue();
+  const exec = jest.spyOn(codeRunner, 'exec');
+  runs.forEach(result => exec.mockResolvedValueOnce(result));
+  return exec;
+};
+
+describe('Judge service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('maps sandbox outcomes to verdicts in order of precedence', () => {
+    expect(judgeService.verdictFor(run('3'), true)).toBe(VERDICTS.ACCEPTED);
+    expect(judgeService.verdictFor(run('4'), false)).toBe(VERDICTS.WRONG_ANSWER);
+    expect(judgeService.verdictFor(run('', { timedOut: true, memoryExceeded: true }), false)).toBe(VERDICTS.TIME_LIMIT_EXCEEDED);
+    expect(judgeService.verdictFor(run('', { memoryExceeded: true, exitCode: 137 }), false)).toBe(VERDICTS.MEMORY_LIMIT_EXCEEDED);
+    expect(judgeService.verdictFor(run('', { exitCode: 1 }), false)).toBe(VERDICTS.RUNTIME_ERROR);
+    expect(judgeService.verdictFor(run('3', { outputExceeded: true }), true)).toBe(VERDICTS.RUNTIME_ERROR);
+  });
+
+  it('grades every test, sums points and reports the first failing verdict', async () => {
+    stubRunner([run('3\n'), run('5'), run('', { timedOut: true, executionTime: 1000, memoryUsed: 4096 })]);
+
+    const evaluation = await judgeService.evaluate(exercise, 'code', 'python', exercise.testCases);
+
+    expect(evaluation.results.map(r => r.verdict)).toEqual([
+      VERDICTS.ACCEPTED,
+      VERDICTS.WRONG_ANSWER,
+      VERDICTS.TIME_LIMIT_EXCEEDED
+    ]);
+    expect(evaluation).toMatchObject({
+      verdict: VERDICTS.WRONG_ANSWER,
+      totalPoints: 10,
+      executionTime: 1000,
+      memoryUsed: 4096,
+      compileError: null
+    });
+    expect(evaluation.results[2]).toMatchObject({ isHidden: true, error: 'Time limit exceeded', points: 0 });
+    expect(codeRunner.prepare).toHaveBeenCalledWith(expect.objectContaining({ timeLimitMs: 1000, memoryMb: 128 }));
+    expect(codeRunner.dispose).toHaveBeenCalled();
+  });
+
+  it('stops at compile errors without running any test', async () => {
+    const exec = stubRunner([], { compileError: 'main.c:1: error' });
+
+    const evaluation = await judgeService.evaluate(exercise, 'code', 'c', exercise.testCases);
+
+    expect(evaluation).toMatchObject({ verdict: VERDICTS.COMPILE_ERROR, compileError: 'main.c:1: error', totalPoints: 0, results: [] });
+    expect(exec).not.toHaveBeenCalled();
+  });
+
+  it('hides the data of hidden test cases from students', () => {
+    const masked = judgeService.maskHiddenResults([
+      { testCase: '1 2', output: '3', expectedOutput: '3', passed: true, isHidden: false },
+      { testCase: '5 5', output: '9', expectedOutput: '10', passed: false, isHidden: true }
+    ]);
+
+    expect(masked[0]).toMatchObject({ testCase: '1 2', output: '3' });
+    expect(masked[1]).toEqual({ testCase: null, output: null, expectedOutput: null, passed: false, isHidden: true });
+  });
+
+  it('judges a queued submission against hidden tests and records the outcome', async () => {
+    const submission = new CodingSubmission({ exercise: exercise._id, student: id(), code: 'code', language: 'python' });
+    const saves = [];
+    jest.spyOn(submission, 'save').mockImplementation(async () => saves.push(submission.status));
+    jest.spyOn(CodingSubmission, 'findById').mockResolvedValue(submission);
+    jest.spyOn(CodingExercise, 'findById').mockReturnValue(query(exercise));
+    const progress = { save: jest.fn() };
+    jest.spyOn(ProgressTracking, 'findOne').mockResolvedValue(progress);
+    stubRunner([run('3'), run('4'), run('10')]);
+
+    await judgeService.judgeSubmission(submission._id);
+
+    expect(saves).toEqual(['running', 'completed']);
+    expect(submission).toMatchObject({ verdict: VERDICTS.ACCEPTED, totalPoints: 40 });
+    expect(submission.testResults).toHaveLength(3);
+    expect(progress.save).toHaveBeenCalled();
+  });
+
+  it('marks the submission failed, without a verdict, when the sandbox breaks', async () => {
+    const submission = new CodingSubmission({ exercise: exercise._id, student: id(), code: 'code', language: 'python' });
+    jest.spyOn(submission, 'save').mockResolvedValue(submission);
+    jest.spyOn(CodingSubmission, 'findById').mockResolvedValue(submission);
+    jest.spyOn(CodingExercise, 'findById').mockReturnValue(query(exercise));
+    jest.spyOn(codeRunner, 'prepare').mockRejectedValue(new Error('Sandbox failed to start (docker driver): spawn docker ENOENT'));
+    jest.spyOn(codeRunner, 'dispose').mockResolvedValue();
+
+    await expect(judgeService.judgeSubmission(submission._id)).rejects.toThrow('spawn docker ENOENT');
+    expect(submission.status).toBe('failed');
+    expect(submission.verdict).toBeUndefined();
+  });
+});
+
+describe('Judge queue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // The mocked queue runs its processor right after add()
+  const settle = () => new Promise(resolve => setImmediate(() => setImmediate(resolve)));
+
+  it('hands judge jobs to the judge service', async () => {
+    const submissionId = String(id());
+    const judge = jest.spyOn(judgeService, 'judgeSubmission').mockResolvedValue({
+      _id: submissionId,
+      status: 'completed',
+      verdict: VERDICTS.ACCEPTED,
+      totalPoints: 40
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await judgeQueue.add({ type: 'judge', data: { submissionId } });
+    await settle();
+
+    expect(judge).toHaveBeenCalledWith(submissionId);
+  });
+
+  it('rejects unknown job types', async () => {
+    const judge = jest.spyOn(judgeService, 'judgeSubmission');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await judgeQueue.add({ type: 'rejudge', data: {} });
+    await settle();
+
+    expect(judge).not.toHaveBeenCalled();
+    expect(errors).toHaveBeenCalledWith(expect.stringMatching(/^Judge job failed/), expect.objectContaining({ message: 'Unknown judge type: rejudge' }));
+  });
+});
+
+describe('Submission history', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('hides the data of hidden test cases from the student', async () => {
+    const submission = new CodingSubmission({
+      exercise: exercise._id,
+      student: id(),
+      code: 'code',
+      language: 'python',
+      testResults: [
+        { testCase: '1 2', output: '3', expectedOutput: '3', passed: true, isHidden: false },
+        { testCase: '5 5', output: '9', expectedOutput: '10', passed: false, isHidden: true }
+      ]
+    });
+    jest.spyOn(CodingSubmission, 'find').mockReturnValue({ sort: () => Promise.resolve([submission]) });
+    const list = async (role) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await codingExerciseController.getMySubmissions({ user: { id: String(submission.student), role }, params: { exerciseId: String(exercise._id) } }, res, jest.fn());
+      return res.json.mock.calls[0][0].data.submissions[0].testResults;
+    };
+
+    const seen = await list('student');
+    expect(seen[0]).toMatchObject({ testCase: '1 2', expectedOutput: '3' });
+    expect(seen[1]).toMatchObject({ testCase: null, output: null, expectedOutput: null, passed: false });
+
+    expect((await list('instructor'))[1]).toMatchObject({ testCase: '5 5', expectedOutput: '10' });
+  });
+});
@@ -0,0 +1,166 @@
+// tests/unit/loginSecurity.service.test.js
+jest.mock('../../src/jobs/emailQueue', () => ({ add: jest.fn().mockResolvedValue({ id: 'job' }) }));
+jest.mock('../../src/utils/email', () => jest.fn());
+
+const emailQueue = require('../../src/jobs/emailQueue');
+const { User } = require('../../src/models');
+const loginSecurityService = require('../../src/services/loginSecurityService');
+const authController = require('../../src/controllers/authController');
+const sessionService = require('../../src/services/sessionService');
+const { id, query } = require('../fixtures/helpers');
+
+const MINUTE = 60 * 1000;
+const requestFrom = (ip, browser = 'Chrome', os = 'Windows 10') => ({ ip, useragent: { browser, os, platform: 'Microsoft Windows' } });
+
+describe('Login security service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.BASE_URL = 'https://example.test';
+    emailQueue.add.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('fingerprints browser, OS and network rather than the exact address', () => {
+    expect(loginSecurityService.ipPrefix('203.0.113.57')).toBe('203.0.113.0/24');
+    expect(loginSecurityService.ipPrefix('::ffff:203.0.113.57')).toBe('203.0.113.0/24');
+    expect(loginSecurityService.ipPrefix('2001:DB8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+    expect(loginSecurityService.ipPrefix('2001:db8::1')).toBe('2001:db8:0::/48');
+    expect(loginSecurityService.ipPrefix(undefined)).toBe('unknown');
+
+    const home = loginSecurityService.deviceOf(requestFrom('203.0.113.57'));
+    expect(loginSecurityService.deviceOf(requestFrom('203.0.113.200')).fingerprint).toBe(home.fingerprint);
+    expect(loginSecurityService.deviceOf(requestFrom('198.51.100.7')).fingerprint).not.toBe(home.fingerprint);
+    expect(loginSecurityService.deviceOf(requestFrom('203.0.113.57', 'Firefox')).fingerprint).not.toBe(home.fingerprint);
+  });
+
+  it('locks the account after repeated failures, doubling the lockout each time', async () => {
+    process.env.LOGIN_MAX_ATTEMPTS = '3';
+    process.env.LOGIN_LOCKOUT_MINUTES = '5';
+    process.env.LOGIN_LOCKOUT_MAX_MINUTES = '15';
+
+    let attempts = 0;
+    const locks = [];
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(() => ({
+      select: () => Promise.resolve({ failedLoginAttempts: ++attempts })
+    }));
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$set.lockUntil) locks.push(update.$set.lockUntil);
+      return { modifiedCount: 1 };
+    });
+
+    const user = { _id: id() };
+    const results = [];
+    for (let i = 0; i < 6; i++) results.push(await loginSecurityService.recordFailure(user));
+
+    expect(results.slice(0, 2)).toEqual([null, null]);
+    const minutes = locks.map(lock => Math.round((lock - Date.now()) / MINUTE));
+    expect(minutes).toEqual([5, 10, 15, 15]);
+
+    expect(() => loginSecurityService.assertNotLocked({ lockUntil: new Date(Date.now() + 90 * 1000) }))
+      .toThrow('Too many failed login attempts. Try again in 2 minutes.');
+    expect(() => loginSecurityService.assertNotLocked({ lockUntil: new Date(Date.now() - 1) })).not.toThrow();
+  });
+
+  it('answers a locked account the same whatever the password, and keeps counting attempts', async () => {
+    const user = { _id: id(), password: 'hashed', lockUntil: new Date(Date.now() + 10 * MINUTE) };
+    user.correctPassword = jest.fn(async (candidate) => candidate === 'right-password');
+    jest.spyOn(User, 'findOne').mockReturnValue(query(user));
+    const recordFailure = jest.spyOn(loginSecurityService, 'recordFailure').mockResolvedValue(null);
+
+    const login = async (password) => {
+      const next = jest.fn();
+      await authController.login({ body: { email: 'asha@example.test', password } }, {}, next).catch(() => {});
+      return next.mock.calls[0][0];
+    };
+
+    const wrong = await login('wrong-password');
+    const right = await login('right-password');
+    expect(wrong).toMatchObject({ statusCode: 429 });
+    expect(right).toMatchObject({ statusCode: 429, message: wrong.message });
+    expect(user.correctPassword).not.toHaveBeenCalled();
+    expect(recordFailure).toHaveBeenCalledTimes(2);
+
+    user.lockUntil = undefined;
+    expect(await login('wrong-password')).toMatchObject({ statusCode: 401, message: 'Incorrect email or password' });
+    expect(recordFailure).toHaveBeenCalledTimes(3);
+  });
+
+  it('trusts the first device silently and emails about later new ones', async () => {
+    const account = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test' });
+    account.failedLoginAttempts = 4;
+    account.lockUntil = new Date(Date.now() - MINUTE);
+    jest.spyOn(User, 'findById').mockReturnValue(query(account));
+    jest.spyOn(account, 'save').mockResolvedValue(account);
+
+    await expect(loginSecurityService.recordSuccess(account, requestFrom('203.0.113.57'))).resolves.toMatchObject({ newDevice: false });
+    expect(account.knownDevices).toHaveLength(1);
+    expect(account.failedLoginAttempts).toBe(0);
+    expect(account.lockUntil).toBeUndefined();
+
+    await expect(loginSecurityService.recordSuccess(account, requestFrom('203.0.113.9'))).resolves.toMatchObject({ newDevice: false });
+    expect(emailQueue.add).not.toHaveBeenCalled();
+
+    await expect(loginSecurityService.recordSuccess(account, requestFrom('198.51.100.7', 'Safari', 'iOS'))).resolves.toMatchObject({ newDevice: true });
+    expect(account.knownDevices).toHaveLength(2);
+    expect(emailQueue.add).toHaveBeenCalledWith({
+      type: 'newDevice',
+      data: expect.objectContaining({
+        deviceInfo: expect.objectContaining({
+          browser: 'Safari',
+          os: 'iOS',
+          reportUrl: expect.stringMatching(/^https:\/\/example\.test\/api\/v1\/auth\/devices\/not-me\//)
+        })
+      })
+    });
+  });
+
+  it('"this wasn\'t me" forgets the device, ends all sessions and forces a password reset', async () => {
+    const user = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test' });
+    const device = loginSecurityService.deviceOf(requestFrom('198.51.100.7'));
+    const token = loginSecurityService.reportToken(user, device);
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const revokeAll = jest.spyOn(sessionService, 'revokeAll').mockResolvedValue(2);
+
+    await loginSecurityService.reportUnrecognizedLogin(token);
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: user._id }, {
+      $pull: { knownDevices: { fingerprint: device.fingerprint } },
+      $set: { passwordResetRequired: true }
+    });
+    expect(revokeAll).toHaveBeenCalledWith(user._id, { reason: 'unrecognized_login' });
+    expect(user.passwordResetToken).toBeDefined();
+    expect(emailQueue.add).toHaveBeenCalledWith(expect.objectContaining({ type: 'passwordReset' }));
+
+    await expect(loginSecurityService.reportUnrecognizedLogin(`${token}x`)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('only asks for confirmation when the "this wasn\'t me" link is opened', () => {
+    const user = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test' });
+    const token = loginSecurityService.reportToken(user, loginSecurityService.deviceOf(requestFrom('198.51.100.7')));
+    const report = jest.spyOn(loginSecurityService, 'reportUnrecognizedLogin');
+    const open = (linkToken) => {
+      const res = { status: jest.fn().mockReturnThis(), type: jest.fn().mockReturnThis(), send: jest.fn() };
+      authController.confirmUnrecognizedLogin({ params: { token: linkToken }, originalUrl: `/api/v1/auth/devices/not-me/${linkToken}` }, res);
+      return { status: res.status.mock.calls[0][0], html: res.send.mock.calls[0][0] };
+    };
+
+    const page = open(token);
+    expect(page.status).toBe(200);
+    expect(page.html).toContain(`<form method="post" action="/api/v1/auth/devices/not-me/${token}">`);
+    expect(report).not.toHaveBeenCalled();
+
+    const expired = open(`${token}x`);
+    expect(expired.status).toBe(400);
+    expect(expired.html).toContain('This link is invalid or has expired');
+    expect(expired.html).not.toContain('<form');
+  });
+});
@@ -0,0 +1,125 @@
+// tests/unit/mockTestAttempt.service.test.js
+const { MockTest, MockTestAttempt } = require('../../src/models');
+const mockTestAttemptService = require('../../src/services/mockTestAttemptService');
+const { id } = require('../fixtures/helpers');
+
+const buildAttempt = (overrides = {}) => {
+  const q1 = id();
+  const q2 = id();
+  const attempt = new MockTestAttempt({
+    mockTest: id(),
+    student: id(),
+    startedAt: new Date(Date.now() - 10 * 60 * 1000),
+    expiresAt: new Date(Date.now() + 50 * 60 * 1000),
+    status: 'started',
+    paper: [
+      { questionId: q1, questionModel: 'BankQuestion', options: [{ text: 'a', isCorrect: false }, { text: 'b', isCorrect: true }], marks: 2, negativeMarks: 0.5 },
+      { questionId: q2, questionModel: 'BankQuestion', options: [{ text: 'a', isCorrect: true }, { text: 'b', isCorrect: false }], marks: 2, negativeMarks: 0.5 }
+    ],
+    totalMarks: 4,
+    ...overrides
+  });
+  return { attempt, q1, q2 };
+};
+
+describe('Mock test attempt service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts answers until the grace period after the timer ends', () => {
+    const { attempt } = buildAttempt({ expiresAt: new Date(Date.now() - 5 * 1000) });
+
+    expect(mockTestAttemptService.remainingSeconds(attempt)).toBe(0);
+    expect(mockTestAttemptService.isOverdue(attempt)).toBe(false);
+    expect(mockTestAttemptService.isOverdue(attempt, new Date(Date.now() + 60 * 1000))).toBe(true);
+  });
+
+  it('upserts autosaved answers and ignores questions outside the paper', () => {
+    const { attempt, q1 } = buildAttempt();
+
+    mockTestAttemptService.mergeAnswers(attempt, [{ questionId: q1, selectedOptionIndex: 0 }]);
+    mockTestAttemptService.mergeAnswers(attempt, [
+      { questionId: q1.toString(), selectedOptionIndex: 1 },
+      { questionId: id(), selectedOptionIndex: 0 }
+    ]);
+
+    expect(attempt.answers).toHaveLength(1);
+    expect(attempt.answers[0].selectedOptionIndex).toBe(1);
+    expect(attempt.answers[0].answeredAt).toBeInstanceOf(Date);
+  });
+
+  it('does not apply negative marks to cleared answers', () => {
+    const { attempt, q1, q2 } = buildAttempt();
+    const questions = attempt.paper.map(p => ({ _id: p.questionId, options: p.options, marks: p.marks, negativeMarks: p.negativeMarks }));
+
+    const { score, answers } = mockTestAttemptService.gradeAnswers(questions, [
+      { questionId: q1, selectedOptionIndex: 1 },
+      { questionId: q2, selectedOptionIndex: null }
+    ]);
+
+    expect(score).toBe(2);
+    expect(answers.map(a => a.marksObtained)).toEqual([2, 0]);
+  });
+
+  it('grades typed paper items with partial credit', () => {
+    const { attempt, q1, q2 } = buildAttempt();
+    attempt.paper[0].set({ type: 'NUMERIC', options: [], numeric: { value: 42, tolerance: 0.5 } });
+    attempt.paper[1].set({ type: 'MATCH', options: [], matchPairs: [{ left: 'a', right: 'x' }, { left: 'b', right: 'y' }] });
+
+    mockTestAttemptService.mergeAnswers(attempt, [
+      { questionId: q1, answerText: '42.4' },
+      { questionId: q2, matches: ['x', 'x'] }
+    ]);
+    const questions = attempt.paper.map(item => ({ ...item.toObject(), _id: item.questionId }));
+    const { score, answers } = mockTestAttemptService.gradeAnswers(questions, attempt.answers);
+
+    expect(answers.map(a => a.marksObtained)).toEqual([2, 1]);
+    expect(answers[1].matches).toEqual(['x', 'x']);
+    expect(score).toBe(3);
+  });
+
+  it('terminates the attempt when the tab-switch limit is exceeded', async () => {
+    const { attempt } = buildAttempt({ tabSwitches: 2 });
+    jest.spyOn(MockTestAttempt, 'findById').mockResolvedValue(attempt);
+    jest.spyOn(attempt, 'save').mockResolvedValue(attempt);
+    jest.spyOn(MockTest, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ proctoring: { maxTabSwitches: 2, action: 'terminate' } })
+    });
+    const finalize = jest.spyOn(mockTestAttemptService, 'finalize').mockResolvedValue({ status: 'completed' });
+
+    const result = await mockTestAttemptService.recordActivity(attempt._id, attempt.student, { tabSwitches: 1 });
+
+    expect(result.terminated).toBe(true);
+    expect(attempt.isFlagged).toBe(true);
+    expect(finalize).toHaveBeenCalledWith(attempt._id, 'proctoring');
+  });
+
+  it('only flags when the policy action is flag', async () => {
+    const { attempt } = buildAttempt();
+    jest.spyOn(MockTestAttempt, 'findById').mockResolvedValue(attempt);
+    jest.spyOn(attempt, 'save').mockResolvedValue(attempt);
+    jest.spyOn(MockTest, 'findById').mockReturnValue({
+      select: () => Promise.resolve({ proctoring: { maxTabSwitches: 0, action: 'flag' } })
+    });
+    const finalize = jest.spyOn(mockTestAttemptService, 'finalize');
+
+    const result = await mockTestAttemptService.recordActivity(attempt._id, attempt.student, { tabSwitches: '1' });
+
+    expect(result.terminated).toBe(false);
+    expect(result.tabSwitchesLeft).toBe(0);
+    expect(attempt.tabSwitches).toBe(1);
+    expect(attempt.flagReason).toMatch('limit 0');
+    expect(finalize).not.toHaveBeenCalled();
+  });
+
+  it('submits overdue attempts instead of saving late answers', async () => {
+    const { attempt, q1 } = buildAttempt({ expiresAt: new Date(Date.now() - 10 * 60 * 1000) });
+    jest.spyOn(MockTestAttempt, 'findById').mockResolvedValue(attempt);
+    const finalize = jest.spyOn(mockTestAttemptService, 'finalize').mockResolvedValue(attempt);
+
+    await expect(
+      mockTestAttemptService.saveAnswers(attempt._id, attempt.student, [{ questionId: q1, selectedOptionIndex: 1 }])
+    ).rejects.toThrow('Time is up');
+    expect(finalize).toHaveBeenCalledWith(attempt._id, 'time_expired');
+    expect(attempt.answers).toHaveLength(0);
+  });
+});
@@ -0,0 +1,98 @@
+// tests/unit/mockTestPaper.service.test.js
+const { BankQuestion } = require('../../src/models');
+const mockTestPaperService = require('../../src/services/mockTestPaperService');
+const { id, query } = require('../fixtures/helpers');
+
+const makeQuestion = (subject, difficulty, n) => ({
+  _id: id(),
+  subject,
+  difficulty,
+  sectionName: subject,
+  question: `${subject} ${difficulty} question ${n}`,
+  options: [
+    { text: 'A', isCorrect: true },
+    { text: 'B', isCorrect: false },
+    { text: 'C', isCorrect: false },
+    { text: 'D', isCorrect: false }
+  ],
+  marks: 4,
+  negativeMarks: 1
+});
+
+const bank = [
+  ...Array.from({ length: 20 }, (_, i) => makeQuestion('History', 'EASY', i)),
+  ...Array.from({ length: 10 }, (_, i) => makeQuestion('Polity', 'HARD', i))
+];
+
+const mockTest = {
+  _id: id(),
+  category: id(),
+  blueprint: [
+    { sectionName: 'History', subject: 'History', difficulty: 'EASY', count: 10, marks: 2, negativeMarks: 0.5 },
+    { sectionName: 'Polity', subject: 'Polity', difficulty: 'HARD', count: 5, marks: 2, negativeMarks: 0.5 }
+  ],
+  shuffleQuestions: true,
+  shuffleOptions: true
+};
+
+describe('Mock test paper service', () => {
+  beforeEach(() => {
+    jest.spyOn(BankQuestion, 'find').mockImplementation((filter) => {
+      if (filter._id) {
+        const ids = filter._id.$in.map(String);
+        return query(bank.filter(q => ids.includes(q._id.toString())));
+      }
+      return query(bank.filter(q => q.subject === filter.subject && q.difficulty === filter.difficulty));
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('draws the blueprint counts with blueprint marks, grouped by section', async () => {
+    const { paper, totalMarks } = await mockTestPaperService.generatePaper(mockTest, 'seed-1');
+
+    expect(paper).toHaveLength(15);
+    expect(totalMarks).toBe(30);
+    expect(paper.slice(0, 10).every(p => p.sectionName === 'History')).toBe(true);
+    expect(paper.slice(10).every(p => p.sectionName === 'Polity')).toBe(true);
+    expect(new Set(paper.map(p => p.questionId.toString())).size).toBe(15);
+    expect(paper.map(p => p.order)).toEqual(Array.from({ length: 15 }, (_, i) => i + 1));
+    expect(paper[0]).toMatchObject({ marks: 2, negativeMarks: 0.5, questionModel: 'BankQuestion' });
+  });
+
+  it('is reproducible from the seed and differs between seeds', async () => {
+    const first = await mockTestPaperService.generatePaper(mockTest, 'student-a');
+    const again = await mockTestPaperService.generatePaper(mockTest, 'student-a');
+    const other = await mockTestPaperService.generatePaper(mockTest, 'student-b');
+
+    const ids = ({ paper }) => paper.map(p => p.questionId.toString());
+    expect(ids(again)).toEqual(ids(first));
+    expect(again.paper.map(p => p.optionOrder)).toEqual(first.paper.map(p => p.optionOrder));
+    expect(ids(other)).not.toEqual(ids(first));
+  });
+
+  it('keeps the correct option attached when shuffling options', async () => {
+    const { paper } = await mockTestPaperService.generatePaper(mockTest, 'seed-2');
+
+    paper.forEach(item => {
+      const shownCorrect = item.options.findIndex(o => o.isCorrect);
+      expect(item.optionOrder[shownCorrect]).toBe(0);
+      expect([...item.optionOrder].sort()).toEqual([0, 1, 2, 3]);
+    });
+    expect(paper.some(item => item.optionOrder[0] !== 0)).toBe(true);
+  });
+
+  it('rejects a blueprint the bank cannot fill', async () => {
+    const greedy = { ...mockTest, blueprint: [{ subject: 'Polity', difficulty: 'HARD', count: 11, marks: 1 }] };
+    await expect(mockTestPaperService.generatePaper(greedy, 'x')).rejects.toThrow('need 11, found 10');
+  });
+
+  it('hides answers from the student view', async () => {
+    const { paper } = await mockTestPaperService.generatePaper(mockTest, 'seed-3');
+    const shown = mockTestPaperService.forStudent(paper);
+
+    expect(shown[0].options[0]).toEqual({ text: expect.any(String) });
+    expect(shown[0]).not.toHaveProperty('correctAnswer');
+    expect(shown[0]).not.toHaveProperty('explanation');
+  });
+});
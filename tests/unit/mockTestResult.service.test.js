@@ -0,0 +1,74 @@
+// tests/unit/mockTestResult.service.test.js
+const { MockTest, MockTestAttempt } = require('../../src/models');
+const mockTestResultService = require('../../src/services/mockTestResultService');
+const { id, query } = require('../fixtures/helpers');
+
+const q1 = id();
+const q2 = id();
+const paper = [
+  { questionId: q1, sectionName: 'GS', subject: 'History', marks: 2 },
+  { questionId: q2, sectionName: 'CSAT', subject: 'Maths', marks: 2 }
+];
+
+const attempt = (student, minutesAgo, gs, csat) => ({
+  _id: id(),
+  student,
+  score: gs + csat,
+  completedAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+  paper,
+  answers: [{ questionId: q1, marksObtained: gs }, { questionId: q2, marksObtained: csat }]
+});
+
+describe('Mock test result service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('shares ranks between equal scores and reports percentiles', () => {
+    const scores = [1, 2, 2, 4];
+
+    expect(mockTestResultService.standing(scores, 4)).toEqual({ rank: 1, percentile: 100 });
+    expect(mockTestResultService.standing(scores, 2)).toEqual({ rank: 2, percentile: 75 });
+    expect(mockTestResultService.standing(scores, 1)).toEqual({ rank: 4, percentile: 25 });
+    expect(mockTestResultService.standing(scores, 3)).toEqual({ rank: 2, percentile: 75 });
+  });
+
+  it('re-ranks every attempt and ranks only first attempts', async () => {
+    const [alice, bob, carol] = [id(), id(), id()];
+    const attempts = [
+      attempt(alice, 30, 2, 0), // Submitted early, overtaken later
+      attempt(bob, 20, 2, 2),
+      attempt(carol, 10, 0, 2),
+      attempt(alice, 5, 2, 2) // Re-attempt
+    ];
+    jest.spyOn(MockTestAttempt, 'find').mockReturnValue(query(attempts));
+    const bulkWrite = jest.spyOn(MockTestAttempt, 'bulkWrite').mockResolvedValue({});
+    const updateOne = jest.spyOn(MockTest, 'updateOne').mockResolvedValue({});
+
+    const summary = await mockTestResultService.recompute(id());
+
+    expect(summary).toEqual({ ranked: 3, updated: 4 });
+    const updates = bulkWrite.mock.calls[0][0].map(op => op.updateOne.update.$set);
+    expect(updates.map(u => u.rank)).toEqual([2, 1, 2, 1]);
+    expect(updates.map(u => u.isRanked)).toEqual([true, true, true, false]);
+    expect(updates[1].percentile).toBe(100);
+    expect(updates[0].totalStudents).toBe(3);
+    expect(updates[2].sectionResults).toEqual([
+      { sectionName: 'GS', score: 0, maxMarks: 2, rank: 3, percentile: 33.33 },
+      { sectionName: 'CSAT', score: 2, maxMarks: 2, rank: 1, percentile: 100 }
+    ]);
+    expect(updates[0].subjectResults[0]).toMatchObject({ subject: 'History', rank: 1 });
+    expect(updateOne).toHaveBeenCalledWith(expect.any(Object), { resultsComputedAt: expect.any(Date) });
+  });
+
+  it('hides standings until the result publish date', () => {
+    const completed = { score: 10, rank: 3, percentile: 90, totalStudents: 30, sectionResults: [] };
+    const later = { resultPublishAt: new Date(Date.now() + 60 * 60 * 1000) };
+    const earlier = { resultPublishAt: new Date(Date.now() - 1000) };
+
+    const hidden = mockTestResultService.redact(completed, later);
+    expect(hidden).toMatchObject({ score: 10, resultPublishAt: later.resultPublishAt });
+    expect(hidden).not.toHaveProperty('rank');
+    expect(hidden).not.toHaveProperty('percentile');
+    expect(mockTestResultService.redact(completed, earlier)).toBe(completed);
+    expect(mockTestResultService.isPublished({ resultPublishAt: null })).toBe(true);
+  });
+});
@@ -0,0 +1,180 @@
+// tests/unit/oidc.service.test.js
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { User, StudentProfile } = require('../../src/models');
+const oidcService = require('../../src/services/oidcService');
+const { id, query } = require('../fixtures/helpers');
+
+// A minimal OpenID Connect provider: discovery, keys, token and userinfo endpoints
+const startIssuer = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const issuer = { codes: new Map(), claims: { sub: 'provider-user-1', email: 'Asha@Example.test', email_verified: true, name: 'Asha Rao' } };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        userinfo_endpoint: `${issuer.url}/userinfo`,
+        jwks_uri: `${issuer.url}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        const pending = issuer.codes.get(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(String(form.get('code_verifier'))).digest('base64url');
+        if (!pending || pending.challenge !== challenge || form.get('client_id') !== 'test-client') {
+          return send(400, { error: 'invalid_grant' });
+        }
+        issuer.codes.delete(form.get('code'));
+
+        const idToken = jwt.sign(
+          { ...issuer.claims, nonce: pending.nonce },
+          issuer.signingKey || privateKey,
+          { algorithm: 'RS256', keyid: 'key-1', issuer: issuer.url, audience: 'test-client', expiresIn: '5m' }
+        );
+        send(200, { access_token: 'access', token_type: 'Bearer', id_token: idToken });
+      });
+      return undefined;
+    }
+    return send(404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer.url = `http://127.0.0.1:${server.address().port}`;
+  issuer.server = server;
+
+  // What the authorization endpoint would do after the user consents
+  issuer.authorize = (authorizationUrl) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    issuer.codes.set(code, { challenge: params.get('code_challenge'), nonce: params.get('nonce') });
+    return { code, state: params.get('state') };
+  };
+  return issuer;
+};
+
+describe('OpenID Connect service', () => {
+  const env = { ...process.env };
+  let issuer;
+
+  beforeAll(async () => {
+    issuer = await startIssuer();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => issuer.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.BASE_URL = 'https://example.test';
+    process.env.OIDC_PROVIDERS = 'acme, github';
+    process.env.OIDC_ACME_CLIENT_ID = 'test-client';
+    process.env.OIDC_ACME_CLIENT_SECRET = 'test-client-secret';
+    process.env.OIDC_ACME_ISSUER = issuer.url;
+    process.env.OIDC_ACME_LABEL = 'Acme ID';
+    delete issuer.signingKey;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('lists only configured providers and builds a PKCE authorization request', async () => {
+    expect(oidcService.providers().map(({ name, label }) => ({ name, label }))).toEqual([{ name: 'acme', label: 'Acme ID' }]);
+    expect(() => oidcService.provider('github')).toThrow('Unknown sign-in provider');
+
+    const { url, stateToken } = await oidcService.authorizationRequest('acme');
+    const params = new URL(url).searchParams;
+    expect(url.startsWith(`${issuer.url}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe('test-client');
+    expect(params.get('redirect_uri')).toBe('https://example.test/api/v1/auth/oidc/acme/callback');
+    expect(params.get('code_challenge_method')).toBe('S256');
+
+    const saved = jwt.verify(stateToken, 'test-secret:oidc');
+    expect(saved).toMatchObject({ provider: 'acme', state: params.get('state'), nonce: params.get('nonce') });
+    expect(params.get('code_challenge')).toBe(crypto.createHash('sha256').update(saved.verifier).digest('base64url'));
+  });
+
+  it('exchanges the code and verifies the ID token', async () => {
+    const { url, stateToken } = await oidcService.authorizationRequest('acme');
+    const { profile, linkUserId } = await oidcService.identify('acme', issuer.authorize(url), stateToken);
+
+    expect(linkUserId).toBeUndefined();
+    expect(profile).toEqual({
+      subject: 'provider-user-1',
+      email: 'asha@example.test',
+      emailVerified: true,
+      firstName: 'Asha',
+      lastName: 'Rao',
+      picture: undefined
+    });
+  });
+
+  it('rejects a mismatched state and a token signed with another key', async () => {
+    const { url, stateToken } = await oidcService.authorizationRequest('acme');
+    const callback = issuer.authorize(url);
+    await expect(oidcService.identify('acme', { ...callback, state: 'forged' }, stateToken)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(oidcService.identify('acme', callback, `${stateToken}x`)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(oidcService.identify('acme', { error: 'access_denied' }, stateToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    issuer.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    await expect(oidcService.identify('acme', callback, stateToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('links only through verified emails and keeps identities unique', async () => {
+    const profile = { subject: 'provider-user-1', email: 'asha@example.test', emailVerified: true, firstName: 'Asha', lastName: 'Rao' };
+    const account = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test', isEmailVerified: false });
+    jest.spyOn(account, 'save').mockResolvedValue(account);
+    const findOne = jest.spyOn(User, 'findOne').mockImplementation(async (filter) => (filter.email ? account : null));
+
+    // An unverified local account could belong to someone else
+    await expect(oidcService.resolveUser('acme', profile, undefined)).rejects.toMatchObject({ statusCode: 409 });
+
+    account.isEmailVerified = true;
+    await expect(oidcService.resolveUser('acme', { ...profile, emailVerified: false }, undefined)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(oidcService.resolveUser('acme', profile, undefined)).resolves.toMatchObject({ user: account, linked: true });
+    expect(account.identities[0]).toMatchObject({ provider: 'acme', subject: 'provider-user-1' });
+
+    // Linking an identity that already belongs to someone else
+    findOne.mockResolvedValue(account);
+    await expect(oidcService.resolveUser('acme', profile, String(id()))).rejects.toMatchObject({ statusCode: 409 });
+
+    // No match at all: a new student account without a password
+    findOne.mockResolvedValue(null);
+    const create = jest.spyOn(User, 'create').mockImplementation(async (data) => new User(data));
+    jest.spyOn(StudentProfile, 'create').mockResolvedValue({});
+    const { user, created } = await oidcService.resolveUser('acme', { ...profile, email: 'new@example.test' }, undefined);
+    expect(created).toBe(true);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ role: 'student', isEmailVerified: true }));
+    expect(user.validateSync()).toBeUndefined();
+  });
+
+  it('refuses to unlink the only way to sign in', async () => {
+    const user = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test', identities: [{ provider: 'acme', subject: '1' }] });
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    await expect(oidcService.unlink(user._id, 'acme')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(oidcService.unlink(user._id, 'github')).rejects.toMatchObject({ statusCode: 404 });
+
+    user.password = 'hashed-password';
+    await expect(oidcService.unlink(user._id, 'acme')).resolves.toBe(user);
+    expect(user.identities).toHaveLength(0);
+  });
+});
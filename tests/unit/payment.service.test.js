@@ -0,0 +1,196 @@
+// tests/unit/payment.service.test.js
+const { Payment, PaymentEvent, Enrollment, ProgressTracking, Cart } = require('../../src/models');
+const paymentService = require('../../src/services/payments');
+const fakeGateway = require('../../src/services/payments/gateways/fake');
+const invoicing = require('../../src/services/invoicing');
+const payoutService = require('../../src/services/payoutService');
+const { id } = require('../fixtures/helpers');
+
+const buildPayment = (overrides = {}) => ({
+  _id: id(),
+  user: id(),
+  course: id(),
+  amount: 499,
+  status: 'pending',
+  paymentGateway: 'fake',
+  transactionId: 'fake_pi_1',
+  fulfilledAt: null,
+  ...overrides
+});
+
+describe('Payment service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PAYMENT_GATEWAY = 'fake';
+    process.env.FAKE_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('only allows the documented status transitions', async () => {
+    expect(paymentService.canTransition('pending', 'success')).toBe(true);
+    expect(paymentService.canTransition('failed', 'success')).toBe(true);
+    expect(paymentService.canTransition('refunded', 'success')).toBe(false);
+    expect(paymentService.canTransition('pending', 'refunded')).toBe(false);
+
+    await expect(paymentService.transition(buildPayment({ status: 'refunded' }), 'success'))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const same = buildPayment({ status: 'success' });
+    expect(await paymentService.transition(same, 'success')).toEqual({ payment: same, changed: false });
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const { rawBody } = fakeGateway.buildWebhook('payment.succeeded', { transactionId: 'fake_pi_1' });
+    const create = jest.spyOn(PaymentEvent, 'create');
+
+    await expect(paymentService.handleWebhook('fake', rawBody, { 'x-fake-signature': 'forged' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(paymentService.handleWebhook('paypal', rawBody, {}))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('serves the fake gateway only on explicit opt-in and with a secret of its own', async () => {
+    const { rawBody, headers } = fakeGateway.buildWebhook('payment.succeeded', { transactionId: 'fake_pi_1' });
+
+    process.env.PAYMENT_GATEWAY = 'stripe';
+    expect(() => paymentService.getGateway('fake')).toThrow('The fake payment gateway is not enabled');
+    await expect(paymentService.handleWebhook('fake', rawBody, headers)).rejects.toMatchObject({ statusCode: 404 });
+
+    delete process.env.PAYMENT_GATEWAY;
+    expect(() => paymentService.getGateway()).toThrow('No payment gateway is configured');
+
+    process.env.PAYMENT_GATEWAY = 'fake';
+    delete process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+    await expect(paymentService.handleWebhook('fake', rawBody, headers)).rejects.toMatchObject({ statusCode: 500 });
+  });
+
+  it('settles and fulfils a payment from a webhook, and skips redelivered events', async () => {
+    const payment = buildPayment();
+    const { rawBody, headers } = fakeGateway.buildWebhook('payment.succeeded', { transactionId: payment.transactionId }, 'evt_1');
+
+    jest.spyOn(PaymentEvent, 'create')
+      .mockResolvedValueOnce({ _id: id() })
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(PaymentEvent, 'findOneAndUpdate').mockResolvedValue(null); // Not a failed event
+    const logUpdate = jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+    const paymentUpdate = jest.spyOn(Payment, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => ({ ...payment, ...(update.$set || update) }));
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+    const enroll = jest.spyOn(Enrollment, 'create').mockResolvedValue({});
+    jest.spyOn(ProgressTracking, 'updateOne').mockResolvedValue({});
+    const cartCleanup = jest.spyOn(Cart, 'updateOne').mockResolvedValue({});
+    const issueInvoice = jest.spyOn(invoicing, 'issueForPayment').mockResolvedValue({ _id: id() });
+    jest.spyOn(invoicing, 'sendReceipt').mockResolvedValue();
+    const earnings = jest.spyOn(payoutService, 'recordSale').mockResolvedValue();
+
+    const first = await paymentService.handleWebhook('fake', rawBody, headers);
+    const second = await paymentService.handleWebhook('fake', rawBody, headers);
+
+    expect(first).toEqual({ eventId: 'evt_1', outcome: 'processed' });
+    expect(second).toEqual({ eventId: 'evt_1', outcome: 'duplicate' });
+    expect(paymentUpdate.mock.calls[0][0]).toEqual({ _id: payment._id, status: 'pending' });
+    expect(paymentUpdate.mock.calls[0][1].$push.statusHistory).toMatchObject({ from: 'pending', to: 'success', source: 'webhook', eventId: 'evt_1' });
+    expect(enroll).toHaveBeenCalledTimes(1);
+    expect(issueInvoice).toHaveBeenCalledTimes(1);
+    expect(earnings).toHaveBeenCalledTimes(1);
+    expect(cartCleanup.mock.calls[0][1]).toEqual({ $pull: { items: { $or: [{ itemType: 'course', course: payment.course }] } } });
+    expect(logUpdate).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ status: 'processed' }));
+  });
+
+  it('fulfils exactly once and releases the claim when fulfilment fails', async () => {
+    const payment = buildPayment({ status: 'success' });
+    const claim = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValueOnce(null);
+
+    expect(await paymentService.fulfil(payment)).toBe(false); // Already fulfilled
+
+    claim.mockResolvedValueOnce({ ...payment, fulfilledAt: new Date() });
+    jest.spyOn(Enrollment, 'findOne').mockRejectedValue(new Error('db down'));
+    const release = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+    await expect(paymentService.fulfil(payment)).rejects.toThrow('db down');
+    expect(release).toHaveBeenCalledWith({ _id: payment._id }, { fulfilledAt: null });
+  });
+
+  it('turns a subscriber\'s enrollment into a purchase that outlives the subscription', async () => {
+    const payment = buildPayment({ status: 'success' });
+    const update = jest.spyOn(Enrollment, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(ProgressTracking, 'updateOne').mockResolvedValue({});
+    const purchase = {
+      $set: { payment: payment._id, isActive: true, isRevoked: false },
+      $unset: { subscription: '', expiryDate: '' }
+    };
+
+    // Lapsed subscription: deactivated, with an expiry in the past
+    const lapsed = { _id: id(), isActive: false, subscription: id(), expiryDate: new Date(Date.now() - 1000) };
+    jest.spyOn(Enrollment, 'findOne').mockResolvedValue(lapsed);
+    await paymentService.fulfilItem(payment, { itemType: 'course', course: payment.course });
+    expect(update).toHaveBeenLastCalledWith(lapsed._id, purchase);
+
+    // Still subscribed
+    const current = { _id: id(), isActive: true, subscription: id(), expiryDate: new Date(Date.now() + 1000) };
+    Enrollment.findOne.mockResolvedValue(current);
+    await paymentService.fulfilItem(payment, { itemType: 'course', course: payment.course });
+    expect(update).toHaveBeenLastCalledWith(current._id, purchase);
+
+    // Already bought: nothing to change
+    update.mockClear();
+    Enrollment.findOne.mockResolvedValue({ _id: id(), isActive: true, payment: id() });
+    await paymentService.fulfilItem(payment, { itemType: 'course', course: payment.course });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('refunds single line items and revokes only their access', async () => {
+    const [nodeCourse, reactCourse] = [id(), id()];
+    const payment = new Payment({
+      user: id(),
+      amount: 117,
+      currency: 'USD',
+      status: 'success',
+      paymentGateway: 'fake',
+      transactionId: 'fake_pi_2',
+      lineItems: [
+        { itemType: 'course', course: nodeCourse, listPrice: 100, price: 80, discount: 8, amount: 72 },
+        { itemType: 'course', course: reactCourse, listPrice: 50, price: 50, discount: 5, amount: 45 }
+      ]
+    });
+    const gatewayRefund = jest.spyOn(fakeGateway, 'refund');
+    const update = jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, change) => ({ ...payment.toObject(), status: change.$set.status }));
+    const revoke = jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue({});
+    const creditNote = jest.spyOn(invoicing, 'issueCreditNote').mockResolvedValue({});
+    const reversal = jest.spyOn(payoutService, 'recordRefund').mockResolvedValue();
+
+    const updated = await paymentService.refund(payment, { lineItemIds: [payment.lineItems[1]._id], reason: 'Wrong course' });
+
+    expect(updated.status).toBe('partially_refunded');
+    expect(gatewayRefund).toHaveBeenCalledWith(payment, 45, String(payment.lineItems[1]._id));
+    expect(update.mock.calls[0][1].$inc).toEqual({ refundAmount: 45 });
+    expect(update.mock.calls[0][2].arrayFilters).toEqual([{ 'refunded._id': { $in: [payment.lineItems[1]._id] } }]);
+    expect(revoke).toHaveBeenCalledTimes(1);
+    expect(revoke.mock.calls[0][0]).toEqual({ payment: payment._id, course: reactCourse });
+    expect(creditNote.mock.calls[0][1]).toEqual([payment.lineItems[1]]);
+    expect(reversal.mock.calls[0][1]).toEqual([payment.lineItems[1]]);
+
+    await expect(paymentService.refund(payment, { lineItemIds: [id()] })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('ignores a failure event delivered after the payment succeeded', async () => {
+    const payment = buildPayment({ status: 'success', fulfilledAt: new Date() });
+    const { rawBody, headers } = fakeGateway.buildWebhook('payment.failed', { transactionId: payment.transactionId });
+
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue({ _id: id() });
+    const logUpdate = jest.spyOn(PaymentEvent, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+
+    const result = await paymentService.handleWebhook('fake', rawBody, headers);
+
+    expect(result.outcome).toBe('ignored');
+    expect(logUpdate.mock.calls[0][1]).toMatchObject({ status: 'ignored', error: 'Cannot move a success payment to failed' });
+  });
+});
@@ -0,0 +1,107 @@
+// tests/unit/payout.service.test.js
+const { Course, LedgerEntry, PayoutBatch, InstructorProfile } = require('../../src/models');
+const payoutService = require('../../src/services/payoutService');
+const { id, query } = require('../fixtures/helpers');
+
+describe('Payout service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PLATFORM_FEE_PERCENT = '30';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('shares course earnings by revenue share, equally, or with the primary instructor', () => {
+    const [lead, co, former] = [id(), id(), id()];
+
+    expect(payoutService.courseShares({
+      instructors: [
+        { instructor: lead, revenueShare: 70, isActive: true },
+        { instructor: co, revenueShare: 30, isActive: true },
+        { instructor: former, revenueShare: 50, isActive: false }
+      ]
+    })).toEqual([{ instructor: lead, percent: 70 }, { instructor: co, percent: 30 }]);
+
+    expect(payoutService.courseShares({ instructors: [{ instructor: lead }, { instructor: co }] }).map(s => s.percent))
+      .toEqual([50, 50]);
+    expect(payoutService.courseShares({ instructors: [], primaryInstructor: lead }))
+      .toEqual([{ instructor: lead, percent: 100 }]);
+
+    const parts = payoutService.split(100, [{ percent: 33.33 }, { percent: 33.33 }, { percent: 33.34 }]);
+    expect(parts.map(p => p.amount)).toEqual([33.33, 33.33, 33.34]);
+  });
+
+  it('credits co-instructors from the taxable value and charges the platform fee once', async () => {
+    const [lead, co, courseId] = [id(), id(), id()];
+    const payment = {
+      _id: id(),
+      currency: 'INR',
+      lineItems: [{ _id: id(), itemType: 'course', course: courseId, title: 'Node', amount: 1180, status: 'active' }]
+    };
+    const invoice = { lines: [{ lineItem: payment.lineItems[0]._id, taxableAmount: 1000 }] };
+
+    jest.spyOn(Course, 'findById').mockReturnValue(query({
+      instructors: [{ instructor: lead, revenueShare: 60 }, { instructor: co, revenueShare: 40 }]
+    }));
+    const insert = jest.spyOn(LedgerEntry, 'insertMany')
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(Object.assign(new Error('dup'), { writeErrors: [{ code: 11000 }, { code: 11000 }] }));
+
+    await payoutService.recordSale(payment, invoice);
+    await payoutService.recordSale(payment, invoice); // Redelivered: keys already recorded
+
+    const entries = insert.mock.calls[0][0];
+    expect(entries.map(e => [e.type, e.amount])).toEqual([
+      ['sale', 600], ['platform_fee', -180], ['sale', 400], ['platform_fee', -120]
+    ]);
+    expect(entries[0]).toMatchObject({ instructor: lead, currency: 'INR', course: courseId, sharePercent: 60 });
+    expect(entries[0].key).toBe(`sale:${payment._id}:${payment.lineItems[0]._id}:${lead}`);
+    expect(insert.mock.calls[0][1]).toEqual({ ordered: false });
+  });
+
+  it('reverses the credit and the fee of refunded items', async () => {
+    const [instructor, lineItem] = [id(), id()];
+    const payment = { _id: id() };
+    const credited = [
+      { instructor, type: 'sale', amount: 600, currency: 'INR', payment: payment._id, lineKey: String(lineItem), itemType: 'course' },
+      { instructor, type: 'platform_fee', amount: -180, currency: 'INR', payment: payment._id, lineKey: String(lineItem), itemType: 'course' }
+    ];
+    const find = jest.spyOn(LedgerEntry, 'find').mockReturnValue(query(credited));
+    const insert = jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+
+    await payoutService.recordRefund(payment, [{ _id: lineItem }]);
+
+    expect(find.mock.calls[0][0].lineKey).toEqual({ $in: [String(lineItem)] });
+    expect(insert.mock.calls[0][0].map(e => [e.type, e.amount])).toEqual([['refund', -600], ['fee_reversal', 180]]);
+  });
+
+  it('pays positive month-end balances and debits them from the ledger', async () => {
+    const [paid, inDebt] = [id(), id()];
+    jest.spyOn(PayoutBatch, 'findOne').mockResolvedValue(null);
+    jest.spyOn(PayoutBatch, 'exists').mockResolvedValue(null);
+    jest.spyOn(LedgerEntry, 'aggregate').mockResolvedValue([
+      { _id: { instructor: paid, currency: 'INR' }, balance: 700, openingBalance: 100, sales: 1000, fees: -300, refunds: -100, adjustments: 0 },
+      { _id: { instructor: inDebt, currency: 'INR' }, balance: -50, openingBalance: 0, sales: 0, fees: 0, refunds: -50, adjustments: 0 }
+    ]);
+    jest.spyOn(InstructorProfile, 'find').mockReturnValue(query([{ user: paid, paymentDetails: { bankName: 'SBI' } }]));
+    const create = jest.spyOn(PayoutBatch, 'create').mockImplementation(async (doc) => new PayoutBatch(doc));
+    const insert = jest.spyOn(LedgerEntry, 'insertMany').mockResolvedValue([]);
+
+    await expect(payoutService.generateBatch('2999-01')).rejects.toMatchObject({ statusCode: 400 });
+    const batch = await payoutService.generateBatch('2025-09');
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(batch.periodEnd).toEqual(new Date('2025-10-01T00:00:00Z'));
+    expect(batch.payouts).toHaveLength(1);
+    expect(batch.payouts[0]).toMatchObject({ amount: 700, status: 'pending', summary: { sales: 1000, fees: -300 } });
+    expect(batch.payouts[0].paymentDetails.bankName).toBe('SBI');
+
+    const [debit] = insert.mock.calls[0][0];
+    expect(debit).toMatchObject({ instructor: paid, type: 'payout', amount: -700, payoutBatch: batch._id });
+    expect(debit.at).toEqual(new Date('2025-09-30T23:59:59.999Z'));
+  });
+});
@@ -0,0 +1,93 @@
+// tests/unit/pricing.service.test.js
+const { ExchangeRate, User } = require('../../src/models');
+const pricingService = require('../../src/services/pricingService');
+const couponService = require('../../src/services/couponService');
+const { roundAmount, toMinor, fromMinor } = require('../../src/utils/currency');
+const { days, query } = require('../fixtures/helpers');
+
+const withRates = (rows) => jest.spyOn(ExchangeRate, 'find').mockReturnValue(query(rows));
+
+describe('Pricing service', () => {
+  beforeEach(() => {
+    pricingService.cache = null;
+    delete process.env.BASE_CURRENCY;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rounds and charges each currency in its own minor unit', () => {
+    expect(roundAmount(1234.567, 'USD')).toBe(1234.57);
+    expect(roundAmount(1234.567, 'JPY')).toBe(1235);
+    expect(roundAmount(1.23456, 'KWD')).toBe(1.235);
+    expect(roundAmount(8299.4, 'INR', 1)).toBe(8299);
+    expect(roundAmount(10.03, 'CHF', 0.05)).toBe(10.05);
+
+    expect(toMinor(19.99, 'USD')).toBe(1999);
+    expect(toMinor(1500, 'JPY')).toBe(1500);
+    expect(fromMinor(1999, 'usd')).toBe(19.99);
+  });
+
+  it('prices from the price list first, then converts with the FX table', async () => {
+    const rates = withRates([
+      { currency: 'INR', rate: 83.2, roundingIncrement: 1 },
+      { currency: 'JPY', rate: 150 }
+    ]);
+    const course = {
+      currency: 'USD', price: 100, discountPrice: 80, discountStartDate: days(-1), discountEndDate: days(1),
+      prices: [{ currency: 'EUR', price: 95, discountPrice: 75 }]
+    };
+
+    await expect(pricingService.quote(course, null)).resolves.toMatchObject({ currency: 'USD', listPrice: 100, price: 80 });
+    await expect(pricingService.quote(course, 'EUR')).resolves.toMatchObject({ currency: 'EUR', listPrice: 95, price: 75 });
+    await expect(pricingService.quote({ ...course, discountEndDate: days(-1) }, 'EUR')).resolves.toMatchObject({ price: 95 });
+    expect(rates).not.toHaveBeenCalled();
+
+    await expect(pricingService.quote(course, 'INR')).resolves.toMatchObject({ currency: 'INR', listPrice: 8320, price: 6656 });
+    await expect(pricingService.quote({ price: 33.33 }, 'JPY')).resolves.toMatchObject({ currency: 'JPY', price: 5000 });
+    await expect(pricingService.quote(course, 'GBP')).rejects.toThrow('No exchange rate is set for GBP');
+    expect(rates).toHaveBeenCalledTimes(1); // Cached between calls
+  });
+
+  it('picks the currency of the buyer\'s country when prices can be shown in it', async () => {
+    withRates([{ currency: 'INR', rate: 83 }]);
+
+    await expect(pricingService.currencyForUser({ address: { country: 'India' } })).resolves.toBe('INR');
+    await expect(pricingService.currencyForUser({ address: { country: 'JP' } })).resolves.toBeNull();
+    await expect(pricingService.currencyForUser({ address: {} })).resolves.toBeNull();
+
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ address: { country: 'IN' } }) }) });
+    await expect(pricingService.currencyForUser('64b000000000000000000001')).resolves.toBe('INR');
+
+    await expect(pricingService.resolveCurrency(null, 'gbp')).rejects.toThrow('Prices are not available in GBP');
+    await expect(pricingService.resolveCurrency(null, 'usd')).resolves.toBe('USD');
+  });
+
+  it('snapshots payments in the base currency and reports old ones at today\'s rate', async () => {
+    process.env.BASE_CURRENCY = 'inr';
+    const rates = await (withRates([{ base: 'INR', currency: 'USD', rate: 0.012 }]), pricingService.rates());
+
+    await expect(pricingService.toBase(12, 'USD')).resolves.toEqual({ baseCurrency: 'INR', baseAmount: 1000, fxRate: 0.012 });
+    await expect(pricingService.toBase(500, 'INR')).resolves.toEqual({ baseCurrency: 'INR', baseAmount: 500, fxRate: 1 });
+    await expect(pricingService.toBase(5, 'EUR')).resolves.toEqual({ baseCurrency: 'INR', baseAmount: null, fxRate: null });
+
+    expect(pricingService.baseAmountExpression(rates)).toEqual({
+      $ifNull: ['$baseAmount', {
+        $switch: {
+          branches: [{ case: { $eq: ['$currency', 'USD'] }, then: { $divide: ['$amount', 0.012] } }],
+          default: '$amount'
+        }
+      }]
+    });
+  });
+
+  it('converts fixed coupon amounts into the order currency', async () => {
+    withRates([{ currency: 'INR', rate: 80 }]);
+    const lines = [{ itemType: 'course', itemId: 'a', price: 4000, currency: 'INR' }];
+    const coupon = { discountType: 'fixed_amount', discountValue: 10, minOrderValue: 40 };
+
+    const convert = await pricingService.converter([coupon.currency], 'INR');
+    expect(couponService.allocate([coupon], lines, convert).discounts).toEqual([800]);
+    expect(couponService.allocate([{ ...coupon, minOrderValue: 60 }], lines, convert).discounts).toEqual([0]);
+    expect(couponService.allocate([{ ...coupon, currency: 'EUR' }], lines, convert).applied).toEqual([]);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/questionGrader.test.js
+const questionGrader = require('../../src/services/grading');
+
+const options = (...correct) => ['A', 'B', 'C', 'D'].map((text, i) => ({ text, isCorrect: correct.includes(i) }));
+
+describe('Question grader', () => {
+  it('resolves aliases and untyped legacy questions', () => {
+    expect(questionGrader.typeOf({ type: 'MULTIPLE-CHOICE' })).toBe('SINGLE_CHOICE');
+    expect(questionGrader.typeOf({ type: 'true-false' })).toBe('TRUE_FALSE');
+    expect(questionGrader.typeOf({ options: options(1) })).toBe('SINGLE_CHOICE');
+    expect(questionGrader.typeOf({ correctAnswer: 'Delhi' })).toBe('SHORT_ANSWER');
+    expect(questionGrader.validate({ type: 'DRAWING' })).toMatch('Unsupported');
+  });
+
+  it('gives partial credit for multiple select, with wrong picks cancelling right ones', () => {
+    const question = { type: 'MULTIPLE_SELECT', options: options(0, 1, 2) };
+    const scoring = { marks: 3, negativeMarks: 1 };
+
+    expect(questionGrader.grade(question, { selectedOptionIndexes: [0, 1, 2] }, scoring)).toMatchObject({ isCorrect: true, marksObtained: 3 });
+    expect(questionGrader.grade(question, { selectedOptionIndexes: [0, 1] }, scoring)).toMatchObject({ isCorrect: false, marksObtained: 2 });
+    expect(questionGrader.grade(question, { selectedOptionIndexes: [0, 1, 3] }, scoring).marksObtained).toBe(1);
+    expect(questionGrader.grade(question, { selectedOptionIndexes: [0, 1, 2, 3] }, scoring).marksObtained).toBe(2);
+    expect(questionGrader.grade(question, { selectedOptionIndexes: [3] }, scoring).marksObtained).toBe(-1);
+    expect(questionGrader.grade({ ...question, partialCredit: false }, { selectedOptionIndexes: [0, 1] }, scoring).marksObtained).toBe(-1);
+  });
+
+  it('accepts numeric answers within the tolerance or range', () => {
+    const tolerance = { type: 'NUMERIC', numeric: { value: 9.81, tolerance: 0.05 } };
+    const range = { type: 'NUMERIC', numeric: { min: 10, max: 12 } };
+
+    expect(questionGrader.grade(tolerance, { answerText: '9.85' }, { marks: 1 }).isCorrect).toBe(true);
+    expect(questionGrader.grade(tolerance, { answerText: '9.9' }, { marks: 1 }).isCorrect).toBe(false);
+    expect(questionGrader.grade({ type: 'NUMERIC', numeric: { value: 0.3 } }, { answerText: String(0.1 + 0.2) }).isCorrect).toBe(true);
+    expect(questionGrader.grade(range, { answerText: '12' }).isCorrect).toBe(true);
+    expect(questionGrader.grade(range, { answerText: 'twelve' }).isCorrect).toBe(false);
+    expect(questionGrader.correctAnswer(range)).toBe('10 to 12');
+  });
+
+  it('matches blanks against accepted answers per blank', () => {
+    const question = {
+      type: 'FILL_BLANK',
+      blanks: [{ acceptedAnswers: ['Mitochondria', 'mitochondrion'] }, { acceptedAnswers: ['ATP'] }]
+    };
+
+    expect(questionGrader.grade(question, { blanks: [' mitochondrion ', 'atp'] }, { marks: 2 }).marksObtained).toBe(2);
+    expect(questionGrader.grade(question, { blanks: ['nucleus', 'ATP'] }, { marks: 2 }).marksObtained).toBe(1);
+    expect(questionGrader.grade({ ...question, caseSensitive: true }, { blanks: ['Mitochondria', 'atp'] }, { marks: 2 }).marksObtained).toBe(1);
+    expect(questionGrader.grade({ ...question, blanks: [question.blanks[1]] }, { answerText: 'ATP' }, { marks: 2 }).isCorrect).toBe(true);
+  });
+
+  it('grades true/false from legacy booleans, text and options', () => {
+    const question = { type: 'TRUE_FALSE', correctAnswer: 'false' };
+
+    expect(questionGrader.grade(question, { selectedOption: false }).isCorrect).toBe(true);
+    expect(questionGrader.grade(question, { answerText: 'True' }).isCorrect).toBe(false);
+    expect(questionGrader.grade({ type: 'TRUE_FALSE', options: [{ text: 'True', isCorrect: true }, { text: 'False' }] }, { selectedOptionIndex: 0 }).isCorrect).toBe(true);
+  });
+
+  it('grades match-the-following and ordering by position', () => {
+    const match = { type: 'MATCH', matchPairs: [{ left: 'H2O', right: 'Water' }, { left: 'NaCl', right: 'Salt' }] };
+    const ordering = { type: 'ORDERING', orderItems: ['Mercury', 'Venus', 'Earth', 'Mars'], partialCredit: false };
+
+    expect(questionGrader.grade(match, { matches: ['Water', 'Salt'] }, { marks: 4 }).marksObtained).toBe(4);
+    expect(questionGrader.grade(match, { matches: ['Salt', 'Salt'] }, { marks: 4 }).marksObtained).toBe(2);
+    expect(questionGrader.grade(ordering, { sequence: ['Mercury', 'Venus', 'Earth', 'Mars'] }, { marks: 1 }).isCorrect).toBe(true);
+    expect(questionGrader.grade(ordering, { sequence: ['Venus', 'Mercury', 'Earth', 'Mars'] }, { marks: 1 }).marksObtained).toBe(0);
+  });
+
+  it('leaves essays for manual review and does not penalize unanswered questions', () => {
+    expect(questionGrader.grade({ type: 'ESSAY' }, { answerText: 'Long answer' }, { marks: 10, negativeMarks: 2 }))
+      .toMatchObject({ needsReview: true, marksObtained: 0 });
+    expect(questionGrader.grade({ type: 'NUMERIC', numeric: { value: 1 } }, { answerText: '  ' }, { marks: 1, negativeMarks: 1 }))
+      .toMatchObject({ attempted: false, marksObtained: 0 });
+  });
+
+  it('hides the answer key from the student view', () => {
+    const seeded = () => 0.5;
+    const match = questionGrader.forStudent({ type: 'MATCH', matchPairs: [{ left: 'a', right: '1' }, { left: 'b', right: '2' }, { left: 'c', right: '3' }] }, seeded);
+    const choice = questionGrader.forStudent({ type: 'MULTIPLE_SELECT', options: options(0, 2) });
+    const blank = questionGrader.forStudent({ type: 'FILL_BLANK', blanks: [{ acceptedAnswers: ['x'] }] });
+
+    expect(match.matchLeft).toEqual(['a', 'b', 'c']);
+    expect([...match.matchRight].sort()).toEqual(['1', '2', '3']);
+    expect(choice.options.every(opt => !('isCorrect' in opt))).toBe(true);
+    expect(blank).toEqual({ type: 'FILL_BLANK', blankCount: 1 });
+  });
+});
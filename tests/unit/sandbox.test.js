@@ -0,0 +1,212 @@
+// tests/unit/sandbox.test.js
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('child_process', () => ({ ...jest.requireActual('child_process'), spawn: jest.fn(), execFile: jest.fn() }));
+
+const childProcess = require('child_process');
+const sandbox = require('../../src/services/codeRunner/sandbox');
+const codeRunner = require('../../src/services/codeRunner');
+
+const LIMITS = { timeLimitMs: 2000, memoryMb: 256, runtimeMemoryMb: 64, outputLimitBytes: 64 };
+
+// Stands in for the sandboxed program: output is emitted by the test, killing it closes it
+const fakeChild = () => {
+  const child = new EventEmitter();
+  child.pid = 424242;
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.stdin = { on: jest.fn(), end: jest.fn() };
+  child.kill = jest.fn((signal) => setImmediate(() => child.emit('close', null, signal)));
+  return child;
+};
+
+// Play the program's part once it has been started
+const onSpawn = (child, script) => childProcess.spawn.mockImplementation(() => {
+  setImmediate(script);
+  return child;
+});
+
+describe('Code runner sandbox', () => {
+  const env = { ...process.env };
+  let workDir;
+  let child;
+
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sandbox-test-'));
+    child = fakeChild();
+    childProcess.spawn.mockReset().mockReturnValue(child);
+    childProcess.execFile.mockReset().mockImplementation((cmd, args, options, callback) => callback(new Error('no docker')));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('defaults to the docker driver and refuses host processes in production', () => {
+    expect(sandbox.driver).toBe('docker');
+    expect(() => sandbox.getDriver('chroot')).toThrow('Unknown code runner driver: chroot');
+    expect(() => sandbox.getDriver('process')).not.toThrow();
+
+    process.env.NODE_ENV = 'production';
+    expect(() => sandbox.getDriver('process')).toThrow(/cannot be used in production/);
+    expect(() => sandbox.getDriver('docker')).not.toThrow();
+  });
+
+  it('runs docker commands without network, writes or host files beyond the work directory', () => {
+    const { argv } = sandbox.drivers.docker.wrap(['./main'], { limits: LIMITS, writable: false, workDir, cidFile: `${workDir}.cid` });
+    const flag = (name) => argv[argv.indexOf(name) + 1];
+
+    expect(argv.slice(0, 3)).toEqual(['docker', 'run', '-i']);
+    expect(argv).not.toContain('--rm');
+    expect(flag('--network')).toBe('none');
+    expect(argv).toContain('--read-only');
+    expect(flag('--memory')).toBe('320m');
+    expect(flag('--memory-swap')).toBe('320m');
+    expect(flag('--cap-drop')).toBe('ALL');
+    expect(flag('-v')).toBe(`${workDir}:/sandbox:ro`);
+    expect(argv.slice(-1)).toEqual(['./main']);
+
+    const compile = sandbox.drivers.docker.wrap(['gcc', 'main.c'], { limits: LIMITS, writable: true, workDir, cidFile: `${workDir}.cid` });
+    expect(compile.argv).toContain(`${workDir}:/sandbox:rw`);
+  });
+
+  it('runs host processes without network, under rlimits and with a private home', () => {
+    const wrapped = sandbox.drivers.process.wrap(['python3', 'main.py'], {
+      limits: { ...LIMITS, addressSpaceBytes: 256 * 1024 * 1024 },
+      workDir
+    });
+    const prlimit = wrapped.argv.indexOf('prlimit');
+
+    expect(wrapped.argv[0]).toBe('unshare');
+    expect(wrapped.argv.slice(0, prlimit)).toEqual(expect.arrayContaining(['--net', '--ipc', '--uts']));
+    expect(wrapped.argv.slice(prlimit)).toEqual(expect.arrayContaining(['--cpu=3', '--nofile=64', `--as=${256 * 1024 * 1024}`]));
+    expect(wrapped.argv.slice(-2)).toEqual(['python3', 'main.py']);
+    expect(wrapped.env).toMatchObject({ HOME: workDir, TMPDIR: workDir });
+    expect(wrapped.env).not.toHaveProperty('JWT_SECRET');
+  });
+
+  it('counts the memory of every process the command starts', async () => {
+    const { spawn } = jest.requireActual('child_process');
+    const parent = spawn('sh', ['-c', `${process.execPath} -e "setTimeout(() => {}, 1000)"; exit 0`], { stdio: 'ignore' });
+    const exited = new Promise(resolve => parent.on('exit', resolve));
+
+    const { samplePeak } = sandbox.drivers.process.wrap(['true'], { limits: LIMITS, workDir });
+    let peak = 0;
+    for (let i = 0; i < 40 && peak < 16 * 1024 * 1024; i++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+      peak = Math.max(peak, samplePeak(parent));
+    }
+
+    // The shell alone stays far below this; node as its child does not
+    expect(peak).toBeGreaterThan(16 * 1024 * 1024);
+    await exited;
+  });
+
+  it('kills programs that run past the time limit and the start-up allowance', async () => {
+    const wrap = sandbox.drivers.docker.wrap;
+    jest.spyOn(sandbox.drivers.docker, 'wrap').mockImplementation((argv, context) => ({
+      ...wrap(argv, context),
+      startupGraceMs: 40
+    }));
+    let killedWithinLimit;
+    setTimeout(() => { killedWithinLimit = child.kill.mock.calls.length > 0; }, 35);
+
+    const result = await sandbox.execute(['./main'], { workDir, limits: { ...LIMITS, timeLimitMs: 30 } });
+
+    expect(killedWithinLimit).toBe(false);
+    expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+    expect(result).toMatchObject({ timedOut: true, memoryExceeded: false, signal: 'SIGKILL' });
+    expect(codeRunner.describeFailure(result)).toBe('Time limit exceeded');
+  });
+
+  it('treats a CPU rlimit signal as a time limit verdict', async () => {
+    onSpawn(child, () => child.emit('close', null, 'SIGXCPU'));
+    const result = await sandbox.execute(['./main'], { workDir, limits: LIMITS });
+
+    expect(result.timedOut).toBe(true);
+    expect(codeRunner.describeFailure(result)).toBe('Time limit exceeded');
+  });
+
+  it('kills programs that go over the memory limit and reports the peak', async () => {
+    const wrap = sandbox.drivers.docker.wrap;
+    jest.spyOn(sandbox.drivers.docker, 'wrap').mockImplementation((argv, context) => ({
+      ...wrap(argv, context),
+      samplePeak: () => 400 * 1024 * 1024
+    }));
+
+    const result = await sandbox.execute(['./main'], { workDir, limits: LIMITS });
+
+    expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+    expect(result).toMatchObject({ memoryExceeded: true, timedOut: false, memoryUsed: 400 * 1024 });
+    expect(codeRunner.describeFailure(result)).toBe('Memory limit exceeded');
+  });
+
+  it('times docker runs by the container clock and reports OOM kills as memory limit verdicts', async () => {
+    const cidFile = `${workDir}.cid`;
+    const inspect = (state) => childProcess.execFile.mockImplementation((cmd, args, options, callback) => {
+      callback(null, args[0] === 'inspect' ? JSON.stringify(state) : '');
+    });
+    const run = async () => {
+      await fs.promises.writeFile(cidFile, 'c0ffee\n');
+      onSpawn(child, () => child.emit('close', 137, null));
+      return sandbox.execute(['./main'], { workDir, limits: LIMITS });
+    };
+
+    inspect({ StartedAt: '2026-10-19T10:00:00.100000000Z', FinishedAt: '2026-10-19T10:00:00.250500000Z', OOMKilled: true });
+    const oom = await run();
+    expect(oom).toMatchObject({ executionTime: 151, memoryExceeded: true, timedOut: false, memoryUsed: 320 * 1024 });
+    expect(codeRunner.describeFailure(oom)).toBe('Memory limit exceeded');
+    expect(childProcess.execFile).toHaveBeenCalledWith('docker', ['rm', '-f', 'c0ffee'], expect.any(Object), expect.any(Function));
+
+    // Start-up never counts, but the program's own run time does
+    inspect({ StartedAt: '2026-10-19T10:00:00Z', FinishedAt: '2026-10-19T10:00:02.5Z', OOMKilled: false });
+    const slow = await run();
+    expect(slow).toMatchObject({ executionTime: 2500, timedOut: true, memoryExceeded: false });
+  });
+
+  it('finds container memory under either docker cgroup driver', () => {
+    const read = jest.spyOn(fs, 'readFileSync').mockImplementation((file) => {
+      if (file === '/sys/fs/cgroup/docker/c0ffee/memory.peak') return '5242880\n';
+      throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+    });
+
+    expect(sandbox.readContainerPeak('c0ffee')).toBe(5 * 1024 * 1024);
+    expect(read).toHaveBeenCalledWith('/sys/fs/cgroup/system.slice/docker-c0ffee.scope/memory.peak', 'utf8');
+    expect(sandbox.readContainerPeak(null)).toBe(0);
+  });
+
+  it('cuts output at the limit and stops the program', async () => {
+    onSpawn(child, () => {
+      child.stdout.emit('data', Buffer.from('a'.repeat(40)));
+      child.stderr.emit('data', Buffer.from('b'.repeat(40)));
+      child.stdout.emit('data', Buffer.from('c'.repeat(40)));
+    });
+
+    const result = await sandbox.execute(['./main'], { workDir, limits: LIMITS });
+
+    expect(result.stdout).toBe('a'.repeat(40));
+    expect(result.stderr).toBe('b'.repeat(24));
+    expect(result.outputExceeded).toBe(true);
+    expect(child.kill).toHaveBeenCalledWith('SIGKILL');
+    expect(codeRunner.describeFailure(result)).toBe('Output limit exceeded');
+  });
+
+  it('reports normal runs with their output and exit code', async () => {
+    onSpawn(child, () => {
+      child.stdout.emit('data', Buffer.from('42\n'));
+      child.emit('close', 0, null);
+    });
+
+    const result = await sandbox.execute(['./main'], { workDir, stdin: '6 7', limits: LIMITS });
+
+    expect(child.stdin.end).toHaveBeenCalledWith('6 7');
+    expect(childProcess.spawn.mock.calls[0][2]).toMatchObject({ cwd: workDir, detached: true });
+    expect(result).toMatchObject({ stdout: '42\n', exitCode: 0, timedOut: false, memoryExceeded: false, outputExceeded: false });
+    expect(codeRunner.describeFailure(result)).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+// tests/unit/session.service.test.js
+const { Session, User } = require('../../src/models');
+const sessionService = require('../../src/services/sessionService');
+const { verifyToken, verifyRefreshToken } = require('../../src/utils/authUtils');
+const { id, query } = require('../fixtures/helpers');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0', useragent: { browser: 'Firefox', os: 'Linux' } };
+
+describe('Session service', () => {
+  const env = { ...process.env };
+  const user = { _id: id(), email: 'asha@example.test', isActive: true, isDeleted: false };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.REFRESH_TOKEN_SECRET;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  // Stand-in for the stored session, updated the way MongoDB would apply updateOne
+  const store = async () => {
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function save() { return Promise.resolve(this); });
+    const { accessToken, refreshToken, session } = await sessionService.start(user, req);
+
+    jest.spyOn(Session, 'findById').mockReturnValue(query(session));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const updateOne = jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+      const matches = (!filter.tokenHash || filter.tokenHash === session.tokenHash) && !session.revokedAt;
+      if (matches) Object.assign(session, update.$set);
+      return { modifiedCount: matches ? 1 : 0 };
+    });
+
+    return { accessToken, refreshToken, session, updateOne };
+  };
+
+  it('ties both tokens to a new device session', async () => {
+    const { accessToken, refreshToken, session } = await store();
+
+    expect(session).toMatchObject({ device: 'Firefox on Linux', ip: '203.0.113.7', userAgent: 'Mozilla/5.0' });
+    expect(verifyToken(accessToken)).toMatchObject({ id: String(user._id), sid: String(session._id) });
+    expect(verifyRefreshToken(refreshToken)).toMatchObject({ sid: String(session._id) });
+    expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    // An access token does not pass as a refresh token
+    expect(verifyRefreshToken(accessToken)).toBeNull();
+  });
+
+  it('rotates refresh tokens and revokes the session when a used one comes back', async () => {
+    const { refreshToken, session } = await store();
+
+    const first = await sessionService.rotate(refreshToken, req);
+    expect(first.refreshToken).not.toBe(refreshToken);
+    expect(verifyToken(first.accessToken)).toMatchObject({ sid: String(session._id) });
+
+    const second = await sessionService.rotate(first.refreshToken, req);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+
+    // The first token again: someone kept a copy, so the whole session goes
+    await expect(sessionService.rotate(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(session).toMatchObject({ revokedReason: 'token_reuse' });
+    expect(session.revokedAt).toBeInstanceOf(Date);
+
+    // ...including the token that was legitimately current
+    await expect(sessionService.rotate(second.refreshToken, req)).rejects.toMatchObject({
+      statusCode: 401, message: 'Your session has ended. Please log in again.'
+    });
+  });
+
+  it('treats the loser of a concurrent refresh as a replay', async () => {
+    const { refreshToken, updateOne } = await store();
+    updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(sessionService.rotate(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(updateOne).toHaveBeenLastCalledWith(
+      expect.objectContaining({ revokedAt: null }),
+      { $set: expect.objectContaining({ revokedReason: 'token_reuse' }) }
+    );
+  });
+
+  it('refuses refresh tokens that are forged, sessionless or of a disabled account', async () => {
+    const { refreshToken, session } = await store();
+
+    await expect(sessionService.rotate('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(sessionService.rotate(undefined, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    User.findById.mockResolvedValue({ ...user, isActive: false });
+    await expect(sessionService.rotate(refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(session.revokedReason).toBe('account_disabled');
+  });
+
+  it('only accepts access tokens whose session is live', async () => {
+    const exists = jest.spyOn(Session, 'exists').mockResolvedValue({ _id: id() });
+    await expect(sessionService.isActive(String(id()), user._id)).resolves.toBe(true);
+    expect(exists.mock.calls[0][0]).toMatchObject({ revokedAt: null, user: user._id });
+
+    exists.mockResolvedValue(null);
+    await expect(sessionService.isActive(String(id()), user._id)).resolves.toBe(false);
+
+    // Tokens issued before sessions existed have no sid
+    await expect(sessionService.isActive(undefined, user._id)).resolves.toBe(false);
+  });
+});
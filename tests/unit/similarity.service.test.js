@@ -0,0 +1,151 @@
+// tests/unit/similarity.service.test.js
+const { CodingExercise, CodingSubmission, SimilarityReport } = require('../../src/models');
+const similarityService = require('../../src/services/similarityService');
+const { id } = require('../fixtures/helpers');
+
+const original = `
+function sumOfSquares(values) {
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    total += values[i] * values[i];
+  }
+  return total;
+}
+console.log(sumOfSquares([1, 2, 3]));
+`;
+
+// Same program with renamed identifiers, comments and different formatting
+const disguised = `
+// my own solution
+function squares(arr) { let acc = 0;
+  for (let k = 0; k < arr.length; k++) { acc += arr[k] * arr[k]; }
+  return acc; }
+console.log(squares([4, 5, 6]));
+`;
+
+const unrelated = `
+const words = require('fs').readFileSync(0, 'utf8').split(/\\s+/);
+const counts = new Map();
+words.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+console.log([...counts.entries()].sort((a, b) => b[1] - a[1])[0]);
+`;
+
+describe('Similarity Service', () => {
+  it('detects copied code despite renaming and reformatting', () => {
+    const pairs = similarityService.compareDocuments([
+      { id: 'a', owner: 'u1', content: original },
+      { id: 'b', owner: 'u2', content: disguised },
+      { id: 'c', owner: 'u3', content: unrelated }
+    ], { kind: 'code' });
+
+    expect(pairs).toHaveLength(1);
+    expect([pairs[0].a, pairs[0].b]).toEqual(['a', 'b']);
+    expect(pairs[0].coverageA).toBeGreaterThan(0.8);
+    expect(pairs[0].matches.length).toBeGreaterThan(0);
+
+    const span = pairs[0].matches[0];
+    expect(original.slice(span.a.start, span.a.end)).toContain('total += values[i] * values[i]');
+    expect(disguised.slice(span.b.start, span.b.end)).toContain('acc += arr[k] * arr[k]');
+  });
+
+  it('ignores shared starter code', () => {
+    const starter = 'function solve(input) {\n  // write your code here\n  return input.split(" ").map(Number);\n}\n';
+    const pairs = similarityService.compareDocuments([
+      { id: 'a', owner: 'u1', content: `${starter}console.log(solve("1 2").reduce((x, y) => x + y, 0));` },
+      { id: 'b', owner: 'u2', content: `${starter}let best = -Infinity;\nfor (const v of solve("1 2")) if (v > best) best = v;\nconsole.log(best);` }
+    ], { kind: 'code', baseContent: starter });
+
+    expect(pairs).toHaveLength(0);
+  });
+
+  it('detects shared passages in free text', () => {
+    const passage = 'The industrial revolution transformed manufacturing by replacing hand production with machines powered by steam';
+    const pairs = similarityService.compareDocuments([
+      { id: 'a', owner: 'u1', content: `In my view, ${passage}. This changed cities.` },
+      { id: 'b', owner: 'u2', content: `History shows that ${passage.toUpperCase()}!` },
+      { id: 'c', owner: 'u3', content: 'Agriculture changed slowly over many centuries in most regions of Europe and Asia.' }
+    ], { kind: 'text' });
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0].coverageB).toBeGreaterThan(0.7);
+  });
+
+  it('ignores code most of the class shares, but not what two students share', () => {
+    const boilerplate = `
+const lines = require('fs').readFileSync(0, 'utf8').trim().split('\\n');
+const n = parseInt(lines[0], 10);
+const values = lines[1].split(' ').map(Number);
+`;
+    const documents = Array.from({ length: 20 }, (_, i) => ({
+      id: `s${i}`,
+      owner: `u${i}`,
+      content: `${boilerplate}console.log(values.slice(0, n).filter(v => v % ${i + 2} === 0).length);`
+    }));
+    documents[0].content += original;
+    documents[1].content += disguised;
+
+    const pairs = similarityService.compareDocuments(documents, { kind: 'code' });
+
+    expect(pairs).toHaveLength(1);
+    expect([pairs[0].a, pairs[0].b]).toEqual(['s0', 's1']);
+    // The boilerplate does not count towards coverage either
+    expect(pairs[0].coverageA).toBeGreaterThan(0.8);
+  });
+
+  describe('reports', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('compares only graded coding submissions', async () => {
+      const exercise = { _id: id(), initialCode: 'function solve() {}' };
+      jest.spyOn(CodingExercise, 'findById').mockResolvedValue(exercise);
+      const aggregate = jest.spyOn(CodingSubmission, 'aggregate').mockResolvedValue([
+        { _id: 'u1', submission: { _id: 'a', student: 'u1', code: original } }
+      ]);
+
+      const { kind, documents, baseContent } = await similarityService.documentsFor('CodingExercise', exercise._id);
+
+      expect(aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { exercise: exercise._id, isPractice: { $ne: true }, status: 'completed' }
+      });
+      expect(kind).toBe('code');
+      expect(documents).toEqual([{ id: 'a', owner: 'u1', content: original }]);
+      expect(baseContent).toBe(exercise.initialCode);
+    });
+
+    it('fills in a queued report, or records why it failed', async () => {
+      const report = new SimilarityReport({
+        targetType: 'CodingExercise',
+        target: id(),
+        method: 'winnowing',
+        parameters: { k: 8, window: 4, threshold: 0.3 }
+      });
+      const statuses = [];
+      jest.spyOn(report, 'save').mockImplementation(async () => {
+        statuses.push(report.status);
+        return report;
+      });
+      jest.spyOn(SimilarityReport, 'findById').mockResolvedValue(report);
+      const documentsFor = jest.spyOn(similarityService, 'documentsFor').mockResolvedValue({
+        kind: 'code',
+        baseContent: '',
+        documents: [
+          { id: id(), owner: id(), content: original },
+          { id: id(), owner: id(), content: disguised },
+          { id: id(), owner: id(), content: unrelated }
+        ]
+      });
+
+      await similarityService.runReport(report._id);
+
+      expect(statuses).toEqual(['running', 'completed']);
+      expect(report.submissionsCompared).toBe(3);
+      expect(report.pairs).toHaveLength(1);
+      expect(report.completedAt).toBeInstanceOf(Date);
+
+      documentsFor.mockRejectedValue(new Error('No exercise found'));
+      await expect(similarityService.runReport(report._id)).rejects.toThrow('No exercise found');
+      expect(report.status).toBe('failed');
+      expect(report.error).toBe('No exercise found');
+    });
+  });
+});
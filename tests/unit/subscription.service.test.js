@@ -0,0 +1,92 @@
+// tests/unit/subscription.service.test.js
+const { Subscription, SubscriptionPlan, Enrollment } = require('../../src/models');
+const subscriptionService = require('../../src/services/subscriptionService');
+const { DAY, id } = require('../fixtures/helpers');
+
+describe('Subscription service', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('bills monthly and annual periods, clamping month ends', () => {
+    expect(subscriptionService.addInterval(new Date('2026-01-31T10:00:00Z'), 'monthly')).toEqual(new Date('2026-02-28T10:00:00Z'));
+    expect(subscriptionService.addInterval(new Date('2026-03-15T10:00:00Z'), 'monthly')).toEqual(new Date('2026-04-15T10:00:00Z'));
+    expect(subscriptionService.addInterval(new Date('2028-02-29T00:00:00Z'), 'annual')).toEqual(new Date('2029-02-28T00:00:00Z'));
+  });
+
+  it('covers courses by plan scope and keeps access through the grace period', () => {
+    const [math, physics] = [id(), id()];
+    const categoryPlan = { scope: 'category', categories: [math], isActive: true };
+
+    expect(subscriptionService.covers({ scope: 'all_access' }, { category: physics })).toBe(true);
+    expect(subscriptionService.covers(categoryPlan, { category: math })).toBe(true);
+    expect(subscriptionService.covers(categoryPlan, { category: physics })).toBe(false);
+
+    const now = new Date();
+    const pastDue = { status: 'past_due', currentPeriodEnd: new Date(now - DAY), graceUntil: new Date(+now + DAY) };
+    expect(subscriptionService.isLive(pastDue, now)).toBe(true);
+    expect(subscriptionService.isLive({ ...pastDue, graceUntil: new Date(now - 1) }, now)).toBe(false);
+    expect(subscriptionService.isLive({ status: 'canceled', currentPeriodEnd: new Date(+now + DAY) }, now)).toBe(false);
+  });
+
+  it('renews a past-due subscription from the end of the lapsed period', async () => {
+    const periodEnd = new Date(Date.now() - 2 * DAY);
+    const subscription = {
+      _id: id(),
+      user: id(),
+      plan: id(),
+      status: 'past_due',
+      currentPeriodEnd: periodEnd,
+      graceUntil: new Date(Date.now() + DAY),
+      history: []
+    };
+    const payment = { _id: id(), user: subscription.user };
+
+    jest.spyOn(Subscription, 'findById').mockResolvedValue(subscription);
+    jest.spyOn(SubscriptionPlan, 'findById').mockResolvedValue({ _id: subscription.plan, interval: 'monthly' });
+    const update = jest.spyOn(Subscription, 'findOneAndUpdate')
+      .mockImplementation(async (filter, change) => ({ ...subscription, ...change.$set }));
+    const sync = jest.spyOn(Enrollment, 'updateMany').mockResolvedValue({});
+
+    const renewed = await subscriptionService.activateFromPayment(payment, { itemType: 'subscription', subscription: subscription._id });
+
+    expect(update.mock.calls[0][0]).toEqual({ _id: subscription._id, status: 'past_due' });
+    expect(renewed).toMatchObject({
+      status: 'active',
+      currentPeriodStart: periodEnd,
+      currentPeriodEnd: subscriptionService.addInterval(periodEnd, 'monthly'),
+      graceUntil: null,
+      lastPayment: payment._id
+    });
+    expect(update.mock.calls[0][1].$push.history).toMatchObject({ from: 'past_due', to: 'active', payment: payment._id });
+    expect(sync.mock.calls[0][1]).toEqual({ isActive: true, expiryDate: renewed.currentPeriodEnd });
+  });
+
+  it('ends, lapses and expires subscriptions on schedule', async () => {
+    process.env.SUBSCRIPTION_GRACE_DAYS = '3';
+    const now = new Date('2026-10-19T12:00:00Z');
+    const endedAt = new Date('2026-10-19T00:00:00Z');
+    const canceling = { _id: id(), user: id(), status: 'active', currentPeriodEnd: endedAt, cancelAtPeriodEnd: true };
+    const lapsing = { _id: id(), user: id(), status: 'trialing', currentPeriodEnd: endedAt, cancelAtPeriodEnd: false };
+    const overdue = { _id: id(), user: id(), status: 'past_due', graceUntil: new Date('2026-10-18T00:00:00Z') };
+
+    jest.spyOn(Subscription, 'find')
+      .mockResolvedValueOnce([canceling, lapsing])
+      .mockResolvedValueOnce([overdue]);
+    const update = jest.spyOn(Subscription, 'findOneAndUpdate')
+      .mockImplementation(async (filter, change) => ({ _id: filter._id, ...change.$set }));
+    const enrollments = jest.spyOn(Enrollment, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(subscriptionService, 'notify').mockResolvedValue();
+
+    const result = await subscriptionService.processDue(now);
+
+    expect(result).toEqual({ canceled: 1, pastDue: 1, expired: 1, enrollmentsExpired: 2 });
+    expect(update.mock.calls.map(call => call[1].$set.status)).toEqual(['canceled', 'past_due', 'expired']);
+    expect(update.mock.calls[1][1].$set.graceUntil).toEqual(new Date('2026-10-22T00:00:00Z'));
+    expect(update.mock.calls[1][1].$push.history.reason).toBe('Trial ended');
+    expect(enrollments).toHaveBeenLastCalledWith({ isActive: true, expiryDate: { $lte: now } }, { isActive: false });
+  });
+});
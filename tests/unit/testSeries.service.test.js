@@ -0,0 +1,85 @@
+// tests/unit/testSeries.service.test.js
+const { TestSeries, TestSeriesEnrollment, MockTestAttempt, Payment } = require('../../src/models');
+const testSeriesService = require('../../src/services/testSeriesService');
+const { id, query } = require('../fixtures/helpers');
+
+const student = { id: id().toString(), role: 'student' };
+
+describe('Test series service', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('unlocks owners, free previews and tests outside paid series', async () => {
+    const instructor = id();
+    const mockTest = { _id: id(), instructor, price: 0, isFreePreview: false };
+    const find = jest.spyOn(TestSeries, 'find').mockReturnValue(query([]));
+
+    expect(await testSeriesService.checkMockTestAccess({ id: instructor.toString(), role: 'instructor' }, mockTest))
+      .toMatchObject({ allowed: true, via: 'owner' });
+    expect(await testSeriesService.checkMockTestAccess(student, { ...mockTest, isFreePreview: true }))
+      .toMatchObject({ allowed: true, via: 'free_preview' });
+    expect(await testSeriesService.checkMockTestAccess(student, mockTest))
+      .toMatchObject({ allowed: true, via: 'free' });
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  it('locks tests of a paid series until the student enrolls', async () => {
+    const mockTest = { _id: id(), instructor: id(), price: 0 };
+    jest.spyOn(TestSeries, 'find').mockReturnValue(query([{ _id: id(), title: 'UPSC Prelims 2026' }]));
+    const findOne = jest.spyOn(TestSeriesEnrollment, 'findOne').mockResolvedValue(null);
+
+    await expect(testSeriesService.assertMockTestAccess(student, mockTest))
+      .rejects.toThrow('Purchase "UPSC Prelims 2026" to unlock it');
+
+    findOne.mockResolvedValue({ _id: id() });
+    expect(await testSeriesService.checkMockTestAccess(student, mockTest))
+      .toMatchObject({ allowed: true, via: 'series' });
+    expect(findOne.mock.calls[0][0]).toMatchObject({ student: student.id, isActive: true, isRevoked: false });
+  });
+
+  it('accepts an individual purchase of a paid test', async () => {
+    const mockTest = { _id: id(), instructor: id(), price: 199 };
+    jest.spyOn(TestSeries, 'find').mockReturnValue(query([]));
+    const exists = jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+
+    expect((await testSeriesService.checkMockTestAccess(student, mockTest)).allowed).toBe(false);
+
+    exists.mockResolvedValue({ _id: id() });
+    expect(await testSeriesService.checkMockTestAccess(student, mockTest))
+      .toMatchObject({ allowed: true, via: 'purchase' });
+  });
+
+  it('groups the dashboard by subject and chapter with per-test status', async () => {
+    const [t1, t2, t3] = [id(), id(), id()];
+    const test = (_id, title, extra = {}) => ({ _id, title, totalMarks: 100, isPublished: true, resultPublishAt: null, ...extra });
+    jest.spyOn(TestSeries, 'findOne').mockReturnValue(query({
+      _id: id(),
+      title: 'SSC CGL',
+      instructor: id(),
+      isFree: false,
+      price: 999,
+      tests: [
+        { mockTestId: test(t3, 'Reasoning 1'), subject: 'Reasoning', order: 3 },
+        { mockTestId: test(t1, 'Algebra 1', { isFreePreview: true }), subject: 'Maths', chapter: 'Algebra', order: 1 },
+        { mockTestId: test(t2, 'Algebra 2'), subject: 'Maths', chapter: 'Algebra', order: 2 }
+      ]
+    }));
+    jest.spyOn(TestSeriesEnrollment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(MockTestAttempt, 'find').mockReturnValue(query([
+      { _id: id(), mockTest: t1, status: 'completed', score: 60, percentage: 60, rank: 4, percentile: 80, isRanked: true, startedAt: new Date() }
+    ]));
+    jest.spyOn(Payment, 'find').mockReturnValue(query([t2]));
+
+    const dashboard = await testSeriesService.dashboard(id(), student);
+
+    expect(dashboard.access.hasAccess).toBe(false);
+    expect(dashboard.summary).toMatchObject({ totalTests: 3, completed: 1, notStarted: 1, locked: 1, averagePercentile: 80 });
+    expect(dashboard.subjects.map(s => s.subject)).toEqual(['Maths', 'Reasoning']);
+    const algebra = dashboard.subjects[0].chapters[0];
+    expect(algebra.chapter).toBe('Algebra');
+    expect(algebra.tests.map(t => [t.title, t.status, t.rank])).toEqual([
+      ['Algebra 1', 'completed', 4],
+      ['Algebra 2', 'not_started', null]
+    ]);
+    expect(dashboard.subjects[1].chapters[0].tests[0].status).toBe('locked');
+  });
+});
@@ -0,0 +1,110 @@
+// tests/unit/twoFactor.service.test.js
+const crypto = require('crypto');
+const { User, SystemSettings } = require('../../src/models');
+const twoFactorService = require('../../src/services/twoFactorService');
+const totp = require('../../src/utils/totp');
+const { encryptSecret, decryptSecret } = require('../../src/utils/security');
+const { id, query } = require('../fixtures/helpers');
+
+describe('Two-factor service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...env };
+  });
+
+  it('generates RFC 6238 codes and tolerates one step of clock drift', () => {
+    // RFC 6238 appendix B, SHA-1 seed, truncated to 6 digits
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.codeAt(secret, totp.stepAt(59 * 1000))).toBe('287082');
+    expect(totp.codeAt(secret, totp.stepAt(1111111109 * 1000))).toBe('081804');
+
+    const time = 1111111109 * 1000;
+    expect(totp.verify(secret, '081804', { time })).toBe(totp.stepAt(time));
+    expect(totp.verify(secret, '081 804', { time: time + 30 * 1000 })).toBe(totp.stepAt(time));
+    expect(totp.verify(secret, '081804', { time: time + 90 * 1000 })).toBeNull();
+    expect(totp.verify(secret, 'abcdef', { time })).toBeNull();
+
+    expect(totp.keyUri({ secret, account: 'asha@example.test', issuer: 'EdTech Platform' }))
+      .toBe(`otpauth://totp/EdTech%20Platform%3Aasha%40example.test?secret=${secret}&issuer=EdTech+Platform&algorithm=SHA1&digits=6&period=30`);
+  });
+
+  it('keeps secrets encrypted and rejects a tampered ciphertext', () => {
+    const sealed = encryptSecret('JBSWY3DPEHPK3PXP');
+    expect(sealed).not.toContain('JBSWY3DPEHPK3PXP');
+    expect(decryptSecret(sealed)).toBe('JBSWY3DPEHPK3PXP');
+
+    const [iv, tag, data] = sealed.split('.');
+    expect(() => decryptSecret([iv, tag, `${data.slice(0, -2)}00`].join('.'))).toThrow();
+  });
+
+  it('enables 2FA with a code from the pending secret and hands out recovery codes', async () => {
+    const secret = totp.generateSecret();
+    const user = new User({ firstName: 'Asha', lastName: 'Rao', email: 'asha@example.test', role: 'admin' });
+    user.twoFactor = { pendingSecret: encryptSecret(secret) };
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    await expect(twoFactorService.enable(user._id, '000000')).rejects.toMatchObject({ statusCode: 400 });
+
+    const recoveryCodes = await twoFactorService.enable(user._id, totp.codeAt(secret, totp.stepAt()));
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+    expect(decryptSecret(user.twoFactor.secret)).toBe(secret);
+    expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  it('accepts each code and recovery code only once', async () => {
+    const secret = totp.generateSecret();
+    const recoveryCode = 'abcde-12345';
+    const user = { _id: id(), twoFactor: { enabled: true, secret: encryptSecret(secret) } };
+
+    // updateOne only matches while the step is newer / the recovery code is still there
+    const used = { step: -1, codes: new Set([crypto.createHash('sha256').update('abcde12345').digest('hex')]) };
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$set) {
+        const step = update.$set['twoFactor.lastUsedStep'];
+        if (step <= used.step) return { modifiedCount: 0 };
+        used.step = step;
+        return { modifiedCount: 1 };
+      }
+      const hashed = update.$pull['twoFactor.recoveryCodes'];
+      return { modifiedCount: used.codes.delete(hashed) ? 1 : 0 };
+    });
+
+    const code = totp.codeAt(secret, totp.stepAt());
+    await expect(twoFactorService.verify(user, { code })).resolves.toBe('totp');
+    await expect(twoFactorService.verify(user, { code })).resolves.toBeNull();
+    await expect(twoFactorService.verify(user, { code: '123' })).resolves.toBeNull();
+
+    await expect(twoFactorService.verify(user, { recoveryCode: 'ABCDE 12345' })).resolves.toBe('recovery');
+    await expect(twoFactorService.verify(user, { recoveryCode })).resolves.toBeNull();
+
+    await expect(twoFactorService.verify({ twoFactor: { enabled: false } }, { code })).resolves.toBeNull();
+  });
+
+  it('issues purpose-bound challenge tokens and enforces the role policy', async () => {
+    const user = { _id: id(), role: 'instructor', isActive: true, isDeleted: false };
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+
+    const token = twoFactorService.challengeToken(user, 'setup');
+    await expect(twoFactorService.readChallenge(token, 'setup')).resolves.toBe(user);
+    await expect(twoFactorService.readChallenge(token, 'login')).rejects.toMatchObject({ statusCode: 401 });
+    await expect(twoFactorService.readChallenge('garbage', 'login')).rejects.toMatchObject({ statusCode: 401 });
+
+    const setting = jest.spyOn(SystemSettings, 'findOne').mockReturnValue(query({ value: ['admin', 'instructor'] }));
+    await expect(twoFactorService.isRequiredFor(user)).resolves.toBe(true);
+    setting.mockReturnValue(query(null));
+    await expect(twoFactorService.isRequiredFor(user)).resolves.toBe(false);
+
+    await expect(twoFactorService.setRequiredRoles(['superuser'], id())).rejects.toMatchObject({ statusCode: 400 });
+  });
+});